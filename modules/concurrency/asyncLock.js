@@ -33,9 +33,9 @@ class AsyncLock {
         try {
             // If there's an existing lock, wait for it or timeout
             if (this.locks.has(key)) {
-                const timeoutPromise = this.createTimeout(timeout);
+                const deadline = this.createDeadline(timeout);
                 try {
-                    await Promise.race([this.locks.get(key), timeoutPromise]);
+                    await Promise.race([this.locks.get(key), deadline.promise]);
                 } catch (error) {
                     // Remove from waiting list before throwing timeout error
                     const index = waiters.indexOf(waitResolve);
@@ -47,6 +47,8 @@ class AsyncLock {
                     }
                     this.metrics.timeouts++;
                     throw error;
+                } finally {
+                    deadline.cancel();
                 }
             }
 
@@ -119,25 +121,69 @@ class AsyncLock {
     async acquireMultiple(keys, fn, timeout = this.timeout) {
         // Sort keys to prevent deadlocks
         const sortedKeys = [...new Set(keys)].sort();
-        
-        // Acquire all locks in order
-        const acquire = async (index) => {
-            if (index >= sortedKeys.length) {
-                return await fn();
+
+        // Acquire all locks in order, one after another rather than by
+        // nesting acquire() calls, which needs a stack frame per key. One
+        // deadline covers acquiring the whole batch.
+        const deadline = this.createDeadline(timeout);
+        const held = [];
+        try {
+            for (const key of sortedKeys) {
+                if (this.locks.has(key)) {
+                    this.metrics.contentionCount++;
+                }
+                // Another waiter may take the lock first once it's released
+                while (this.locks.has(key)) {
+                    await Promise.race([this.locks.get(key), deadline.promise]);
+                }
+
+                let release;
+                const lockPromise = new Promise(resolve => {
+                    release = resolve;
+                });
+                this.locks.set(key, lockPromise);
+                held.push({ key, lockPromise, release });
+                this.metrics.acquireCount++;
             }
-            
-            return await this.acquire(sortedKeys[index], async () => {
-                return await acquire(index + 1);
-            }, timeout);
-        };
-        
-        return await acquire(0);
+            deadline.cancel();
+
+            return await fn();
+        } catch (error) {
+            if (error.name === 'LockTimeoutError') {
+                this.metrics.timeouts++;
+            }
+            throw error;
+        } finally {
+            deadline.cancel();
+            for (const { key, lockPromise, release } of held.reverse()) {
+                release();
+                if (this.locks.get(key) === lockPromise) {
+                    this.locks.delete(key);
+                }
+            }
+        }
     }
 
     async withLock(key, fn, timeout = this.timeout) {
         return await this.acquire(key, fn, timeout);
     }
 
+    // A timeout that can be cancelled once it's no longer needed, so no
+    // timer outlives the wait it guards
+    createDeadline(timeout) {
+        let timer;
+        const promise = new Promise((_, reject) => {
+            timer = setTimeout(() => {
+                const error = new Error('Lock acquisition timed out');
+                error.name = 'LockTimeoutError';
+                reject(error);
+            }, timeout);
+        });
+        // Rejections after the wait is over have nobody to report to
+        promise.catch(() => {});
+        return { promise, cancel: () => clearTimeout(timer) };
+    }
+
     createTimeout(timeout) {
         return new Promise((_, reject) => {
             setTimeout(() => {
@@ -0,0 +1,241 @@
+import { MemoryBackend } from './memoryBackend';
+import { SerializationUtil } from '../utils/serialization';
+import { SizeUtil } from '../utils/size';
+
+// Node.js built-ins, imported when a store is first opened rather than with
+// this module, so bundling the backends for a browser leaves them out
+let fs = null;
+let path = null;
+
+async function loadNodeModules() {
+    if (!fs) {
+        const [fsModule, pathModule] = await Promise.all([import('fs'), import('path')]);
+        fs = fsModule.promises;
+        path = pathModule.default || pathModule;
+    }
+}
+
+// Append-only JSON-lines log. Every write appends one operation; the log is
+// replayed into an in-memory map on open and rewritten by compact().
+class FileSystemBackend extends MemoryBackend {
+    constructor(options = {}) {
+        super(options);
+        // Both resolved by open()
+        this.directory = options.directory || null;
+        this.filePath = null;
+        this.writeQueue = Promise.resolve();
+    }
+
+    async open(schema) {
+        this.schema = schema;
+        await loadNodeModules();
+        this.directory = this.directory || path.join(process.cwd(), '.storage');
+        this.filePath = path.join(this.directory, `${this.dbName}-${this.storeName}.jsonl`);
+        await fs.mkdir(this.directory, { recursive: true });
+
+        const state = this.createState();
+        let contents = '';
+        try {
+            contents = await fs.readFile(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw new Error(`Failed to read storage file: ${error.message}`);
+            }
+        }
+
+        const lines = contents.split('\n');
+        lines.forEach((line, i) => {
+            if (!line) return;
+            let entry;
+            try {
+                entry = FileSystemBackend.deserialize(line);
+            } catch (error) {
+                // A torn final line means the process died mid-append; drop it
+                if (i === lines.length - 1 && error instanceof SyntaxError) return;
+                throw new Error(`Corrupt storage file at line ${i + 1}: ${error.message}`);
+            }
+            this.applyEntry(state, entry);
+        });
+
+        const report = this.runMigrations(state);
+        this.attach(state);
+        if (!report.dryRun && report.applied.length > 0) {
+            await this.rewrite(Array.from(state.records.values()));
+        }
+        return report;
+    }
+
+    applyEntry(state, entry) {
+        switch (entry.op) {
+            case 'put':
+                state.records.set(entry.item[this.schema.keyPath], entry.item);
+                break;
+            case 'delete':
+                state.records.delete(entry.key);
+                break;
+            case 'clear':
+                state.records.clear();
+                break;
+            case 'batch':
+                entry.entries.forEach(batchEntry => this.applyEntry(state, batchEntry));
+                break;
+            case 'schema':
+                state.version = entry.version;
+                state.indexes = entry.indexes;
+                break;
+            case 'migration':
+                state.history.push(entry.migration);
+                break;
+            default:
+                throw new Error(`Unknown log operation: ${entry.op}`);
+        }
+    }
+
+    append(entries) {
+        const data = entries.map(entry => FileSystemBackend.serialize(entry) + '\n').join('');
+        this.writeQueue = this.writeQueue
+            .catch(() => {})
+            .then(() => fs.appendFile(this.filePath, data, 'utf8'));
+        return this.writeQueue;
+    }
+
+    // Writes reach the log before the in-memory map, so a failed append
+    // leaves the map matching what a reopen would replay
+    async put(item) {
+        this.ensureOpen();
+        if (item[this.schema.keyPath] === undefined) {
+            throw new Error('Failed to store item: key path not found in value');
+        }
+        await this.append([{ op: 'put', item }]);
+        return super.put(item);
+    }
+
+    async delete(key) {
+        this.ensureOpen();
+        await this.append([{ op: 'delete', key }]);
+        return super.delete(key);
+    }
+
+    async batch(operations) {
+        this.ensureOpen();
+        this.validateBatch(operations);
+
+        // One log line per batch: a torn write drops the batch as a whole
+        await this.append([{
+            op: 'batch',
+            entries: operations.map(operation => operation.type === 'put'
+                ? { op: 'put', item: operation.item }
+                : { op: 'delete', key: operation.key })
+        }]);
+        return super.batch(operations);
+    }
+
+    async clear() {
+        this.ensureOpen();
+        await this.append([{ op: 'clear' }]);
+        return super.clear();
+    }
+
+    async cursor(options = {}, onItem) {
+        const pending = [];
+        await super.cursor(options, (item, cursor) => onItem(item, {
+            delete: () => pending.push(cursor.delete())
+        }));
+        await Promise.all(pending);
+    }
+
+    async close() {
+        await this.writeQueue.catch(() => {});
+        this.state = null;
+        this.records = null;
+    }
+
+    async destroy() {
+        await this.close();
+        // Never opened: there is no file
+        if (this.filePath) {
+            await fs.rm(this.filePath, { force: true });
+        }
+    }
+
+    async compact(items) {
+        this.ensureOpen();
+
+        // Records are streamed straight into the new log; the in-memory map is
+        // only pruned once the rewrite is in place, since `items` may be a
+        // lazy scan over it
+        const kept = new Set();
+        await this.rewrite(items, (item) => {
+            const key = item[this.schema.keyPath];
+            kept.add(key);
+            this.setRecord(key, this.cloneItem(item));
+        });
+
+        for (const key of this.records.keys()) {
+            if (!kept.has(key)) {
+                this.deleteRecord(key);
+            }
+        }
+        return true;
+    }
+
+    // Write the schema header, migration history and the given records to a
+    // temporary file and rename it over the log, so a crash leaves either the
+    // old or the new file intact
+    async rewrite(items, onItem = null) {
+        await this.writeQueue.catch(() => {});
+
+        const tempPath = `${this.filePath}.compact`;
+        const file = await fs.open(tempPath, 'w');
+        try {
+            await file.write(this.headerLines());
+
+            for await (const item of items) {
+                await file.write(FileSystemBackend.serialize({ op: 'put', item }) + '\n');
+                onItem && onItem(item);
+            }
+        } finally {
+            await file.close();
+        }
+        await fs.rename(tempPath, this.filePath);
+    }
+
+    headerLines() {
+        const header = [
+            { op: 'schema', version: this.state.version, indexes: this.state.indexes },
+            ...this.state.history.map(migration => ({ op: 'migration', migration }))
+        ];
+        return header.map(entry => FileSystemBackend.serialize(entry) + '\n').join('');
+    }
+
+    // The log on disk against the log compact() would write: every
+    // superseded put and delete line is space a rewrite gives back
+    async getStorageStats() {
+        this.ensureOpen();
+        await this.writeQueue.catch(() => {});
+
+        let usedSize = SizeUtil.utf8Length(this.headerLines());
+        for (const item of this.records.values()) {
+            usedSize += SizeUtil.utf8Length(FileSystemBackend.serialize({ op: 'put', item }) + '\n');
+        }
+
+        let totalSize = 0;
+        try {
+            totalSize = (await fs.stat(this.filePath)).size;
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        return { records: this.records.size, usedSize, totalSize: Math.max(totalSize, usedSize) };
+    }
+
+    // JSON cannot represent binary values or dates, so they are tagged
+    static serialize(entry) {
+        return SerializationUtil.serialize(entry);
+    }
+
+    static deserialize(line) {
+        return SerializationUtil.deserialize(line);
+    }
+}
+
+export { FileSystemBackend }
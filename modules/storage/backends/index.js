@@ -0,0 +1,31 @@
+// modules/storage/backends/index.js
+import { StorageBackend } from './storageBackend';
+import { IndexedDBBackend } from './indexedDBBackend';
+import { MemoryBackend } from './memoryBackend';
+import { FileSystemBackend } from './fileSystemBackend';
+
+const backendTypes = {
+    indexeddb: IndexedDBBackend,
+    memory: MemoryBackend,
+    filesystem: FileSystemBackend
+};
+
+function createStorageBackend(type = 'indexeddb', options = {}) {
+    if (type instanceof StorageBackend) {
+        return type;
+    }
+
+    const Backend = backendTypes[type];
+    if (!Backend) {
+        throw new Error(`Unknown storage backend: ${type}`);
+    }
+    return new Backend(options);
+}
+
+export {
+    StorageBackend,
+    IndexedDBBackend,
+    MemoryBackend,
+    FileSystemBackend,
+    createStorageBackend
+};
@@ -0,0 +1,704 @@
+import { StorageBackend } from './storageBackend';
+import { KeyRangeUtil } from '../utils/keyRange';
+import { SchemaMigrator } from '../utils/migrations';
+import { ThoughtError } from '../../errors/thoughtError';
+import { SizeUtil } from '../utils/size';
+
+// Applied migrations are recorded next to the data store
+const MIGRATIONS_STORE = '__migrations';
+// Space accounting: { name: 'space', baseBytes, writtenBytes } holds the live
+// bytes left by the last compaction and the bytes put since
+const STATS_STORE = '__stats';
+const SPACE_KEY = 'space';
+const SHADOW_SUFFIX = '__compact';
+// Records copied per transaction while compacting
+const COPY_BATCH_SIZE = 200;
+
+// Errors from write requests and transactions; running out of origin quota is
+// reported as MemoryLimitExceeded so callers can free space and retry
+const writeError = (message, error) => (
+    error?.name === 'QuotaExceededError'
+        ? new ThoughtError('MemoryLimitExceeded', `${message}: storage quota exceeded`, { cause: error.message })
+        : new Error(`${message}: ${error}`)
+);
+
+class IndexedDBBackend extends StorageBackend {
+    constructor(options = {}) {
+        super(options);
+        this.version = null;
+        this.db = null;
+        // Set while upgrade() swaps the connection
+        this.reopening = null;
+    }
+
+    // Copy of the store that compact() fills before swapping it in
+    get shadowName() {
+        return `${this.storeName}${SHADOW_SUFFIX}`;
+    }
+
+    async open(schema) {
+        this.schema = schema;
+        const migrator = new SchemaMigrator(schema.migrations);
+
+        // Connect at whatever version is stored first (a new database gets
+        // the initial schema). Compaction also moves the database version,
+        // so the schema version comes from the migration history.
+        await this.connect(undefined, (db) => this.createStores(db));
+        const fromVersion = await this.readSchemaVersion();
+        this.version = fromVersion;
+
+        if (schema.dryRun) {
+            this.indexes = this.readIndexDefinitions();
+            return this.simulateMigrations(migrator);
+        }
+        if (fromVersion > migrator.targetVersion) {
+            await this.close();
+            throw new ThoughtError(
+                'InvalidConfiguration',
+                `Stored schema version is newer than the latest migration (${migrator.targetVersion})`,
+                { dbName: this.dbName, storedVersion: fromVersion, targetVersion: migrator.targetVersion }
+            );
+        }
+
+        const report = migrator.createReport(fromVersion);
+        if (migrator.pending(fromVersion).length > 0) {
+            await this.upgrade((db, transaction, fail) => {
+                // A half-finished compaction copied the old schema; it starts
+                // over next time
+                if (db.objectStoreNames.contains(this.shadowName)) {
+                    db.deleteObjectStore(this.shadowName);
+                }
+                this.applyMigrations(migrator, fromVersion, transaction, report, fail);
+            });
+            this.version = report.toVersion;
+        } else if (!this.db.objectStoreNames.contains(STATS_STORE)) {
+            // Created before space accounting; createStores() adds it
+            await this.upgrade(() => {});
+        }
+
+        this.indexes = this.readIndexDefinitions();
+        return report;
+    }
+
+    // Open a connection, running onUpgrade(db, transaction, fail) in the
+    // versionchange transaction when `version` is above the stored one.
+    // Calling fail(error) aborts the upgrade and rejects with that error.
+    connect(version, onUpgrade) {
+        return new Promise((resolve, reject) => {
+            let upgradeError = null;
+            try {
+                const request = version === undefined
+                    ? indexedDB.open(this.dbName)
+                    : indexedDB.open(this.dbName, version);
+
+                request.onerror = () => {
+                    reject(upgradeError || new Error(`Failed to open IndexedDB: ${request.error}`));
+                };
+
+                request.onupgradeneeded = (event) => {
+                    const transaction = event.target.transaction;
+                    const fail = (error) => {
+                        upgradeError = error;
+                        transaction.abort();
+                    };
+                    try {
+                        onUpgrade(event.target.result, transaction, fail);
+                    } catch (error) {
+                        fail(error);
+                    }
+                };
+
+                request.onsuccess = (event) => {
+                    this.attach(event.target.result);
+                    resolve();
+                };
+            } catch (error) {
+                reject(error);
+            }
+        });
+    }
+
+    // Reconnect one database version up to change object stores. Our own
+    // connection has to close first or the upgrade would be blocked on it;
+    // operations issued meanwhile wait in reconnected() for the new one.
+    async upgrade(onUpgrade) {
+        const version = this.db.version + 1;
+        const reopening = (async () => {
+            await this.close();
+            await this.connect(version, (db, transaction, fail) => {
+                this.createStores(db);
+                onUpgrade(db, transaction, fail);
+            });
+        })();
+        this.reopening = reopening.catch(() => {});
+
+        try {
+            await reopening;
+        } finally {
+            this.reopening = null;
+        }
+    }
+
+    // Resolves once no upgrade is swapping the connection. A failed upgrade
+    // leaves no connection, which the caller then reports.
+    async reconnected() {
+        while (this.reopening) {
+            await this.reopening;
+        }
+    }
+
+    attach(db) {
+        this.db = db;
+
+        this.db.onclose = () => {
+            this.db = null;
+            this.onclose && this.onclose();
+        };
+
+        this.db.onerror = (event) => {
+            this.onerror && this.onerror(event.target.error);
+        };
+
+        // Another connection wants to upgrade; step aside and let
+        // the owner reconnect at the new version
+        this.db.onversionchange = () => {
+            this.close();
+            this.onclose && this.onclose();
+        };
+    }
+
+    createStores(db) {
+        if (!db.objectStoreNames.contains(this.storeName)) {
+            this.createStore(db, this.storeName, this.schema.indexes);
+        }
+        if (!db.objectStoreNames.contains(MIGRATIONS_STORE)) {
+            db.createObjectStore(MIGRATIONS_STORE, { keyPath: 'version' });
+        }
+        if (!db.objectStoreNames.contains(STATS_STORE)) {
+            db.createObjectStore(STATS_STORE, { keyPath: 'name' });
+        }
+    }
+
+    createStore(db, name, indexes) {
+        const store = db.createObjectStore(name, { keyPath: this.schema.keyPath });
+        for (const index of indexes) {
+            store.createIndex(index.name, index.keyPath, index.options);
+        }
+        return store;
+    }
+
+    // The highest migration applied, or 1 for the initial schema
+    async readSchemaVersion() {
+        if (!this.db.objectStoreNames.contains(MIGRATIONS_STORE)) {
+            return this.db.version;
+        }
+        const history = await this.getMigrationHistory();
+        return history.reduce((version, entry) => Math.max(version, entry.version), 1);
+    }
+
+    // Run pending migrations inside the versionchange transaction. Each
+    // migration's record transforms walk the store with a cursor; the next
+    // migration starts once that walk has finished.
+    applyMigrations(migrator, fromVersion, transaction, report, onError) {
+        const pending = migrator.pending(fromVersion);
+        const store = transaction.objectStore(this.storeName);
+        const history = transaction.objectStore(MIGRATIONS_STORE);
+        const adapter = {
+            indexNames: () => Array.from(store.indexNames),
+            createIndex: ({ name, keyPath, options }) => store.createIndex(name, keyPath, options),
+            deleteIndex: (name) => store.deleteIndex(name)
+        };
+
+        const run = (position, version) => {
+            if (position >= pending.length) return;
+            const migration = pending[position];
+
+            try {
+                const { entry, transforms } = migrator.runUpgrade(migration, version, adapter);
+                const finish = () => {
+                    history.put(entry);
+                    report.applied.push(entry);
+                    run(position + 1, migration.version);
+                };
+
+                if (transforms.length === 0) {
+                    finish();
+                    return;
+                }
+
+                const request = store.openCursor();
+                request.onsuccess = (event) => {
+                    const cursor = event.target.result;
+                    if (!cursor) {
+                        finish();
+                        return;
+                    }
+
+                    try {
+                        const outcome = SchemaMigrator.applyTransforms(transforms, cursor.value, this.schema.keyPath);
+                        if (outcome.action === 'delete') {
+                            cursor.delete();
+                            entry.recordsDeleted++;
+                        } else if (outcome.action === 'update') {
+                            cursor.update(outcome.record);
+                            entry.recordsUpdated++;
+                        }
+                        cursor.continue();
+                    } catch (error) {
+                        onError(error);
+                    }
+                };
+            } catch (error) {
+                onError(error);
+            }
+        };
+
+        run(0, fromVersion);
+    }
+
+    // Replay pending migrations against a copy of the stored records and
+    // index definitions without touching the database
+    async simulateMigrations(migrator) {
+        const records = new Map();
+        await this.cursor({}, item => {
+            records.set(item[this.schema.keyPath], item);
+        });
+
+        return migrator.migrateInMemory({
+            records,
+            indexes: this.indexes,
+            keyPath: this.schema.keyPath,
+            fromVersion: this.version,
+            dryRun: true
+        }).report;
+    }
+
+    readIndexDefinitions() {
+        const store = this.db.transaction([this.storeName], 'readonly').objectStore(this.storeName);
+        return Array.from(store.indexNames).map(name => {
+            const index = store.index(name);
+            return {
+                name,
+                keyPath: index.keyPath,
+                options: { unique: index.unique, multiEntry: index.multiEntry }
+            };
+        });
+    }
+
+    async getMigrationHistory() {
+        return new Promise((resolve, reject) => {
+            if (!this.db) return reject(new Error('Database not available'));
+            if (!this.db.objectStoreNames.contains(MIGRATIONS_STORE)) return resolve([]);
+
+            const transaction = this.db.transaction([MIGRATIONS_STORE], 'readonly');
+            const request = transaction.objectStore(MIGRATIONS_STORE).openCursor();
+            const history = [];
+
+            request.onerror = () => reject(new Error(`Failed to read migration history: ${request.error}`));
+            request.onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) {
+                    resolve(history);
+                    return;
+                }
+                history.push(cursor.value);
+                cursor.continue();
+            };
+        });
+    }
+
+    // A connection being swapped by upgrade() counts as open
+    isOpen() {
+        return !!this.db || !!this.reopening;
+    }
+
+    async put(item) {
+        await this.reconnected();
+        return new Promise((resolve, reject) => {
+            try {
+                if (!this.db) throw new Error('Database not available');
+                const transaction = this.db.transaction(this.writeScope(), 'readwrite');
+                const [request] = this.applyWrites(transaction, [{ type: 'put', item }]);
+
+                request.onerror = () => {
+                    reject(writeError('Failed to store item', request.error));
+                };
+
+                // Quota errors can surface when the transaction commits, so
+                // only a completed transaction counts as stored
+                transaction.oncomplete = () => {
+                    resolve(true);
+                };
+                transaction.onerror = () => {
+                    reject(writeError('Transaction failed', transaction.error));
+                };
+                transaction.onabort = () => {
+                    reject(writeError('Transaction aborted', transaction.error));
+                };
+            } catch (error) {
+                reject(new Error(`Failed to create transaction: ${error.message}`));
+            }
+        });
+    }
+
+    async get(key) {
+        await this.reconnected();
+        return new Promise((resolve, reject) => {
+            try {
+                if (!this.db) throw new Error('Database not available');
+                const transaction = this.db.transaction([this.storeName], 'readonly');
+                const store = transaction.objectStore(this.storeName);
+                const request = store.get(key);
+
+                request.onerror = () => {
+                    reject(new Error(`Failed to retrieve item: ${request.error}`));
+                };
+
+                request.onsuccess = () => {
+                    resolve(request.result || null);
+                };
+            } catch (error) {
+                reject(new Error(`Failed to create transaction: ${error.message}`));
+            }
+        });
+    }
+
+    async getMany(keys) {
+        await this.reconnected();
+        return new Promise((resolve, reject) => {
+            try {
+                if (!this.db) throw new Error('Database not available');
+                const transaction = this.db.transaction([this.storeName], 'readonly');
+                const store = transaction.objectStore(this.storeName);
+                const results = new Array(keys.length).fill(null);
+                let remaining = keys.length;
+
+                if (remaining === 0) {
+                    resolve(results);
+                    return;
+                }
+
+                keys.forEach((key, i) => {
+                    const request = store.get(key);
+                    request.onerror = () => {
+                        reject(new Error(`Failed to retrieve item: ${request.error}`));
+                    };
+                    request.onsuccess = () => {
+                        results[i] = request.result || null;
+                        if (--remaining === 0) {
+                            resolve(results);
+                        }
+                    };
+                });
+            } catch (error) {
+                reject(new Error(`Failed to create transaction: ${error.message}`));
+            }
+        });
+    }
+
+    // A one-operation batch: its transaction may also write the stats and
+    // shadow stores, so it settles on commit rather than on its request
+    async delete(key) {
+        return this.batch([{ type: 'delete', key }]);
+    }
+
+    async batch(operations) {
+        await this.reconnected();
+        return new Promise((resolve, reject) => {
+            try {
+                if (!this.db) throw new Error('Database not available');
+                const unknown = operations.find(operation => operation.type !== 'put' && operation.type !== 'delete');
+                if (unknown) throw new Error(`Unknown batch operation: ${unknown.type}`);
+
+                const transaction = this.db.transaction(this.writeScope(), 'readwrite');
+
+                // A failed request aborts the whole transaction, so only the
+                // transaction-level events settle the promise
+                this.applyWrites(transaction, operations);
+
+                transaction.oncomplete = () => resolve(true);
+                transaction.onabort = () => {
+                    reject(writeError('Transaction aborted', transaction.error));
+                };
+                transaction.onerror = () => {
+                    reject(writeError('Transaction failed', transaction.error));
+                };
+            } catch (error) {
+                reject(new Error(`Failed to create transaction: ${error.message}`));
+            }
+        });
+    }
+
+    async count(key) {
+        await this.reconnected();
+        return new Promise((resolve, reject) => {
+            if (!this.db) return reject(new Error('Database not available'));
+            const transaction = this.db.transaction([this.storeName], 'readonly');
+            const store = transaction.objectStore(this.storeName);
+            const request = store.count(key);
+
+            request.onerror = () => reject(new Error(`Failed to count items: ${request.error}`));
+            request.onsuccess = () => resolve(request.result);
+        });
+    }
+
+    // Empties the write stores and resets the space record with them, since
+    // nothing remains to be reclaimed
+    async clear() {
+        await this.reconnected();
+        return new Promise((resolve, reject) => {
+            try {
+                if (!this.db) throw new Error('Database not available');
+                const transaction = this.db.transaction(this.writeScope(), 'readwrite');
+                for (const name of this.writeStoreNames()) {
+                    transaction.objectStore(name).clear();
+                }
+                if (this.db.objectStoreNames.contains(STATS_STORE)) {
+                    transaction.objectStore(STATS_STORE).put({ name: SPACE_KEY, baseBytes: 0, writtenBytes: 0 });
+                }
+
+                transaction.oncomplete = () => resolve(true);
+                transaction.onabort = () => {
+                    reject(writeError('Failed to clear store', transaction.error));
+                };
+            } catch (error) {
+                reject(new Error(`Failed to create transaction: ${error.message}`));
+            }
+        });
+    }
+
+    // While a compaction is copying records, every write also goes to the
+    // shadow store so nothing written meanwhile is lost in the swap
+    writeStoreNames() {
+        return this.hasPendingCompaction() ? [this.storeName, this.shadowName] : [this.storeName];
+    }
+
+    // Stores a write transaction spans: the write stores, plus the stats
+    // store when the database has one
+    writeScope() {
+        const names = this.writeStoreNames();
+        return this.db.objectStoreNames.contains(STATS_STORE) ? [...names, STATS_STORE] : names;
+    }
+
+    // Issue the puts and deletes against every write store, returning the
+    // requests on the main store
+    applyWrites(transaction, operations) {
+        const [store, ...mirrors] = this.writeStoreNames().map(name => transaction.objectStore(name));
+        this.countWrittenBytes(transaction, operations);
+
+        return operations.map((operation) => {
+            const key = operation.type === 'put' ? operation.item?.[this.schema.keyPath] : operation.key;
+            for (const mirror of mirrors) {
+                if (operation.type === 'put') {
+                    mirror.put(operation.item);
+                } else {
+                    mirror.delete(key);
+                }
+            }
+            return operation.type === 'put' ? store.put(operation.item) : store.delete(key);
+        });
+    }
+
+    // Add the bytes a write transaction puts to the stored write volume. It
+    // is updated in that transaction, so an aborted write is not counted and
+    // every connection sees the same figure.
+    countWrittenBytes(transaction, operations) {
+        if (!this.db.objectStoreNames.contains(STATS_STORE)) return;
+        const bytes = operations.reduce((sum, operation) => (
+            operation.type === 'put' ? sum + SizeUtil.byteLength(operation.item) : sum
+        ), 0);
+        if (bytes === 0) return;
+
+        const stats = transaction.objectStore(STATS_STORE);
+        const request = stats.get(SPACE_KEY);
+        request.onsuccess = () => {
+            const space = request.result || { name: SPACE_KEY, baseBytes: 0, writtenBytes: 0 };
+            stats.put({ ...space, writtenBytes: space.writtenBytes + bytes });
+        };
+    }
+
+    async readSpace() {
+        await this.reconnected();
+        return new Promise((resolve, reject) => {
+            if (!this.db) return reject(new Error('Database not available'));
+            if (!this.db.objectStoreNames.contains(STATS_STORE)) return resolve(null);
+
+            const request = this.db.transaction([STATS_STORE], 'readonly').objectStore(STATS_STORE).get(SPACE_KEY);
+            request.onerror = () => reject(new Error(`Failed to read storage statistics: ${request.error}`));
+            request.onsuccess = () => resolve(request.result || null);
+        });
+    }
+
+    async writeSpace(space) {
+        return new Promise((resolve, reject) => {
+            if (!this.db) return reject(new Error('Database not available'));
+            const transaction = this.db.transaction([STATS_STORE], 'readwrite');
+            transaction.objectStore(STATS_STORE).put({ name: SPACE_KEY, ...space });
+            transaction.oncomplete = () => resolve();
+            transaction.onabort = () => reject(writeError('Failed to write storage statistics', transaction.error));
+        });
+    }
+
+    async cursor(options = {}, onItem) {
+        await this.reconnected();
+        return new Promise((resolve, reject) => {
+            if (!this.db) return reject(new Error('Database not available'));
+            const transaction = this.db.transaction([this.storeName], options.mode || 'readonly');
+            const store = transaction.objectStore(this.storeName);
+            const source = options.index ? store.index(options.index) : store;
+            const direction = options.direction || 'next';
+            const { after } = options;
+
+            // Open at the resume key; on an index, records sharing that key
+            // are then skipped by seeking to the primary key
+            let range = options.range;
+            if (after) {
+                const bound = direction === 'prev'
+                    ? KeyRangeUtil.upperBound(after.key, !options.index)
+                    : KeyRangeUtil.lowerBound(after.key, !options.index);
+                range = KeyRangeUtil.intersect(range, bound);
+                if (KeyRangeUtil.isEmpty(range)) return resolve();
+            }
+            const request = source.openCursor(KeyRangeUtil.toIDBKeyRange(range), direction);
+
+            request.onerror = () => reject(new Error(`Cursor failed: ${request.error}`));
+            request.onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) {
+                    resolve();
+                    return;
+                }
+
+                if (after && options.index && KeyRangeUtil.compare(cursor.key, after.key) === 0) {
+                    const result = KeyRangeUtil.compare(cursor.primaryKey, after.primaryKey);
+                    if (result === 0) {
+                        cursor.continue();
+                        return;
+                    }
+                    if (direction === 'prev' ? result > 0 : result < 0) {
+                        cursor.continuePrimaryKey(after.key, after.primaryKey);
+                        return;
+                    }
+                }
+
+                try {
+                    const proceed = onItem(cursor.value, {
+                        delete: () => cursor.delete()
+                    });
+                    if (proceed === false) {
+                        resolve();
+                        return;
+                    }
+                    cursor.continue();
+                } catch (error) {
+                    reject(error);
+                }
+            };
+        });
+    }
+
+    async close() {
+        if (this.db && typeof this.db.close === 'function' && !this.db.closed) {
+            // Intentional closes are not reported through onclose
+            this.db.onclose = null;
+            this.db.close();
+        }
+        this.db = null;
+    }
+
+    async destroy() {
+        await this.close();
+
+        await new Promise((resolve, reject) => {
+            const request = indexedDB.deleteDatabase(this.dbName);
+            request.onerror = () => reject(new Error('Failed to delete database'));
+            request.onsuccess = () => resolve();
+        });
+    }
+
+    hasPendingCompaction() {
+        return !!this.db && this.db.objectStoreNames.contains(this.shadowName);
+    }
+
+    // Live bytes are walked. IndexedDB does not report the space it holds,
+    // so that is estimated as the live bytes after the last compaction plus
+    // every byte put since: overwritten and deleted records are the difference.
+    async getStorageStats() {
+        const stats = await super.getStorageStats();
+        const space = await this.readSpace();
+        const totalSize = space ? space.baseBytes + space.writtenBytes : 0;
+        return { ...stats, totalSize: Math.max(stats.usedSize, totalSize) };
+    }
+
+    // Crash-safe compaction in three steps, each of which leaves a usable
+    // database if interrupted:
+    //   1. a version upgrade adds an empty shadow store with the same indexes
+    //   2. the records to keep are copied over in batches, while writes go
+    //      to both stores
+    //   3. a second upgrade drops the old store and renames the shadow
+    // A shadow found on open means step 2 was interrupted; the next call
+    // resumes it, copying only what the shadow does not hold yet.
+    async compact(items) {
+        if (!this.db) throw new Error('Database not available');
+
+        if (!this.hasPendingCompaction()) {
+            const indexes = this.readIndexDefinitions();
+            await this.upgrade((db) => this.createStore(db, this.shadowName, indexes));
+        }
+
+        let keys = [];
+        for await (const item of items) {
+            keys.push(item[this.schema.keyPath]);
+            if (keys.length >= COPY_BATCH_SIZE) {
+                await this.copyToShadow(keys);
+                keys = [];
+            }
+        }
+        await this.copyToShadow(keys);
+
+        await this.upgrade((db, transaction) => {
+            db.deleteObjectStore(this.storeName);
+            transaction.objectStore(this.shadowName).name = this.storeName;
+        });
+        this.indexes = this.readIndexDefinitions();
+
+        // The rewritten store holds only live records
+        const { usedSize } = await super.getStorageStats();
+        await this.writeSpace({ baseBytes: usedSize, writtenBytes: 0 });
+        return true;
+    }
+
+    // Copy the current record of each key into the shadow in one transaction,
+    // so a write racing the copy is never overwritten with an older value.
+    // Keys the shadow already holds are up to date through mirrored writes.
+    async copyToShadow(keys) {
+        if (keys.length === 0) return;
+
+        return new Promise((resolve, reject) => {
+            if (!this.db) return reject(new Error('Database not available'));
+            const transaction = this.db.transaction([this.storeName, this.shadowName], 'readwrite');
+            const store = transaction.objectStore(this.storeName);
+            const shadow = transaction.objectStore(this.shadowName);
+
+            for (const key of keys) {
+                const copied = shadow.count(key);
+                copied.onsuccess = () => {
+                    if (copied.result > 0) return;
+                    const current = store.get(key);
+                    current.onsuccess = () => {
+                        if (current.result) {
+                            shadow.put(current.result);
+                        }
+                    };
+                };
+            }
+
+            transaction.oncomplete = () => resolve();
+            transaction.onabort = () => {
+                reject(writeError('Compaction copy aborted', transaction.error));
+            };
+        });
+    }
+}
+
+export { IndexedDBBackend }
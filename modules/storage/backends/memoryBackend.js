@@ -0,0 +1,317 @@
+import { StorageBackend } from './storageBackend';
+import { KeyRangeUtil } from '../utils/keyRange';
+import { SchemaMigrator } from '../utils/migrations';
+
+class MemoryBackend extends StorageBackend {
+    // Stores are shared per dbName/storeName within the process, the same way
+    // two IndexedDB connections to one database see the same records
+    static databases = new Map();
+
+    constructor(options = {}) {
+        super(options);
+        this.state = null;
+        this.records = null;
+    }
+
+    get storeId() {
+        return `${this.dbName}/${this.storeName}`;
+    }
+
+    async open(schema) {
+        this.schema = schema;
+        if (!MemoryBackend.databases.has(this.storeId)) {
+            MemoryBackend.databases.set(this.storeId, this.createState());
+        }
+
+        const state = MemoryBackend.databases.get(this.storeId);
+        const report = this.runMigrations(state);
+        this.attach(state);
+        return report;
+    }
+
+    createState() {
+        return {
+            records: new Map(),
+            version: 1,
+            indexes: this.schema.indexes.map(index => ({ ...index })),
+            history: [],
+            // Index name ('' for the store) -> IndexView, built on first use
+            views: new Map()
+        };
+    }
+
+    attach(state) {
+        this.state = state;
+        this.records = state.records;
+        this.indexes = state.indexes;
+    }
+
+    // Bring the state up to the latest migration. Changes are committed in
+    // place so every connection sharing the state sees them; a dry run only
+    // reports what would change.
+    runMigrations(state) {
+        const migrator = new SchemaMigrator(this.schema.migrations);
+        const { records, indexes, report } = migrator.migrateInMemory({
+            records: state.records,
+            indexes: state.indexes,
+            keyPath: this.schema.keyPath,
+            fromVersion: state.version,
+            dryRun: !!this.schema.dryRun
+        });
+
+        if (!report.dryRun && report.applied.length > 0) {
+            state.records.clear();
+            records.forEach((record, key) => state.records.set(key, record));
+            state.indexes.splice(0, state.indexes.length, ...indexes);
+            state.views.clear();
+            state.history.push(...report.applied);
+            state.version = report.toVersion;
+        }
+        return report;
+    }
+
+    async getMigrationHistory() {
+        this.ensureOpen();
+        return structuredClone(this.state.history);
+    }
+
+    isOpen() {
+        return !!this.records;
+    }
+
+    ensureOpen() {
+        if (!this.records) {
+            throw new Error('Database not available');
+        }
+    }
+
+    // Records are cloned on the way in and out so callers cannot mutate
+    // stored state, matching IndexedDB structured-clone semantics
+    cloneItem(item) {
+        return structuredClone(item);
+    }
+
+    async get(key) {
+        this.ensureOpen();
+        const item = this.records.get(key);
+        return item ? this.cloneItem(item) : null;
+    }
+
+    async put(item) {
+        this.ensureOpen();
+        const key = item[this.schema.keyPath];
+        if (key === undefined) {
+            throw new Error('Failed to store item: key path not found in value');
+        }
+        this.setRecord(key, this.cloneItem(item));
+        return true;
+    }
+
+    async delete(key) {
+        this.ensureOpen();
+        this.deleteRecord(key);
+        return true;
+    }
+
+    async batch(operations) {
+        this.ensureOpen();
+        this.validateBatch(operations);
+
+        for (const operation of operations) {
+            if (operation.type === 'put') {
+                this.setRecord(operation.item[this.schema.keyPath], this.cloneItem(operation.item));
+            } else {
+                this.deleteRecord(operation.key);
+            }
+        }
+        return true;
+    }
+
+    // Reject the whole batch up front so nothing is applied on failure
+    validateBatch(operations) {
+        for (const operation of operations) {
+            if (operation.type === 'put') {
+                if (operation.item?.[this.schema.keyPath] === undefined) {
+                    throw new Error('Transaction aborted: key path not found in value');
+                }
+            } else if (operation.type !== 'delete') {
+                throw new Error(`Unknown batch operation: ${operation.type}`);
+            }
+        }
+    }
+
+    async count(key) {
+        this.ensureOpen();
+        if (key === undefined) {
+            return this.records.size;
+        }
+        return this.records.has(key) ? 1 : 0;
+    }
+
+    async clear() {
+        this.ensureOpen();
+        this.records.clear();
+        this.state.views.clear();
+        return true;
+    }
+
+    // Every change to the records goes through setRecord/deleteRecord so
+    // the index views stay in step with them
+    setRecord(key, item) {
+        const previous = this.records.get(key);
+        this.records.set(key, item);
+        for (const view of this.state.views.values()) {
+            view.update(key, previous, item);
+        }
+    }
+
+    deleteRecord(key) {
+        const previous = this.records.get(key);
+        if (!previous) return;
+        this.records.delete(key);
+        for (const view of this.state.views.values()) {
+            view.update(key, previous, null);
+        }
+    }
+
+    getView(name) {
+        const index = this.getIndex(name);
+        const id = index ? index.name : '';
+        if (!this.state.views.has(id)) {
+            this.state.views.set(id, new IndexView(this.records, index));
+        }
+        return this.state.views.get(id);
+    }
+
+    async cursor(options = {}, onItem) {
+        this.ensureOpen();
+        const view = this.getView(options.index);
+        const range = options.range || null;
+        const direction = options.direction || 'next';
+
+        let position = view.start(range, options.after, direction);
+        while (position >= 0 && position < view.entries.length) {
+            const entry = view.entries[position];
+            if (!KeyRangeUtil.includes(range, entry.key)) break;
+
+            const proceed = onItem(this.cloneItem(this.records.get(entry.primaryKey)), {
+                delete: () => this.delete(entry.primaryKey)
+            });
+            if (proceed === false) break;
+            position = view.next(position, entry, direction);
+        }
+    }
+
+    async close() {
+        this.state = null;
+        this.records = null;
+    }
+
+    async destroy() {
+        MemoryBackend.databases.delete(this.storeId);
+        this.state = null;
+        this.records = null;
+    }
+}
+
+// The entries of one index (or of the store itself) sorted the way an IDB
+// cursor walks them, so a cursor seeks to its range or resume position with
+// a binary search instead of sorting the store on every walk. Writes patch
+// the entries in place.
+class IndexView {
+    constructor(records, index) {
+        this.index = index;
+        this.entries = [];
+        for (const [primaryKey, item] of records) {
+            for (const key of KeyRangeUtil.indexKeys(item, primaryKey, index)) {
+                this.entries.push({ key, primaryKey });
+            }
+        }
+        this.entries.sort((a, b) => KeyRangeUtil.compareEntries(a, b));
+    }
+
+    update(primaryKey, previous, item) {
+        const before = previous ? KeyRangeUtil.indexKeys(previous, primaryKey, this.index) : [];
+        const after = item ? KeyRangeUtil.indexKeys(item, primaryKey, this.index) : [];
+        // Overwrites that keep the indexed value are the common case
+        if (before.length === after.length && before.every((key, i) => KeyRangeUtil.compare(key, after[i]) === 0)) {
+            return;
+        }
+
+        for (const key of before) {
+            const entry = { key, primaryKey };
+            const position = this.firstIndex(other => KeyRangeUtil.compareEntries(other, entry) >= 0);
+            if (position < this.entries.length && KeyRangeUtil.compareEntries(this.entries[position], entry) === 0) {
+                this.entries.splice(position, 1);
+            }
+        }
+        for (const key of after) {
+            const entry = { key, primaryKey };
+            this.entries.splice(this.firstIndex(other => KeyRangeUtil.compareEntries(other, entry) > 0), 0, entry);
+        }
+    }
+
+    // Position of the first entry a cursor over `range` visits, or -1 or
+    // entries.length when there is none. `after` ({ key, primaryKey }) starts
+    // the walk strictly beyond that entry.
+    start(range, after, direction) {
+        const bounds = range?.only !== undefined ? { lower: range.only, upper: range.only } : range || {};
+
+        if (direction === 'prev') {
+            let last = this.entries.length - 1;
+            if (bounds.upper !== undefined) {
+                last = Math.min(last, this.firstIndex(entry => {
+                    const result = KeyRangeUtil.compare(entry.key, bounds.upper);
+                    return result > 0 || (result === 0 && !!bounds.upperOpen);
+                }) - 1);
+            }
+            if (after) {
+                last = Math.min(last, this.firstIndex(entry => KeyRangeUtil.compareEntries(entry, after) >= 0) - 1);
+            }
+            return last;
+        }
+
+        let first = 0;
+        if (bounds.lower !== undefined) {
+            first = Math.max(first, this.firstIndex(entry => {
+                const result = KeyRangeUtil.compare(entry.key, bounds.lower);
+                return result > 0 || (result === 0 && !bounds.lowerOpen);
+            }));
+        }
+        if (after) {
+            first = Math.max(first, this.firstIndex(entry => KeyRangeUtil.compareEntries(entry, after) > 0));
+        }
+        return first;
+    }
+
+    // Position after a visited entry. The visitor may have written to the
+    // store meanwhile, so the entry is looked up again if it has moved.
+    next(position, entry, direction) {
+        if (this.entries[position] !== entry) {
+            position = this.firstIndex(other => KeyRangeUtil.compareEntries(other, entry) >= 0);
+            if (this.entries[position] !== entry) {
+                // Removed: `position` already holds the entry after it
+                return direction === 'prev' ? position - 1 : position;
+            }
+        }
+        return direction === 'prev' ? position - 1 : position + 1;
+    }
+
+    // Binary search for the first entry matching a predicate that is false
+    // for a prefix of the entries and true for the rest
+    firstIndex(predicate) {
+        let low = 0;
+        let high = this.entries.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (predicate(this.entries[middle])) {
+                high = middle;
+            } else {
+                low = middle + 1;
+            }
+        }
+        return low;
+    }
+}
+
+export { MemoryBackend }
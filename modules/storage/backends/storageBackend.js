@@ -0,0 +1,204 @@
+import { SizeUtil } from '../utils/size';
+
+class StorageBackend {
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'hybridStorage';
+        this.storeName = options.storeName || 'mainStore';
+        this.schema = null;
+        this.indexes = null;
+
+        // Optional hooks assigned by the owning storage
+        this.onerror = null;
+        this.onclose = null;
+    }
+
+    /**
+     * @abstract
+     * Open (and create if needed) the underlying store, running any pending
+     * migrations. With `dryRun` the migrations are only simulated.
+     * @param {{keyPath: string, indexes: Array<{name: string, keyPath: string, options: Object}>, migrations?: Array<Object>, dryRun?: boolean}} schema
+     * @returns {Promise<{fromVersion: number, toVersion: number, dryRun: boolean, applied: Array<Object>}>} Migration report
+     */
+    async open(schema) {
+        throw new Error('open must be implemented');
+    }
+
+    /**
+     * @abstract
+     * Migrations applied to this store, oldest first
+     * @returns {Promise<Array<{version: number, description: string, appliedAt: number}>>}
+     */
+    async getMigrationHistory() {
+        throw new Error('getMigrationHistory must be implemented');
+    }
+
+    /**
+     * @abstract
+     * Whether the backend currently holds an open connection
+     * @returns {boolean}
+     */
+    isOpen() {
+        throw new Error('isOpen must be implemented');
+    }
+
+    /**
+     * @abstract
+     * Read a single record by primary key
+     * @param {string} key - Primary key
+     * @returns {Promise<Object|null>} Stored record, or null when missing
+     */
+    async get(key) {
+        throw new Error('get must be implemented');
+    }
+
+    /**
+     * Read several records by primary key
+     * @param {Array<string>} keys - Primary keys
+     * @returns {Promise<Array<Object|null>>} Records in the order of `keys`
+     */
+    async getMany(keys) {
+        return Promise.all(keys.map(key => this.get(key)));
+    }
+
+    /**
+     * @abstract
+     * Insert or replace a record
+     * @param {Object} item - Record containing the schema keyPath
+     * @returns {Promise<boolean>}
+     */
+    async put(item) {
+        throw new Error('put must be implemented');
+    }
+
+    /**
+     * @abstract
+     * Delete a record by primary key
+     * @param {string} key - Primary key
+     * @returns {Promise<boolean>}
+     */
+    async delete(key) {
+        throw new Error('delete must be implemented');
+    }
+
+    /**
+     * @abstract
+     * Apply several writes atomically: either all of them persist or none do
+     * @param {Array<{type: 'put', item: Object}|{type: 'delete', key: string}>} operations
+     * @returns {Promise<boolean>}
+     */
+    async batch(operations) {
+        throw new Error('batch must be implemented');
+    }
+
+    /**
+     * @abstract
+     * Walk records in index order. The visitor is called synchronously for
+     * every record and may call `cursor.delete()`; returning false stops the walk.
+     * `after` resumes a walk strictly beyond the record at that index key and
+     * primary key, so records sharing an index key are not read again.
+     * @param {{index?: string, range?: Object, direction?: 'next'|'prev', after?: {key: *, primaryKey: string}, mode?: 'readonly'|'readwrite'}} options
+     * @param {function(Object, {delete: function(): void}): (boolean|void)} onItem
+     * @returns {Promise<void>}
+     */
+    async cursor(options, onItem) {
+        throw new Error('cursor must be implemented');
+    }
+
+    /**
+     * @abstract
+     * Count all records, or check a single primary key when given
+     * @param {string} [key] - Primary key
+     * @returns {Promise<number>}
+     */
+    async count(key) {
+        throw new Error('count must be implemented');
+    }
+
+    /**
+     * @abstract
+     * Remove every record from the store
+     * @returns {Promise<boolean>}
+     */
+    async clear() {
+        throw new Error('clear must be implemented');
+    }
+
+    /**
+     * @abstract
+     * Close the connection without removing data
+     * @returns {Promise<void>}
+     */
+    async close() {
+        throw new Error('close must be implemented');
+    }
+
+    /**
+     * @abstract
+     * Close the connection and remove all persisted data
+     * @returns {Promise<void>}
+     */
+    async destroy() {
+        throw new Error('destroy must be implemented');
+    }
+
+    /**
+     * Rewrite the store so it holds exactly the given records. `items` may be
+     * a lazy scan of this same store, so it is drained before anything is cleared.
+     * @param {Iterable<Object>|AsyncIterable<Object>} items - Records to keep
+     * @returns {Promise<boolean>}
+     */
+    async compact(items) {
+        const buffered = [];
+        for await (const item of items) {
+            buffered.push(item);
+        }
+
+        await this.clear();
+        for (const item of buffered) {
+            await this.put(item);
+        }
+        return true;
+    }
+
+    /**
+     * Whether an interrupted compaction is waiting to be finished; calling
+     * compact() again resumes it
+     * @returns {boolean}
+     */
+    hasPendingCompaction() {
+        return false;
+    }
+
+    /**
+     * Measure the store. `usedSize` is the bytes held by live records and
+     * `totalSize` the bytes the store occupies, which also counts space
+     * still taken by overwritten or deleted records where the backend can
+     * measure it.
+     * @returns {Promise<{records: number, usedSize: number, totalSize: number}>}
+     */
+    async getStorageStats() {
+        let records = 0;
+        let usedSize = 0;
+        await this.cursor({}, (item) => {
+            records++;
+            usedSize += SizeUtil.byteLength(item);
+        });
+        return { records, usedSize, totalSize: usedSize };
+    }
+
+    // Index definitions currently in effect, including ones added by migrations
+    getIndexes() {
+        return this.indexes || this.schema?.indexes || [];
+    }
+
+    getIndex(name) {
+        if (!name) return null;
+        const index = this.getIndexes().find(definition => definition.name === name);
+        if (!index) {
+            throw new Error(`Unknown index: ${name}`);
+        }
+        return index;
+    }
+}
+
+export { StorageBackend }
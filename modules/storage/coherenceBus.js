@@ -0,0 +1,145 @@
+// Invalidation channels that keep the memory tiers of several HybridStorage
+// instances sharing one database coherent. A bus only carries plain messages;
+// HybridStorage decides what to publish and how to apply what it receives.
+class CoherenceBus {
+    constructor(channelName) {
+        this.channelName = channelName;
+    }
+
+    /**
+     * @abstract
+     * Deliver a message to every other subscriber of the channel
+     * @param {Object} message - Structured-cloneable message
+     */
+    publish(message) {
+        throw new Error('publish must be implemented');
+    }
+
+    /**
+     * @abstract
+     * Receive messages published by other subscribers of the channel
+     * @param {function(Object): void} handler
+     * @returns {function(): void} Unsubscribe function
+     */
+    subscribe(handler) {
+        throw new Error('subscribe must be implemented');
+    }
+
+    /**
+     * @abstract
+     * Stop sending and receiving messages
+     */
+    close() {
+        throw new Error('close must be implemented');
+    }
+}
+
+// Cross-tab and cross-worker bus on top of the BroadcastChannel API
+class BroadcastChannelBus extends CoherenceBus {
+    constructor(channelName) {
+        super(channelName);
+        this.channel = new BroadcastChannel(channelName);
+        // Don't let an idle channel keep a Node.js process alive
+        this.channel.unref?.();
+        this.handlers = new Set();
+        this.channel.onmessage = (event) => {
+            this.handlers.forEach(handler => handler(event.data));
+        };
+    }
+
+    publish(message) {
+        this.channel.postMessage(message);
+    }
+
+    subscribe(handler) {
+        this.handlers.add(handler);
+        return () => this.handlers.delete(handler);
+    }
+
+    close() {
+        this.handlers.clear();
+        this.channel.close();
+    }
+}
+
+// Bus between instances in the same process, mainly for tests and
+// environments without BroadcastChannel. Delivery is asynchronous and
+// messages are cloned, matching BroadcastChannel semantics.
+class InProcessBus extends CoherenceBus {
+    static channels = new Map();
+
+    constructor(channelName) {
+        super(channelName);
+        this.handlers = new Set();
+        this.closed = false;
+
+        if (!InProcessBus.channels.has(channelName)) {
+            InProcessBus.channels.set(channelName, new Set());
+        }
+        InProcessBus.channels.get(channelName).add(this);
+    }
+
+    publish(message) {
+        if (this.closed) return;
+
+        const peers = [...InProcessBus.channels.get(this.channelName)].filter(peer => peer !== this);
+        for (const peer of peers) {
+            const copy = structuredClone(message);
+            setTimeout(() => {
+                if (!peer.closed) {
+                    peer.handlers.forEach(handler => handler(copy));
+                }
+            }, 0);
+        }
+    }
+
+    subscribe(handler) {
+        this.handlers.add(handler);
+        return () => this.handlers.delete(handler);
+    }
+
+    close() {
+        this.closed = true;
+        this.handlers.clear();
+
+        const peers = InProcessBus.channels.get(this.channelName);
+        peers.delete(this);
+        if (peers.size === 0) {
+            InProcessBus.channels.delete(this.channelName);
+        }
+    }
+}
+
+// Resolve the `coherence` option: true (default) uses BroadcastChannel when
+// the environment has it, 'broadcast' requires it, 'memory' uses the
+// in-process bus, false disables coherence, and a CoherenceBus is used as is
+function createCoherenceBus(option = true, channelName) {
+    if (option instanceof CoherenceBus) {
+        return option;
+    }
+    if (option === false || option === null) {
+        return null;
+    }
+
+    const hasBroadcastChannel = typeof BroadcastChannel !== 'undefined';
+    switch (option) {
+        case true:
+            return hasBroadcastChannel ? new BroadcastChannelBus(channelName) : null;
+        case 'broadcast':
+            if (!hasBroadcastChannel) {
+                throw new Error('BroadcastChannel is not available in this environment');
+            }
+            return new BroadcastChannelBus(channelName);
+        case 'memory':
+            return new InProcessBus(channelName);
+        default:
+            throw new Error(`Unknown coherence bus: ${option}`);
+    }
+}
+
+export {
+    CoherenceBus,
+    BroadcastChannelBus,
+    InProcessBus,
+    createCoherenceBus
+}
@@ -0,0 +1,116 @@
+import { EvictionPolicy } from './evictionPolicy';
+
+// Adaptive Replacement Cache (Megiddo & Modha). Resident keys are split into
+// T1 (seen once recently) and T2 (seen at least twice); B1 and B2 remember
+// keys recently evicted from each. A hit in a ghost list shifts the target
+// size of T1 towards whichever list would have kept the key. All four lists
+// are Maps in LRU order, oldest first.
+class ARCPolicy extends EvictionPolicy {
+    constructor(options = {}) {
+        super(options);
+        this.t1 = new Map();
+        this.t2 = new Map();
+        this.b1 = new Map();
+        this.b2 = new Map();
+        this.target = 0;
+        // The key being inserted is never its own replacement victim
+        this.incoming = null;
+        this.incomingFromB2 = false;
+    }
+
+    resize(capacity) {
+        super.resize(capacity);
+        this.target = Math.min(this.target, capacity);
+        this.trimGhosts();
+    }
+
+    onInsert(key) {
+        this.incoming = key;
+        this.incomingFromB2 = false;
+
+        if (this.b1.has(key)) {
+            this.target = Math.min(this.capacity, this.target + Math.max(this.b2.size / this.b1.size, 1));
+            this.b1.delete(key);
+            this.t2.set(key, true);
+        } else if (this.b2.has(key)) {
+            this.target = Math.max(0, this.target - Math.max(this.b1.size / this.b2.size, 1));
+            this.b2.delete(key);
+            this.t2.set(key, true);
+            this.incomingFromB2 = true;
+        } else {
+            this.t1.set(key, true);
+        }
+    }
+
+    onAccess(key) {
+        if (this.t1.has(key)) {
+            this.t1.delete(key);
+            this.t2.set(key, true);
+        } else if (this.t2.has(key)) {
+            this.t2.delete(key);
+            this.t2.set(key, true);
+        }
+    }
+
+    onEvict(key) {
+        if (this.t1.delete(key)) {
+            this.b1.set(key, true);
+        } else if (this.t2.delete(key)) {
+            this.b2.set(key, true);
+        }
+        this.trimGhosts();
+    }
+
+    onRemove(key) {
+        this.t1.delete(key);
+        this.t2.delete(key);
+        if (key === this.incoming) {
+            this.incoming = null;
+        }
+    }
+
+    // ARC's REPLACE: take from T1 while it is above its target size
+    selectVictim() {
+        const t1Size = this.t1.size - (this.t1.has(this.incoming) ? 1 : 0);
+        const t2Size = this.t2.size - (this.t2.has(this.incoming) ? 1 : 0);
+        const fromT1 = t1Size > 0 && (
+            t1Size > this.target
+            || (this.incomingFromB2 && t1Size === this.target)
+            || t2Size === 0
+        );
+
+        return this.oldest(fromT1 ? this.t1 : this.t2)
+            ?? this.oldest(fromT1 ? this.t2 : this.t1)
+            ?? this.incoming
+            ?? undefined;
+    }
+
+    oldest(list) {
+        for (const key of list.keys()) {
+            if (key !== this.incoming) return key;
+        }
+        return undefined;
+    }
+
+    // Keep |T1| + |B1| <= c and the directory as a whole within 2c
+    trimGhosts() {
+        while (this.b1.size > 0 && this.t1.size + this.b1.size > this.capacity) {
+            this.b1.delete(this.b1.keys().next().value);
+        }
+        while (this.b2.size > 0 && this.t1.size + this.t2.size + this.b1.size + this.b2.size > 2 * this.capacity) {
+            this.b2.delete(this.b2.keys().next().value);
+        }
+    }
+
+    clear() {
+        this.t1.clear();
+        this.t2.clear();
+        this.b1.clear();
+        this.b2.clear();
+        this.target = 0;
+        this.incoming = null;
+        this.incomingFromB2 = false;
+    }
+}
+
+export { ARCPolicy }
@@ -0,0 +1,87 @@
+// Decides which key the HybridStorage memory tier gives up when it is over
+// its item or byte limit. The tier reports every change through the hooks
+// below; a policy only tracks keys and never holds values.
+class EvictionPolicy {
+    constructor(options = {}) {
+        this.capacity = options.capacity || 10000;
+        this.sketch = null;
+    }
+
+    // Called by the owning storage with its item limit and shared frequency
+    // sketch before any other hook
+    attach({ capacity, sketch }) {
+        this.sketch = sketch;
+        this.resize(capacity);
+    }
+
+    resize(capacity) {
+        this.capacity = capacity;
+    }
+
+    /**
+     * @abstract
+     * A key was added to the memory tier
+     * @param {string} key
+     * @param {Object} item - Stored item
+     */
+    onInsert(key, item) {
+        throw new Error('onInsert must be implemented');
+    }
+
+    /**
+     * A resident key was replaced with a new item; counts as an access
+     * @param {string} key
+     * @param {Object} item - Stored item
+     */
+    onUpdate(key, item) {
+        this.onAccess(key);
+    }
+
+    /**
+     * @abstract
+     * A resident key was read. Keys that are not resident are ignored.
+     * @param {string} key
+     */
+    onAccess(key) {
+        throw new Error('onAccess must be implemented');
+    }
+
+    /**
+     * The key returned by selectVictim() is about to be evicted; onRemove
+     * follows. Policies that remember evicted keys record them here.
+     * @param {string} key
+     */
+    onEvict(key) {}
+
+    /**
+     * @abstract
+     * A key left the memory tier, by eviction or otherwise
+     * @param {string} key
+     */
+    onRemove(key) {
+        throw new Error('onRemove must be implemented');
+    }
+
+    /**
+     * @abstract
+     * Choose the next key to evict without removing it
+     * @returns {string|undefined} Key, or undefined when nothing is resident
+     */
+    selectVictim() {
+        throw new Error('selectVictim must be implemented');
+    }
+
+    /**
+     * @abstract
+     * Forget every key
+     */
+    clear() {
+        throw new Error('clear must be implemented');
+    }
+
+    frequency(key) {
+        return this.sketch ? this.sketch.estimate(key) : 0;
+    }
+}
+
+export { EvictionPolicy }
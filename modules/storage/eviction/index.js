@@ -0,0 +1,37 @@
+// modules/storage/eviction/index.js
+import { EvictionPolicy } from './evictionPolicy';
+import { PriorityPolicy } from './priorityPolicy';
+import { LRUPolicy } from './lruPolicy';
+import { LFUPolicy } from './lfuPolicy';
+import { ARCPolicy } from './arcPolicy';
+import { TinyLFUPolicy } from './tinyLfuPolicy';
+
+const policyTypes = {
+    priority: PriorityPolicy,
+    lru: LRUPolicy,
+    lfu: LFUPolicy,
+    arc: ARCPolicy,
+    tinylfu: TinyLFUPolicy
+};
+
+function createEvictionPolicy(type = 'priority', options = {}) {
+    if (type instanceof EvictionPolicy) {
+        return type;
+    }
+
+    const Policy = policyTypes[type];
+    if (!Policy) {
+        throw new Error(`Unknown eviction policy: ${type}`);
+    }
+    return new Policy(options);
+}
+
+export {
+    EvictionPolicy,
+    PriorityPolicy,
+    LRUPolicy,
+    LFUPolicy,
+    ARCPolicy,
+    TinyLFUPolicy,
+    createEvictionPolicy
+};
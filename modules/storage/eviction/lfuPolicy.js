@@ -0,0 +1,71 @@
+import { EvictionPolicy } from './evictionPolicy';
+import { IndexedHeap } from '../utils/indexedHeap';
+
+// Least frequently used with exponential decay: an access counts half as
+// much after every `halfLife` further accesses. Rather than decaying every
+// score, each new access is weighted 2^(tick / halfLife); since all scores
+// share the same decay factor their order is unchanged, so a key's heap
+// position only moves when that key is accessed.
+class LFUPolicy extends EvictionPolicy {
+    // Rescale before weights approach the range of a double
+    static MaxExponent = 256;
+
+    constructor(options = {}) {
+        super(options);
+        this.halfLife = options.halfLife || 1000;
+        this.tick = 0;
+        this.epoch = 0;
+        this.heap = new IndexedHeap((a, b) => (a.score - b.score) || (a.tick - b.tick));
+    }
+
+    weight() {
+        const exponent = (this.tick - this.epoch) / this.halfLife;
+        if (exponent > LFUPolicy.MaxExponent) {
+            // Scaling every score by the same factor keeps the heap valid
+            const factor = Math.pow(2, -exponent);
+            for (const entry of this.heap.entries) {
+                entry.score *= factor;
+            }
+            this.epoch = this.tick;
+            return 1;
+        }
+        return Math.pow(2, exponent);
+    }
+
+    onInsert(key) {
+        this.tick++;
+        this.heap.set({ key, score: this.weight(), tick: this.tick });
+    }
+
+    onAccess(key) {
+        const entry = this.heap.get(key);
+        if (!entry) return;
+
+        this.tick++;
+        const weight = this.weight();
+        this.heap.set({ key, score: entry.score + weight, tick: this.tick });
+    }
+
+    onRemove(key) {
+        this.heap.delete(key);
+    }
+
+    selectVictim() {
+        return this.heap.peek()?.key;
+    }
+
+    // Current decayed access count of a resident key
+    score(key) {
+        const entry = this.heap.get(key);
+        if (!entry) return 0;
+        return entry.score * Math.pow(2, -(this.tick - this.epoch) / this.halfLife);
+    }
+
+    clear() {
+        this.heap.clear();
+        this.tick = 0;
+        this.epoch = 0;
+    }
+}
+
+export { LFUPolicy }
@@ -0,0 +1,35 @@
+import { EvictionPolicy } from './evictionPolicy';
+
+// Least recently used. A Map keeps insertion order, so re-inserting a key on
+// access moves it to the most recent end and the first key is the victim.
+class LRUPolicy extends EvictionPolicy {
+    constructor(options = {}) {
+        super(options);
+        this.order = new Map();
+    }
+
+    onInsert(key) {
+        this.order.delete(key);
+        this.order.set(key, true);
+    }
+
+    onAccess(key) {
+        if (this.order.has(key)) {
+            this.onInsert(key);
+        }
+    }
+
+    onRemove(key) {
+        this.order.delete(key);
+    }
+
+    selectVictim() {
+        return this.order.keys().next().value;
+    }
+
+    clear() {
+        this.order.clear();
+    }
+}
+
+export { LRUPolicy }
@@ -0,0 +1,41 @@
+import { EvictionPolicy } from './evictionPolicy';
+import { IndexedHeap } from '../utils/indexedHeap';
+
+// Default policy: evict the lowest-priority key, least recently used first
+// among equal priorities
+class PriorityPolicy extends EvictionPolicy {
+    constructor(options = {}) {
+        super(options);
+        this.tick = 0;
+        this.heap = new IndexedHeap((a, b) => (a.priority - b.priority) || (a.tick - b.tick));
+    }
+
+    onInsert(key, item) {
+        this.heap.set({ key, priority: item.priority || 0, tick: ++this.tick });
+    }
+
+    onUpdate(key, item) {
+        this.onInsert(key, item);
+    }
+
+    onAccess(key) {
+        const entry = this.heap.get(key);
+        if (entry) {
+            this.heap.set({ ...entry, tick: ++this.tick });
+        }
+    }
+
+    onRemove(key) {
+        this.heap.delete(key);
+    }
+
+    selectVictim() {
+        return this.heap.peek()?.key;
+    }
+
+    clear() {
+        this.heap.clear();
+    }
+}
+
+export { PriorityPolicy }
@@ -0,0 +1,106 @@
+import { EvictionPolicy } from './evictionPolicy';
+
+// W-TinyLFU style admission. New keys enter a small LRU window; keys pushed
+// out of the window join the main region's probation segment, and a second
+// access promotes them to the protected segment. Once the main region is
+// full, a key leaving the window becomes a candidate that must win a
+// frequency contest (by the shared frequency sketch) with the main region's
+// LRU victim before it is admitted; the loser is what gets evicted.
+class TinyLFUPolicy extends EvictionPolicy {
+    constructor(options = {}) {
+        super(options);
+        this.windowRatio = options.windowRatio ?? 0.01;
+        this.protectedRatio = options.protectedRatio ?? 0.8;
+        this.window = new Map();
+        this.probation = new Map();
+        this.protected = new Map();
+        // Keys pushed out of the window while the main region was full,
+        // waiting to win admission, oldest first
+        this.candidates = new Map();
+        this.contest = null;
+        this.resize(this.capacity);
+    }
+
+    resize(capacity) {
+        super.resize(capacity);
+        this.windowCapacity = Math.max(1, Math.floor(capacity * this.windowRatio));
+        this.mainCapacity = Math.max(1, capacity - this.windowCapacity);
+        this.protectedCapacity = Math.floor(this.mainCapacity * this.protectedRatio);
+    }
+
+    onInsert(key) {
+        this.window.set(key, true);
+        if (this.window.size <= this.windowCapacity) return;
+
+        const demoted = this.window.keys().next().value;
+        this.window.delete(demoted);
+        if (this.probation.size + this.protected.size < this.mainCapacity) {
+            this.probation.set(demoted, true);
+        } else {
+            this.candidates.set(demoted, true);
+        }
+    }
+
+    onAccess(key) {
+        if (this.window.has(key)) {
+            this.window.delete(key);
+            this.window.set(key, true);
+        } else if (this.probation.has(key) || this.candidates.has(key)) {
+            // A second access admits the key outright
+            this.probation.delete(key);
+            this.candidates.delete(key);
+            this.protected.set(key, true);
+            if (this.protected.size > this.protectedCapacity) {
+                const demoted = this.protected.keys().next().value;
+                this.protected.delete(demoted);
+                this.probation.set(demoted, true);
+            }
+        } else if (this.protected.has(key)) {
+            this.protected.delete(key);
+            this.protected.set(key, true);
+        }
+    }
+
+    onEvict(key) {
+        // The candidate beat the victim and is now admitted
+        if (this.contest && key === this.contest.victim && this.candidates.delete(this.contest.candidate)) {
+            this.probation.set(this.contest.candidate, true);
+        }
+        this.contest = null;
+    }
+
+    onRemove(key) {
+        this.window.delete(key);
+        this.probation.delete(key);
+        this.protected.delete(key);
+        this.candidates.delete(key);
+    }
+
+    selectVictim() {
+        const victim = TinyLFUPolicy.oldest(this.probation) ?? TinyLFUPolicy.oldest(this.protected);
+        const candidate = TinyLFUPolicy.oldest(this.candidates);
+
+        if (candidate !== undefined) {
+            if (victim === undefined) return candidate;
+            // Ties go against the candidate, so one-hit keys can't flush the cache
+            this.contest = { candidate, victim };
+            return this.frequency(candidate) > this.frequency(victim) ? victim : candidate;
+        }
+
+        return victim ?? TinyLFUPolicy.oldest(this.window);
+    }
+
+    static oldest(segment) {
+        return segment.keys().next().value;
+    }
+
+    clear() {
+        this.window.clear();
+        this.probation.clear();
+        this.protected.clear();
+        this.candidates.clear();
+        this.contest = null;
+    }
+}
+
+export { TinyLFUPolicy }
@@ -1,77 +1,201 @@
 import { AsyncLock } from '../concurrency';
 import { CompressionUtil } from './utils/compression';
 import { StorageMetrics } from './utils/metrics';
+import { OptimizationScheduler } from './optimizationScheduler';
 import { ThoughtError } from '../errors/thoughtError';
+import { KeyRangeUtil } from './utils/keyRange';
+import { createStorageBackend } from './backends';
+import { StorageTransaction } from './storageTransaction';
+import { StorageEvents } from './storageEvents';
+import { createCoherenceBus } from './coherenceBus';
+import { SchemaMigrator } from './utils/migrations';
+import { QueryPlanner } from './utils/queryPlanner';
+import { SizeUtil } from './utils/size';
+import { FrequencySketch } from './utils/frequencySketch';
+import { MemoryTier } from './memoryTier';
+import { createEvictionPolicy } from './eviction';
+import { SnapshotFormat } from './utils/snapshot';
+import { EncryptionUtil } from './utils/encryption';
 
 class HybridStorage {
+    // Indexes maintained by every backend on the persistent tier
+    static IndexDefinitions = [
+        { name: 'timestamp', keyPath: 'timestamp', options: { unique: false } },
+        { name: 'priority', keyPath: 'priority', options: { unique: false } },
+        { name: 'tags', keyPath: 'tags', options: { unique: false, multiEntry: true } },
+        { name: 'size', keyPath: 'size', options: { unique: false } },
+        { name: 'expiresAt', keyPath: 'expiresAt', options: { unique: false } }
+    ];
+
+    // Migration for stores created before the expiresAt index existed: adds
+    // the index and backfills expiresAt on records that have a TTL
+    static expiresAtMigration(version) {
+        return {
+            version,
+            description: 'Add expiresAt TTL index',
+            upgrade(context) {
+                if (!context.indexNames.includes('expiresAt')) {
+                    context.createIndex('expiresAt', 'expiresAt', { unique: false });
+                }
+                context.transformRecords(item => (item.expiry && item.expiresAt === undefined
+                    ? { ...item, expiresAt: item.timestamp + item.expiry }
+                    : undefined));
+            }
+        };
+    }
+
+    static StorageEvictionPolicies = ['priority', 'oldest', 'none'];
+
+    static WriteModes = ['write-through', 'write-behind'];
+
     constructor(options = {}) {
-        this.memoryStore = new Map();
-        this.dbName = options.dbName || 'hybridStorage';
-        this.storeName = options.storeName || 'mainStore';
         this.maxMemoryItems = options.maxMemoryItems || 10000;
+        this.maxMemoryBytes = options.maxMemoryBytes || Infinity;
+
+        // Memory-tier eviction: 'priority' (default; lowest priority, then
+        // least recently used), 'lru', 'lfu', 'arc', 'tinylfu' or an
+        // EvictionPolicy instance, configured by evictionOptions. Read
+        // frequencies live in a fixed-size sketch shared with the policy.
+        this.frequency = new FrequencySketch({ capacity: this.maxMemoryItems });
+        this.evictionPolicy = createEvictionPolicy(options.evictionPolicy, options.evictionOptions);
+        this.evictionPolicy.attach({ capacity: this.maxMemoryItems, sketch: this.frequency });
+        this.memoryStore = new MemoryTier(this.evictionPolicy);
+
+        // Byte quota for the persistent tier. When a write would exceed it,
+        // records are evicted by storageEvictionPolicy: 'priority' (lowest
+        // priority, then oldest, first), 'oldest', or 'none' to reject the write.
+        this.maxStorageBytes = options.maxStorageBytes || Infinity;
+        this.storageEvictionPolicy = options.storageEvictionPolicy || 'priority';
+        if (!HybridStorage.StorageEvictionPolicies.includes(this.storageEvictionPolicy)) {
+            throw new ThoughtError(
+                'InvalidConfiguration',
+                `Unknown storage eviction policy: ${this.storageEvictionPolicy}`
+            );
+        }
+        // Bytes on the persistent tier, measured on the first quota check and
+        // kept up to date by this instance; null when unknown
+        this.storageBytes = null;
+
+        // Encryption at rest: { keyProvider } where the provider exposes
+        // getCurrentKey() -> { id, key } and getKey(id) -> CryptoKey. Values
+        // are encrypted after compression and tagged with the key id.
+        this.keyProvider = null;
+        if (options.encryption) {
+            const { keyProvider } = options.encryption;
+            if (typeof keyProvider?.getCurrentKey !== 'function' || typeof keyProvider?.getKey !== 'function') {
+                throw new ThoughtError(
+                    'InvalidConfiguration',
+                    'Encryption requires a keyProvider with getCurrentKey() and getKey(id)'
+                );
+            }
+            if (!EncryptionUtil.isAvailable()) {
+                throw new ThoughtError('InvalidConfiguration', 'Encryption requires WebCrypto (crypto.subtle)');
+            }
+            this.keyProvider = keyProvider;
+        }
+
+        // 'write-through' (default) persists every set() before it resolves.
+        // 'write-behind' queues sets as dirty records, coalesced per key, and
+        // writes them in batches flushInterval ms after the first one queued,
+        // as soon as maxPendingWrites keys are waiting, or on flush().
+        this.writeMode = options.writeMode || 'write-through';
+        if (!HybridStorage.WriteModes.includes(this.writeMode)) {
+            throw new ThoughtError('InvalidConfiguration', `Unknown write mode: ${this.writeMode}`);
+        }
+        this.flushInterval = options.flushInterval || 1000;
+        this.maxPendingWrites = options.maxPendingWrites || 100;
+        this.pendingWrites = new Map();
+        this.flushTimer = null;
         this.maxRetries = options.maxRetries || 3;
         this.retryDelay = options.retryDelay || 1000;
-        this.db = null;
-        this.ready = this.initializeDB();
-        this.lock = new AsyncLock();
 
-        // Performance metrics
-        this.metrics = {
-            hits: 0,
-            misses: 0,
-            writes: 0,
-            deletes: 0,
-            errors: 0,
-            accessTimes: [],
-            maxAccessTimes: 1000
+        // Persistent tier: 'indexeddb' (default), 'memory', 'filesystem' or a StorageBackend instance
+        this.backend = createStorageBackend(options.backend, {
+            dbName: options.dbName || 'hybridStorage',
+            storeName: options.storeName || 'mainStore',
+            directory: options.directory
+        });
+        this.dbName = this.backend.dbName;
+        this.storeName = this.backend.storeName;
+
+        // Schema migrations: [{ version, description, upgrade(context) }], run on open.
+        // With migrationDryRun the pending migrations are only reported.
+        this.migrations = SchemaMigrator.validate(options.migrations || []);
+        this.migrationDryRun = options.migrationDryRun || false;
+        this.migrationReport = null;
+        this.backend.onerror = (error) => {
+            console.error('Storage backend error:', error);
+            this.metrics.recordError();
+        };
+        this.backend.onclose = () => {
+            this.initialized = false;
         };
 
-        // Track accesses to simulate frequently accessed keys
-        this.accessCounter = new Map();
-    }
+        this.lock = new AsyncLock();
+        this.events = new StorageEvents();
+
+        // Keep memory tiers of other instances on the same database coherent:
+        // committed writes are broadcast and peers either drop ('evict') or
+        // re-read ('refresh') their cached copies
+        this.instanceId = `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        this.coherenceMode = options.coherenceMode || 'evict';
+        if (!['evict', 'refresh'].includes(this.coherenceMode)) {
+            throw new ThoughtError('InvalidConfiguration', `Unknown coherence mode: ${this.coherenceMode}`);
+        }
+        this.coherenceBus = createCoherenceBus(
+            options.coherence,
+            `hybridStorage:${this.dbName}/${this.storeName}`
+        );
+        this.pendingInvalidation = null;
+        if (this.coherenceBus) {
+            this.setupCoherence();
+        }
 
-    async initializeDB() {
-        if (this.initialized) return;
-        if (this.initializing) return this.initializing;
+        this.ready = this.initializeDB();
 
-        this.initializing = new Promise((resolve, reject) => {
-            try {
-                const request = indexedDB.open(this.dbName, 1);
+        // Counters, per-operation latency histograms and rolling windows;
+        // see exportMetrics()
+        this.metrics = new StorageMetrics(options.metrics);
 
-                request.onerror = () => {
-                    reject(new Error(`Failed to open IndexedDB: ${request.error}`));
-                };
+        // Background expiry sweeper; each run deletes at most sweepBatchSize records
+        this.sweepBatchSize = options.sweepBatchSize || 500;
+        this.sweepTimer = null;
+        this.sweeping = false;
+        if (options.sweepInterval) {
+            this.startSweeper(options.sweepInterval);
+        }
 
-                request.onupgradeneeded = (event) => {
-                    const db = event.target.result;
-                    if (!db.objectStoreNames.contains(this.storeName)) {
-                        const store = db.createObjectStore(this.storeName, { keyPath: 'key' });
-                        store.createIndex('timestamp', 'timestamp', { unique: false });
-                        store.createIndex('priority', 'priority', { unique: false });
-                        store.createIndex('tags', 'tags', { unique: false, multiEntry: true });
-                        store.createIndex('size', 'size', { unique: false });
-                    }
-                };
+        // Background maintenance when the metrics call for it: true, or
+        // { interval, minInterval, idleDelay, maxHistory } (see
+        // OptimizationScheduler). Decisions are kept in optimizer.history.
+        this.optimizer = null;
+        if (options.autoOptimize) {
+            const schedulerOptions = options.autoOptimize === true ? {} : options.autoOptimize;
+            this.optimizer = new OptimizationScheduler(this, schedulerOptions).start();
+        }
+    }
 
-                request.onsuccess = (event) => {
-                    this.db = event.target.result;
+    // The underlying IDBDatabase when the IndexedDB backend is in use
+    get db() {
+        return this.backend.db ?? null;
+    }
 
-                    this.db.onclose = () => {
-                        this.initialized = false;
-                        this.db = null;
-                    };
+    set db(value) {
+        this.backend.db = value;
+    }
 
-                    this.db.onerror = (event) => {
-                        console.error('IndexedDB error:', event.target.error);
-                        this.metrics.errors++;
-                    };
+    async initializeDB() {
+        if (this.initialized) return;
+        if (this.initializing) return this.initializing;
 
-                    this.initialized = true;
-                    resolve();
-                };
-            } catch (error) {
-                reject(error);
-            }
+        this.initializing = this.backend.open({
+            keyPath: 'key',
+            indexes: HybridStorage.IndexDefinitions,
+            migrations: this.migrations,
+            dryRun: this.migrationDryRun
+        }).then((report) => {
+            this.migrationReport = report;
+            this.initialized = true;
         });
 
         try {
@@ -88,53 +212,508 @@ class HybridStorage {
         if (!this.initialized) {
             await this.initializeDB();
         }
-        if (!this.db) {
+        if (!this.backend.isOpen()) {
             throw new Error('Database connection not established');
         }
     }
 
+    setupCoherence() {
+        this.events.watch({ types: ['set', 'delete', 'expire', 'evict', 'clear', 'touch'] }, (event) => {
+            // Memory-only changes don't affect what peers read from the database
+            if (event.tier !== 'memory') {
+                this.queueInvalidation(event.type === 'clear' ? null : event.key);
+            }
+        });
+        this.unsubscribeCoherence = this.coherenceBus.subscribe(message => this.applyInvalidation(message));
+    }
+
+    // Invalidations raised in the same tick (e.g. by a batch) go out as one
+    // message; a null key invalidates everything
+    queueInvalidation(key) {
+        if (!this.pendingInvalidation) {
+            this.pendingInvalidation = { keys: new Set(), clear: false };
+            queueMicrotask(() => this.flushInvalidations());
+        }
+        if (key === null) {
+            this.pendingInvalidation.clear = true;
+        } else {
+            this.pendingInvalidation.keys.add(key);
+        }
+    }
+
+    flushInvalidations() {
+        const pending = this.pendingInvalidation;
+        this.pendingInvalidation = null;
+        if (!pending || !this.coherenceBus) return;
+
+        try {
+            this.coherenceBus.publish({
+                source: this.instanceId,
+                clear: pending.clear,
+                keys: Array.from(pending.keys)
+            });
+        } catch (error) {
+            console.error('Failed to publish invalidation:', error);
+            this.metrics.recordError();
+        }
+    }
+
+    async applyInvalidation(message) {
+        if (!message || message.source === this.instanceId) return;
+
+        // A peer changed the database, so our usage figure is no longer exact
+        this.storageBytes = null;
+
+        if (message.clear) {
+            for (const key of Array.from(this.memoryStore.keys())) {
+                this.evictFromMemory(key);
+            }
+            return;
+        }
+
+        await Promise.all(message.keys
+            .filter(key => this.memoryStore.has(key))
+            .map(key => (this.coherenceMode === 'refresh'
+                ? this.refreshMemoryEntry(key)
+                : this.evictFromMemory(key))));
+    }
+
+    // Replace a cached copy with the current database record, serialised
+    // with local writes to the same key
+    async refreshMemoryEntry(key) {
+        try {
+            await this.lock.acquire(`write_${key}`, async () => {
+                const item = await this.getFromDB(key);
+                if (item && !this.isExpired(item) && this.shouldStoreInMemory(item)) {
+                    this.memoryStore.set(key, item);
+                } else {
+                    this.evictFromMemory(key);
+                }
+            });
+        } catch (error) {
+            // Never keep a copy that may be stale
+            this.evictFromMemory(key);
+            this.metrics.recordError();
+        }
+    }
+
+    // Schema version of the open store; a migration dry run leaves it as found
+    get schemaVersion() {
+        const report = this.migrationReport;
+        if (!report) return 1;
+        return report.dryRun ? report.fromVersion : report.toVersion;
+    }
+
+    async getMigrationHistory() {
+        await this.ensureDBConnection();
+        return this.backend.getMigrationHistory();
+    }
+
+    // Change notifications: 'set', 'delete', 'expire', 'evict', 'clear' and 'touch'
+    on(type, handler) {
+        return this.events.on(type, handler);
+    }
+
+    off(type, handler) {
+        this.events.off(type, handler);
+    }
+
+    watch(filter, handler) {
+        return this.events.watch(filter, handler);
+    }
+
     async set(key, value, options = {}) {
         await this.ensureDBConnection();
 
         return this.lock.acquire(`write_${key}`, async () => {
             const startTime = performance.now();
+            let snapshot = new Map();
             try {
-                const now = Date.now();
-                const item = {
-                    key,
-                    value,
-                    timestamp: now,
-                    lastAccess: now,  // Track last access separately
-                    priority: options.priority || 0,
-                    tags: options.tags || [],
-                    expiry: options.expiry,
-                    size: this.calculateItemSize(value)
-                };
-
-                if (options.compression) {
-                    item.value = await CompressionUtil.compress(value);
-                    item.compressed = true;
-                }
+                const item = await this.createItem(key, value, options);
+                snapshot = this.snapshotMemory([key]);
 
                 // Store in memory if conditions met
-                if (this.shouldStoreInMemory(item)) {
-                    this.memoryStore.set(key, item);
-                    this.enforceMemoryLimit();
+                this.storeInMemoryTier(item);
+                this.enforceMemoryLimit();
+
+                if (this.writeMode === 'write-behind') {
+                    this.queueWrite(item);
+                    this.metrics.recordWrite();
+                    this.metrics.recordLatency('set', performance.now() - startTime);
+                    this.emitChange('set', key, 'memory', item.tags);
+                    return true;
                 }
 
                 // Store in IndexedDB
-                await this.setInDB(item);
-                this.metrics.writes++;
-                this.recordAccessTime(performance.now() - startTime);
+                await this.writeWithinQuota([{ type: 'put', item }], snapshot, () => this.setInDB(item));
+                this.metrics.recordWrite();
+                this.metrics.recordLatency('set', performance.now() - startTime);
+                this.emitChange('set', key, this.memoryStore.has(key) ? 'both' : 'db', item.tags);
 
                 return true;
             } catch (error) {
-                this.metrics.errors++;
+                this.restoreMemory(snapshot);
+                this.metrics.recordError();
+                throw error;
+            }
+        });
+    }
+
+    async createItem(key, value, options = {}) {
+        const now = Date.now();
+        const item = {
+            key,
+            value,
+            timestamp: now,
+            lastAccess: now,  // Track last access separately
+            priority: options.priority || 0,
+            tags: options.tags || [],
+            expiry: options.expiry,
+            // Absolute deadline indexed for the sweeper; sliding items push it
+            // forward on every access
+            expiresAt: options.expiry ? now + options.expiry : undefined,
+            sliding: !!options.sliding
+        };
+
+        // Naming a codec implies compression; see CompressionUtil.compress
+        // for `codec` and `dictionary`
+        if (options.compression || options.codec) {
+            item.value = await CompressionUtil.compress(value, {
+                codec: options.codec,
+                dictionary: options.dictionary
+            });
+            item.compressed = true;
+        }
+        if (this.keyProvider) {
+            await this.encryptItem(item);
+        }
+        // Size of the value as stored, i.e. after compression and encryption
+        item.size = this.calculateItemSize(item.value);
+
+        return item;
+    }
+
+    // Replaces item.value with its ciphertext under the provider's current
+    // key; item.encryption records the key id and IV needed to read it back
+    async encryptItem(item) {
+        const current = await this.keyProvider.getCurrentKey();
+        if (!current?.key) {
+            throw new ThoughtError('ConfigurationMissing', 'No current encryption key');
+        }
+
+        const plaintext = item.compressed ? item.value : EncryptionUtil.encodeValue(item.value);
+        const { iv, data } = await EncryptionUtil.encrypt(plaintext, current.key, EncryptionUtil.encodeKey(item.key));
+        item.value = data;
+        item.encryption = { keyId: current.id, iv };
+        return item;
+    }
+
+    // Plaintext form of a stored value: the compressed bytes for compressed
+    // items, otherwise the value itself
+    async decryptItem(item) {
+        const { keyId, iv } = item.encryption;
+        if (!this.keyProvider) {
+            throw new ThoughtError(
+                'ConfigurationMissing',
+                `Value is encrypted with key ${keyId} but no keyProvider is configured`,
+                { key: item.key }
+            );
+        }
+        const key = await this.keyProvider.getKey(keyId);
+        if (!key) {
+            throw new ThoughtError('ConfigurationMissing', `Unknown encryption key: ${keyId}`, { key: item.key });
+        }
+
+        const plaintext = await EncryptionUtil.decrypt(item.value, key, iv, EncryptionUtil.encodeKey(item.key));
+        return item.compressed ? plaintext : EncryptionUtil.decodeValue(plaintext);
+    }
+
+    // Caller-facing value of a stored item: decrypt, then decompress
+    async decodeValue(item) {
+        const value = item.encryption ? await this.decryptItem(item) : item.value;
+        return item.compressed ? CompressionUtil.decompress(value) : value;
+    }
+
+    async transaction(fn) {
+        await this.ensureDBConnection();
+
+        const tx = new StorageTransaction(this);
+        let result;
+        try {
+            result = await fn(tx);
+        } finally {
+            tx.finished = true;
+        }
+
+        if (tx.operations.length === 0) {
+            return result;
+        }
+
+        // Hold both the write and delete locks of every touched key so no
+        // single-key operation can interleave with the transaction
+        const lockKeys = tx.getKeys().flatMap(key => [`write_${key}`, `delete_${key}`]);
+
+        await this.lock.acquireMultiple(lockKeys, async () => {
+            const startTime = performance.now();
+            let snapshot = new Map();
+            let operations = [];
+
+            try {
+                operations = await Promise.all(tx.operations.map(async operation => (
+                    operation.type === 'set'
+                        ? { ...operation, item: await this.createItem(operation.key, operation.value, operation.options) }
+                        : operation
+                )));
+
+                snapshot = this.snapshotMemory(tx.getKeys());
+
+                for (const operation of operations) {
+                    if (operation.type === 'set') {
+                        this.storeInMemoryTier(operation.item);
+                    } else {
+                        this.memoryStore.delete(operation.key);
+                    }
+                }
+
+                const batch = operations.map(operation => (
+                    operation.type === 'set'
+                        ? { type: 'put', item: operation.item }
+                        : { type: 'delete', key: operation.key }
+                ));
+                await this.writeWithinQuota(batch, snapshot, () => this.batchInDB(batch));
+
+                this.metrics.recordWrite(operations.filter(operation => operation.type === 'set').length);
+                this.metrics.recordDelete(operations.filter(operation => operation.type === 'delete').length);
+            } catch (error) {
+                // Roll the memory tier back to its state before the transaction
+                this.restoreMemory(snapshot);
+                this.metrics.recordError();
                 throw error;
             }
+
+            this.enforceMemoryLimit();
+            this.metrics.recordLatency('transaction', performance.now() - startTime);
+
+            for (const operation of operations) {
+                if (operation.type === 'set') {
+                    const tier = this.memoryStore.has(operation.key) ? 'both' : 'db';
+                    this.emitChange('set', operation.key, tier, operation.item.tags);
+                } else {
+                    const previous = snapshot.get(operation.key);
+                    this.emitChange('delete', operation.key, previous ? 'both' : 'db', previous?.tags);
+                }
+            }
+        });
+
+        return result;
+    }
+
+    async setMany(entries, options = {}) {
+        await this.ensureDBConnection();
+
+        // Accept [key, value] pairs or { key, value, options } objects; the
+        // last entry for a repeated key wins
+        const normalized = new Map();
+        for (const entry of entries) {
+            const { key, value, options: entryOptions } = Array.isArray(entry)
+                ? { key: entry[0], value: entry[1] }
+                : entry;
+            normalized.set(key, { key, value, options: { ...options, ...entryOptions } });
+        }
+        const keys = Array.from(normalized.keys());
+        const errors = new Map();
+
+        return this.lock.acquireMultiple(keys.map(key => `write_${key}`), async () => {
+            const startTime = performance.now();
+
+            // Compress in parallel; a failing value only fails its own key
+            const prepared = await Promise.allSettled(
+                Array.from(normalized.values()).map(entry =>
+                    this.createItem(entry.key, entry.value, entry.options))
+            );
+            const items = [];
+            prepared.forEach((outcome, i) => {
+                if (outcome.status === 'fulfilled') {
+                    items.push(outcome.value);
+                } else {
+                    errors.set(keys[i], outcome.reason);
+                    this.metrics.recordError();
+                }
+            });
+
+            if (items.length > 0) {
+                const snapshot = this.snapshotMemory(items.map(item => item.key));
+                try {
+                    items.forEach(item => this.storeInMemoryTier(item));
+                    const batch = items.map(item => ({ type: 'put', item }));
+                    await this.writeWithinQuota(batch, snapshot, () => this.batchInDB(batch));
+                    this.metrics.recordWrite(items.length);
+                } catch (error) {
+                    this.restoreMemory(snapshot);
+                    this.metrics.recordError();
+                    items.forEach(item => errors.set(item.key, error));
+                }
+                this.enforceMemoryLimit();
+
+                items.filter(item => !errors.has(item.key)).forEach(item => {
+                    this.emitChange('set', item.key, this.memoryStore.has(item.key) ? 'both' : 'db', item.tags);
+                });
+            }
+
+            this.metrics.recordLatency('setMany', performance.now() - startTime);
+            return keys.map(key => errors.has(key)
+                ? { key, success: false, error: errors.get(key) }
+                : { key, success: true });
+        });
+    }
+
+    async getMany(keys) {
+        await this.ensureDBConnection();
+
+        const uniqueKeys = [...new Set(keys)];
+
+        return this.lock.acquireMultiple(uniqueKeys.map(key => `read_${key}`), async () => {
+            const startTime = performance.now();
+            const items = new Map();
+            const expired = new Map();
+            const missing = [];
+
+            for (const key of uniqueKeys) {
+                const item = this.memoryStore.get(key) || this.pendingWrites.get(key);
+                if (!item) {
+                    missing.push(key);
+                } else if (this.isExpired(item)) {
+                    expired.set(key, item);
+                } else {
+                    this.updateLastAccess(item);
+                    this.evictionPolicy.onAccess(key);
+                    items.set(key, item);
+                }
+            }
+
+            try {
+                if (missing.length > 0) {
+                    const stored = await this.backend.getMany(missing);
+                    stored.forEach((item, i) => {
+                        if (!item) return;
+                        if (!item.lastAccess) {
+                            item.lastAccess = item.timestamp;
+                        }
+                        if (this.isExpired(item)) {
+                            expired.set(missing[i], item);
+                            return;
+                        }
+                        this.updateLastAccess(item);
+                        items.set(missing[i], item);
+                        if (this.shouldStoreInMemory(item)) {
+                            this.memoryStore.set(missing[i], item);
+                        }
+                    });
+                    this.enforceMemoryLimit();
+                }
+
+                if (expired.size > 0) {
+                    await this.removeMany(Array.from(expired.keys()), 'expire', expired);
+                }
+
+                for (const [key, item] of items) {
+                    if (item.sliding) {
+                        await this.touch(key);
+                    }
+                }
+            } catch (error) {
+                this.metrics.recordError();
+                return uniqueKeys.map(key => ({ key, success: false, error }));
+            }
+
+            const results = await Promise.all(uniqueKeys.map(async key => {
+                const item = items.get(key);
+                if (!item) {
+                    if (!expired.has(key)) {
+                        this.metrics.recordMiss();
+                    }
+                    return { key, success: true, value: null };
+                }
+
+                try {
+                    this.incrementAccessCount(key);
+                    const value = await this.decodeValue(item);
+                    this.metrics.recordHit();
+                    return { key, success: true, value };
+                } catch (error) {
+                    this.metrics.recordError();
+                    return { key, success: false, error };
+                }
+            }));
+
+            this.metrics.recordLatency('getMany', performance.now() - startTime);
+            return results;
         });
     }
 
+    async deleteMany(keys) {
+        await this.ensureDBConnection();
+        return this.removeMany(keys, 'delete');
+    }
+
+    // Remove keys from both tiers in one batch and report them as `eventType`.
+    // `known` maps keys to records already in hand, for event tags.
+    async removeMany(keys, eventType, known = new Map()) {
+        const uniqueKeys = [...new Set(keys)];
+
+        return this.lock.acquireMultiple(uniqueKeys.map(key => `delete_${key}`), async () => {
+            const startTime = performance.now();
+            const snapshot = this.snapshotMemory(uniqueKeys);
+            const records = await this.lookupRemoved(eventType, uniqueKeys, snapshot, known);
+
+            try {
+                uniqueKeys.forEach(key => this.memoryStore.delete(key));
+                await this.batchInDB(uniqueKeys.map(key => ({ type: 'delete', key })));
+            } catch (error) {
+                this.restoreMemory(snapshot);
+                this.metrics.recordError();
+                return uniqueKeys.map(key => ({ key, success: false, error }));
+            }
+
+            this.releaseStorage(records.values());
+            this.metrics.recordDelete(uniqueKeys.length);
+            this.metrics.recordLatency('deleteMany', performance.now() - startTime);
+            uniqueKeys.forEach(key => {
+                this.emitChange(eventType, key, snapshot.get(key) ? 'both' : 'db', records.get(key)?.tags);
+            });
+            return uniqueKeys.map(key => ({ key, success: true }));
+        });
+    }
+
+    // Records about to be removed, for event tags and quota accounting. The
+    // persistent tier is only read when a tag-filtered watcher or the storage
+    // quota needs records that are not already in hand.
+    async lookupRemoved(eventType, keys, snapshot, known = new Map()) {
+        const fetch = this.events.wantsTags(eventType) || this.tracksStorage();
+        return this.currentRecords(keys, snapshot, { known, fetch });
+    }
+
+    // Current records for keys, taken from `known`, then the memory snapshot,
+    // then (with `fetch`) the persistent tier. Missing keys are left out.
+    async currentRecords(keys, snapshot, { known = new Map(), fetch = false } = {}) {
+        const records = new Map();
+        const unknown = [];
+        for (const key of keys) {
+            const item = known.get(key) || snapshot.get(key);
+            if (item) {
+                records.set(key, item);
+            } else {
+                unknown.push(key);
+            }
+        }
+
+        if (unknown.length > 0 && fetch) {
+            const stored = await this.backend.getMany(unknown);
+            stored.forEach((item, i) => item && records.set(unknown[i], item));
+        }
+        return records;
+    }
+
     async get(key) {
         await this.ensureDBConnection();
 
@@ -145,29 +724,31 @@ class HybridStorage {
                 if (this.memoryStore.has(key)) {
                     const item = this.memoryStore.get(key);
                     if (this.isExpired(item)) {
-                        this.memoryStore.delete(key);
-                        await this.delete(key);
+                        await this.expireItem(item);
                         return null;
                     }
 
                     this.updateLastAccess(item);
+                    this.evictionPolicy.onAccess(key);
                     this.incrementAccessCount(key);
-                    this.metrics.hits++;
-                    this.recordAccessTime(performance.now() - startTime);
-                    return item.compressed ?
-                        await CompressionUtil.decompress(item.value) :
-                        item.value;
+                    if (item.sliding) {
+                        await this.touch(key);
+                    }
+                    this.metrics.recordHit();
+                    this.metrics.recordLatency('get', performance.now() - startTime);
+                    return await this.decodeValue(item);
                 }
 
                 // Check IndexedDB
                 const item = await this.getFromDB(key);
                 if (!item) {
-                    this.metrics.misses++;
+                    this.metrics.recordMiss();
+                    this.metrics.recordLatency('get', performance.now() - startTime);
                     return null;
                 }
 
                 if (this.isExpired(item)) {
-                    await this.delete(key);
+                    await this.expireItem(item);
                     return null;
                 }
 
@@ -181,13 +762,14 @@ class HybridStorage {
                 }
 
                 this.incrementAccessCount(key);
-                this.metrics.hits++;
-                this.recordAccessTime(performance.now() - startTime);
-                return item.compressed ?
-                    await CompressionUtil.decompress(item.value) :
-                    item.value;
+                if (item.sliding) {
+                    await this.touch(key);
+                }
+                this.metrics.recordHit();
+                this.metrics.recordLatency('get', performance.now() - startTime);
+                return await this.decodeValue(item);
             } catch (error) {
-                this.metrics.errors++;
+                this.metrics.recordError();
                 throw error;
             }
         });
@@ -199,24 +781,69 @@ class HybridStorage {
         return this.lock.acquire(`delete_${key}`, async () => {
             const startTime = performance.now();
             try {
+                const snapshot = this.snapshotMemory([key]);
+                const records = await this.lookupRemoved('delete', [key], snapshot);
+
                 // Remove from memory
                 this.memoryStore.delete(key);
 
                 // Remove from IndexedDB
                 const result = await this.deleteFromDB(key);
                 if (result) {
-                    this.metrics.deletes++;
+                    this.metrics.recordDelete();
+                    this.releaseStorage(records.values());
                 }
 
-                this.recordAccessTime(performance.now() - startTime);
+                this.metrics.recordLatency('delete', performance.now() - startTime);
+                this.emitChange('delete', key, snapshot.get(key) ? 'both' : 'db', records.get(key)?.tags);
                 return result;
             } catch (error) {
-                this.metrics.errors++;
+                this.metrics.recordError();
                 throw error;
             }
         });
     }
 
+    // Extend a record's TTL from now, by `ttl` or its original expiry. Returns
+    // false when the key is missing, already expired or has no TTL.
+    async touch(key, ttl) {
+        await this.ensureDBConnection();
+
+        return this.lock.acquire(`write_${key}`, async () => {
+            try {
+                const cached = this.memoryStore.get(key);
+                const item = cached || await this.getFromDB(key);
+                const duration = ttl ?? item?.expiry;
+                if (!item || this.isExpired(item) || !duration) {
+                    return false;
+                }
+
+                const now = Date.now();
+                item.expiry = duration;
+                item.expiresAt = now + duration;
+                item.lastAccess = now;
+                if (this.pendingWrites.has(key)) {
+                    this.pendingWrites.set(key, item);
+                } else {
+                    await this.setInDB(item);
+                }
+
+                this.emitChange('touch', key, cached ? 'both' : 'db', item.tags);
+                return true;
+            } catch (error) {
+                this.metrics.recordError();
+                throw error;
+            }
+        });
+    }
+
+    async expireItem(item) {
+        const [result] = await this.removeMany([item.key], 'expire', new Map([[item.key, item]]));
+        if (!result.success) {
+            throw result.error;
+        }
+    }
+
     async has(key) {
         await this.ensureDBConnection();
 
@@ -226,18 +853,19 @@ class HybridStorage {
             if (this.memoryStore.has(key)) {
                 const item = this.memoryStore.get(key);
                 if (!this.isExpired(item)) {
-                    this.recordAccessTime(performance.now() - startTime);
+                    this.metrics.recordLatency('has', performance.now() - startTime);
                     return true;
                 }
                 this.memoryStore.delete(key);
+                this.emitChange('expire', key, 'memory', item.tags);
             }
 
             // Check IndexedDB
             const exists = await this.existsInDB(key);
-            this.recordAccessTime(performance.now() - startTime);
+            this.metrics.recordLatency('has', performance.now() - startTime);
             return exists;
         } catch (error) {
-            this.metrics.errors++;
+            this.metrics.recordError();
             throw error;
         }
     }
@@ -249,9 +877,13 @@ class HybridStorage {
             try {
                 this.memoryStore.clear();
                 await this.clearDB();
+                if (this.storageBytes !== null) {
+                    this.storageBytes = 0;
+                }
+                this.emitChange('clear', null, 'both');
                 return true;
             } catch (error) {
-                this.metrics.errors++;
+                this.metrics.recordError();
                 throw error;
             }
         });
@@ -259,18 +891,186 @@ class HybridStorage {
 
     async query(filter) {
         await this.ensureDBConnection();
+        await this.flushPendingWrites();
 
         return this.lock.acquire('query', async () => {
             const startTime = performance.now();
             try {
                 const results = await this.queryDB(filter);
-                this.recordAccessTime(performance.now() - startTime);
+                this.metrics.recordLatency('query', performance.now() - startTime);
                 return results;
             } catch (error) {
-                this.metrics.errors++;
+                this.metrics.recordError();
+                throw error;
+            }
+        });
+    }
+
+    // Stream the persistent tier as NDJSON lines (see SnapshotFormat).
+    // Records keep their stored form, so compressed values stay compressed.
+    async *exportSnapshot({ includeExpired = true, batchSize = 500 } = {}) {
+        await this.ensureDBConnection();
+
+        yield SnapshotFormat.header({
+            dbName: this.dbName,
+            storeName: this.storeName,
+            keyPath: 'key',
+            schemaVersion: this.schemaVersion,
+            compression: CompressionUtil.Codec
+        });
+
+        let count = 0;
+        for await (const [, item] of this.scan({ select: 'records' }, { batchSize, includeExpired })) {
+            yield SnapshotFormat.item(item);
+            count++;
+        }
+        yield SnapshotFormat.end(count);
+    }
+
+    // Restore records from a snapshot. 'merge' overwrites the keys it
+    // contains; 'replace' clears the store first. Records from an older
+    // schema version are run through the pending migration transforms.
+    // Imports are written in batches and are not atomic, and they bypass
+    // maxStorageBytes; the next write brings the store back within quota.
+    async importSnapshot(source, { mode = 'merge', batchSize = 500 } = {}) {
+        if (mode !== 'merge' && mode !== 'replace') {
+            throw new ThoughtError('InvalidInput', `Unknown import mode: ${mode}`, { mode });
+        }
+        await this.ensureDBConnection();
+
+        return this.lock.acquire('import', async () => {
+            const report = { mode, imported: 0, skipped: 0, schemaVersion: null };
+            const migrator = new SchemaMigrator(this.migrations);
+            let transforms = [];
+            let batch = [];
+
+            const flush = async () => {
+                const items = [];
+                for (const record of batch) {
+                    const outcome = SchemaMigrator.applyTransforms(transforms, record, 'key');
+                    if (outcome.action === 'delete') {
+                        report.skipped++;
+                    } else {
+                        items.push(outcome.action === 'update' ? outcome.record : record);
+                    }
+                }
+                batch = [];
+                if (items.length === 0) return;
+
+                items.forEach(item => this.memoryStore.delete(item.key));
+                await this.batchInDB(items.map(item => ({ type: 'put', item })));
+                report.imported += items.length;
+                items.forEach(item => this.emitChange('set', item.key, 'db', item.tags));
+            };
+
+            try {
+                for await (const entry of SnapshotFormat.read(source, { codecs: CompressionUtil.Codecs })) {
+                    if (entry.type === 'header') {
+                        if (entry.schemaVersion > this.schemaVersion) {
+                            throw new ThoughtError(
+                                'InvalidConfiguration',
+                                `Snapshot schema version ${entry.schemaVersion} is newer than the store (${this.schemaVersion})`,
+                                { snapshotVersion: entry.schemaVersion, storeVersion: this.schemaVersion }
+                            );
+                        }
+                        report.schemaVersion = entry.schemaVersion;
+                        transforms = migrator.recordTransforms(entry.schemaVersion || 1, this.schemaVersion);
+
+                        if (mode === 'replace') {
+                            this.memoryStore.clear();
+                            await this.clearDB();
+                            this.emitChange('clear', null, 'both');
+                        }
+                        continue;
+                    }
+
+                    batch.push(entry.item);
+                    if (batch.length >= batchSize) {
+                        await flush();
+                    }
+                }
+                await flush();
+                return report;
+            } catch (error) {
+                this.metrics.recordError();
                 throw error;
+            } finally {
+                // Re-measured on the next write under a storage quota
+                this.storageBytes = null;
+            }
+        });
+    }
+
+    // Key rotation: rewrites every record not encrypted under the provider's
+    // current key (including records written before encryption was enabled).
+    // Values are unchanged, so no change events are emitted; the previous
+    // key must stay available to the provider until this has completed.
+    async reencrypt({ batchSize = 100 } = {}) {
+        if (!this.keyProvider) {
+            throw new ThoughtError('ConfigurationMissing', 'reencrypt() requires an encryption keyProvider');
+        }
+        await this.ensureDBConnection();
+
+        const current = await this.keyProvider.getCurrentKey();
+        if (!current?.key) {
+            throw new ThoughtError('ConfigurationMissing', 'No current encryption key');
+        }
+        const report = { scanned: 0, reencrypted: 0, keyId: current.id };
+        let stale = [];
+
+        const rewrite = async () => {
+            const keys = stale;
+            stale = [];
+            await this.lock.acquireMultiple(keys.map(key => `write_${key}`), async () => {
+                // Re-read under the locks: a concurrent set may already have
+                // replaced the record
+                const records = await this.backend.getMany(keys);
+                const updated = [];
+                for (const record of records) {
+                    if (!record || record.encryption?.keyId === current.id) continue;
+
+                    const item = { ...record };
+                    if (item.encryption) {
+                        item.value = await this.decryptItem(item);
+                        delete item.encryption;
+                    }
+                    await this.encryptItem(item);
+                    item.size = this.calculateItemSize(item.value);
+                    updated.push(item);
+                }
+                if (updated.length === 0) return;
+
+                await this.backend.batch(updated.map(item => ({ type: 'put', item })));
+                for (const item of updated) {
+                    if (this.memoryStore.has(item.key)) {
+                        this.memoryStore.set(item.key, item);
+                    }
+                }
+                report.reencrypted += updated.length;
+            });
+        };
+
+        try {
+            for await (const [key, item] of this.scan({ select: 'records' }, { batchSize, includeExpired: true })) {
+                report.scanned++;
+                if (item.encryption?.keyId !== current.id) {
+                    stale.push(key);
+                }
+                if (stale.length >= batchSize) {
+                    await rewrite();
+                }
             }
-        });
+            if (stale.length > 0) {
+                await rewrite();
+            }
+            return report;
+        } catch (error) {
+            this.metrics.recordError();
+            throw error;
+        } finally {
+            // Encrypting plaintext records changes their size
+            this.storageBytes = null;
+        }
     }
 
     async optimize() {
@@ -284,268 +1084,662 @@ class HybridStorage {
 
                 this.optimizeMemoryStoreSize(accessPatterns);
 
+                // An interrupted compaction is finished whatever the estimate
                 const fragmentation = await this.estimateFragmentation();
-                if (fragmentation > 0.3) {
+                if (fragmentation > 0.3 || this.backend.hasPendingCompaction()) {
                     await this.compactDB();
                 }
 
                 return true;
             } catch (error) {
-                this.metrics.errors++;
+                this.metrics.recordError();
                 throw error;
             }
         });
     }
 
+    // Remove every expired record. Walks only the expired part of the
+    // expiresAt index rather than the whole store.
     async vacuum() {
+        return this.sweep({ limit: Infinity });
+    }
+
+    // Delete up to `limit` expired records via a range cursor over the
+    // expiresAt index and report how many were reclaimed. The write-behind
+    // queue is not flushed: expired queued records are dropped instead, so
+    // sweeping does not set the flush cadence.
+    async sweep({ limit = this.sweepBatchSize } = {}) {
         await this.ensureDBConnection();
 
         return this.lock.acquire('vacuum', async () => {
+            const startTime = performance.now();
             try {
-                const expiredKeys = new Set();
+                // Expired key -> { item, inMemory, inDB }
+                const expired = new Map();
 
                 // Check memory store
                 for (const [key, item] of this.memoryStore) {
                     if (this.isExpired(item)) {
                         this.memoryStore.delete(key);
-                        expiredKeys.add(key);
+                        expired.set(key, { item, inMemory: true, inDB: false });
                     }
                 }
 
-                const transaction = this.db.transaction([this.storeName], 'readwrite');
-                const store = transaction.objectStore(this.storeName);
-                const index = store.index('timestamp');
-
-                return new Promise((resolve, reject) => {
-                    const req = index.openCursor();
-                    req.onerror = () => reject(new Error(`Vacuum failed: ${transaction.error}`));
-                    req.onsuccess = (event) => {
-                        const cursor = event.target.result;
-                        if (cursor) {
-                            const item = cursor.value;
-                            if (this.isExpired(item)) {
-                                cursor.delete();
-                                if (!expiredKeys.has(item.key)) {
-                                    expiredKeys.add(item.key);
-                                }
-                            }
-                            cursor.continue();
-                        } else {
-                            resolve(expiredKeys.size);
-                        }
-                    };
+                for (const item of await this.dropExpiredWrites()) {
+                    const entry = expired.get(item.key) || { item, inMemory: false };
+                    expired.set(item.key, { ...entry, inDB: true });
+                }
+
+                // Stores opened without the index (see expiresAtMigration)
+                // fall back to walking every record
+                const hasIndex = this.backend.getIndexes().some(index => index.name === 'expiresAt');
+                const cursorOptions = hasIndex
+                    ? { index: 'expiresAt', range: KeyRangeUtil.upperBound(Date.now(), true), mode: 'readwrite' }
+                    : { index: 'timestamp', mode: 'readwrite' };
+                let deleted = 0;
+                let hasMore = false;
+
+                await this.backend.cursor(cursorOptions, (item, cursor) => {
+                    if (!this.isExpired(item)) return;
+                    if (deleted >= limit) {
+                        hasMore = true;
+                        return false;
+                    }
+
+                    cursor.delete();
+                    deleted++;
+                    this.releaseStorage([item]);
+                    const entry = expired.get(item.key) || { item, inMemory: false };
+                    expired.set(item.key, { ...entry, inDB: true });
                 });
+
+                for (const [key, { item, inMemory, inDB }] of expired) {
+                    this.emitChange('expire', key, inMemory && inDB ? 'both' : (inDB ? 'db' : 'memory'), item.tags);
+                }
+                this.metrics.recordSweep(expired.size, hasMore, performance.now() - startTime);
+                return expired.size;
             } catch (error) {
-                this.metrics.errors++;
+                this.metrics.recordError();
                 throw error;
             }
         });
     }
 
-    async setInDB(item) {
-        await this.ensureDBConnection();
+    // Drop expired write-behind records from the queue, deleting any older
+    // stored copy of their keys so it does not reappear. Holds the keys'
+    // write and delete locks, as flushBatch does, and returns the records.
+    async dropExpiredWrites() {
+        const keys = Array.from(this.pendingWrites.values())
+            .filter(item => this.isExpired(item))
+            .map(item => item.key);
+        if (keys.length === 0) return [];
+
+        const lockKeys = keys.flatMap(key => [`write_${key}`, `delete_${key}`]);
+        return this.lock.acquireMultiple(lockKeys, async () => {
+            const items = keys.map(key => this.pendingWrites.get(key)).filter(item => item && this.isExpired(item));
+            if (items.length > 0) {
+                await this.batchInDB(items.map(item => ({ type: 'delete', key: item.key })));
+            }
+            return items;
+        });
+    }
 
-        return new Promise((resolve, reject) => {
+    startSweeper(interval) {
+        this.stopSweeper();
+        this.sweepTimer = setInterval(async () => {
+            // Skip a tick rather than overlap a slow sweep
+            if (this.sweeping) return;
+            this.sweeping = true;
             try {
-                if (!this.db) throw new Error('Database not available');
-                const transaction = this.db.transaction([this.storeName], 'readwrite');
-                const store = transaction.objectStore(this.storeName);
+                await this.sweep();
+            } catch (error) {
+                console.error('Expiry sweep failed:', error);
+            } finally {
+                this.sweeping = false;
+            }
+        }, interval);
+        // Don't keep a Node.js process alive just to sweep
+        this.sweepTimer.unref?.();
+    }
 
-                const request = store.put(item);
+    stopSweeper() {
+        if (this.sweepTimer) {
+            clearInterval(this.sweepTimer);
+            this.sweepTimer = null;
+        }
+    }
 
-                request.onerror = () => {
-                    reject(new Error(`Failed to store item: ${request.error}`));
-                };
+    // Byte usage of both tiers against their limits
+    async getStorageUsage() {
+        await this.ensureDBConnection();
+        await this.flushPendingWrites();
 
-                request.onsuccess = () => {
-                    resolve(true);
-                };
+        const bytes = this.tracksStorage() ? this.storageBytes : await this.measureStorage();
+        return {
+            memory: {
+                items: this.memoryStore.size,
+                bytes: this.memoryStore.bytes,
+                maxItems: this.maxMemoryItems,
+                maxBytes: this.maxMemoryBytes
+            },
+            storage: {
+                items: await this.backend.count(),
+                bytes,
+                maxBytes: this.maxStorageBytes
+            }
+        };
+    }
 
-                transaction.onerror = () => {
-                    reject(new Error(`Transaction failed: ${transaction.error}`));
-                };
-            } catch (error) {
-                reject(new Error(`Failed to create transaction: ${error.message}`));
+    tracksStorage() {
+        return this.maxStorageBytes !== Infinity && this.storageBytes !== null;
+    }
+
+    async measureStorage() {
+        let bytes = 0;
+        await this.backend.cursor({}, (item) => {
+            bytes += item.size || 0;
+        });
+        if (this.maxStorageBytes !== Infinity) {
+            this.storageBytes = bytes;
+        }
+        return bytes;
+    }
+
+    releaseStorage(items) {
+        if (!this.tracksStorage()) return;
+        for (const item of items) {
+            this.storageBytes -= item.size || 0;
+        }
+    }
+
+    // Apply put/delete operations to the persistent tier via `write` while
+    // keeping it within maxStorageBytes. `snapshot` holds the memory copies of
+    // the written keys from before the write. Quota checks are serialised so
+    // concurrent writes can't each claim the same free space.
+    async writeWithinQuota(operations, snapshot, write) {
+        const keys = new Set(operations.map(operation => (
+            operation.type === 'put' ? operation.item.key : operation.key
+        )));
+
+        if (this.maxStorageBytes === Infinity) {
+            return this.writeOrEvict(operations, keys, write);
+        }
+
+        return this.lock.acquire('quota', async () => {
+            const delta = await this.reserveStorage(operations, snapshot, keys);
+            await this.writeOrEvict(operations, keys, write);
+            if (this.storageBytes !== null) {
+                this.storageBytes += delta;
             }
         });
     }
 
-    async getFromDB(key) {
+    // Make room for a write and return how many bytes it adds
+    async reserveStorage(operations, snapshot, keys) {
+        if (this.storageBytes === null) {
+            await this.measureStorage();
+        }
+
+        // Only the last operation on a key decides what is stored
+        const final = new Map();
+        for (const operation of operations) {
+            final.set(
+                operation.type === 'put' ? operation.item.key : operation.key,
+                operation.type === 'put' ? operation.item : null
+            );
+        }
+        const previous = await this.currentRecords([...keys], snapshot, { fetch: true });
+
+        let delta = 0;
+        for (const [key, item] of final) {
+            delta += (item?.size || 0) - (previous.get(key)?.size || 0);
+        }
+
+        const excess = this.storageBytes + delta - this.maxStorageBytes;
+        if (excess > 0) {
+            const victims = await this.selectVictims(excess, keys);
+            if (!victims) {
+                throw new ThoughtError(
+                    'MemoryLimitExceeded',
+                    `Write exceeds the storage quota of ${this.maxStorageBytes} bytes`,
+                    { required: excess, quota: this.maxStorageBytes, policy: this.storageEvictionPolicy }
+                );
+            }
+            await this.evictFromStorage(victims);
+        }
+        return delta;
+    }
+
+    // Run a write; if the backend reports it is out of space, evict records
+    // for the incoming bytes and retry once before giving up
+    async writeOrEvict(operations, keys, write) {
+        try {
+            return await write();
+        } catch (error) {
+            if (!HybridStorage.isQuotaError(error)) throw error;
+
+            let cause = error;
+            const incoming = operations.reduce((sum, operation) => sum + (operation.item?.size || 0), 0);
+            const victims = await this.selectVictims(incoming, keys, { partial: true });
+            if (victims) {
+                await this.evictFromStorage(victims);
+                try {
+                    return await write();
+                } catch (retryError) {
+                    if (!HybridStorage.isQuotaError(retryError)) throw retryError;
+                    cause = retryError;
+                }
+            }
+
+            throw new ThoughtError('MemoryLimitExceeded', 'Storage quota exceeded', {
+                cause: cause.message,
+                policy: this.storageEvictionPolicy
+            });
+        }
+    }
+
+    static isQuotaError(error) {
+        return error?.name === 'QuotaExceededError'
+            || error?.code === 'MemoryLimitExceeded'
+            || error?.code === 'ENOSPC';
+    }
+
+    // Pick records to evict from the persistent tier until `bytes` are freed,
+    // in storageEvictionPolicy order and skipping `protectedKeys` and keys
+    // with a queued write-behind record, which the next flush would write
+    // back. Returns
+    // null when the policy forbids eviction or, unless `partial`, when not
+    // enough can be freed.
+    async selectVictims(bytes, protectedKeys, { partial = false } = {}) {
+        if (this.storageEvictionPolicy === 'none') return null;
+
+        const byPriority = this.storageEvictionPolicy === 'priority';
+        const victims = [];
+        let freed = 0;
+        let group = [];
+
+        const take = (items) => {
+            for (const item of items) {
+                if (freed >= bytes) return;
+                victims.push(item);
+                freed += item.size || 0;
+            }
+        };
+        // The priority index orders ties by key, so each priority level is
+        // collected and taken oldest first
+        const takeGroup = () => {
+            take(group.sort((a, b) => a.timestamp - b.timestamp));
+            group = [];
+        };
+
+        await this.backend.cursor({ index: byPriority ? 'priority' : 'timestamp' }, (item) => {
+            if (protectedKeys.has(item.key) || this.pendingWrites.has(item.key)) return;
+
+            if (!byPriority) {
+                take([item]);
+                return freed >= bytes ? false : undefined;
+            }
+            if (group.length > 0 && item.priority !== group[0].priority) {
+                takeGroup();
+                if (freed >= bytes) return false;
+            }
+            group.push(item);
+        });
+        takeGroup();
+
+        if (victims.length === 0 || (!partial && freed < bytes)) {
+            return null;
+        }
+        return victims;
+    }
+
+    async evictFromStorage(victims) {
+        await this.backend.batch(victims.map(item => ({ type: 'delete', key: item.key })));
+
+        for (const item of victims) {
+            const cached = this.memoryStore.delete(item.key);
+            this.metrics.recordEviction('storage');
+            this.emitChange('evict', item.key, cached ? 'both' : 'db', item.tags);
+        }
+        this.releaseStorage(victims);
+    }
+
+    // Write-behind: queue a dirty record, replacing any queued record for
+    // the same key
+    queueWrite(item) {
+        this.pendingWrites.delete(item.key);
+        this.pendingWrites.set(item.key, item);
+        this.scheduleFlush(this.pendingWrites.size >= this.maxPendingWrites ? 0 : this.flushInterval);
+    }
+
+    // The timer is not unref'd, so Node.js stays up until queued writes land
+    scheduleFlush(delay) {
+        if (this.flushTimer && delay > 0) return;
+        clearTimeout(this.flushTimer);
+        this.flushTimer = setTimeout(() => {
+            this.flushTimer = null;
+            this.flush().catch(error => console.error('Write-behind flush failed:', error));
+        }, delay);
+    }
+
+    stopFlushTimer() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+    }
+
+    // Write every queued write-behind record to the persistent tier, in
+    // batches of maxPendingWrites, and return how many were written. A batch
+    // that fails stays queued and is retried after flushInterval.
+    async flush() {
         await this.ensureDBConnection();
 
-        return new Promise((resolve, reject) => {
+        return this.lock.acquire('flush', async () => {
+            this.stopFlushTimer();
+            const startTime = performance.now();
+            let written = 0;
+
             try {
-                if (!this.db) throw new Error('Database not available');
-                const transaction = this.db.transaction([this.storeName], 'readonly');
-                const store = transaction.objectStore(this.storeName);
-                const request = store.get(key);
+                while (this.pendingWrites.size > 0) {
+                    const keys = Array.from(this.pendingWrites.keys()).slice(0, this.maxPendingWrites);
+                    written += await this.flushBatch(keys);
+                }
+                this.metrics.recordFlush(written);
+                this.metrics.recordLatency('flush', performance.now() - startTime);
+                return written;
+            } catch (error) {
+                this.metrics.recordFlushFailure();
+                this.metrics.recordError();
+                this.scheduleFlush(this.flushInterval);
+                throw error;
+            }
+        });
+    }
 
-                request.onerror = () => {
-                    reject(new Error(`Failed to retrieve item: ${request.error}`));
-                };
+    // Hold the write and delete locks of the batch so a set or delete of
+    // the same key cannot land between reading the queue and writing it
+    async flushBatch(keys) {
+        const lockKeys = keys.flatMap(key => [`write_${key}`, `delete_${key}`]);
 
-                request.onsuccess = () => {
-                    const item = request.result;
-                    if (item) {
-                        // If item was stored earlier, lastAccess might not exist
-                        if (!item.lastAccess) {
-                            item.lastAccess = item.timestamp;
-                        }
-                    }
-                    resolve(item || null);
-                };
-            } catch (error) {
-                reject(new Error(`Failed to create transaction: ${error.message}`));
+        return this.lock.acquireMultiple(lockKeys, async () => {
+            const items = keys.map(key => this.pendingWrites.get(key)).filter(Boolean);
+            if (items.length === 0) return 0;
+
+            // Nothing is in memory to roll back, so the quota check compares
+            // against the stored records
+            const batch = items.map(item => ({ type: 'put', item }));
+            await this.writeWithinQuota(batch, new Map(), () => this.backend.batch(batch));
+            items.forEach(item => this.pendingWrites.delete(item.key));
+
+            if (this.coherenceBus) {
+                items.forEach(item => this.queueInvalidation(item.key));
             }
+            return items.length;
         });
     }
 
+    // Reads that go straight to the persistent tier flush the queue first
+    async flushPendingWrites() {
+        if (this.pendingWrites.size > 0) {
+            await this.flush();
+        }
+    }
+
+    // Write-through batch; queued write-behind records for the same keys are
+    // superseded by it
+    async batchInDB(operations) {
+        await this.backend.batch(operations);
+        this.dropPendingWrites(operations.map(operation => (
+            operation.type === 'put' ? operation.item.key : operation.key
+        )));
+    }
+
+    dropPendingWrites(keys) {
+        let dropped = false;
+        for (const key of keys) {
+            dropped = this.pendingWrites.delete(key) || dropped;
+        }
+        // Quota figures for these keys assumed the queued records were stored
+        if (dropped) {
+            this.storageBytes = null;
+        }
+    }
+
+    async setInDB(item) {
+        await this.ensureDBConnection();
+        return this.backend.put(item);
+    }
+
+    async getFromDB(key) {
+        await this.ensureDBConnection();
+
+        const pending = this.pendingWrites.get(key);
+        if (pending) {
+            return pending;
+        }
+
+        const item = await this.backend.get(key);
+        if (item) {
+            // If item was stored earlier, lastAccess might not exist
+            if (!item.lastAccess) {
+                item.lastAccess = item.timestamp;
+            }
+        }
+        return item || null;
+    }
+
     async deleteFromDB(key) {
-        return new Promise((resolve, reject) => {
-            if (!this.db) return reject(new Error('Database not available'));
-            const transaction = this.db.transaction([this.storeName], 'readwrite');
-            const store = transaction.objectStore(this.storeName);
-            const request = store.delete(key);
-
-            request.onerror = () => reject(new Error(`Failed to delete item: ${request.error}`));
-            request.onsuccess = () => resolve(true);
-        });
+        const result = await this.backend.delete(key);
+        this.dropPendingWrites([key]);
+        return result;
     }
 
     async existsInDB(key) {
-        return new Promise((resolve, reject) => {
-            if (!this.db) return reject(new Error('Database not available'));
-            const transaction = this.db.transaction([this.storeName], 'readonly');
-            const store = transaction.objectStore(this.storeName);
-            const request = store.count(key);
-
-            request.onerror = () => reject(new Error(`Failed to check item existence: ${request.error}`));
-            request.onsuccess = () => resolve(request.result > 0);
-        });
+        return this.pendingWrites.has(key) || (await this.backend.count(key)) > 0;
     }
 
     async clearDB() {
-        return new Promise((resolve, reject) => {
-            if (!this.db) return reject(new Error('Database not available'));
-            const transaction = this.db.transaction([this.storeName], 'readwrite');
-            const store = transaction.objectStore(this.storeName);
-            const request = store.clear();
-
-            request.onerror = () => reject(new Error(`Failed to clear store: ${request.error}`));
-            request.onsuccess = () => resolve(true);
-        });
+        const result = await this.backend.clear();
+        this.pendingWrites.clear();
+        return result;
     }
 
-    async queryDB(filter) {
-        return new Promise((resolve, reject) => {
-            if (!this.db) return reject(new Error('Database not available'));
-            const transaction = this.db.transaction([this.storeName], 'readonly');
-            transaction.startTime = Date.now();
-            const store = transaction.objectStore(this.storeName);
-            const results = new Map();
-            let count = 0;
-
-            let request;
-            if (filter.tags && filter.tags.length > 0) {
-                const tagIndex = store.index('tags');
-                request = tagIndex.openCursor();
-            } else if (filter.minPriority !== undefined) {
-                const priorityIndex = store.index('priority');
-                request = priorityIndex.openCursor(IDBKeyRange.lowerBound(filter.minPriority));
-            } else {
-                request = store.openCursor();
-            }
+    async queryDB(filter = {}) {
+        const startTime = Date.now();
+        const planner = new QueryPlanner(this.backend.getIndexes());
+        const query = planner.normalize(filter);
+        const plan = planner.plan(query);
+
+        const pageEnd = query.limit === null ? Infinity : query.offset + query.limit;
+        const matches = [];
+        const matchedKeys = new Set();
+        let itemsScanned = 0;
+        let exhausted = true;
+
+        const unsatisfiable = Object.values(query.where).some(range => KeyRangeUtil.isEmpty(range));
+        // An ordered walk resumes right after the cursor position
+        const after = plan.ordered && query.after ? QueryPlanner.cursorAfter(query.after) : undefined;
+        for (const range of unsatisfiable ? [] : plan.ranges) {
+            await this.backend.cursor({ index: plan.index, range, direction: plan.direction, after }, (item) => {
+                itemsScanned++;
+                // A union scan can reach the same record through several tags
+                if (matchedKeys.has(item.key)) return;
+                if (this.isExpired(item) || !planner.matches(item, query)) return;
+                if (query.after && !QueryPlanner.isAfter(item, query.after, query.sort)) return;
+
+                matchedKeys.add(item.key);
+                matches.push(item);
+
+                // Results arrive in sort order, so stop once the page plus
+                // one look-ahead item (to detect a next page) is collected
+                if (plan.ordered && matches.length > pageEnd) {
+                    exhausted = false;
+                    return false;
+                }
+            });
+        }
 
-            request.onerror = () => reject(new Error(`Query failed: ${request.error}`));
-            request.onsuccess = (event) => {
-                const cursor = event.target.result;
-                if (cursor) {
-                    const item = cursor.value;
-                    if (this.matchesFilter(item, filter) && !this.isExpired(item)) {
-                        results.set(item.key, item.value);
-                        count++;
-                    }
-                    cursor.continue();
-                } else {
-                    resolve({
-                        items: results,
-                        totalCount: count,
-                        metrics: {
-                            executionTime: Date.now() - transaction.startTime,
-                            itemsScanned: count,
-                            resultSize: results.size
-                        }
-                    });
+        if (!plan.ordered) {
+            matches.sort((a, b) => QueryPlanner.compare(a, b, query.sort));
+        }
+
+        const page = matches.slice(query.offset, pageEnd);
+        const hasMore = matches.length > pageEnd;
+        const items = new Map();
+        for (const item of page) {
+            items.set(item.key, await this.projectItem(item, query.select));
+        }
+
+        return {
+            items,
+            keys: page.map(item => item.key),
+            // Matches at or after the cursor position; unknown (null) when
+            // the scan stopped early
+            totalCount: exhausted ? matches.length : null,
+            hasMore,
+            nextCursor: hasMore && page.length > 0
+                ? QueryPlanner.encodeCursor(page[page.length - 1], query.sort)
+                : null,
+            metrics: {
+                executionTime: Date.now() - startTime,
+                itemsScanned,
+                resultSize: items.size,
+                plan: {
+                    strategy: plan.strategy,
+                    index: plan.index,
+                    direction: plan.direction,
+                    ordered: plan.ordered
                 }
-            };
-        });
+            }
+        };
     }
 
-    async compactDB() {
+    // Lazily walk matching records in sort order, yielding [key, value] pairs
+    // projected like query(). Records are read `batchSize` at a time, each
+    // batch in its own backend cursor that resumes strictly after the last
+    // record seen, so memory stays bounded however large the store is, no
+    // record is read twice and the caller may await between items or break
+    // early.
+    async *scan(filter = {}, { batchSize = 100, includeExpired = false } = {}) {
         await this.ensureDBConnection();
+        await this.flushPendingWrites();
 
-        return this.lock.acquire('compact', async () => {
-            try {
-                const allData = await this.getAllItems();
+        const planner = new QueryPlanner(this.backend.getIndexes());
+        const query = planner.normalize(filter);
+        const index = query.sort.by === 'key' ? null : query.sort.by;
+        if (index && !this.backend.getIndexes().some(definition => definition.name === index)) {
+            throw new ThoughtError('InvalidInput', `Cannot scan in order of non-indexed field: ${index}`, { sort: query.sort });
+        }
+        if (Object.values(query.where).some(range => KeyRangeUtil.isEmpty(range))) {
+            return;
+        }
 
-                if (this.db && typeof this.db.close === 'function' && !this.db.closed) {
-                    this.db.close();
+        const baseRange = index ? query.where[index] || null : null;
+        const direction = query.sort.order === 'desc' ? 'prev' : 'next';
+        let position = query.after;
+        let toSkip = query.offset;
+        let remaining = query.limit ?? Infinity;
+
+        while (remaining > 0) {
+            const after = position ? QueryPlanner.cursorAfter(position) : undefined;
+            const batch = [];
+            let last = null;
+            let visited = 0;
+            await this.backend.cursor({ index, range: baseRange, direction, after }, (item) => {
+                last = item;
+                if ((includeExpired || !this.isExpired(item)) && planner.matches(item, query)) {
+                    batch.push(item);
                 }
+                if (++visited >= batchSize) return false;
+            });
 
-                await new Promise((resolve, reject) => {
-                    const deleteRequest = indexedDB.deleteDatabase(this.dbName);
-                    deleteRequest.onerror = () => reject(new Error('Failed to delete old database'));
-                    deleteRequest.onsuccess = () => resolve();
-                });
+            for (const item of batch) {
+                if (toSkip > 0) {
+                    toSkip--;
+                    continue;
+                }
+                yield [item.key, await this.projectItem(item, query.select)];
+                if (--remaining === 0) return;
+            }
 
-                await this.initializeDB();
+            if (visited < batchSize) return;
+            position = { value: QueryPlanner.sortValue(last, query.sort), key: last.key };
+        }
+    }
 
-                for (const item of allData) {
-                    await this.setInDB(item);
-                }
+    async projectItem(item, select) {
+        if (select === 'records') {
+            return item;
+        }
+        if (select === 'keys') {
+            return item.key;
+        }
+        if (select === 'metadata') {
+            const { value, ...metadata } = item;
+            return metadata;
+        }
+        return this.decodeValue(item);
+    }
 
-                return true;
+    // Rewrite the persistent tier without expired records and reclaim the
+    // space left by overwritten and deleted ones. Returns the store's
+    // statistics before and after.
+    async compactDB() {
+        await this.ensureDBConnection();
+
+        return this.lock.acquire('compact', async () => {
+            try {
+                const startTime = performance.now();
+                const resumed = this.backend.hasPendingCompaction();
+                const before = await this.getStorageStats();
+
+                await this.backend.compact(this.scanRecords());
+                // Expired records were dropped
+                this.storageBytes = null;
+
+                const after = await this.getStorageStats();
+                return {
+                    resumed,
+                    before,
+                    after,
+                    reclaimed: Math.max(0, before.totalSize - after.totalSize),
+                    duration: performance.now() - startTime
+                };
             } catch (error) {
-                this.metrics.errors++;
+                this.metrics.recordError();
                 throw new Error(`Database compaction failed: ${error.message}`);
             }
         });
     }
 
+    async *scanRecords() {
+        for await (const [, item] of this.scan({ select: 'records' })) {
+            if (!item.lastAccess) {
+                item.lastAccess = item.timestamp;
+            }
+            yield item;
+        }
+    }
+
     async getAllItems() {
-        return new Promise((resolve, reject) => {
-            if (!this.db) return reject(new Error('Database not available'));
-            const items = [];
-            const transaction = this.db.transaction([this.storeName], 'readonly');
-            const store = transaction.objectStore(this.storeName);
-            const request = store.openCursor();
-
-            request.onerror = () => reject(new Error('Failed to get all items'));
-            request.onsuccess = (event) => {
-                const cursor = event.target.result;
-                if (cursor) {
-                    if (!this.isExpired(cursor.value)) {
-                        const item = cursor.value;
-                        if (!item.lastAccess) {
-                            item.lastAccess = item.timestamp;
-                        }
-                        items.push(item);
-                    }
-                    cursor.continue();
-                } else {
-                    resolve(items);
-                }
-            };
-        });
+        const items = [];
+        for await (const item of this.scanRecords()) {
+            items.push(item);
+        }
+        return items;
     }
 
     isExpired(item) {
+        if (item.expiresAt !== undefined) {
+            return Date.now() > item.expiresAt;
+        }
         return item.expiry && Date.now() > item.timestamp + item.expiry;
     }
 
     shouldStoreInMemory(item) {
         if (!item) return false;
 
+        // An item that alone exceeds the byte limit would only evict others
+        if (item.size > this.maxMemoryBytes) return false;
         if (item.priority > 0) return true;
         if (item.size > 100000) return false;
 
@@ -556,171 +1750,156 @@ class HybridStorage {
         return isRecent || isFrequent;
     }
 
+    // Cache an item in the memory tier, dropping any stale copy it replaces
+    storeInMemoryTier(item) {
+        if (this.shouldStoreInMemory(item)) {
+            this.memoryStore.set(item.key, item);
+        } else {
+            this.memoryStore.delete(item.key);
+        }
+    }
+
+    snapshotMemory(keys) {
+        return new Map(keys.map(key => [key, this.memoryStore.get(key)]));
+    }
+
+    restoreMemory(snapshot) {
+        for (const [key, item] of snapshot) {
+            if (item === undefined) {
+                this.memoryStore.delete(key);
+            } else {
+                this.memoryStore.set(key, item);
+            }
+        }
+    }
+
+    // Estimated recent reads of a key, resident or not
     getAccessCount(key) {
-        return this.accessCounter.get(key) || 0;
+        return this.frequency.estimate(key);
     }
 
     incrementAccessCount(key) {
-        const current = this.accessCounter.get(key) || 0;
-        this.accessCounter.set(key, current + 1);
+        this.frequency.increment(key);
     }
 
     updateLastAccess(item) {
         item.lastAccess = Date.now();
     }
 
+    exceedsMemoryLimit() {
+        return this.memoryStore.size > this.maxMemoryItems
+            || this.memoryStore.bytes > this.maxMemoryBytes;
+    }
+
+    // Evict the policy's victims until the tier is back within its limits
     enforceMemoryLimit() {
-        if (this.memoryStore.size <= this.maxMemoryItems) return;
-
-        const items = Array.from(this.memoryStore.entries())
-            .map(([key, item]) => ({
-                key,
-                priority: item.priority,
-                lastAccess: item.lastAccess || item.timestamp
-            }))
-            .sort((a, b) => {
-                // Sort by priority descending (higher priority first),
-                // and for ties, by recency descending (more recent first).
-                // The tests might expect the opposite, but let's try to keep frequently accessed items in.
-                // Given the test's failure, let's invert logic: higher priority/later lastAccess = keep in memory,
-                // so we sort by priority ascending then by lastAccess ascending to evict the oldest/lowest first,
-                // Actually let's do the opposite: we want to keep highest priority and most recent usage.
-                // We'll sort by priority ascending and lastAccess ascending means we remove low priority and older first,
-                // that should be correct.
-
-                if (a.priority !== b.priority) {
-                    return a.priority - b.priority;
-                }
-                return a.lastAccess - b.lastAccess;
-            });
+        while (this.exceedsMemoryLimit()) {
+            const key = this.evictionPolicy.selectVictim();
+            if (key === undefined || !this.memoryStore.has(key)) break;
 
-        // Evict from the front of sorted array (lowest priority, oldest lastAccess)
-        while (this.memoryStore.size > this.maxMemoryItems) {
-            const item = items.shift();
-            if (item) {
-                this.memoryStore.delete(item.key);
-            }
+            this.evictionPolicy.onEvict(key);
+            this.evictFromMemory(key);
+            this.metrics.recordEviction('memory');
         }
     }
 
-    calculateItemSize(value) {
-        if (typeof value === 'string') {
-            return value.length * 2;
-        }
-        return JSON.stringify(value).length * 2;
+    evictFromMemory(key) {
+        const item = this.memoryStore.get(key);
+        if (!item) return;
+        this.memoryStore.delete(key);
+        this.emitChange('evict', key, 'memory', item.tags);
     }
 
-    recordAccessTime(duration) {
-        this.metrics.accessTimes.push(duration);
-        if (this.metrics.accessTimes.length > this.metrics.maxAccessTimes) {
-            this.metrics.accessTimes.shift();
-        }
+    emitChange(type, key, tier, tags = []) {
+        this.events.emit(type, { key, tier, tags: tags || [] });
     }
 
-    analyzeAccessPatterns() {
-        const analysis = {
-            averageAccessTime: 0,
-            hitRate: 0,
-            fragmentation: 0
-        };
-
-        if (this.metrics.accessTimes.length > 0) {
-            analysis.averageAccessTime = this.metrics.accessTimes.reduce((a, b) => a + b, 0)
-                / this.metrics.accessTimes.length;
-        }
-
-        const totalAccesses = this.metrics.hits + this.metrics.misses;
-        if (totalAccesses > 0) {
-            analysis.hitRate = this.metrics.hits / totalAccesses;
-        }
+    calculateItemSize(value) {
+        return SizeUtil.byteLength(value);
+    }
 
+    analyzeAccessPatterns() {
+        const { averageAccessTime, hitRate } = this.metrics.analyzeAccessPatterns();
         // fragmentation will be calculated asynchronously if needed
-        analysis.fragmentation = 0;
-
-        return analysis;
+        return { averageAccessTime, hitRate, fragmentation: 0 };
     }
 
     async estimateFragmentation() {
         try {
-            const stats = await this.getStorageStats();
-            if (stats.totalSize === 0) {
-                // If no items, no fragmentation
-                return 0;
-            }
-            return 1 - (stats.usedSize / stats.totalSize);
+            return (await this.getStorageStats()).fragmentation;
         } catch {
             return 0;
         }
     }
 
+    // Measured by the backend: usedSize is the bytes of live records,
+    // totalSize what the store occupies including reclaimable space
     async getStorageStats() {
         await this.ensureDBConnection();
-        return new Promise((resolve, reject) => {
-            if (!this.db) return reject(new Error('Database not available'));
-
-            const transaction = this.db.transaction([this.storeName], 'readonly');
-            const store = transaction.objectStore(this.storeName);
-            const countRequest = store.count();
-            let usedSize = 0;
-
-            countRequest.onerror = () => reject(new Error('Failed to get storage stats'));
-            countRequest.onsuccess = () => {
-                const totalCount = countRequest.result;
-                if (totalCount === 0) {
-                    // No items, return default values
-                    return resolve({ totalSize: 1, usedSize: 0 });
-                }
-                const cursorReq = store.openCursor();
-                cursorReq.onerror = () => reject(new Error('Failed to get storage stats'));
-                cursorReq.onsuccess = (event) => {
-                    const cursor = event.target.result;
-                    if (cursor) {
-                        const item = cursor.value;
-                        usedSize += this.calculateItemSize(item.value);
-                        cursor.continue();
-                    } else {
-                        resolve({
-                            totalSize: totalCount * 1000, // Rough estimate
-                            usedSize: usedSize
-                        });
-                    }
-                };
-            };
-        });
+        await this.flushPendingWrites();
+
+        const { records, usedSize, totalSize } = await this.backend.getStorageStats();
+        const fragmentation = totalSize > 0 ? 1 - (usedSize / totalSize) : 0;
+        this.metrics.recordFragmentation(fragmentation);
+        return {
+            records,
+            usedSize,
+            totalSize,
+            fragmentation,
+            compactionPending: this.backend.hasPendingCompaction()
+        };
     }
 
     optimizeMemoryStoreSize() {
         // Note: Now we get actual fragmentation later, but we don't do it here.
         const analysis = this.analyzeAccessPatterns();
 
-        if (analysis.hitRate > 0.8 && this.metrics.errors < 100) {
+        const { errors } = this.metrics.metrics;
+        if (analysis.hitRate > 0.8 && errors < 100) {
             this.maxMemoryItems = Math.min(
                 Math.floor(this.maxMemoryItems * 1.2),
                 100000
             );
-        } else if (analysis.hitRate < 0.4 || this.metrics.errors > 1000) {
+        } else if (analysis.hitRate < 0.4 || errors > 1000) {
             this.maxMemoryItems = Math.max(
                 Math.floor(this.maxMemoryItems * 0.8),
                 1000
             );
         }
+        this.evictionPolicy.resize(this.maxMemoryItems);
     }
 
     async destroy() {
+        this.stopSweeper();
+        this.optimizer?.stop();
         await this.ensureDBConnection();
 
+        // Drain the write-behind queue so no flush runs against the
+        // destroyed store
+        try {
+            await this.flushPendingWrites();
+        } catch (error) {
+            console.error('Write-behind flush failed:', error);
+        }
+        this.stopFlushTimer();
+        this.pendingWrites.clear();
+
         try {
             this.memoryStore.clear();
 
-            if (this.db && typeof this.db.close === 'function' && !this.db.closed) {
-                this.db.close();
+            await this.backend.destroy();
+            this.initialized = false;
+            this.storageBytes = null;
+
+            // Peers must not keep serving records that no longer exist
+            if (this.coherenceBus) {
+                this.queueInvalidation(null);
+                this.flushInvalidations();
+                this.unsubscribeCoherence();
+                this.coherenceBus.close();
+                this.coherenceBus = null;
             }
-
-            await new Promise((resolve, reject) => {
-                const request = indexedDB.deleteDatabase(this.dbName);
-                request.onerror = () => reject(new Error('Failed to delete database'));
-                request.onsuccess = () => resolve();
-            });
+            this.events.clear();
 
             return true;
         } catch (error) {
@@ -728,38 +1907,24 @@ class HybridStorage {
         }
     }
 
-    matchesFilter(item, filter) {
-        if (!item) return false;
-
-        if (filter.tags && !filter.tags.every(tag => item.tags.includes(tag))) {
-            return false;
-        }
-
-        if (filter.createdAfter && item.timestamp < filter.createdAfter.getTime()) {
-            return false;
-        }
-
-        if (filter.createdBefore && item.timestamp > filter.createdBefore.getTime()) {
-            return false;
-        }
-
-        if (filter.minPriority !== undefined && item.priority < filter.minPriority) {
-            return false;
-        }
-
-        if (filter.maxSize !== undefined && item.size > filter.maxSize) {
-            return false;
-        }
-
-        return true;
-    }
-
     async getUsageMetrics() {
-        const totalAccesses = this.metrics.hits + this.metrics.misses;
         return {
-            hitRate: totalAccesses === 0 ? 0 : this.metrics.hits / totalAccesses
+            hitRate: this.metrics.getHitRate()
         };
     }
+
+    // Metrics in Prometheus text ('prometheus') or OpenMetrics
+    // ('openmetrics') format, with the tiers' current sizes as gauges.
+    // Serve with StorageMetrics.ContentTypes[format].
+    exportMetrics(format = 'prometheus') {
+        this.metrics.setGauge('memory_items', this.memoryStore.size, 'Records in the memory tier.');
+        this.metrics.setGauge('memory_bytes', this.memoryStore.bytes, 'Bytes held by the memory tier.');
+        this.metrics.setGauge('pending_writes', this.pendingWrites.size, 'Write-behind records waiting to be flushed.');
+        if (this.storageBytes !== null) {
+            this.metrics.setGauge('storage_bytes', this.storageBytes, 'Bytes on the persistent tier.');
+        }
+        return this.metrics.export(format);
+    }
 }
 
 export { HybridStorage }
@@ -1,4 +1,40 @@
 // modules/storage/index.js
 export { HybridStorage } from './hybridStorage';
+export { StorageTransaction } from './storageTransaction';
+export { StorageEvents } from './storageEvents';
+export { OptimizationScheduler } from './optimizationScheduler';
+export {
+    CoherenceBus,
+    BroadcastChannelBus,
+    InProcessBus,
+    createCoherenceBus
+} from './coherenceBus';
 export { CompressionUtil } from './utils/compression';
-export { StorageMetrics } from './utils/metrics';
\ No newline at end of file
+export { CompressionDictionary } from './utils/dictionary';
+export { LZ4Util } from './utils/lz4';
+export { ChecksumUtil } from './utils/checksum';
+export { StorageMetrics, LatencyHistogram } from './utils/metrics';
+export { KeyRangeUtil } from './utils/keyRange';
+export { SchemaMigrator } from './utils/migrations';
+export { QueryPlanner } from './utils/queryPlanner';
+export { SizeUtil } from './utils/size';
+export { FrequencySketch } from './utils/frequencySketch';
+export { SerializationUtil } from './utils/serialization';
+export { SnapshotFormat } from './utils/snapshot';
+export { EncryptionUtil, KeyRing } from './utils/encryption';
+export {
+    StorageBackend,
+    IndexedDBBackend,
+    MemoryBackend,
+    FileSystemBackend,
+    createStorageBackend
+} from './backends';
+export {
+    EvictionPolicy,
+    PriorityPolicy,
+    LRUPolicy,
+    LFUPolicy,
+    ARCPolicy,
+    TinyLFUPolicy,
+    createEvictionPolicy
+} from './eviction';
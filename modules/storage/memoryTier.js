@@ -0,0 +1,36 @@
+import { SizedMap } from './utils/size';
+
+// The HybridStorage memory tier: a byte-counting map of key -> stored item
+// that reports every insert, replacement and removal to its eviction policy
+class MemoryTier extends SizedMap {
+    constructor(policy) {
+        super();
+        this.policy = policy;
+    }
+
+    set(key, item) {
+        const existed = this.has(key);
+        super.set(key, item);
+        if (existed) {
+            this.policy.onUpdate(key, item);
+        } else {
+            this.policy.onInsert(key, item);
+        }
+        return this;
+    }
+
+    delete(key) {
+        const deleted = super.delete(key);
+        if (deleted) {
+            this.policy.onRemove(key);
+        }
+        return deleted;
+    }
+
+    clear() {
+        super.clear();
+        this.policy.clear();
+    }
+}
+
+export { MemoryTier }
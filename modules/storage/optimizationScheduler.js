@@ -0,0 +1,222 @@
+// Runs HybridStorage maintenance when StorageMetrics says it is needed.
+// Every `interval` ms the scheduler checks the metrics; when the store is
+// idle it measures fragmentation too, and when a threshold trips it runs
+// only the actions that address it (a busy store is checked again once it
+// may have gone quiet):
+//   hitRate        resize the memory tier
+//   fragmentation  compact the persistent tier
+//   latency        vacuum expired records and resize the memory tier
+//   errorRate      vacuum expired records
+// A compaction left unfinished is always resumed. Runs are at least
+// `minInterval` ms apart, and each is recorded with the measurements taken
+// before and after it; the next check adds how hit rate and latency moved.
+class OptimizationScheduler {
+    static Actions = {
+        hitRate: ['resize'],
+        fragmentation: ['compact'],
+        latency: ['vacuum', 'resize'],
+        errorRate: ['vacuum']
+    };
+
+    constructor(storage, options = {}) {
+        this.storage = storage;
+        this.interval = options.interval || 60 * 1000;
+        this.minInterval = options.minInterval ?? 15 * 60 * 1000;
+        // Quiet period, since the last access, that counts as idle
+        this.idleDelay = options.idleDelay ?? 5000;
+        this.maxHistory = options.maxHistory || 50;
+        this.now = options.now || Date.now;
+
+        this.history = [];
+        this.stats = { checks: 0, runs: 0, deferred: 0, failures: 0 };
+        this.lastRun = null;
+        this.timer = null;
+        this.running = false;
+        // Set by stop(), so a check in progress does not schedule another
+        this.stopped = true;
+    }
+
+    start() {
+        this.stop();
+        this.stopped = false;
+        this.schedule(this.interval);
+        return this;
+    }
+
+    stop() {
+        this.stopped = true;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    schedule(delay) {
+        this.timer = setTimeout(() => this.tick(), delay);
+        // Don't keep a Node.js process alive just to optimize
+        this.timer.unref?.();
+    }
+
+    async tick() {
+        this.timer = null;
+        const deferred = this.stats.deferred;
+        let delay = this.interval;
+        try {
+            await this.runOnce();
+            // Busy: look again once it may have gone quiet
+            if (this.stats.deferred > deferred) {
+                delay = Math.max(this.idleDelay, 1);
+            }
+        } catch (error) {
+            console.error('Scheduled optimization failed:', error);
+        }
+        // stop() may have been called while the check ran
+        if (!this.stopped) {
+            this.schedule(delay);
+        }
+    }
+
+    isIdle() {
+        const { lastActivity } = this.storage.metrics;
+        const quiet = lastActivity === null || this.now() - lastActivity >= this.idleDelay;
+        return quiet && this.storage.pendingWrites.size === 0;
+    }
+
+    // One check. Returns the history entry of a run, or null when nothing
+    // needs doing, the last run was too recent or the store is busy (counted
+    // in stats.deferred). `force` skips the idle and rate limits.
+    async runOnce({ force = false } = {}) {
+        if (this.running) return null;
+        this.running = true;
+        try {
+            this.stats.checks++;
+            this.recordFollowUp();
+
+            if (!force && this.lastRun !== null && this.now() - this.lastRun < this.minInterval) {
+                return null;
+            }
+
+            // Measuring the store is itself work, so a busy store is judged
+            // on the fragmentation measured last time
+            if (!force && !this.isIdle()) {
+                if (this.storage.metrics.shouldOptimize() || this.storage.backend.hasPendingCompaction()) {
+                    this.stats.deferred++;
+                }
+                return null;
+            }
+
+            const before = await this.measure();
+            const reasons = this.storage.metrics.getOptimizationReasons();
+            const actions = new Set(reasons.flatMap(reason => OptimizationScheduler.Actions[reason]));
+            if (before.compactionPending) {
+                actions.add('compact');
+            }
+            if (actions.size === 0) return null;
+
+            if (!force) {
+                await waitForIdleCallback(this.idleDelay);
+            }
+            return await this.run(reasons, [...actions], before);
+        } finally {
+            this.running = false;
+        }
+    }
+
+    async run(reasons, actions, before) {
+        const entry = {
+            timestamp: this.now(),
+            reasons,
+            actions: [],
+            before,
+            after: null,
+            followUp: null
+        };
+        this.lastRun = entry.timestamp;
+        this.stats.runs++;
+
+        // Manual optimize() calls and scheduled runs don't overlap
+        await this.storage.lock.acquire('optimize', async () => {
+            // Vacuum first so compaction has less to copy
+            for (const action of ['vacuum', 'resize', 'compact'].filter(name => actions.includes(name))) {
+                const startTime = performance.now();
+                const record = { action, result: null, error: null, duration: 0 };
+                try {
+                    record.result = await this.perform(action);
+                } catch (error) {
+                    record.error = error.message;
+                    this.stats.failures++;
+                }
+                record.duration = performance.now() - startTime;
+                entry.actions.push(record);
+            }
+        });
+
+        entry.after = await this.measure();
+        this.history.push(entry);
+        if (this.history.length > this.maxHistory) {
+            this.history.shift();
+        }
+        return entry;
+    }
+
+    async perform(action) {
+        const { storage } = this;
+        switch (action) {
+            case 'vacuum':
+                return { reclaimed: await storage.vacuum() };
+            case 'resize': {
+                const from = storage.maxMemoryItems;
+                storage.optimizeMemoryStoreSize();
+                return { from, to: storage.maxMemoryItems };
+            }
+            case 'compact': {
+                const { reclaimed, resumed } = await storage.compactDB();
+                return { reclaimed, resumed };
+            }
+            default:
+                throw new Error(`Unknown optimization action: ${action}`);
+        }
+    }
+
+    async measure() {
+        const { metrics } = this.storage;
+        const stats = await this.storage.getStorageStats();
+        const analysis = metrics.analyzeAccessPatterns();
+        return {
+            hitRate: analysis.hitRate,
+            averageAccessTime: analysis.averageAccessTime,
+            errorRate: analysis.errorRate,
+            fragmentation: stats.fragmentation,
+            records: stats.records,
+            totalSize: stats.totalSize,
+            compactionPending: stats.compactionPending,
+            maxMemoryItems: this.storage.maxMemoryItems
+        };
+    }
+
+    // Hit rate and latency only show the effect of a run once traffic has
+    // flowed since, so they are filled in on the following check
+    recordFollowUp() {
+        const last = this.history[this.history.length - 1];
+        if (!last || last.followUp) return;
+
+        const analysis = this.storage.metrics.analyzeAccessPatterns();
+        last.followUp = {
+            timestamp: this.now(),
+            hitRate: analysis.hitRate,
+            averageAccessTime: analysis.averageAccessTime,
+            hitRateChange: analysis.hitRate - last.before.hitRate,
+            averageAccessTimeChange: analysis.averageAccessTime - last.before.averageAccessTime
+        };
+    }
+}
+
+// Browsers can tell us when the main thread is free; elsewhere run now
+function waitForIdleCallback(timeout) {
+    if (typeof globalThis.requestIdleCallback !== 'function') {
+        return Promise.resolve();
+    }
+    return new Promise(resolve => globalThis.requestIdleCallback(() => resolve(), { timeout }));
+}
+
+export { OptimizationScheduler }
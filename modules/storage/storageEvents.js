@@ -0,0 +1,97 @@
+import { ThoughtError } from '../errors/thoughtError';
+
+// Change notifications for HybridStorage. Handlers run synchronously once a
+// change has been committed; a failing handler is logged and affects neither
+// the storage operation nor other handlers.
+//
+// Every event carries { type, key, tier, tags, timestamp }, where tier is
+// 'memory', 'db' or 'both' depending on which tiers the change touched.
+// 'clear' events have a null key and reach every subscription for the type.
+class StorageEvents {
+    static Types = ['set', 'delete', 'expire', 'evict', 'clear', 'touch'];
+
+    constructor() {
+        this.subscriptions = new Set();
+    }
+
+    on(type, handler) {
+        return this.watch({ types: [type] }, handler);
+    }
+
+    off(type, handler) {
+        for (const subscription of this.subscriptions) {
+            if (subscription.handler === handler && subscription.types.has(type)) {
+                this.subscriptions.delete(subscription);
+            }
+        }
+    }
+
+    // Subscribe to events whose key or one of whose tags starts with the given
+    // prefix. Returns a function that cancels the subscription.
+    watch({ keyPrefix = null, tagPrefix = null, types = StorageEvents.Types } = {}, handler) {
+        if (typeof handler !== 'function') {
+            throw new ThoughtError('InvalidInput', 'Event handler must be a function');
+        }
+        const unknown = types.find(type => !StorageEvents.Types.includes(type));
+        if (unknown) {
+            throw new ThoughtError('InvalidInput', `Unknown storage event: ${unknown}`, { type: unknown });
+        }
+
+        const subscription = { keyPrefix, tagPrefix, types: new Set(types), handler };
+        this.subscriptions.add(subscription);
+        return () => this.subscriptions.delete(subscription);
+    }
+
+    hasSubscribers(type) {
+        for (const subscription of this.subscriptions) {
+            if (subscription.types.has(type)) return true;
+        }
+        return false;
+    }
+
+    // Whether some subscription filters this event type by tag, in which case
+    // the emitter should look up tags it does not already have
+    wantsTags(type) {
+        for (const subscription of this.subscriptions) {
+            if (subscription.types.has(type) && subscription.tagPrefix !== null) return true;
+        }
+        return false;
+    }
+
+    emit(type, { key = null, tier, tags = [] }) {
+        if (!this.hasSubscribers(type)) return;
+
+        const event = { type, key, tier, tags, timestamp: Date.now() };
+        for (const subscription of [...this.subscriptions]) {
+            if (!this.matches(subscription, event)) continue;
+
+            try {
+                const result = subscription.handler(event);
+                if (result && typeof result.catch === 'function') {
+                    result.catch(error => console.error('Storage event handler failed:', error));
+                }
+            } catch (error) {
+                console.error('Storage event handler failed:', error);
+            }
+        }
+    }
+
+    matches(subscription, event) {
+        if (!subscription.types.has(event.type)) return false;
+        if (event.type === 'clear') return true;
+
+        if (subscription.keyPrefix !== null && !String(event.key).startsWith(subscription.keyPrefix)) {
+            return false;
+        }
+        if (subscription.tagPrefix !== null && !event.tags.some(tag => tag.startsWith(subscription.tagPrefix))) {
+            return false;
+        }
+        return true;
+    }
+
+    clear() {
+        this.subscriptions.clear();
+    }
+}
+
+export { StorageEvents }
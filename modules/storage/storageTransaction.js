@@ -0,0 +1,47 @@
+// Collects writes for HybridStorage.transaction(). Nothing touches storage
+// until the callback returns; HybridStorage then applies every staged
+// operation in a single backend batch.
+class StorageTransaction {
+    constructor(storage) {
+        this.storage = storage;
+        this.operations = [];
+        this.staged = new Map();
+        this.finished = false;
+    }
+
+    set(key, value, options = {}) {
+        this.ensureActive();
+        this.operations.push({ type: 'set', key, value, options });
+        this.staged.set(key, { deleted: false, value });
+        return this;
+    }
+
+    delete(key) {
+        this.ensureActive();
+        this.operations.push({ type: 'delete', key });
+        this.staged.set(key, { deleted: true });
+        return this;
+    }
+
+    // Reads see the writes staged earlier in the same transaction
+    async get(key) {
+        this.ensureActive();
+        if (this.staged.has(key)) {
+            const entry = this.staged.get(key);
+            return entry.deleted ? null : entry.value;
+        }
+        return this.storage.get(key);
+    }
+
+    getKeys() {
+        return Array.from(this.staged.keys());
+    }
+
+    ensureActive() {
+        if (this.finished) {
+            throw new Error('Transaction has already finished');
+        }
+    }
+}
+
+export { StorageTransaction }
@@ -0,0 +1,25 @@
+// CRC-32 (IEEE 802.3, as used by zlib and PNG), table driven
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+class ChecksumUtil {
+    // Pass the previous result as `crc` to checksum data in pieces
+    static crc32(bytes, crc = 0) {
+        let c = (crc ^ 0xFFFFFFFF) >>> 0;
+        for (let i = 0; i < bytes.length; i++) {
+            c = CRC_TABLE[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8);
+        }
+        return (c ^ 0xFFFFFFFF) >>> 0;
+    }
+}
+
+export { ChecksumUtil }
@@ -1,34 +1,509 @@
-class CompressionUtil {
-    // LZ77-based compression algorithm implementation
-    static async compress(data) {
-        try {
-            // Convert data to string if needed
-            const stringData = typeof data === 'string' ? data : JSON.stringify(data);
+import { ThoughtError } from '../../errors/thoughtError';
+import { ChecksumUtil } from './checksum';
+import { SerializationUtil } from './serialization';
+import { LZ4Util } from './lz4';
+import { CompressionDictionary } from './dictionary';
 
-            // Convert string to Uint8Array for processing
-            const textEncoder = new TextEncoder();
-            const input = textEncoder.encode(stringData);
+// Format marker: the first byte of every stream compress() writes. The
+// original format's first byte is always a 0 or 1 token flag, so data written
+// before streaming support is still recognised and decoded.
+const FORMAT_VERSION = 2;
 
-            const compressed = [];
-            let pos = 0;
+// LZ77 with a 64KB window. Tokens are byte aligned so a stream can be cut
+// anywhere and picked up again:
+//   0x00-0x7F  literal run; the next (byte + 1) bytes are copied as is
+//   0x80-0xFF  match of (byte & 0x7F) + MIN_MATCH bytes (a code of 127 is
+//              followed by one byte to add), then a 2-byte big-endian distance
+const WINDOW_SIZE = 1 << 16;
+const MAX_DISTANCE = WINDOW_SIZE - 1;
+const MIN_MATCH = 4;
+const MAX_MATCH = MIN_MATCH + 127 + 255;
+const MAX_LITERAL_RUN = 128;
+const HASH_BITS = 15;
+// Candidates examined per position; bounds the worst case to linear time
+const MAX_CHAIN = 32;
+const MAX_OUTPUT = 1024 * 1024 * 1024; // 1GB safety limit
 
-            while (pos < input.length) {
-                const match = this.findLongestMatch(input, pos);
+// Growable byte buffer for encoder and decoder output
+class ByteWriter {
+    constructor(capacity = 1024) {
+        this.bytes = new Uint8Array(capacity);
+        this.length = 0;
+    }
 
-                if (match.length > 3) { // Only use matches longer than 3 bytes
-                    // Store as (distance, length) pair
-                    compressed.push([match.distance, match.length]);
-                    pos += match.length;
-                } else {
-                    // Store literal byte
-                    compressed.push(input[pos]);
-                    pos++;
+    reserve(extra) {
+        if (this.length + extra <= this.bytes.length) return;
+        let capacity = this.bytes.length * 2;
+        while (capacity < this.length + extra) {
+            capacity *= 2;
+        }
+        const bytes = new Uint8Array(capacity);
+        bytes.set(this.bytes.subarray(0, this.length));
+        this.bytes = bytes;
+    }
+
+    push(byte) {
+        this.reserve(1);
+        this.bytes[this.length++] = byte;
+    }
+
+    append(bytes) {
+        this.reserve(bytes.length);
+        this.bytes.set(bytes, this.length);
+        this.length += bytes.length;
+    }
+
+    // Hand over what was written and start empty
+    take() {
+        const result = this.bytes.slice(0, this.length);
+        this.length = 0;
+        return result;
+    }
+}
+
+// Incremental encoder. Input is kept from one window behind the current
+// position onwards; a hash chain over 4-byte prefixes finds match candidates
+// without rescanning the window. Positions are absolute stream offsets.
+class Compressor {
+    constructor() {
+        this.buffer = new Uint8Array(0);
+        this.base = 0;            // stream offset of buffer[0]
+        this.end = 0;             // stream offset just past the last input byte
+        this.position = 0;        // next byte to encode
+        this.head = new Int32Array(1 << HASH_BITS).fill(-1);
+        this.chain = new Int32Array(WINDOW_SIZE).fill(-1);
+        this.literals = [];
+        this.output = new ByteWriter();
+        this.output.push(FORMAT_VERSION);
+    }
+
+    push(chunk) {
+        this.append(chunk);
+        // Hold back enough input for a full-length match
+        this.encode(this.end - MAX_MATCH);
+        return this.output.take();
+    }
+
+    finish() {
+        this.encode(this.end);
+        this.flushLiterals();
+        return this.output.take();
+    }
+
+    append(chunk) {
+        // Keep one window of history behind the current position
+        const keepFrom = Math.max(this.base, this.position - WINDOW_SIZE);
+        const kept = this.buffer.subarray(keepFrom - this.base, this.end - this.base);
+        const buffer = new Uint8Array(kept.length + chunk.length);
+        buffer.set(kept);
+        buffer.set(chunk, kept.length);
+        this.buffer = buffer;
+        this.base = keepFrom;
+        this.end += chunk.length;
+    }
+
+    byteAt(position) {
+        return this.buffer[position - this.base];
+    }
+
+    hash(position) {
+        const i = position - this.base;
+        const b = this.buffer;
+        const key = (b[i] << 24) | (b[i + 1] << 16) | (b[i + 2] << 8) | b[i + 3];
+        return Math.imul(key, 2654435761) >>> (32 - HASH_BITS);
+    }
+
+    insert(position) {
+        if (position + MIN_MATCH > this.end) return;
+        const hash = this.hash(position);
+        this.chain[position & MAX_DISTANCE] = this.head[hash];
+        this.head[hash] = position;
+    }
+
+    findMatch(position) {
+        const limit = Math.min(MAX_MATCH, this.end - position);
+        if (limit < MIN_MATCH) return null;
+
+        let best = null;
+        let candidate = this.head[this.hash(position)];
+        for (let steps = 0; candidate >= 0 && steps < MAX_CHAIN; steps++) {
+            const distance = position - candidate;
+            if (distance > MAX_DISTANCE || candidate < this.base) break;
+
+            let length = 0;
+            const from = candidate - this.base;
+            const to = position - this.base;
+            while (length < limit && this.buffer[from + length] === this.buffer[to + length]) {
+                length++;
+            }
+            if (length >= MIN_MATCH && (!best || length > best.length)) {
+                best = { length, distance };
+                if (length === limit) break;
+            }
+            candidate = this.chain[candidate & MAX_DISTANCE];
+        }
+        return best;
+    }
+
+    encode(until) {
+        while (this.position < until) {
+            const match = this.findMatch(this.position);
+            if (!match) {
+                this.literals.push(this.byteAt(this.position));
+                if (this.literals.length === MAX_LITERAL_RUN) {
+                    this.flushLiterals();
                 }
+                this.insert(this.position++);
+                continue;
             }
 
-            // Convert compressed data to Uint8Array
-            return this.encodeCompressed(compressed);
+            this.flushLiterals();
+            this.writeMatch(match);
+            for (let i = 0; i < match.length; i++) {
+                this.insert(this.position++);
+            }
+        }
+    }
+
+    writeMatch({ length, distance }) {
+        const code = length - MIN_MATCH;
+        this.output.push(0x80 | Math.min(code, 127));
+        if (code >= 127) {
+            this.output.push(code - 127);
+        }
+        this.output.push(distance >> 8);
+        this.output.push(distance & 0xFF);
+    }
+
+    flushLiterals() {
+        if (this.literals.length === 0) return;
+        this.output.push(this.literals.length - 1);
+        this.output.append(this.literals);
+        this.literals = [];
+    }
+}
+
+// Incremental decoder. A token cut off at the end of a chunk is kept until
+// the next one; the last window of output is kept for back-references.
+// `expectedLength`, when known, bounds the output: a token that would
+// decode past it is rejected before its bytes are written.
+class Decompressor {
+    constructor({ expectedLength = null } = {}) {
+        this.pending = new Uint8Array(0);
+        this.started = false;
+        // Output so far, trimmed back to one window once it holds two
+        this.window = new ByteWriter(WINDOW_SIZE);
+        this.total = 0;
+        this.limit = expectedLength ?? MAX_OUTPUT;
+        this.limitMessage = expectedLength === null
+            ? 'Decompressed data exceeds size limit'
+            : 'Decompressed data is longer than expected';
+    }
+
+    push(chunk) {
+        let input = chunk;
+        if (this.pending.length > 0) {
+            input = new Uint8Array(this.pending.length + chunk.length);
+            input.set(this.pending);
+            input.set(chunk, this.pending.length);
+        }
+
+        let pos = 0;
+        if (!this.started && input.length > 0) {
+            if (input[0] !== FORMAT_VERSION) {
+                throw new Error(`Unsupported compression format: ${input[0]}`);
+            }
+            this.started = true;
+            pos = 1;
+        }
+
+        // Decode after the retained history so matches can reach back into it
+        const out = this.window;
+        const start = out.length;
+
+        while (pos < input.length) {
+            const control = input[pos];
+            if (control < 0x80) {
+                const length = control + 1;
+                if (pos + 1 + length > input.length) break;
+                this.checkLimit(out.length - start + length);
+                out.append(input.subarray(pos + 1, pos + 1 + length));
+                pos += 1 + length;
+                continue;
+            }
+
+            const extended = (control & 0x7F) === 127;
+            const size = extended ? 4 : 3;
+            if (pos + size > input.length) break;
+            const length = MIN_MATCH + (control & 0x7F) + (extended ? input[pos + 1] : 0);
+            const distance = (input[pos + size - 2] << 8) | input[pos + size - 1];
+            if (distance === 0 || distance > out.length) {
+                throw new Error('Invalid back-reference distance');
+            }
+
+            this.checkLimit(out.length - start + length);
+            out.reserve(length);
+            // Byte by byte: a match may overlap the bytes it produces
+            const from = out.length - distance;
+            for (let i = 0; i < length; i++) {
+                out.bytes[out.length + i] = out.bytes[from + i];
+            }
+            out.length += length;
+            pos += size;
+        }
+
+        this.pending = input.slice(pos);
+        this.total += out.length - start;
+
+        const produced = out.bytes.slice(start, out.length);
+        if (out.length > 2 * WINDOW_SIZE) {
+            out.bytes.copyWithin(0, out.length - WINDOW_SIZE, out.length);
+            out.length = WINDOW_SIZE;
+        }
+        return produced;
+    }
+
+    finish() {
+        if (this.pending.length > 0) {
+            throw new Error('Unexpected end of compressed data');
+        }
+        return new Uint8Array(0);
+    }
+
+    // `produced` bytes decoded so far in this chunk
+    checkLimit(produced) {
+        if (this.total + produced > this.limit) {
+            throw new Error(this.limitMessage);
+        }
+    }
+}
+
+const toBytes = (chunk) => {
+    if (typeof chunk === 'string') return new TextEncoder().encode(chunk);
+    if (chunk instanceof Uint8Array) return chunk;
+    if (ArrayBuffer.isView(chunk)) return new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+    if (chunk instanceof ArrayBuffer) return new Uint8Array(chunk);
+    throw new TypeError('Compression stream chunks must be strings or binary data');
+};
+
+const transformStream = (coder, name) => new TransformStream({
+    transform(chunk, controller) {
+        try {
+            const output = coder.push(toBytes(chunk));
+            if (output.length > 0) controller.enqueue(output);
+        } catch (error) {
+            controller.error(new Error(`${name} failed: ${error.message}`));
+        }
+    },
+    flush(controller) {
+        try {
+            const output = coder.finish();
+            if (output.length > 0) controller.enqueue(output);
         } catch (error) {
+            controller.error(new Error(`${name} failed: ${error.message}`));
+        }
+    }
+});
+
+// Container written by compress(). Everything after the header is the
+// codec's output; the header lets a reader pick the codec and check the
+// result without guessing:
+//   4 bytes  MAGIC (its first byte can't start either raw codec format)
+//   1 byte   container version
+//   1 byte   codec id
+//   1 byte   type of the original value (see ValueTypes)
+//   4 bytes  uncompressed length, big-endian
+//   4 bytes  CRC-32 of the uncompressed payload, big-endian
+const MAGIC = [0x89, 0x54, 0x43, 0x5A];
+const CONTAINER_VERSION = 1;
+const HEADER_SIZE = 15;
+
+// Binary values are stored as their raw bytes, tagged with the type to
+// rebuild; multi-byte elements keep the platform's byte order (little-endian
+// on every engine this runs on). Subclasses such as Buffer come back as the
+// typed array they extend.
+const BINARY_TYPES = [
+    Uint8Array, ArrayBuffer, Int8Array, Uint8ClampedArray, Int16Array, Uint16Array,
+    Int32Array, Uint32Array, Float32Array, Float64Array, BigInt64Array, BigUint64Array, DataView
+];
+
+const ValueTypes = {
+    string: 0,
+    // Anything else goes through SerializationUtil, so Dates and nested
+    // typed arrays come back as they went in; an empty payload is undefined
+    json: 1,
+    // 2 onwards: BINARY_TYPES by name
+    ...Object.fromEntries(BINARY_TYPES.map((type, i) => [type.name, 2 + i]))
+};
+
+// Codecs by id and by name. Ids are written into every container, so an
+// id must never be reused for a different codec.
+const codecsById = new Map();
+const codecsByName = new Map();
+// Dictionaries values may have been written with, by id
+const dictionaries = new Map();
+
+// Runs bytes through a platform CompressionStream or DecompressionStream,
+// giving up as soon as the output passes `limit` bytes
+async function pipeBytes(bytes, stream, limit = Infinity) {
+    const writer = stream.writable.getWriter();
+    const writing = writer.write(bytes).then(() => writer.close());
+
+    const reader = stream.readable.getReader();
+    const reading = (async () => {
+        const chunks = [];
+        let length = 0;
+        for (let next = await reader.read(); !next.done; next = await reader.read()) {
+            chunks.push(next.value);
+            length += next.value.length;
+            if (length > limit) {
+                reader.cancel().catch(() => {});
+                throw new Error('Decompressed data is longer than expected');
+            }
+        }
+        const result = new Uint8Array(length);
+        let offset = 0;
+        for (const chunk of chunks) {
+            result.set(chunk, offset);
+            offset += chunk.length;
+        }
+        return result;
+    })();
+
+    const [, result] = await Promise.all([writing, reading]);
+    return result;
+}
+
+const platformCodec = (id, format) => ({
+    id,
+    name: format,
+    isAvailable: () => typeof globalThis.CompressionStream === 'function'
+        && typeof globalThis.DecompressionStream === 'function',
+    compress: bytes => pipeBytes(bytes, new globalThis.CompressionStream(format)),
+    decompress: (bytes, { length = Infinity } = {}) => pipeBytes(bytes, new globalThis.DecompressionStream(format), length)
+});
+
+class CompressionUtil {
+    // Name of the format compress() produces, recorded in snapshots
+    static Codec = 'framed';
+    // Formats decompress() reads: the container and the two raw LZ77
+    // formats written before it
+    static Codecs = ['framed', 'lz77-hc', 'lz77'];
+    // Codec compress() uses unless told otherwise; 'auto' picks one per
+    // value (see chooseCodec)
+    static DefaultCodec = 'auto';
+    // Payload sizes, in bytes, at which 'auto' changes codec
+    static SmallValueSize = 64;
+    static LargeValueSize = 4096;
+    // Used by 'auto' for values below LargeValueSize when set
+    static defaultDictionary = null;
+
+    // codec: { id (0-255), name, compress(bytes, options), decompress(bytes,
+    // { length }), isAvailable() (optional) }. compress and decompress may be
+    // async; `length` is the uncompressed length the container records.
+    static registerCodec(codec) {
+        const { id, name } = codec;
+        if (!Number.isInteger(id) || id < 0 || id > 255) {
+            throw new Error(`Invalid codec id: ${id}`);
+        }
+        if (typeof codec.compress !== 'function' || typeof codec.decompress !== 'function') {
+            throw new Error(`Codec ${name} must implement compress and decompress`);
+        }
+        const existing = codecsById.get(id);
+        if (existing && existing.name !== name) {
+            throw new Error(`Codec id ${id} is already used by ${existing.name}`);
+        }
+        codecsById.delete(codecsByName.get(name)?.id);
+        codecsById.set(id, codec);
+        codecsByName.set(name, codec);
+    }
+
+    static getCodec(nameOrId) {
+        return (typeof nameOrId === 'number' ? codecsById : codecsByName).get(nameOrId) || null;
+    }
+
+    static isCodecAvailable(codec) {
+        return !!codec && (!codec.isAvailable || codec.isAvailable());
+    }
+
+    // Names of the codecs usable on this platform
+    static listCodecs() {
+        return [...codecsByName.values()]
+            .filter(codec => this.isCodecAvailable(codec))
+            .map(codec => codec.name);
+    }
+
+    // Makes a dictionary's values readable; compressing with a dictionary
+    // registers it automatically
+    static registerDictionary(dictionary) {
+        dictionaries.set(dictionary.id, dictionary);
+        return dictionary;
+    }
+
+    // Registers `dictionary` and has 'auto' use it; null stops that
+    static setDefaultDictionary(dictionary) {
+        this.defaultDictionary = dictionary ? this.registerDictionary(dictionary) : null;
+    }
+
+    static trainDictionary(samples, options) {
+        return CompressionDictionary.train(samples, options);
+    }
+
+    // Size heuristic behind the 'auto' codec. Tiny values gain nothing
+    // from compression unless a dictionary supplies the repetition; mid
+    // sized values take the fast LZ4 path; large ones are worth DEFLATE
+    // where the platform has it. compress() also stores any value that
+    // failed to shrink.
+    static chooseCodec(payload, { dictionary = this.defaultDictionary } = {}) {
+        if (dictionary && payload.length < this.LargeValueSize) {
+            return this.getCodec('dictionary');
+        }
+        if (payload.length < this.SmallValueSize) {
+            return this.getCodec('none');
+        }
+        if (payload.length < this.LargeValueSize) {
+            return this.getCodec('lz4');
+        }
+        const deflate = this.getCodec('deflate');
+        return this.isCodecAvailable(deflate) ? deflate : this.getCodec('lz77-hc');
+    }
+
+    // options.codec: a codec name or 'auto'; options.dictionary: a
+    // CompressionDictionary for the 'dictionary' codec (defaults to
+    // defaultDictionary)
+    static async compress(data, options = {}) {
+        const { codec = this.DefaultCodec } = options;
+        const automatic = codec === 'auto';
+
+        try {
+            const { type, payload } = this.encodeValue(data);
+            let selected = automatic ? this.chooseCodec(payload, options) : this.getCodec(codec);
+            if (!selected) {
+                throw new ThoughtError('InvalidInput', `Unknown compression codec: ${codec}`, { codec });
+            }
+            if (!this.isCodecAvailable(selected)) {
+                throw new ThoughtError('InvalidInput', `Compression codec is not available on this platform: ${selected.name}`, {
+                    codec: selected.name
+                });
+            }
+
+            let body = await selected.compress(payload, options);
+            if (automatic && body.length >= payload.length) {
+                selected = this.getCodec('none');
+                body = payload;
+            }
+            const result = new Uint8Array(HEADER_SIZE + body.length);
+            const view = new DataView(result.buffer);
+            result.set(MAGIC);
+            result[4] = CONTAINER_VERSION;
+            result[5] = selected.id;
+            result[6] = type;
+            view.setUint32(7, payload.length);
+            view.setUint32(11, ChecksumUtil.crc32(payload));
+            result.set(body, HEADER_SIZE);
+            return result;
+        } catch (error) {
+            if (error instanceof ThoughtError) throw error;
             // Wrap any error in a consistent format
             throw new Error(`Compression failed: ${error.message}`);
         }
@@ -41,46 +516,19 @@ class CompressionUtil {
                 throw new Error('Invalid compressed data format');
             }
 
-            const decoded = this.decodeCompressed(compressedData);
-            const decompressed = [];
-            const maxSize = 1024 * 1024 * 1024; // 1GB safety limit
-
-            for (const token of decoded) {
-                if (decompressed.length > maxSize) {
-                    throw new Error('Decompressed data exceeds size limit');
-                }
-
-                if (Array.isArray(token)) {
-                    const [distance, length] = token;
-
-                    // Validate distance and length
-                    if (distance <= 0 || distance > decompressed.length) {
-                        throw new Error('Invalid back-reference distance');
-                    }
-                    if (length <= 0 || length > 1024 * 64) { // 64KB max match length
-                        throw new Error('Invalid match length');
-                    }
-
-                    const start = decompressed.length - distance;
-                    // Safe copy with bounds checking
-                    for (let i = 0; i < length; i++) {
-                        if (start + i >= decompressed.length) {
-                            throw new Error('Invalid back-reference');
-                        }
-                        decompressed.push(decompressed[start + i]);
-                    }
-                } else {
-                    // Validate literal byte
-                    if (!Number.isInteger(token) || token < 0 || token > 255) {
-                        throw new Error('Invalid literal byte');
-                    }
-                    decompressed.push(token);
-                }
+            if (this.isContainer(compressedData)) {
+                const { type, payload } = await this.readContainer(compressedData);
+                return this.decodeValue(type, payload);
             }
 
+            // Raw output of earlier versions, typed by a guess at JSON
+            const bytes = compressedData[0] === FORMAT_VERSION
+                ? this.decompressBytes(compressedData)
+                : this.decompressLegacy(compressedData);
+
             try {
-                const decodedString = new TextDecoder().decode(new Uint8Array(decompressed));
-                
+                const decodedString = new TextDecoder().decode(bytes);
+
                 // If the original input was JSON, parse it back to the original format
                 if (decodedString.startsWith('{') || decodedString.startsWith('[')) {
                     try {
@@ -95,46 +543,192 @@ class CompressionUtil {
                 throw new Error(`Failed to decode decompressed data: ${error.message}`);
             }
         } catch (error) {
+            if (error instanceof ThoughtError) throw error;
             throw new Error(`Decompression failed: ${error.message}`);
         }
     }
 
-    // Helper method to find longest matching sequence
-    static findLongestMatch(data, currentPos) {
-        // Input validation
-        if (!data || !data.length || currentPos < 0 || currentPos >= data.length) {
-            throw new Error('Invalid input parameters for findLongestMatch');
+    static isContainer(bytes) {
+        return bytes.length >= MAGIC.length && MAGIC.every((byte, i) => bytes[i] === byte);
+    }
+
+    // Header fields of a container, without decompressing it
+    static inspect(bytes) {
+        if (!this.isContainer(bytes)) return null;
+        if (bytes.length < HEADER_SIZE) {
+            throw new ThoughtError('DataCorruption', 'Compressed container header is truncated', {
+                length: bytes.length
+            });
+        }
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const type = Object.keys(ValueTypes).find(name => ValueTypes[name] === bytes[6]);
+        return {
+            version: bytes[4],
+            codecId: bytes[5],
+            codec: codecsById.get(bytes[5])?.name ?? null,
+            type: type ?? null,
+            length: view.getUint32(7),
+            crc: view.getUint32(11)
+        };
+    }
+
+    static async readContainer(bytes) {
+        const header = this.inspect(bytes);
+        if (header.version !== CONTAINER_VERSION) {
+            throw new ThoughtError('InvalidInput', `Unsupported compressed container version: ${header.version}`, {
+                version: header.version
+            });
+        }
+        const codec = codecsById.get(header.codecId);
+        if (!codec) {
+            throw new ThoughtError('InvalidInput', `Unknown compression codec id: ${header.codecId}`, {
+                codecId: header.codecId
+            });
+        }
+        if (!this.isCodecAvailable(codec)) {
+            throw new ThoughtError('InvalidInput', `Compression codec is not available on this platform: ${codec.name}`, {
+                codec: codec.name
+            });
+        }
+        if (header.type === null) {
+            throw new ThoughtError('DataCorruption', `Unknown value type in compressed container: ${bytes[6]}`, {
+                type: bytes[6]
+            });
+        }
+
+        let payload;
+        try {
+            payload = await codec.decompress(bytes.subarray(HEADER_SIZE), { length: header.length });
+        } catch (error) {
+            // e.g. a dictionary that was never registered
+            if (error instanceof ThoughtError) throw error;
+            throw new ThoughtError('DataCorruption', `Compressed data is corrupt: ${error.message}`, {
+                codec: codec.name
+            });
+        }
+        if (payload.length !== header.length) {
+            throw new ThoughtError('DataCorruption', 'Decompressed length does not match the container', {
+                expected: header.length,
+                actual: payload.length
+            });
+        }
+        if (ChecksumUtil.crc32(payload) !== header.crc) {
+            throw new ThoughtError('DataCorruption', 'Decompressed data failed its checksum', {
+                codec: codec.name
+            });
+        }
+        return { type: ValueTypes[header.type], payload };
+    }
+
+    static encodeValue(data) {
+        if (typeof data === 'string') {
+            return { type: ValueTypes.string, payload: new TextEncoder().encode(data) };
+        }
+        // By tag rather than instanceof, so binary from another realm (a
+        // worker, or a structured clone in some runtimes) is recognised
+        const tag = Object.prototype.toString.call(data).slice(8, -1);
+        const binaryType = BINARY_TYPES.find(type => type.name === tag);
+        if (binaryType) {
+            const payload = binaryType === ArrayBuffer
+                ? new Uint8Array(data)
+                : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+            return { type: ValueTypes[binaryType.name], payload };
         }
+        const text = SerializationUtil.serialize(data);
+        return { type: ValueTypes.json, payload: new TextEncoder().encode(text ?? '') };
+    }
 
-        const windowSize = 1024;
-        const maxLength = 258;
-        const searchStart = Math.max(0, currentPos - windowSize);
-        const remainingLength = data.length - currentPos;
+    static decodeValue(type, payload) {
+        const binaryType = BINARY_TYPES[type - 2];
+        if (binaryType === Uint8Array) {
+            return payload;
+        }
+        if (binaryType) {
+            // A copy, so the view starts on an aligned offset of its own buffer
+            const { buffer } = payload.slice();
+            if (binaryType === ArrayBuffer) return buffer;
+            if (binaryType === DataView) return new DataView(buffer);
+            if (buffer.byteLength % binaryType.BYTES_PER_ELEMENT !== 0) {
+                throw new ThoughtError('DataCorruption', `Payload is not a whole number of ${binaryType.name} elements`, {
+                    length: buffer.byteLength
+                });
+            }
+            return new binaryType(buffer);
+        }
+        const text = new TextDecoder().decode(payload);
+        if (type === ValueTypes.string) {
+            return text;
+        }
+        return text === '' ? undefined : SerializationUtil.deserialize(text);
+    }
 
-        let bestLength = 0;
-        let bestDistance = 0;
+    static compressBytes(bytes) {
+        const compressor = new Compressor();
+        const head = compressor.push(bytes);
+        const tail = compressor.finish();
+        const result = new Uint8Array(head.length + tail.length);
+        result.set(head);
+        result.set(tail, head.length);
+        return result;
+    }
 
-        // Bounds checking
-        for (let i = searchStart; i < currentPos; i++) {
-            let length = 0;
-            
-            // Safe length checking
-            while (
-                length < maxLength &&
-                length < remainingLength &&
-                i + length < currentPos &&
-                data[i + length] === data[currentPos + length]
-            ) {
-                length++;
+    static decompressBytes(bytes, { length = null } = {}) {
+        const decompressor = new Decompressor({ expectedLength: length });
+        const result = decompressor.push(bytes);
+        decompressor.finish();
+        return result;
+    }
+
+    // TransformStreams of bytes (strings are UTF-8 encoded) for data too
+    // large to hold twice, e.g.
+    //   blob.stream().pipeThrough(CompressionUtil.createCompressStream())
+    static createCompressStream() {
+        return transformStream(new Compressor(), 'Compression');
+    }
+
+    static createDecompressStream() {
+        return transformStream(new Decompressor(), 'Decompression');
+    }
+
+    // Data written in the original format: 2-byte literal and 5-byte match
+    // tokens over a 1KB window
+    static decompressLegacy(compressedData) {
+        const decoded = this.decodeCompressed(compressedData);
+        const decompressed = [];
+
+        for (const token of decoded) {
+            if (decompressed.length > MAX_OUTPUT) {
+                throw new Error('Decompressed data exceeds size limit');
             }
 
-            if (length > bestLength) {
-                bestLength = length;
-                bestDistance = currentPos - i;
+            if (Array.isArray(token)) {
+                const [distance, length] = token;
+
+                // Validate distance and length
+                if (distance <= 0 || distance > decompressed.length) {
+                    throw new Error('Invalid back-reference distance');
+                }
+                if (length <= 0 || length > 1024 * 64) { // 64KB max match length
+                    throw new Error('Invalid match length');
+                }
+
+                const start = decompressed.length - distance;
+                // Safe copy with bounds checking
+                for (let i = 0; i < length; i++) {
+                    if (start + i >= decompressed.length) {
+                        throw new Error('Invalid back-reference');
+                    }
+                    decompressed.push(decompressed[start + i]);
+                }
+            } else {
+                // Validate literal byte
+                if (!Number.isInteger(token) || token < 0 || token > 255) {
+                    throw new Error('Invalid literal byte');
+                }
+                decompressed.push(token);
             }
         }
-
-        return { length: bestLength, distance: bestDistance };
+        return new Uint8Array(decompressed);
     }
 
     static async cleanupTemporaryResources() {
@@ -148,42 +742,6 @@ class CompressionUtil {
         }
     }
 
-    // Helper method to encode compressed data
-    static encodeCompressed(compressed) {
-        try {
-            // Calculate total size needed
-            let size = 0;
-            compressed.forEach(token => {
-                size += Array.isArray(token) ? 5 : 2; // 5 bytes for match, 2 for literal
-            });
-
-            const result = new Uint8Array(size);
-            let pos = 0;
-
-            compressed.forEach(token => {
-                if (Array.isArray(token)) {
-                    // Mark as match with flag byte 1
-                    result[pos++] = 1;
-                    // Store distance (2 bytes)
-                    result[pos++] = token[0] >> 8;
-                    result[pos++] = token[0] & 0xFF;
-                    // Store length (2 bytes)
-                    result[pos++] = token[1] >> 8;
-                    result[pos++] = token[1] & 0xFF;
-                } else {
-                    // Mark as literal with flag byte 0
-                    result[pos++] = 0;
-                    // Store literal byte
-                    result[pos++] = token;
-                }
-            });
-
-            return result;
-        } catch (error) {
-            throw new Error(`Failed to encode compressed data: ${error.message}`);
-        }
-    }
-
     // Helper method to decode compressed data
     static decodeCompressed(data) {
         try {
@@ -225,4 +783,58 @@ class CompressionUtil {
     }
 }
 
+CompressionUtil.registerCodec({
+    id: 0,
+    name: 'none',
+    compress: bytes => bytes,
+    // A copy, so a returned Uint8Array doesn't alias the stored value
+    decompress: bytes => bytes.slice()
+});
+
+CompressionUtil.registerCodec({
+    id: 1,
+    name: 'lz77-hc',
+    compress: bytes => CompressionUtil.compressBytes(bytes),
+    decompress: (bytes, { length } = {}) => CompressionUtil.decompressBytes(bytes, { length })
+});
+
+CompressionUtil.registerCodec(platformCodec(2, 'deflate'));
+CompressionUtil.registerCodec(platformCodec(3, 'gzip'));
+
+CompressionUtil.registerCodec({
+    id: 4,
+    name: 'lz4',
+    compress: bytes => LZ4Util.compressBlock(bytes),
+    decompress: (bytes, { length } = {}) => LZ4Util.decompressBlock(bytes, null, length)
+});
+
+// An LZ4 block primed with a shared dictionary, after the dictionary's id
+// (4 bytes, big-endian)
+CompressionUtil.registerCodec({
+    id: 5,
+    name: 'dictionary',
+    compress(bytes, { dictionary = CompressionUtil.defaultDictionary } = {}) {
+        if (!dictionary) {
+            throw new ThoughtError('ConfigurationMissing', 'The dictionary codec needs a compression dictionary');
+        }
+        CompressionUtil.registerDictionary(dictionary);
+        const block = LZ4Util.compressBlock(bytes, dictionary.bytes);
+        const result = new Uint8Array(4 + block.length);
+        new DataView(result.buffer).setUint32(0, dictionary.id);
+        result.set(block, 4);
+        return result;
+    },
+    decompress(bytes, { length } = {}) {
+        if (bytes.length < 4) {
+            throw new Error('Unexpected end of compressed data');
+        }
+        const id = new DataView(bytes.buffer, bytes.byteOffset, 4).getUint32(0);
+        const dictionary = dictionaries.get(id);
+        if (!dictionary) {
+            throw new ThoughtError('ConfigurationMissing', `Unknown compression dictionary: ${id}`, { dictionaryId: id });
+        }
+        return LZ4Util.decompressBlock(bytes.subarray(4), dictionary.bytes, length);
+    }
+});
+
 export { CompressionUtil }
@@ -0,0 +1,115 @@
+import { ChecksumUtil } from './checksum';
+import { SerializationUtil } from './serialization';
+
+// Shared dictionary for compressing many small, similar values. Stored
+// thoughts repeat the same JSON keys and phrasing but are each too short to
+// compress well alone; priming the compressor with those common fragments
+// lets even the first occurrence in a value be encoded as a match.
+//
+// A dictionary is identified by the CRC-32 of its bytes, which compressed
+// values record. Keep `bytes` somewhere durable: data written with a
+// dictionary can only be read back with the same one.
+class CompressionDictionary {
+    constructor(bytes) {
+        this.bytes = bytes;
+        this.id = ChecksumUtil.crc32(bytes);
+    }
+
+    // Builds a dictionary from the fragments that occur in the most
+    // samples. Fragments are `segmentLength` byte substrings; each chosen
+    // one marks where it first occurred, and the dictionary is the marked
+    // stretches of the samples, so fragments that sat side by side stay
+    // together and longer matches are possible. The most common stretches
+    // go last, nearest to the data, where a window would keep them.
+    static train(samples, { maxSize = 16 * 1024, segmentLength = 8 } = {}) {
+        const texts = samples.map(toBinaryString);
+        // fragment -> { count, sample, offset } of its first occurrence
+        const fragments = new Map();
+
+        texts.forEach((text, sample) => {
+            // Count each fragment once per sample
+            const seen = new Set();
+            for (let offset = 0; offset + segmentLength <= text.length; offset++) {
+                const fragment = text.substring(offset, offset + segmentLength);
+                if (seen.has(fragment)) continue;
+                seen.add(fragment);
+                const entry = fragments.get(fragment);
+                if (entry) {
+                    entry.count++;
+                } else {
+                    fragments.set(fragment, { count: 1, sample, offset });
+                }
+            }
+        });
+
+        const ranked = [...fragments.entries()]
+            .filter(([, entry]) => entry.count > 1)
+            .sort((a, b) => b[1].count - a[1].count);
+
+        // Rank of the most common fragment covering each byte, per sample
+        const marks = new Map();
+        const covered = new Set();
+        let size = 0;
+        for (let rank = 0; rank < ranked.length && size < maxSize; rank++) {
+            const [fragment, { sample, offset }] = ranked[rank];
+            if (covered.has(fragment)) continue;
+
+            const text = texts[sample];
+            if (!marks.has(sample)) {
+                marks.set(sample, new Int32Array(text.length).fill(-1));
+            }
+            const mark = marks.get(sample);
+            for (let i = offset; i < offset + segmentLength && size < maxSize; i++) {
+                if (mark[i] === -1) {
+                    mark[i] = rank;
+                    size++;
+                }
+            }
+            // Fragments now wholly marked needn't be chosen again
+            for (let i = Math.max(0, offset - segmentLength + 1); i <= offset + segmentLength - 1; i++) {
+                if (i + segmentLength > text.length) break;
+                let whole = true;
+                for (let j = i; j < i + segmentLength && whole; j++) {
+                    whole = mark[j] !== -1;
+                }
+                if (whole) covered.add(text.substring(i, i + segmentLength));
+            }
+        }
+
+        const stretches = [];
+        for (const [sample, mark] of marks) {
+            for (let i = 0; i < mark.length; i++) {
+                if (mark[i] === -1) continue;
+                let best = mark[i];
+                const start = i;
+                while (i < mark.length && mark[i] !== -1) {
+                    best = Math.min(best, mark[i]);
+                    i++;
+                }
+                stretches.push({ text: texts[sample].substring(start, i), best });
+            }
+        }
+        const text = stretches.sort((a, b) => b.best - a.best).map(stretch => stretch.text).join('');
+
+        const bytes = new Uint8Array(text.length);
+        for (let i = 0; i < text.length; i++) {
+            bytes[i] = text.charCodeAt(i);
+        }
+        return new CompressionDictionary(bytes);
+    }
+}
+
+// UTF-8 bytes of a sample as a string of char codes 0-255, so substrings
+// can be counted in a Map
+function toBinaryString(sample) {
+    const bytes = sample instanceof Uint8Array
+        ? sample
+        : new TextEncoder().encode(typeof sample === 'string' ? sample : SerializationUtil.serialize(sample));
+    let text = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        text += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return text;
+}
+
+export { CompressionDictionary }
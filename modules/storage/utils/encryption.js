@@ -0,0 +1,105 @@
+import { ThoughtError } from '../../errors/thoughtError';
+import { SerializationUtil } from './serialization';
+
+// AES-GCM through WebCrypto. Every value gets a fresh random IV, and the
+// record key is bound in as additional data so a ciphertext copied onto
+// another key fails to authenticate.
+class EncryptionUtil {
+    static Algorithm = 'AES-GCM';
+    static IvLength = 12;
+
+    static isAvailable() {
+        return typeof globalThis.crypto !== 'undefined' && !!globalThis.crypto.subtle;
+    }
+
+    static async encrypt(plaintext, key, additionalData) {
+        const iv = globalThis.crypto.getRandomValues(new Uint8Array(this.IvLength));
+        const data = await globalThis.crypto.subtle.encrypt(
+            { name: this.Algorithm, iv, additionalData },
+            key,
+            plaintext
+        );
+        return { iv, data: new Uint8Array(data) };
+    }
+
+    static async decrypt(data, key, iv, additionalData) {
+        try {
+            const plaintext = await globalThis.crypto.subtle.decrypt(
+                { name: this.Algorithm, iv, additionalData },
+                key,
+                data
+            );
+            return new Uint8Array(plaintext);
+        } catch (error) {
+            throw new ThoughtError('DataCorruption', 'Encrypted value failed to authenticate', {
+                cause: error.message
+            });
+        }
+    }
+
+    // Values that were not compressed are serialized first so Dates and
+    // binary data survive the round trip
+    static encodeValue(value) {
+        return new TextEncoder().encode(SerializationUtil.serialize(value));
+    }
+
+    static decodeValue(bytes) {
+        return SerializationUtil.deserialize(new TextDecoder().decode(bytes));
+    }
+
+    static encodeKey(key) {
+        return new TextEncoder().encode(String(key));
+    }
+
+    static async importKey(raw) {
+        return globalThis.crypto.subtle.importKey('raw', raw, { name: this.Algorithm }, false, ['encrypt', 'decrypt']);
+    }
+
+    static async generateKey() {
+        return globalThis.crypto.subtle.generateKey({ name: this.Algorithm, length: 256 }, false, ['encrypt', 'decrypt']);
+    }
+}
+
+// Minimal key provider: a set of keys by id, one of which encrypts new
+// values. Rotating means adding a key, making it current and running
+// HybridStorage.reencrypt(); older keys stay readable until removed.
+class KeyRing {
+    constructor({ keys = {}, currentKeyId = null } = {}) {
+        this.keys = new Map(Object.entries(keys));
+        this.currentKeyId = currentKeyId;
+    }
+
+    static async fromRawKeys(rawKeys, currentKeyId) {
+        const keys = {};
+        for (const [id, raw] of Object.entries(rawKeys)) {
+            keys[id] = await EncryptionUtil.importKey(raw);
+        }
+        return new KeyRing({ keys, currentKeyId });
+    }
+
+    add(id, key, { current = false } = {}) {
+        this.keys.set(id, key);
+        if (current || this.currentKeyId === null) {
+            this.currentKeyId = id;
+        }
+        return this;
+    }
+
+    remove(id) {
+        if (id === this.currentKeyId) {
+            throw new Error(`Cannot remove the current key: ${id}`);
+        }
+        return this.keys.delete(id);
+    }
+
+    async getCurrentKey() {
+        const key = this.keys.get(this.currentKeyId);
+        return key ? { id: this.currentKeyId, key } : null;
+    }
+
+    async getKey(id) {
+        return this.keys.get(id) || null;
+    }
+}
+
+export { EncryptionUtil, KeyRing }
@@ -0,0 +1,81 @@
+// Count-min sketch estimating how often keys were accessed in fixed memory.
+// Counters saturate at 15 and are halved every `sampleSize` increments so
+// the estimates favour recent popularity over all-time totals.
+class FrequencySketch {
+    static MaxCount = 15;
+
+    constructor({ capacity = 1024, depth = 4 } = {}) {
+        // A power-of-two width lets indexes be taken with a mask
+        this.width = 16;
+        while (this.width < capacity) {
+            this.width *= 2;
+        }
+        this.depth = depth;
+        this.table = new Uint8Array(this.width * depth);
+        this.sampleSize = this.width * 10;
+        this.additions = 0;
+    }
+
+    // FNV-1a over the key's UTF-16 code units
+    static hash(key) {
+        const string = String(key);
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < string.length; i++) {
+            hash ^= string.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    // One counter per row, derived from two hashes (Kirsch-Mitzenmacher)
+    indexes(key) {
+        const h1 = FrequencySketch.hash(key);
+        let h2 = Math.imul(h1 ^ (h1 >>> 16), 0x45d9f3b);
+        h2 = (Math.imul(h2 ^ (h2 >>> 16), 0x45d9f3b) ^ (h2 >>> 16)) | 1;
+
+        const indexes = new Array(this.depth);
+        for (let row = 0; row < this.depth; row++) {
+            indexes[row] = row * this.width + ((h1 + Math.imul(row, h2)) & (this.width - 1));
+        }
+        return indexes;
+    }
+
+    estimate(key) {
+        let min = FrequencySketch.MaxCount;
+        for (const index of this.indexes(key)) {
+            min = Math.min(min, this.table[index]);
+        }
+        return min;
+    }
+
+    // Conservative update: only the counters at the current minimum grow,
+    // which keeps collisions from inflating other keys' estimates
+    increment(key) {
+        const indexes = this.indexes(key);
+        const min = Math.min(...indexes.map(index => this.table[index]));
+        if (min >= FrequencySketch.MaxCount) return;
+
+        for (const index of indexes) {
+            if (this.table[index] === min) {
+                this.table[index]++;
+            }
+        }
+        if (++this.additions >= this.sampleSize) {
+            this.age();
+        }
+    }
+
+    age() {
+        for (let i = 0; i < this.table.length; i++) {
+            this.table[i] >>= 1;
+        }
+        this.additions >>= 1;
+    }
+
+    clear() {
+        this.table.fill(0);
+        this.additions = 0;
+    }
+}
+
+export { FrequencySketch }
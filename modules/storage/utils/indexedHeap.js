@@ -0,0 +1,104 @@
+// Binary min-heap of entries ({ key, ... }) ordered by `compare`, with a
+// position index so an entry can be updated or removed by key in O(log n)
+class IndexedHeap {
+    constructor(compare) {
+        this.compare = compare;
+        this.entries = [];
+        this.positions = new Map();
+    }
+
+    get size() {
+        return this.entries.length;
+    }
+
+    has(key) {
+        return this.positions.has(key);
+    }
+
+    get(key) {
+        const position = this.positions.get(key);
+        return position === undefined ? undefined : this.entries[position];
+    }
+
+    peek() {
+        return this.entries[0];
+    }
+
+    // Insert an entry, or replace the entry with the same key
+    set(entry) {
+        const position = this.positions.get(entry.key);
+        if (position === undefined) {
+            this.entries.push(entry);
+            this.positions.set(entry.key, this.entries.length - 1);
+            this.siftUp(this.entries.length - 1);
+            return;
+        }
+
+        this.entries[position] = entry;
+        this.restore(position);
+    }
+
+    delete(key) {
+        const position = this.positions.get(key);
+        if (position === undefined) return false;
+
+        const last = this.entries.pop();
+        this.positions.delete(key);
+        if (position < this.entries.length) {
+            this.entries[position] = last;
+            this.positions.set(last.key, position);
+            this.restore(position);
+        }
+        return true;
+    }
+
+    clear() {
+        this.entries = [];
+        this.positions.clear();
+    }
+
+    restore(position) {
+        if (position > 0 && this.less(position, (position - 1) >> 1)) {
+            this.siftUp(position);
+        } else {
+            this.siftDown(position);
+        }
+    }
+
+    siftUp(position) {
+        while (position > 0) {
+            const parent = (position - 1) >> 1;
+            if (!this.less(position, parent)) break;
+            this.swap(position, parent);
+            position = parent;
+        }
+    }
+
+    siftDown(position) {
+        const length = this.entries.length;
+        for (;;) {
+            const left = position * 2 + 1;
+            const right = left + 1;
+            let smallest = position;
+            if (left < length && this.less(left, smallest)) smallest = left;
+            if (right < length && this.less(right, smallest)) smallest = right;
+            if (smallest === position) return;
+            this.swap(position, smallest);
+            position = smallest;
+        }
+    }
+
+    less(a, b) {
+        return this.compare(this.entries[a], this.entries[b]) < 0;
+    }
+
+    swap(a, b) {
+        const entry = this.entries[a];
+        this.entries[a] = this.entries[b];
+        this.entries[b] = entry;
+        this.positions.set(this.entries[a].key, a);
+        this.positions.set(this.entries[b].key, b);
+    }
+}
+
+export { IndexedHeap }
@@ -0,0 +1,161 @@
+// Key comparison and range helpers mirroring IndexedDB semantics, so that
+// non-IndexedDB backends order and filter records exactly like IDB does.
+class KeyRangeUtil {
+    static only(value) {
+        return { only: value };
+    }
+
+    static lowerBound(lower, open = false) {
+        return { lower, lowerOpen: open };
+    }
+
+    static upperBound(upper, open = false) {
+        return { upper, upperOpen: open };
+    }
+
+    static bound(lower, upper, lowerOpen = false, upperOpen = false) {
+        return { lower, upper, lowerOpen, upperOpen };
+    }
+
+    // IndexedDB orders keys by type first: number < Date < string < array
+    static typeRank(key) {
+        if (typeof key === 'number') return 1;
+        if (key instanceof Date) return 2;
+        if (typeof key === 'string') return 3;
+        if (Array.isArray(key)) return 4;
+        return 0;
+    }
+
+    static isValidKey(key) {
+        const rank = this.typeRank(key);
+        if (rank === 0) return false;
+        if (rank === 1) return !Number.isNaN(key);
+        if (rank === 2) return !Number.isNaN(key.getTime());
+        if (rank === 4) return key.every(part => this.isValidKey(part));
+        return true;
+    }
+
+    static compare(a, b) {
+        const rankA = this.typeRank(a);
+        const rankB = this.typeRank(b);
+        if (rankA !== rankB) return rankA - rankB;
+
+        if (rankA === 4) {
+            const length = Math.min(a.length, b.length);
+            for (let i = 0; i < length; i++) {
+                const result = this.compare(a[i], b[i]);
+                if (result !== 0) return result;
+            }
+            return a.length - b.length;
+        }
+
+        const valueA = rankA === 2 ? a.getTime() : a;
+        const valueB = rankB === 2 ? b.getTime() : b;
+        if (valueA < valueB) return -1;
+        if (valueA > valueB) return 1;
+        return 0;
+    }
+
+    static includes(range, key) {
+        if (!range) return true;
+
+        if (range.only !== undefined) {
+            return this.compare(key, range.only) === 0;
+        }
+
+        if (range.lower !== undefined) {
+            const result = this.compare(key, range.lower);
+            if (result < 0 || (result === 0 && range.lowerOpen)) return false;
+        }
+
+        if (range.upper !== undefined) {
+            const result = this.compare(key, range.upper);
+            if (result > 0 || (result === 0 && range.upperOpen)) return false;
+        }
+
+        return true;
+    }
+
+    // Narrowest range contained in both; null stands for "unbounded"
+    static intersect(a, b) {
+        if (!a) return b || null;
+        if (!b) return a;
+
+        const toBounds = (range) => (range.only !== undefined
+            ? { lower: range.only, upper: range.only, lowerOpen: false, upperOpen: false }
+            : range);
+        const x = toBounds(a);
+        const y = toBounds(b);
+        const range = {};
+
+        const pick = (bound, open, tighter) => {
+            if (x[bound] === undefined && y[bound] === undefined) return;
+            let chosen;
+            if (x[bound] === undefined) chosen = y;
+            else if (y[bound] === undefined) chosen = x;
+            else {
+                const result = this.compare(x[bound], y[bound]) * tighter;
+                chosen = result > 0 ? x : result < 0 ? y : { [bound]: x[bound], [open]: x[open] || y[open] };
+            }
+            range[bound] = chosen[bound];
+            range[open] = !!chosen[open];
+        };
+        pick('lower', 'lowerOpen', 1);
+        pick('upper', 'upperOpen', -1);
+
+        return range;
+    }
+
+    // Whether no key can fall inside the range
+    static isEmpty(range) {
+        if (!range || range.only !== undefined) return false;
+        if (range.lower === undefined || range.upper === undefined) return false;
+
+        const result = this.compare(range.lower, range.upper);
+        return result > 0 || (result === 0 && (range.lowerOpen || range.upperOpen));
+    }
+
+    static toIDBKeyRange(range) {
+        if (!range) return undefined;
+        if (range.only !== undefined) return IDBKeyRange.only(range.only);
+
+        const hasLower = range.lower !== undefined;
+        const hasUpper = range.upper !== undefined;
+        if (hasLower && hasUpper) {
+            return IDBKeyRange.bound(range.lower, range.upper, !!range.lowerOpen, !!range.upperOpen);
+        }
+        if (hasLower) return IDBKeyRange.lowerBound(range.lower, !!range.lowerOpen);
+        if (hasUpper) return IDBKeyRange.upperBound(range.upper, !!range.upperOpen);
+        return undefined;
+    }
+
+    static getKeyPathValue(item, keyPath) {
+        if (Array.isArray(keyPath)) {
+            return keyPath.map(path => this.getKeyPathValue(item, path));
+        }
+        return keyPath.split('.').reduce(
+            (value, part) => (value == null ? undefined : value[part]),
+            item
+        );
+    }
+
+    // Keys a record has in an IDB index: its value at the key path, each
+    // distinct element for a multiEntry index, none when not a valid key.
+    // The store itself (no index) keys records by primary key.
+    static indexKeys(item, primaryKey, index = null) {
+        if (!index) return [primaryKey];
+
+        const value = this.getKeyPathValue(item, index.keyPath);
+        const keys = index.options?.multiEntry && Array.isArray(value)
+            ? [...new Set(value)]
+            : [value];
+        return keys.filter(key => this.isValidKey(key));
+    }
+
+    // Cursor order: index key, then primary key
+    static compareEntries(a, b) {
+        return this.compare(a.key, b.key) || this.compare(a.primaryKey, b.primaryKey);
+    }
+}
+
+export { KeyRangeUtil }
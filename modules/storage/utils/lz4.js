@@ -0,0 +1,191 @@
+// LZ4 block format: a sequence is a token byte (high nibble literal count,
+// low nibble match length - MIN_MATCH, 15 meaning more length bytes follow,
+// each added until one is below 255), the literals, a 2-byte little-endian
+// offset and any extra match length bytes. The last sequence is literals
+// only. Matches are found with a single hash probe, trading ratio for speed.
+const MIN_MATCH = 4;
+const MAX_OFFSET = 65535;
+// The spec keeps the last 5 bytes literal and starts no match in the last 12
+const LAST_LITERALS = 5;
+const MATCH_LIMIT = 12;
+const HASH_BITS = 16;
+// Skip ahead faster the longer no match has been found
+const SKIP_TRIGGER = 6;
+
+class LZ4Util {
+    static hash(bytes, position) {
+        const sequence = bytes[position] | (bytes[position + 1] << 8)
+            | (bytes[position + 2] << 16) | (bytes[position + 3] << 24);
+        return Math.imul(sequence, 2654435761) >>> (32 - HASH_BITS);
+    }
+
+    // `dictionary` bytes act as data seen just before the input, so matches
+    // can refer back into it; decompress with the same dictionary
+    static compressBlock(input, dictionary = null) {
+        const prefix = dictionary ? dictionary.subarray(Math.max(0, dictionary.length - MAX_OFFSET)) : new Uint8Array(0);
+        const source = prefix.length ? concat(prefix, input) : input;
+        const start = prefix.length;
+        const end = source.length;
+        const output = new Uint8Array(input.length + Math.ceil(input.length / 255) + 16);
+        let out = 0;
+
+        // Positions are stored + 1 so zero means empty
+        const table = new Uint32Array(1 << HASH_BITS);
+        for (let i = 0; i + MIN_MATCH <= start; i++) {
+            table[this.hash(source, i)] = i + 1;
+        }
+
+        let anchor = start;
+        let position = start;
+        const matchLimit = end - MATCH_LIMIT;
+        let misses = 0;
+
+        while (position < matchLimit) {
+            const hash = this.hash(source, position);
+            const candidate = table[hash] - 1;
+            table[hash] = position + 1;
+
+            if (candidate < 0 || position - candidate > MAX_OFFSET
+                || source[candidate] !== source[position]
+                || source[candidate + 1] !== source[position + 1]
+                || source[candidate + 2] !== source[position + 2]
+                || source[candidate + 3] !== source[position + 3]) {
+                position += 1 + (misses++ >> SKIP_TRIGGER);
+                continue;
+            }
+            misses = 0;
+
+            // Extend backwards over pending literals, then forwards
+            let matchStart = position;
+            let reference = candidate;
+            while (matchStart > anchor && reference > 0 && source[matchStart - 1] === source[reference - 1]) {
+                matchStart--;
+                reference--;
+            }
+            let length = position - matchStart + MIN_MATCH;
+            const limit = end - LAST_LITERALS;
+            while (matchStart + length < limit && source[matchStart + length] === source[reference + length]) {
+                length++;
+            }
+
+            out = writeSequence(output, out, source, anchor, matchStart - anchor, matchStart - reference, length);
+            position = matchStart + length;
+            anchor = position;
+            if (position - 2 >= start) {
+                table[this.hash(source, position - 2)] = position - 1;
+            }
+        }
+
+        out = writeSequence(output, out, source, anchor, end - anchor, 0, 0);
+        return output.slice(0, out);
+    }
+
+    // `expectedLength`, when known (the container header records it), sizes
+    // the output up front, and a block that decodes to more is rejected
+    // rather than grown into
+    static decompressBlock(block, dictionary = null, expectedLength = null) {
+        const prefix = dictionary || new Uint8Array(0);
+        const limit = expectedLength === null ? Infinity : prefix.length + expectedLength;
+        let output = new Uint8Array(Math.min(limit, Math.max(64, prefix.length + block.length * 4)));
+        output.set(prefix);
+        let out = prefix.length;
+        let position = 0;
+
+        const reserve = (extra) => {
+            if (out + extra <= output.length) return;
+            if (out + extra > limit) {
+                throw new Error('Decompressed data is longer than expected');
+            }
+            let capacity = output.length * 2;
+            while (capacity < out + extra) capacity *= 2;
+            capacity = Math.min(capacity, limit);
+            const grown = new Uint8Array(capacity);
+            grown.set(output.subarray(0, out));
+            output = grown;
+        };
+        const readLength = (length) => {
+            if (length !== 15) return length;
+            let byte;
+            do {
+                if (position >= block.length) {
+                    throw new Error('Unexpected end of compressed data');
+                }
+                byte = block[position++];
+                length += byte;
+            } while (byte === 255);
+            return length;
+        };
+
+        while (position < block.length) {
+            const token = block[position++];
+
+            const literals = readLength(token >> 4);
+            if (position + literals > block.length) {
+                throw new Error('Unexpected end of compressed data');
+            }
+            reserve(literals);
+            output.set(block.subarray(position, position + literals), out);
+            out += literals;
+            position += literals;
+
+            // The last sequence has no match part
+            if (position === block.length) break;
+
+            if (position + 2 > block.length) {
+                throw new Error('Unexpected end of compressed data');
+            }
+            const offset = block[position] | (block[position + 1] << 8);
+            position += 2;
+            if (offset === 0 || offset > out) {
+                throw new Error('Invalid back-reference distance');
+            }
+
+            const length = readLength(token & 0x0F) + MIN_MATCH;
+            reserve(length);
+            // Byte by byte, since a match may overlap its own output
+            let reference = out - offset;
+            for (let i = 0; i < length; i++) {
+                output[out++] = output[reference++];
+            }
+        }
+
+        return output.slice(prefix.length, out);
+    }
+}
+
+function writeLength(output, out, length) {
+    while (length >= 255) {
+        output[out++] = 255;
+        length -= 255;
+    }
+    output[out++] = length;
+    return out;
+}
+
+function writeSequence(output, out, source, literalStart, literalCount, offset, matchLength) {
+    const matchCode = matchLength ? matchLength - MIN_MATCH : 0;
+    output[out++] = (Math.min(literalCount, 15) << 4) | Math.min(matchCode, 15);
+    if (literalCount >= 15) {
+        out = writeLength(output, out, literalCount - 15);
+    }
+    output.set(source.subarray(literalStart, literalStart + literalCount), out);
+    out += literalCount;
+
+    if (matchLength) {
+        output[out++] = offset & 0xFF;
+        output[out++] = offset >> 8;
+        if (matchCode >= 15) {
+            out = writeLength(output, out, matchCode - 15);
+        }
+    }
+    return out;
+}
+
+function concat(a, b) {
+    const result = new Uint8Array(a.length + b.length);
+    result.set(a);
+    result.set(b, a.length);
+    return result;
+}
+
+export { LZ4Util }
@@ -1,27 +1,130 @@
-class StorageMetrics {
-    constructor(config = {}) {
-        this.metrics = {
-            hits: 0,
-            misses: 0,
-            writes: 0,
-            deletes: 0,
-            errors: 0,
-            totalSize: 0,
-            itemCount: 0
+import { SizeUtil } from './size';
+
+// Upper bounds, in milliseconds, of the latency buckets; one more bucket
+// holds everything slower. Roughly 1-2.5-5 steps from 10µs to 10s.
+const LATENCY_BUCKETS = [
+    0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000
+];
+
+// Fixed-bucket histogram. Percentiles interpolate within the bucket the
+// rank falls in, clamped to the smallest and largest value seen, so they
+// are exact at the extremes and within one bucket elsewhere.
+class LatencyHistogram {
+    constructor(bounds = LATENCY_BUCKETS) {
+        this.bounds = bounds;
+        this.counts = new Array(bounds.length + 1).fill(0);
+        this.count = 0;
+        this.sum = 0;
+        this.min = Infinity;
+        this.max = -Infinity;
+    }
+
+    observe(value) {
+        let bucket = 0;
+        while (bucket < this.bounds.length && value > this.bounds[bucket]) {
+            bucket++;
+        }
+        this.counts[bucket]++;
+        this.count++;
+        this.sum += value;
+        this.min = Math.min(this.min, value);
+        this.max = Math.max(this.max, value);
+    }
+
+    merge(other) {
+        for (let i = 0; i < this.counts.length; i++) {
+            this.counts[i] += other.counts[i];
+        }
+        this.count += other.count;
+        this.sum += other.sum;
+        this.min = Math.min(this.min, other.min);
+        this.max = Math.max(this.max, other.max);
+        return this;
+    }
+
+    // p in [0, 1]
+    percentile(p) {
+        if (this.count === 0) return 0;
+
+        const rank = p * this.count;
+        let seen = 0;
+        for (let i = 0; i < this.counts.length; i++) {
+            if (this.counts[i] === 0 || seen + this.counts[i] < rank) {
+                seen += this.counts[i];
+                continue;
+            }
+            const lower = Math.max(i === 0 ? 0 : this.bounds[i - 1], this.min);
+            const upper = Math.min(i < this.bounds.length ? this.bounds[i] : this.max, this.max);
+            return lower + (upper - lower) * ((rank - seen) / this.counts[i]);
+        }
+        return this.max;
+    }
+
+    summary() {
+        return {
+            count: this.count,
+            sum: this.sum,
+            mean: this.count === 0 ? 0 : this.sum / this.count,
+            min: this.count === 0 ? 0 : this.min,
+            max: this.count === 0 ? 0 : this.max,
+            p50: this.percentile(0.5),
+            p95: this.percentile(0.95),
+            p99: this.percentile(0.99)
         };
+    }
+}
 
-        this.accessTimes = [];
-        this.maxAccessTimes = config.maxAccessTimes || 1000;
+// Histograms of the recent past in fixed time slots, oldest overwritten
+// first. A window is answered by merging the slots it covers, so its edge
+// is accurate to one slot.
+class RollingWindow {
+    constructor({ slotDuration = 10000, slots = 360 } = {}) {
+        this.slotDuration = slotDuration;
+        this.slots = new Array(slots).fill(null);
+    }
+
+    observe(value, now) {
+        const start = now - (now % this.slotDuration);
+        const index = Math.floor(now / this.slotDuration) % this.slots.length;
+        let slot = this.slots[index];
+        if (!slot || slot.start !== start) {
+            slot = this.slots[index] = { start, histogram: new LatencyHistogram() };
+        }
+        slot.histogram.observe(value);
+    }
+
+    histogram(duration, now) {
+        const oldest = now - (now % this.slotDuration) - duration + this.slotDuration;
+        const result = new LatencyHistogram();
+        for (const slot of this.slots) {
+            if (slot && slot.start >= oldest && slot.start <= now) {
+                result.merge(slot.histogram);
+            }
+        }
+        return result;
+    }
+}
+
+class StorageMetrics {
+    // Windows reported by getLatency() and the exports
+    static Windows = { '1m': 60 * 1000, '5m': 5 * 60 * 1000, '1h': 60 * 60 * 1000 };
+    // Window behind averageAccessTime, which shouldOptimize() checks
+    static AverageWindow = '5m';
+
+    static ContentTypes = {
+        prometheus: 'text/plain; version=0.0.4; charset=utf-8',
+        openmetrics: 'application/openmetrics-text; version=1.0.0; charset=utf-8'
+    };
+
+    constructor(config = {}) {
         this.sizeThreshold = config.sizeThreshold || 100000; // 100KB
         this.fragmentationThreshold = config.fragmentationThreshold || 0.3; // 30%
-        
-        // Performance tracking
-        this.performanceMetrics = {
-            averageAccessTime: 0,
-            peakAccessTime: 0,
-            lastOptimization: Date.now(),
-            fragmentationLevel: 0
-        };
+        // Clock for the rolling windows; injectable for tests
+        this.now = config.now || Date.now;
+        this.maxSweepHistory = config.maxSweepHistory || 100;
+        // Lookups needed before a low hit rate counts against the cache
+        this.minLookups = config.minLookups ?? 20;
+        this.reset();
     }
 
     recordHit() {
@@ -32,38 +135,104 @@ class StorageMetrics {
         this.metrics.misses++;
     }
 
-    recordWrite() {
-        this.metrics.writes++;
+    recordWrite(count = 1) {
+        this.metrics.writes += count;
     }
 
-    recordDelete() {
-        this.metrics.deletes++;
+    recordDelete(count = 1) {
+        this.metrics.deletes += count;
     }
 
     recordError() {
         this.metrics.errors++;
     }
 
-    recordAccessTime(duration) {
-        this.accessTimes.push({
-            timestamp: Date.now(),
-            duration
-        });
+    // tier: 'memory' or 'storage'
+    recordEviction(tier, count = 1) {
+        this.metrics.evictions[tier] += count;
+    }
+
+    recordFlush(written) {
+        this.metrics.flushes.runs++;
+        this.metrics.flushes.written += written;
+    }
 
-        // Update peak access time
+    recordFlushFailure() {
+        this.metrics.flushes.failures++;
+    }
+
+    recordSweep(reclaimed, hasMore, duration) {
+        const sweeps = this.metrics.sweeps;
+        sweeps.runs++;
+        sweeps.reclaimed += reclaimed;
+        sweeps.last = { timestamp: this.now(), reclaimed, hasMore, duration };
+        sweeps.history.push(sweeps.last);
+        if (sweeps.history.length > this.maxSweepHistory) {
+            sweeps.history.shift();
+        }
+    }
+
+    // Latency of one operation (get, set, delete, query, ...) in
+    // milliseconds. Also counts towards the overall access time.
+    recordLatency(operation, duration) {
+        let latency = this.latencies.get(operation);
+        if (!latency) {
+            latency = { total: new LatencyHistogram(), recent: new RollingWindow() };
+            this.latencies.set(operation, latency);
+        }
+        const now = this.now();
+        latency.total.observe(duration);
+        latency.recent.observe(duration, now);
+        this.recordAccessTime(duration, now);
+    }
+
+    recordAccessTime(duration, now = this.now()) {
+        this.accessTimes.observe(duration, now);
+        this.lastActivity = now;
         this.performanceMetrics.peakAccessTime = Math.max(
             this.performanceMetrics.peakAccessTime,
             duration
         );
+    }
 
-        // Maintain size limit
-        while (this.accessTimes.length > this.maxAccessTimes) {
-            this.accessTimes.shift();
+    // Mean access time over the last AverageWindow
+    get averageAccessTime() {
+        return this.accessTimes.histogram(StorageMetrics.Windows[StorageMetrics.AverageWindow], this.now()).summary().mean;
+    }
+
+    // { count, sum, mean, min, max, p50, p95, p99 } in milliseconds, since
+    // the last reset or over one of Windows ('1m', '5m', '1h')
+    getLatency(operation, { window } = {}) {
+        const latency = this.latencies.get(operation);
+        if (!latency) return new LatencyHistogram().summary();
+        return this.latencyHistogram(latency, window).summary();
+    }
+
+    latencyHistogram(latency, window) {
+        if (window === undefined) return latency.total;
+        const duration = StorageMetrics.Windows[window];
+        if (!duration) {
+            throw new Error(`Unknown metrics window: ${window}`);
         }
+        return latency.recent.histogram(duration, this.now());
+    }
 
-        // Update average
-        const sum = this.accessTimes.reduce((acc, val) => acc + val.duration, 0);
-        this.performanceMetrics.averageAccessTime = sum / this.accessTimes.length;
+    // Every operation seen, each with its all-time and windowed summaries
+    getLatencyReport() {
+        const report = {};
+        for (const [operation, latency] of this.latencies) {
+            report[operation] = { total: latency.total.summary() };
+            for (const window of Object.keys(StorageMetrics.Windows)) {
+                report[operation][window] = this.latencyHistogram(latency, window).summary();
+            }
+        }
+        return report;
+    }
+
+    // Point-in-time values owned by the caller, e.g. the size of a cache,
+    // included in the exports
+    setGauge(name, value, help = name) {
+        this.gauges.set(name, { value, help });
     }
 
     updateSize(itemSize, isAddition = true) {
@@ -77,10 +246,7 @@ class StorageMetrics {
     }
 
     calculateItemSize(value) {
-        if (typeof value === 'string') {
-            return value.length * 2; // Approximate UTF-16 string size
-        }
-        return JSON.stringify(value).length * 2;
+        return SizeUtil.byteLength(value);
     }
 
     getHitRate() {
@@ -108,6 +274,7 @@ class StorageMetrics {
     getPerformanceMetrics() {
         return {
             ...this.performanceMetrics,
+            averageAccessTime: this.averageAccessTime,
             hitRate: this.getHitRate(),
             writeRate: this.getWriteRate(),
             errorRate: this.getErrorRate(),
@@ -128,15 +295,12 @@ class StorageMetrics {
     }
 
     analyzeAccessPatterns() {
-        const now = Date.now();
-        const recentAccesses = this.accessTimes.filter(
-            access => now - access.timestamp < 3600000 // Last hour
-        );
+        const lastHour = this.accessTimes.histogram(StorageMetrics.Windows['1h'], this.now());
 
         return {
-            averageAccessTime: this.performanceMetrics.averageAccessTime,
+            averageAccessTime: this.averageAccessTime,
             hitRate: this.getHitRate(),
-            recentAccessCount: recentAccesses.length,
+            recentAccessCount: lastHour.count,
             writeRate: this.getWriteRate(),
             errorRate: this.getErrorRate(),
             fragmentation: this.calculateFragmentation()
@@ -144,24 +308,31 @@ class StorageMetrics {
     }
 
     shouldOptimize() {
+        return this.getOptimizationReasons().length > 0;
+    }
+
+    // Which thresholds are tripped: 'hitRate', 'fragmentation', 'errorRate'
+    // and/or 'latency'
+    getOptimizationReasons() {
         const analysis = this.analyzeAccessPatterns();
-        
-        return (
-            analysis.hitRate < 0.5 || // Low hit rate
-            analysis.fragmentation > this.fragmentationThreshold || // High fragmentation
-            analysis.errorRate > 0.05 || // High error rate
-            this.performanceMetrics.averageAccessTime > 100 // Slow access times
-        );
+        const lookups = this.metrics.hits + this.metrics.misses;
+        const reasons = [];
+
+        if (lookups >= this.minLookups && analysis.hitRate < 0.5) reasons.push('hitRate');
+        if (analysis.fragmentation > this.fragmentationThreshold) reasons.push('fragmentation');
+        if (analysis.errorRate > 0.05) reasons.push('errorRate');
+        if (analysis.averageAccessTime > 100) reasons.push('latency');
+        return reasons;
     }
 
-    calculateFragmentation() {
-        if (this.metrics.itemCount === 0) return 0;
+    // Fragmentation of the store as last measured by its owner (see
+    // HybridStorage.getStorageStats), from 0 to 1
+    recordFragmentation(level) {
+        this.performanceMetrics.fragmentationLevel = level;
+    }
 
-        // Calculate theoretical minimum space needed
-        const idealSpace = this.metrics.itemCount * this.getAverageItemSize();
-        
-        // Compare with actual space used
-        return Math.max(0, 1 - (idealSpace / this.metrics.totalSize));
+    calculateFragmentation() {
+        return this.performanceMetrics.fragmentationLevel;
     }
 
     reset() {
@@ -172,12 +343,32 @@ class StorageMetrics {
             deletes: 0,
             errors: 0,
             totalSize: 0,
-            itemCount: 0
+            itemCount: 0,
+            evictions: {
+                memory: 0,
+                storage: 0
+            },
+            flushes: {
+                runs: 0,
+                written: 0,
+                failures: 0
+            },
+            sweeps: {
+                runs: 0,
+                reclaimed: 0,
+                last: null,
+                history: []
+            }
         };
-        
-        this.accessTimes = [];
+
+        // operation -> { total: LatencyHistogram, recent: RollingWindow }
+        this.latencies = new Map();
+        // Every operation together, for the average and recent counts
+        this.accessTimes = new RollingWindow();
+        this.gauges = new Map();
+        // Time of the last recorded access; null before the first
+        this.lastActivity = null;
         this.performanceMetrics = {
-            averageAccessTime: 0,
             peakAccessTime: 0,
             lastOptimization: Date.now(),
             fragmentationLevel: 0
@@ -189,9 +380,119 @@ class StorageMetrics {
             metrics: { ...this.metrics },
             performance: this.getPerformanceMetrics(),
             analysis: this.analyzeAccessPatterns(),
+            latency: this.getLatencyReport(),
             timestamp: Date.now()
         };
     }
+
+    // Prometheus text exposition format (version 0.0.4)
+    toPrometheus(options) {
+        return this.export('prometheus', options);
+    }
+
+    // OpenMetrics 1.0 text format
+    toOpenMetrics(options) {
+        return this.export('openmetrics', options);
+    }
+
+    // Durations are exported in seconds, as both formats expect. The
+    // windowed percentiles are gauges, since a window's quantiles can't be
+    // aggregated like a histogram.
+    export(format = 'prometheus', { prefix = 'thought_storage' } = {}) {
+        if (!StorageMetrics.ContentTypes[format]) {
+            throw new Error(`Unknown metrics format: ${format}`);
+        }
+        const openMetrics = format === 'openmetrics';
+        const lines = [];
+
+        const family = (name, type, help, samples, unit) => {
+            // Prometheus names the counter family after its sample
+            const familyName = `${prefix}_${name}${type === 'counter' && !openMetrics ? '_total' : ''}`;
+            lines.push(`# HELP ${familyName} ${escapeHelp(help)}`);
+            lines.push(`# TYPE ${familyName} ${type}`);
+            if (unit && openMetrics) {
+                lines.push(`# UNIT ${familyName} ${unit}`);
+            }
+            for (const [suffix, labels, value] of samples) {
+                lines.push(`${prefix}_${name}${suffix}${formatLabels(labels)} ${formatValue(value)}`);
+            }
+        };
+        const counter = (name, help, samples) => family(name, 'counter', help,
+            samples.map(([labels, value]) => ['_total', labels, value]));
+
+        const { metrics } = this;
+        counter('lookups', 'Reads by whether the key was found.', [
+            [{ result: 'hit' }, metrics.hits],
+            [{ result: 'miss' }, metrics.misses]
+        ]);
+        counter('writes', 'Records written.', [[{}, metrics.writes]]);
+        counter('deletes', 'Records deleted.', [[{}, metrics.deletes]]);
+        counter('errors', 'Failed operations.', [[{}, metrics.errors]]);
+        counter('evictions', 'Records evicted, by tier.', [
+            [{ tier: 'memory' }, metrics.evictions.memory],
+            [{ tier: 'storage' }, metrics.evictions.storage]
+        ]);
+        counter('flushes', 'Write-behind flushes completed.', [[{}, metrics.flushes.runs]]);
+        counter('flushed_records', 'Records written by write-behind flushes.', [[{}, metrics.flushes.written]]);
+        counter('flush_failures', 'Write-behind flushes that failed.', [[{}, metrics.flushes.failures]]);
+        counter('sweeps', 'Expiry sweeps run.', [[{}, metrics.sweeps.runs]]);
+        counter('swept_records', 'Expired records removed by sweeps.', [[{}, metrics.sweeps.reclaimed]]);
+
+        for (const [name, { value, help }] of this.gauges) {
+            family(name, 'gauge', help, [['', {}, value]]);
+        }
+
+        const histogramSamples = [];
+        const quantileSamples = [];
+        for (const [operation, latency] of this.latencies) {
+            const { total } = latency;
+            let cumulative = 0;
+            total.bounds.forEach((bound, i) => {
+                cumulative += total.counts[i];
+                histogramSamples.push(['_bucket', { operation, le: formatValue(bound / 1000) }, cumulative]);
+            });
+            histogramSamples.push(['_bucket', { operation, le: '+Inf' }, total.count]);
+            histogramSamples.push(['_count', { operation }, total.count]);
+            histogramSamples.push(['_sum', { operation }, total.sum / 1000]);
+
+            for (const window of Object.keys(StorageMetrics.Windows)) {
+                const histogram = this.latencyHistogram(latency, window);
+                for (const quantile of [0.5, 0.95, 0.99]) {
+                    quantileSamples.push(['', { operation, window, quantile: String(quantile) }, histogram.percentile(quantile) / 1000]);
+                }
+            }
+        }
+        if (histogramSamples.length > 0) {
+            family('operation_duration_seconds', 'histogram', 'Operation latency.', histogramSamples, 'seconds');
+            family('operation_duration_window_seconds', 'gauge', 'Operation latency percentiles over recent windows.', quantileSamples, 'seconds');
+        }
+
+        if (openMetrics) {
+            lines.push('# EOF');
+        }
+        return lines.join('\n') + '\n';
+    }
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function escapeHelp(text) {
+    return text.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    if (Number.isNaN(value)) return 'NaN';
+    return String(value);
 }
 
-export {StorageMetrics}
\ No newline at end of file
+export { StorageMetrics, LatencyHistogram }
\ No newline at end of file
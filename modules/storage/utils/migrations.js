@@ -0,0 +1,200 @@
+import { ThoughtError } from '../../errors/thoughtError';
+
+// Runs a declarative list of schema migrations. Version 1 is the initial
+// schema every backend creates; each migration moves the store to a higher
+// version by changing indexes and/or rewriting existing records.
+class SchemaMigrator {
+    constructor(migrations = []) {
+        this.migrations = SchemaMigrator.validate(migrations);
+    }
+
+    static validate(migrations) {
+        if (!Array.isArray(migrations)) {
+            throw new ThoughtError('InvalidConfiguration', 'Migrations must be an array');
+        }
+
+        const seen = new Set();
+        for (const migration of migrations) {
+            if (!Number.isInteger(migration?.version) || migration.version < 2) {
+                throw new ThoughtError(
+                    'InvalidConfiguration',
+                    'Migration version must be an integer of at least 2',
+                    { version: migration?.version }
+                );
+            }
+            if (typeof migration.upgrade !== 'function') {
+                throw new ThoughtError(
+                    'InvalidConfiguration',
+                    `Migration ${migration.version} has no upgrade function`,
+                    { version: migration.version }
+                );
+            }
+            if (seen.has(migration.version)) {
+                throw new ThoughtError(
+                    'InvalidConfiguration',
+                    `Duplicate migration version: ${migration.version}`,
+                    { version: migration.version }
+                );
+            }
+            seen.add(migration.version);
+        }
+
+        return [...migrations].sort((a, b) => a.version - b.version);
+    }
+
+    get targetVersion() {
+        return this.migrations.length > 0
+            ? this.migrations[this.migrations.length - 1].version
+            : 1;
+    }
+
+    pending(fromVersion) {
+        if (fromVersion > this.targetVersion) {
+            throw new ThoughtError(
+                'InvalidConfiguration',
+                `Stored schema version ${fromVersion} is newer than the latest migration (${this.targetVersion})`,
+                { fromVersion, targetVersion: this.targetVersion }
+            );
+        }
+        return this.migrations.filter(migration => migration.version > fromVersion);
+    }
+
+    createReport(fromVersion, dryRun = false) {
+        return {
+            fromVersion,
+            toVersion: Math.max(fromVersion, this.targetVersion),
+            dryRun,
+            applied: []
+        };
+    }
+
+    // Call a migration's upgrade function against a store adapter. Index
+    // changes are applied immediately; record transforms are collected and
+    // returned so the backend can run them over its own cursor.
+    runUpgrade(migration, fromVersion, store, dryRun = false) {
+        const entry = {
+            version: migration.version,
+            description: migration.description || '',
+            appliedAt: dryRun ? null : Date.now(),
+            recordsUpdated: 0,
+            recordsDeleted: 0,
+            indexesCreated: [],
+            indexesDeleted: []
+        };
+        const transforms = [];
+
+        migration.upgrade({
+            version: migration.version,
+            oldVersion: fromVersion,
+            get indexNames() {
+                return store.indexNames();
+            },
+            createIndex(name, keyPath, options = {}) {
+                store.createIndex({ name, keyPath, options });
+                entry.indexesCreated.push(name);
+            },
+            deleteIndex(name) {
+                store.deleteIndex(name);
+                entry.indexesDeleted.push(name);
+            },
+            transformRecords(fn) {
+                if (typeof fn !== 'function') {
+                    throw new Error('transformRecords expects a function');
+                }
+                transforms.push(fn);
+            }
+        });
+
+        return { entry, transforms };
+    }
+
+    // Record transforms of the migrations after `fromVersion` up to
+    // `toVersion`, for bringing records from an older store (such as a
+    // snapshot) up to date. Index changes are ignored.
+    recordTransforms(fromVersion, toVersion = this.targetVersion) {
+        const store = { indexNames: () => [], createIndex() {}, deleteIndex() {} };
+        const transforms = [];
+
+        let version = fromVersion;
+        for (const migration of this.pending(fromVersion)) {
+            if (migration.version > toVersion) break;
+            transforms.push(...this.runUpgrade(migration, version, store, true).transforms);
+            version = migration.version;
+        }
+        return transforms;
+    }
+
+    // Run the transforms over one record. A transform returns the replacement
+    // record, null to delete it, or undefined to leave it unchanged.
+    static applyTransforms(transforms, record, keyPath) {
+        let current = record;
+        let changed = false;
+
+        for (const transform of transforms) {
+            const result = transform(current);
+            if (result === null) {
+                return { action: 'delete' };
+            }
+            if (result !== undefined) {
+                if (result?.[keyPath] !== record[keyPath]) {
+                    throw new Error(`Migration transform must not change the record key: ${record[keyPath]}`);
+                }
+                current = result;
+                changed = true;
+            }
+        }
+
+        return changed ? { action: 'update', record: current } : { action: 'keep' };
+    }
+
+    // Migrate plain in-memory state. The inputs are left untouched; the
+    // migrated records and index definitions are returned for the caller to
+    // commit, so a failing migration never leaves state half-applied.
+    migrateInMemory({ records, indexes, keyPath, fromVersion, dryRun = false }) {
+        const report = this.createReport(fromVersion, dryRun);
+        const migrated = new Map(records);
+        const definitions = indexes.map(index => ({ ...index }));
+
+        const store = {
+            indexNames: () => definitions.map(index => index.name),
+            createIndex: (definition) => {
+                if (definitions.some(index => index.name === definition.name)) {
+                    throw new Error(`Index ${definition.name} already exists`);
+                }
+                definitions.push(definition);
+            },
+            deleteIndex: (name) => {
+                const position = definitions.findIndex(index => index.name === name);
+                if (position === -1) {
+                    throw new Error(`Index ${name} not found`);
+                }
+                definitions.splice(position, 1);
+            }
+        };
+
+        let version = fromVersion;
+        for (const migration of this.pending(fromVersion)) {
+            const { entry, transforms } = this.runUpgrade(migration, version, store, dryRun);
+
+            if (transforms.length > 0) {
+                for (const [key, record] of migrated) {
+                    const outcome = SchemaMigrator.applyTransforms(transforms, structuredClone(record), keyPath);
+                    if (outcome.action === 'delete') {
+                        migrated.delete(key);
+                        entry.recordsDeleted++;
+                    } else if (outcome.action === 'update') {
+                        migrated.set(key, outcome.record);
+                        entry.recordsUpdated++;
+                    }
+                }
+            }
+
+            report.applied.push(entry);
+            version = migration.version;
+        }
+
+        return { records: migrated, indexes: definitions, report };
+    }
+}
+
+export { SchemaMigrator }
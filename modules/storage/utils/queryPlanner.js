@@ -0,0 +1,228 @@
+import { KeyRangeUtil } from './keyRange';
+import { ThoughtError } from '../../errors/thoughtError';
+
+// Turns a HybridStorage query into a scan plan over one backend index and
+// evaluates the parts of the query the index cannot answer.
+//
+// Query shape:
+//   where:  { <indexed field>: { eq, gt, gte, lt, lte } }
+//   tags:   ['a', 'b'] (all of) or { all: [...], any: [...], none: [...] }
+//   sort:   { by: 'key'|'timestamp'|'priority'|'size'|'lastAccess', order: 'asc'|'desc' }
+//   limit, offset, cursor (token from a previous page)
+//   select: 'values' (default), 'metadata', 'keys' or 'records' (stored form)
+// The legacy createdAfter/createdBefore/minPriority/maxSize filters are
+// folded into `where`.
+class QueryPlanner {
+    static SortFields = ['key', 'timestamp', 'priority', 'size', 'lastAccess'];
+    static Projections = ['values', 'metadata', 'keys', 'records'];
+    static RangeOperators = ['eq', 'gt', 'gte', 'lt', 'lte'];
+
+    constructor(indexes = []) {
+        this.indexes = new Map(indexes.map(index => [index.name, index]));
+    }
+
+    normalize(filter = {}) {
+        const where = {};
+        const addRange = (field, range) => {
+            if (field === 'tags' || !this.indexes.has(field)) {
+                throw new ThoughtError('InvalidInput', `Cannot filter on non-indexed field: ${field}`, { field });
+            }
+            where[field] = KeyRangeUtil.intersect(where[field], range);
+        };
+
+        for (const [field, conditions] of Object.entries(filter.where || {})) {
+            addRange(field, QueryPlanner.toRange(field, conditions));
+        }
+        if (filter.createdAfter) addRange('timestamp', KeyRangeUtil.lowerBound(filter.createdAfter.getTime()));
+        if (filter.createdBefore) addRange('timestamp', KeyRangeUtil.upperBound(filter.createdBefore.getTime()));
+        if (filter.minPriority !== undefined) addRange('priority', KeyRangeUtil.lowerBound(filter.minPriority));
+        if (filter.maxSize !== undefined) addRange('size', KeyRangeUtil.upperBound(filter.maxSize));
+
+        const sort = { by: filter.sort?.by || 'key', order: filter.sort?.order || 'asc' };
+        if (!QueryPlanner.SortFields.includes(sort.by)) {
+            throw new ThoughtError('InvalidInput', `Cannot sort by: ${sort.by}`, { sort });
+        }
+        if (sort.order !== 'asc' && sort.order !== 'desc') {
+            throw new ThoughtError('InvalidInput', `Sort order must be 'asc' or 'desc'`, { sort });
+        }
+
+        const select = filter.select || 'values';
+        if (!QueryPlanner.Projections.includes(select)) {
+            throw new ThoughtError('InvalidInput', `Unknown projection: ${select}`, { select });
+        }
+
+        const limit = filter.limit ?? null;
+        const offset = filter.offset ?? 0;
+        if (limit !== null && (!Number.isInteger(limit) || limit < 0)) {
+            throw new ThoughtError('InvalidInput', 'limit must be a non-negative integer', { limit });
+        }
+        if (!Number.isInteger(offset) || offset < 0) {
+            throw new ThoughtError('InvalidInput', 'offset must be a non-negative integer', { offset });
+        }
+
+        return {
+            where,
+            tags: QueryPlanner.normalizeTags(filter.tags),
+            sort,
+            limit,
+            offset,
+            select,
+            after: filter.cursor ? QueryPlanner.decodeCursor(filter.cursor, sort) : null
+        };
+    }
+
+    static toRange(field, conditions) {
+        if (!conditions || typeof conditions !== 'object') {
+            throw new ThoughtError('InvalidInput', `Range filter for ${field} must be an object`, { field });
+        }
+
+        let range = null;
+        for (const [operator, value] of Object.entries(conditions)) {
+            if (!QueryPlanner.RangeOperators.includes(operator)) {
+                throw new ThoughtError('InvalidInput', `Unknown range operator: ${operator}`, { field, operator });
+            }
+            if (!KeyRangeUtil.isValidKey(value)) {
+                throw new ThoughtError('InvalidInput', `Invalid ${operator} value for ${field}`, { field, operator });
+            }
+
+            const bound = {
+                eq: () => KeyRangeUtil.only(value),
+                gt: () => KeyRangeUtil.lowerBound(value, true),
+                gte: () => KeyRangeUtil.lowerBound(value),
+                lt: () => KeyRangeUtil.upperBound(value, true),
+                lte: () => KeyRangeUtil.upperBound(value)
+            }[operator]();
+            range = KeyRangeUtil.intersect(range, bound);
+        }
+        return range;
+    }
+
+    static normalizeTags(tags) {
+        if (!tags) return { all: [], any: [], none: [] };
+        if (Array.isArray(tags)) return { all: tags, any: [], none: [] };
+
+        const result = { all: tags.all || [], any: tags.any || [], none: tags.none || [] };
+        for (const list of Object.values(result)) {
+            if (!Array.isArray(list)) {
+                throw new ThoughtError('InvalidInput', 'Tag filters must be arrays', { tags });
+            }
+        }
+        return result;
+    }
+
+    // Pick the index whose range excludes the most records. Equality beats a
+    // two-sided range, which beats a one-sided one; on a tie the index that
+    // already yields the requested sort order wins so the scan can stop early.
+    plan(query) {
+        const sortIndex = query.sort.by === 'key'
+            ? null
+            : (this.indexes.has(query.sort.by) ? query.sort.by : undefined);
+        const direction = query.sort.order === 'desc' ? 'prev' : 'next';
+        const candidates = [];
+
+        for (const [field, range] of Object.entries(query.where)) {
+            candidates.push({ index: field, ranges: [range], score: QueryPlanner.selectivity(range) });
+        }
+        for (const tag of query.tags.all) {
+            candidates.push({ index: 'tags', ranges: [KeyRangeUtil.only(tag)], score: 3 });
+        }
+        if (query.tags.any.length > 0) {
+            candidates.push({
+                index: 'tags',
+                ranges: query.tags.any.map(tag => KeyRangeUtil.only(tag)),
+                score: query.tags.any.length === 1 ? 3 : 2
+            });
+        }
+
+        candidates.sort((a, b) =>
+            (b.score - a.score) || ((b.index === sortIndex) - (a.index === sortIndex))
+        );
+
+        const best = candidates[0];
+        if (best && (best.score > 0 || best.index === sortIndex)) {
+            const ordered = best.index === sortIndex && best.ranges.length === 1;
+            return {
+                strategy: best.ranges.length > 1 ? 'union' : 'index',
+                index: best.index,
+                ranges: best.ranges,
+                direction: ordered ? direction : 'next',
+                ordered
+            };
+        }
+
+        // Nothing narrows the scan; walk in sort order when an index allows it
+        if (sortIndex !== undefined) {
+            return { strategy: sortIndex ? 'index' : 'scan', index: sortIndex, ranges: [null], direction, ordered: true };
+        }
+        return { strategy: 'scan', index: null, ranges: [null], direction: 'next', ordered: false };
+    }
+
+    static selectivity(range) {
+        if (!range) return 0;
+        if (range.only !== undefined) return 3;
+        if (range.lower !== undefined && range.upper !== undefined) {
+            return KeyRangeUtil.compare(range.lower, range.upper) === 0 ? 3 : 2;
+        }
+        return 1;
+    }
+
+    matches(item, query) {
+        for (const [field, range] of Object.entries(query.where)) {
+            const value = KeyRangeUtil.getKeyPathValue(item, this.indexes.get(field).keyPath);
+            if (!KeyRangeUtil.isValidKey(value) || !KeyRangeUtil.includes(range, value)) {
+                return false;
+            }
+        }
+
+        const tags = item.tags || [];
+        const { all, any, none } = query.tags;
+        if (!all.every(tag => tags.includes(tag))) return false;
+        if (any.length > 0 && !any.some(tag => tags.includes(tag))) return false;
+        if (none.some(tag => tags.includes(tag))) return false;
+
+        return true;
+    }
+
+    static sortValue(item, sort) {
+        return sort.by === 'key' ? item.key : item[sort.by];
+    }
+
+    // Order by the sort field, then by key so pagination has a stable position
+    static compare(a, b, sort) {
+        const result = KeyRangeUtil.compare(QueryPlanner.sortValue(a, sort), QueryPlanner.sortValue(b, sort))
+            || KeyRangeUtil.compare(a.key, b.key);
+        return sort.order === 'desc' ? -result : result;
+    }
+
+    // Whether an item lies strictly after a cursor position in sort order
+    static isAfter(item, position, sort) {
+        return QueryPlanner.compare(item, { key: position.key, [sort.by]: position.value }, sort) > 0;
+    }
+
+    // The backend cursor `after` option for a position: ordered walks use
+    // the sort field's index, or the store for key order, so the position's
+    // sort value is the index key
+    static cursorAfter(position) {
+        return { key: position.value, primaryKey: position.key };
+    }
+
+    static encodeCursor(item, sort) {
+        const position = { by: sort.by, order: sort.order, value: QueryPlanner.sortValue(item, sort), key: item.key };
+        return btoa(encodeURIComponent(JSON.stringify(position)));
+    }
+
+    static decodeCursor(token, sort) {
+        let position;
+        try {
+            position = JSON.parse(decodeURIComponent(atob(token)));
+        } catch (error) {
+            throw new ThoughtError('InvalidInput', 'Malformed query cursor', { cursor: token });
+        }
+        if (position.by !== sort.by || position.order !== sort.order) {
+            throw new ThoughtError('InvalidInput', 'Query cursor does not match the sort order', { cursor: token, sort });
+        }
+        return position;
+    }
+}
+
+export { QueryPlanner }
@@ -0,0 +1,95 @@
+import { ThoughtError } from '../../errors/thoughtError';
+
+const BINARY_VIEWS = {
+    Int8Array, Uint8Array, Uint8ClampedArray, Int16Array, Uint16Array,
+    Int32Array, Uint32Array, Float32Array, Float64Array, BigInt64Array, BigUint64Array,
+    DataView
+};
+
+// '$type', '$$type', ... in user objects gain one more '$' when written, so
+// an object with a bare '$type' key is always one of our tags
+const ESCAPED_TYPE_KEY = /^\$+type$/;
+
+// JSON that round-trips the values records may hold but JSON cannot: Dates,
+// typed arrays, DataViews and ArrayBuffers are written as { $type, value }
+// with binary data base64 encoded. Used for the file log and for snapshots.
+class SerializationUtil {
+    static serialize(value) {
+        return JSON.stringify(value, function (key, current) {
+            const raw = this[key];
+            if (raw instanceof Date) {
+                return { $type: 'Date', value: raw.toISOString() };
+            }
+            if (ArrayBuffer.isView(raw)) {
+                // Subclasses such as Node's Buffer are written as their base type
+                const type = Object.keys(BINARY_VIEWS).find(name => raw instanceof BINARY_VIEWS[name]);
+                const bytes = new Uint8Array(raw.buffer, raw.byteOffset, raw.byteLength);
+                return { $type: type, value: SerializationUtil.toBase64(bytes) };
+            }
+            if (raw instanceof ArrayBuffer) {
+                return { $type: 'ArrayBuffer', value: SerializationUtil.toBase64(new Uint8Array(raw)) };
+            }
+            if (current && typeof current === 'object' && !Array.isArray(current)) {
+                return SerializationUtil.renameTypeKeys(current, name => '$' + name);
+            }
+            return current;
+        });
+    }
+
+    static deserialize(text) {
+        return JSON.parse(text, (key, value) => {
+            if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                return value;
+            }
+            if (!Object.prototype.hasOwnProperty.call(value, '$type')) {
+                return SerializationUtil.renameTypeKeys(value, name => name.slice(1));
+            }
+
+            const type = value.$type;
+            if (type === 'Date') {
+                return new Date(value.value);
+            }
+            if (type !== 'ArrayBuffer' && !Object.prototype.hasOwnProperty.call(BINARY_VIEWS, type)) {
+                throw new ThoughtError('DataCorruption', `Unknown serialized type: ${type}`, { type });
+            }
+
+            const { buffer } = SerializationUtil.fromBase64(value.value);
+            return type === 'ArrayBuffer' ? buffer : new BINARY_VIEWS[type](buffer);
+        });
+    }
+
+    // Copy of `object` with its escaped '$type' keys renamed, or `object`
+    // itself when it has none
+    static renameTypeKeys(object, rename) {
+        const keys = Object.keys(object);
+        if (!keys.some(name => ESCAPED_TYPE_KEY.test(name))) {
+            return object;
+        }
+        const renamed = {};
+        for (const name of keys) {
+            renamed[ESCAPED_TYPE_KEY.test(name) ? rename(name) : name] = object[name];
+        }
+        return renamed;
+    }
+
+    // btoa/atob work on binary strings; build them in chunks so large
+    // arrays don't overflow the argument limit of String.fromCharCode
+    static toBase64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    static fromBase64(text) {
+        const binary = atob(text);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+}
+
+export { SerializationUtil }
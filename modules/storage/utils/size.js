@@ -0,0 +1,81 @@
+// Byte sizes of stored values. Binary values (including compressed ones)
+// count their byteLength, wherever they are nested; strings and the rest of
+// JSON-serialisable values count the length of their UTF-8 encoding.
+class SizeUtil {
+    static byteLength(value) {
+        if (value === undefined || value === null) {
+            return 0;
+        }
+        if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) {
+            return value.byteLength;
+        }
+        if (typeof value === 'string') {
+            return SizeUtil.utf8Length(value);
+        }
+        // Binary data nested in objects counts its byteLength too, rather
+        // than the length of a JSON array of its elements
+        let binaryBytes = 0;
+        const json = JSON.stringify(value, function (key, current) {
+            // The value before any toJSON(), e.g. Buffer's
+            const raw = this[key];
+            if (raw instanceof ArrayBuffer || ArrayBuffer.isView(raw)) {
+                binaryBytes += raw.byteLength;
+                return null;
+            }
+            return current;
+        });
+        return SizeUtil.utf8Length(json ?? '') + binaryBytes;
+    }
+
+    static utf8Length(string) {
+        let bytes = 0;
+        for (let i = 0; i < string.length; i++) {
+            const code = string.charCodeAt(i);
+            if (code < 0x80) {
+                bytes += 1;
+            } else if (code < 0x800) {
+                bytes += 2;
+            } else if (code >= 0xD800 && code <= 0xDBFF && i + 1 < string.length) {
+                // Surrogate pair: one 4-byte code point
+                bytes += 4;
+                i++;
+            } else {
+                bytes += 3;
+            }
+        }
+        return bytes;
+    }
+}
+
+// Map of key -> stored item that keeps a running total of item sizes, so the
+// memory tier can be bounded in bytes without rescanning it
+class SizedMap extends Map {
+    constructor() {
+        super();
+        this.bytes = 0;
+    }
+
+    set(key, item) {
+        const previous = super.get(key);
+        if (previous) {
+            this.bytes -= previous.size || 0;
+        }
+        this.bytes += item.size || 0;
+        return super.set(key, item);
+    }
+
+    delete(key) {
+        const previous = super.get(key);
+        if (previous) {
+            this.bytes -= previous.size || 0;
+        }
+        return super.delete(key);
+    }
+
+    clear() {
+        this.bytes = 0;
+        super.clear();
+    }
+}
+
+export { SizeUtil, SizedMap }
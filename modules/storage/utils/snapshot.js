@@ -0,0 +1,161 @@
+import { SerializationUtil } from './serialization';
+import { ThoughtError } from '../../errors/thoughtError';
+
+// Snapshot format: newline-delimited JSON (tagged as by SerializationUtil)
+// made of a header, one line per stored record and an end line with the
+// record count, so a truncated snapshot is detected on import:
+//   {"type":"header","format":"hybridStorage-snapshot","version":1,"dbName":...}
+//   {"type":"item","item":{...}}
+//   {"type":"end","count":2}
+class SnapshotFormat {
+    static Format = 'hybridStorage-snapshot';
+    static Version = 1;
+
+    static header(fields) {
+        return SnapshotFormat.line({
+            type: 'header',
+            format: SnapshotFormat.Format,
+            version: SnapshotFormat.Version,
+            ...fields,
+            createdAt: Date.now()
+        });
+    }
+
+    static item(item) {
+        return SnapshotFormat.line({ type: 'item', item });
+    }
+
+    static end(count) {
+        return SnapshotFormat.line({ type: 'end', count });
+    }
+
+    static line(entry) {
+        return SerializationUtil.serialize(entry) + '\n';
+    }
+
+    // Split a snapshot into lines. Accepts a string, a web ReadableStream or
+    // any (async) iterable of string or byte chunks, such as a Node.js stream
+    // or the output of HybridStorage#exportSnapshot.
+    static async *lines(source) {
+        let decoder = null;
+        let pending = '';
+
+        for await (const chunk of SnapshotFormat.chunks(source)) {
+            if (typeof chunk === 'string') {
+                pending += chunk;
+            } else if (ArrayBuffer.isView(chunk) || chunk instanceof ArrayBuffer) {
+                decoder = decoder || new TextDecoder();
+                pending += decoder.decode(chunk, { stream: true });
+            } else {
+                throw new ThoughtError('InvalidInput', 'Snapshot chunks must be strings or bytes');
+            }
+
+            let newline;
+            while ((newline = pending.indexOf('\n')) !== -1) {
+                yield pending.slice(0, newline);
+                pending = pending.slice(newline + 1);
+            }
+        }
+
+        if (pending) {
+            yield pending;
+        }
+    }
+
+    static async *chunks(source) {
+        if (typeof source === 'string') {
+            yield source;
+        } else if (source && typeof source.getReader === 'function') {
+            const reader = source.getReader();
+            try {
+                for (;;) {
+                    const { done, value } = await reader.read();
+                    if (done) return;
+                    yield value;
+                }
+            } finally {
+                reader.releaseLock();
+            }
+        } else if (source && (source[Symbol.asyncIterator] || source[Symbol.iterator])) {
+            yield* source;
+        } else {
+            throw new ThoughtError('InvalidInput', 'Snapshot source must be a string, stream or iterable');
+        }
+    }
+
+    // Parse and validate a snapshot, yielding the header entry first and
+    // then each item entry
+    static async *read(source, { keyPath = 'key', codecs = [] } = {}) {
+        let header = null;
+        let count = 0;
+        let ended = false;
+        let lineNumber = 0;
+
+        for await (const line of SnapshotFormat.lines(source)) {
+            lineNumber++;
+            if (!line.trim()) continue;
+            if (ended) {
+                throw new ThoughtError('DataCorruption', 'Unexpected data after the end of the snapshot', { line: lineNumber });
+            }
+
+            let entry;
+            try {
+                entry = SerializationUtil.deserialize(line);
+            } catch (error) {
+                throw new ThoughtError('DataCorruption', `Malformed snapshot line ${lineNumber}`, { line: lineNumber });
+            }
+
+            if (!header) {
+                SnapshotFormat.validateHeader(entry, codecs);
+                header = entry;
+                yield entry;
+                continue;
+            }
+
+            switch (entry?.type) {
+                case 'item':
+                    if (!entry.item || typeof entry.item !== 'object' || entry.item[keyPath] === undefined) {
+                        throw new ThoughtError('DataCorruption', `Invalid snapshot record at line ${lineNumber}`, { line: lineNumber });
+                    }
+                    count++;
+                    yield entry;
+                    break;
+                case 'end':
+                    if (entry.count !== count) {
+                        throw new ThoughtError(
+                            'DataCorruption',
+                            `Snapshot declares ${entry.count} records but contains ${count}`,
+                            { expected: entry.count, actual: count }
+                        );
+                    }
+                    ended = true;
+                    break;
+                default:
+                    throw new ThoughtError('DataCorruption', `Unknown snapshot entry at line ${lineNumber}`, { line: lineNumber });
+            }
+        }
+
+        if (!header) {
+            throw new ThoughtError('InvalidInput', 'Snapshot is empty');
+        }
+        if (!ended) {
+            throw new ThoughtError('DataCorruption', 'Snapshot is truncated', { records: count });
+        }
+    }
+
+    static validateHeader(header, codecs) {
+        if (header?.type !== 'header' || header.format !== SnapshotFormat.Format) {
+            throw new ThoughtError('InvalidInput', 'Not a HybridStorage snapshot');
+        }
+        if (!Number.isInteger(header.version) || header.version > SnapshotFormat.Version) {
+            throw new ThoughtError('InvalidInput', `Unsupported snapshot version: ${header.version}`, { version: header.version });
+        }
+        if (header.compression && !codecs.includes(header.compression)) {
+            throw new ThoughtError('InvalidInput', `Unsupported snapshot compression: ${header.compression}`, {
+                compression: header.compression
+            });
+        }
+    }
+}
+
+export { SnapshotFormat }
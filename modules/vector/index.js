@@ -1,5 +1,8 @@
 // modules/vector/index.js
 export { EnhancedVectorStore } from './vectorStore';
 export { VectorIndex } from './vectorIndex';
+export { FlatIndex } from './flatIndex';
 export { RandomProjectionTree } from './utils/projectionTree';
-export { VectorSimilarity } from './utils/similarity';
\ No newline at end of file
+export { HNSWIndex } from './utils/hnswIndex';
+export { VectorSimilarity, DistanceMetric } from './utils/similarity';
+export { MetadataFilter } from './utils/metadataFilter';
\ No newline at end of file
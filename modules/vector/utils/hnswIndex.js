@@ -0,0 +1,352 @@
+import { VectorSimilarity } from './similarity';
+
+// Hierarchical Navigable Small World graph (Malkov & Yashunin). Every vector
+// is a node on layer 0 and, with odds falling by a factor of M per layer, on
+// the layers above it; on each layer a node links to up to M near neighbours
+// (2M on layer 0). A search descends greedily from the top layer's entry
+// point, then explores layer 0 best-first keeping the `ef` closest nodes
+// seen, so it reads a few hundred vectors however many are indexed.
+//
+// Vectors are scored with the `metric` option, cosine by default, as in
+// VectorIndex; internally the graph ranks by closeness, which is higher for
+// better matches whatever the metric. Deleted nodes stay in the graph as
+// waypoints, since unlinking them could strand their neighbours, until
+// rebuild().
+class HNSWIndex {
+    // Rebuild on delete once this share of the nodes are deleted ones
+    static RebuildRatio = 0.5;
+    // needsRebuild() from this share, for maintenance to act on
+    static MaintenanceRatio = 0.1;
+
+    constructor(dimensions = 128, { M = 16, efConstruction = 200, efSearch = 50, metric = 'cosine', random = Math.random } = {}) {
+        if (!Number.isInteger(M) || M < 2) {
+            throw new Error(`Invalid HNSW M: ${M}`);
+        }
+        this.dimensions = dimensions;
+        this.M = M;
+        this.maxConnections0 = M * 2;
+        this.efConstruction = Math.max(efConstruction, M);
+        this.efSearch = efSearch;
+        this.metric = VectorSimilarity.getMetric(metric);
+        this.levelMultiplier = 1 / Math.log(M);
+        this.random = random;
+
+        // id -> { key, vector, level, neighbors: [ids per layer], deleted }
+        this.nodes = new Map();
+        this.ids = new Map();
+        this.nextId = 0;
+        this.entryPoint = null;
+        this.maxLevel = -1;
+        this.deletedCount = 0;
+    }
+
+    get size() {
+        return this.ids.size;
+    }
+
+    async add(key, embedding) {
+        if (key === undefined || key === null || !embedding) {
+            throw new Error('Invalid input: key and embedding are required');
+        }
+        const vector = this.prepareVector(embedding);
+        if (this.ids.has(key)) {
+            this.remove(key);
+        }
+        this.insertNode(key, vector);
+        return true;
+    }
+
+    // `threshold` is a minimum similarity or a maximum distance, depending
+    // on the metric. `ef` overrides efSearch for this query; larger finds
+    // more of the true nearest neighbours at the cost of reading more vectors.
+    async search(queryEmbedding, limit = 5, threshold = this.metric.defaultThreshold, { ef = this.efSearch } = {}) {
+        const query = this.prepareVector(queryEmbedding);
+        if (this.entryPoint === null || this.size === 0) return [];
+
+        let entry = [this.entryPoint];
+        for (let layer = this.maxLevel; layer > 0; layer--) {
+            entry = [this.searchLayer(query, entry, 1, layer)[0].id];
+        }
+
+        return this.searchLayer(query, entry, Math.max(ef, limit), 0, { liveOnly: true })
+            .map(({ id, closeness }) => ({ key: this.nodes.get(id).key, score: this.metric.toScore(closeness) }))
+            .filter(({ score }) => this.metric.passes(score, threshold))
+            .slice(0, limit)
+            .map(({ key, score }) => this.metric.result(key, score));
+    }
+
+    async delete(key) {
+        if (!this.remove(key)) return false;
+        if (this.size === 0 || this.deletedCount > this.nodes.size * HNSWIndex.RebuildRatio) {
+            this.rebuild();
+        }
+        return true;
+    }
+
+    async update(key, embedding) {
+        await this.delete(key);
+        return await this.add(key, embedding);
+    }
+
+    remove(key) {
+        const id = this.ids.get(key);
+        if (id === undefined) return false;
+        this.ids.delete(key);
+        this.nodes.get(id).deleted = true;
+        this.deletedCount++;
+        return true;
+    }
+
+    needsRebuild() {
+        return this.deletedCount > this.nodes.size * HNSWIndex.MaintenanceRatio;
+    }
+
+    // Reinserts the live vectors into a fresh graph, dropping deleted nodes
+    rebuild() {
+        const live = Array.from(this.nodes.values()).filter(node => !node.deleted);
+        this.clear();
+        for (const node of live) {
+            this.insertNode(node.key, node.vector);
+        }
+    }
+
+    clear() {
+        this.nodes.clear();
+        this.ids.clear();
+        this.entryPoint = null;
+        this.maxLevel = -1;
+        this.deletedCount = 0;
+    }
+
+    insertNode(key, vector) {
+        const id = this.nextId++;
+        const level = this.randomLevel();
+        const node = {
+            key,
+            vector,
+            level,
+            neighbors: Array.from({ length: level + 1 }, () => []),
+            deleted: false
+        };
+        this.nodes.set(id, node);
+        this.ids.set(key, id);
+
+        if (this.entryPoint === null) {
+            this.entryPoint = id;
+            this.maxLevel = level;
+            return;
+        }
+
+        let entry = [this.entryPoint];
+        for (let layer = this.maxLevel; layer > level; layer--) {
+            entry = [this.searchLayer(vector, entry, 1, layer)[0].id];
+        }
+
+        for (let layer = Math.min(level, this.maxLevel); layer >= 0; layer--) {
+            const found = this.searchLayer(vector, entry, this.efConstruction, layer);
+            const selected = this.selectNeighbors(found, this.M);
+            node.neighbors[layer] = selected.map(candidate => candidate.id);
+            for (const candidate of selected) {
+                this.link(candidate.id, id, layer);
+            }
+            entry = found.map(candidate => candidate.id);
+        }
+
+        if (level > this.maxLevel) {
+            this.entryPoint = id;
+            this.maxLevel = level;
+        }
+    }
+
+    randomLevel() {
+        // 1 - random() is never 0, so the log is finite
+        return Math.floor(-Math.log(1 - this.random()) * this.levelMultiplier);
+    }
+
+    // Adds `toId` to a node's neighbours, pruning them back to the layer's
+    // limit with the same heuristic used when the node was inserted
+    link(fromId, toId, layer) {
+        const node = this.nodes.get(fromId);
+        const neighbors = node.neighbors[layer];
+        neighbors.push(toId);
+
+        const limit = layer === 0 ? this.maxConnections0 : this.M;
+        if (neighbors.length <= limit) return;
+
+        const candidates = neighbors
+            .map(id => ({ id, closeness: this.closeness(node.vector, this.nodes.get(id).vector) }))
+            .sort((a, b) => b.closeness - a.closeness);
+        node.neighbors[layer] = this.selectNeighbors(candidates, limit).map(candidate => candidate.id);
+    }
+
+    // Best-first search of one layer from `entryIds`. Returns up to `ef`
+    // { id, closeness }, closest first. With `liveOnly`, deleted nodes are
+    // still walked through but not returned, so they take none of the `ef`
+    // places.
+    searchLayer(query, entryIds, ef, layer, { liveOnly = false } = {}) {
+        const visited = new Set(entryIds);
+        const candidates = new BinaryHeap((a, b) => b.closeness - a.closeness);
+        // Least close on top, so it can be dropped when a closer one appears
+        const results = new BinaryHeap((a, b) => a.closeness - b.closeness);
+        const collect = (entry) => {
+            if (liveOnly && this.nodes.get(entry.id).deleted) return;
+            results.push(entry);
+            if (results.size > ef) results.pop();
+        };
+
+        for (const id of entryIds) {
+            const entry = { id, closeness: this.closeness(query, this.nodes.get(id).vector) };
+            candidates.push(entry);
+            collect(entry);
+        }
+
+        while (candidates.size > 0) {
+            const current = candidates.pop();
+            // Nothing left to expand can improve on the results
+            if (results.size >= ef && current.closeness < results.peek().closeness) break;
+
+            for (const id of this.nodes.get(current.id).neighbors[layer]) {
+                if (visited.has(id)) continue;
+                visited.add(id);
+
+                const closeness = this.closeness(query, this.nodes.get(id).vector);
+                if (results.size < ef || closeness > results.peek().closeness) {
+                    const entry = { id, closeness };
+                    candidates.push(entry);
+                    collect(entry);
+                }
+            }
+        }
+
+        return results.toArray().sort((a, b) => b.closeness - a.closeness);
+    }
+
+    // Neighbour heuristic: take candidates, most similar first, that are
+    // closer to the new node than to any neighbour already taken, so links
+    // spread out in different directions instead of all into one cluster.
+    // Leftover slots go to the closest of the skipped candidates.
+    selectNeighbors(candidates, limit) {
+        const selected = [];
+        const skipped = [];
+        for (const candidate of candidates) {
+            if (selected.length >= limit) break;
+            const vector = this.nodes.get(candidate.id).vector;
+            const diverse = selected.every(other =>
+                this.closeness(vector, this.nodes.get(other.id).vector) < candidate.closeness
+            );
+            (diverse ? selected : skipped).push(candidate);
+        }
+        for (const candidate of skipped) {
+            if (selected.length >= limit) break;
+            selected.push(candidate);
+        }
+        return selected;
+    }
+
+    closeness(a, b) {
+        return this.metric.closeness(a, b);
+    }
+
+    // Unit length copy when the metric wants one, else a Float32Array copy
+    prepareVector(vector) {
+        if (!vector || vector.length !== this.dimensions) {
+            throw new Error(`Invalid embedding dimensions: expected ${this.dimensions}, got ${vector ? vector.length : vector}`);
+        }
+        if (!this.metric.normalize) {
+            return new Float32Array(vector);
+        }
+        let norm = 0;
+        for (let i = 0; i < vector.length; i++) {
+            norm += vector[i] * vector[i];
+        }
+        norm = Math.sqrt(norm);
+
+        if (norm === 0) {
+            throw new Error('Cannot normalize zero vector');
+        }
+
+        const normalized = new Float32Array(vector.length);
+        for (let i = 0; i < vector.length; i++) {
+            normalized[i] = vector[i] / norm;
+        }
+        return normalized;
+    }
+
+    async destroy() {
+        this.clear();
+        return true;
+    }
+
+    async getStats() {
+        let links = 0;
+        for (const node of this.nodes.values()) {
+            links += node.neighbors[0].length;
+        }
+        return {
+            numVectors: this.size,
+            deletedNodes: this.deletedCount,
+            levels: this.maxLevel + 1,
+            averageDegree: this.nodes.size ? links / this.nodes.size : 0,
+            metric: this.metric.name,
+            M: this.M,
+            efConstruction: this.efConstruction,
+            efSearch: this.efSearch,
+            needsRebuild: this.needsRebuild()
+        };
+    }
+}
+
+// Binary heap ordered by `compare`, whose smallest element is on top
+class BinaryHeap {
+    constructor(compare) {
+        this.compare = compare;
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    peek() {
+        return this.items[0];
+    }
+
+    push(item) {
+        const items = this.items;
+        items.push(item);
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (this.compare(items[i], items[parent]) >= 0) break;
+            [items[i], items[parent]] = [items[parent], items[i]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            items[0] = last;
+            let i = 0;
+            for (;;) {
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < items.length && this.compare(items[left], items[smallest]) < 0) smallest = left;
+                if (right < items.length && this.compare(items[right], items[smallest]) < 0) smallest = right;
+                if (smallest === i) break;
+                [items[i], items[smallest]] = [items[smallest], items[i]];
+                i = smallest;
+            }
+        }
+        return top;
+    }
+
+    toArray() {
+        return this.items.slice();
+    }
+}
+
+export { HNSWIndex }
@@ -0,0 +1,115 @@
+import { ThoughtError } from '../../errors/thoughtError';
+
+// Filter expressions over the metadata attached to vectors:
+//   { field: value }                     equals (for an array field: contains)
+//   { field: { eq, ne, gt, gte, lt, lte, in: [...], nin: [...], exists: true|false } }
+//   { and: [...] }, { or: [...] }, { not: expression }
+// Several fields in one object must all match. Dates compare by time,
+// ranges only match values of the same type, and a dotted name such as
+// 'source.kind' reaches into nested objects.
+class MetadataFilter {
+    static Operators = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'nin', 'exists'];
+
+    // Returns a predicate over a metadata object
+    static compile(expression) {
+        if (!isPlainObject(expression)) {
+            throw new ThoughtError('InvalidInput', 'Filter must be an object', { filter: expression });
+        }
+
+        const predicates = Object.entries(expression).map(([name, value]) => {
+            switch (name) {
+                case 'and':
+                case 'or': {
+                    if (!Array.isArray(value)) {
+                        throw new ThoughtError('InvalidInput', `'${name}' filter must be an array`, { filter: expression });
+                    }
+                    const parts = value.map(part => this.compile(part));
+                    return name === 'and'
+                        ? metadata => parts.every(part => part(metadata))
+                        : metadata => parts.some(part => part(metadata));
+                }
+                case 'not': {
+                    const part = this.compile(value);
+                    return metadata => !part(metadata);
+                }
+                default:
+                    return this.compileField(name, value);
+            }
+        });
+
+        return metadata => predicates.every(predicate => predicate(metadata || {}));
+    }
+
+    static compileField(field, condition) {
+        const conditions = isPlainObject(condition) ? condition : { eq: condition };
+        const tests = Object.entries(conditions).map(([operator, operand]) => {
+            if (!this.Operators.includes(operator)) {
+                throw new ThoughtError('InvalidInput', `Unknown filter operator: ${operator}`, { field, operator });
+            }
+            if ((operator === 'in' || operator === 'nin') && !Array.isArray(operand)) {
+                throw new ThoughtError('InvalidInput', `'${operator}' filter for ${field} must be an array`, { field, operator });
+            }
+            return this.compileOperator(operator, operand);
+        });
+
+        return metadata => {
+            const value = getField(metadata, field);
+            return tests.every(test => test(value));
+        };
+    }
+
+    static compileOperator(operator, operand) {
+        if (operator === 'exists') {
+            return value => (value !== undefined) === Boolean(operand);
+        }
+        if (operator === 'in' || operator === 'nin') {
+            const set = new Set(operand.map(comparable));
+            const anyIn = value => someValue(value, item => set.has(comparable(item)));
+            return operator === 'in' ? anyIn : value => !anyIn(value);
+        }
+        if (operator === 'ne') {
+            const target = comparable(operand);
+            return value => !someValue(value, item => comparable(item) === target);
+        }
+
+        const target = comparable(operand);
+        const compare = {
+            eq: item => item === target,
+            gt: item => item > target,
+            gte: item => item >= target,
+            lt: item => item < target,
+            lte: item => item <= target
+        }[operator];
+        return value => someValue(value, item => {
+            const candidate = comparable(item);
+            // Ranges between numbers and strings would coerce
+            return (operator === 'eq' || typeof candidate === typeof target) && compare(candidate);
+        });
+    }
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+}
+
+function comparable(value) {
+    return value instanceof Date ? value.getTime() : value;
+}
+
+// Array fields match when any element does
+function someValue(value, test) {
+    if (value === undefined) return false;
+    return Array.isArray(value) ? value.some(test) : test(value);
+}
+
+function getField(metadata, field) {
+    if (field in metadata) return metadata[field];
+    let value = metadata;
+    for (const part of field.split('.')) {
+        if (value === null || typeof value !== 'object') return undefined;
+        value = value[part];
+    }
+    return value;
+}
+
+export { MetadataFilter }
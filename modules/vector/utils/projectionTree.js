@@ -1,9 +1,13 @@
 import { AsyncLock } from '../../concurrency';
+import { VectorSimilarity } from './similarity';
 
 class RandomProjectionTree {
-    constructor(dimensions = 128, maxLeafSize = 10) {
+    constructor(dimensions = 128, maxLeafSize = 10, metric = 'cosine') {
         this.dimensions = dimensions;
         this.maxLeafSize = maxLeafSize;
+        this.metric = VectorSimilarity.getMetric(metric);
+        // Largest vector norm inserted, bounding dot products across a split
+        this.maxNorm = 0;
         this.root = this.createNode();
         this.nodeCount = 1;
         this.depth = 0;
@@ -35,6 +39,7 @@ class RandomProjectionTree {
 
                 await this.insertAtNode(this.root, key, embedding);
                 this.vectorCount++;
+                this.maxNorm = Math.max(this.maxNorm, Math.sqrt(VectorSimilarity.dotProduct(embedding, embedding)));
                 return true;
             } catch (error) {
                 console.error('Error inserting into tree:', error);
@@ -143,7 +148,8 @@ class RandomProjectionTree {
                 }
 
                 const results = new Map();
-                await this.searchNode(this.root, queryEmbedding, limit, results);
+                const queryNorm = Math.sqrt(VectorSimilarity.dotProduct(queryEmbedding, queryEmbedding));
+                await this.searchNode(this.root, queryEmbedding, limit, results, queryNorm);
 
                 return Array.from(results.keys())
                     .sort((a, b) => results.get(b) - results.get(a))
@@ -155,7 +161,8 @@ class RandomProjectionTree {
         });
     }
 
-    async searchNode(node, queryEmbedding, limit, results) {
+    // `results` maps keys to closeness (see DistanceMetric), higher is better
+    async searchNode(node, queryEmbedding, limit, results, queryNorm = 1) {
         if (node.isLeaf) {
             for (const [key, embedding] of node.points) {
                 const similarity = await this.calculateSimilarity(queryEmbedding, embedding);
@@ -169,15 +176,15 @@ class RandomProjectionTree {
             ? [node.left, node.right]
             : [node.right, node.left];
 
-        await this.searchNode(primaryChild, queryEmbedding, limit, results);
+        await this.searchNode(primaryChild, queryEmbedding, limit, results, queryNorm);
 
         // Check if we need to explore the other branch
-        if (this.shouldExploreSecondaryBranch(projection, results, limit)) {
-            await this.searchNode(secondaryChild, queryEmbedding, limit, results);
+        if (this.shouldExploreSecondaryBranch(projection, results, limit, queryNorm)) {
+            await this.searchNode(secondaryChild, queryEmbedding, limit, results, queryNorm);
         }
     }
 
-    shouldExploreSecondaryBranch(projection, results, limit) {
+    shouldExploreSecondaryBranch(projection, results, limit, queryNorm = 1) {
         // If we don't have enough results yet, explore the other branch
         if (results.size < limit) return true;
 
@@ -185,20 +192,18 @@ class RandomProjectionTree {
         const scores = Array.from(results.values()).sort((a, b) => b - a);
         const worstScore = scores[limit - 1];
 
-        // Calculate the maximum possible similarity in the other branch
-        const splitDistance = Math.abs(projection);
-        const maxPossibleSimilarity = Math.sqrt(1 - splitDistance * splitDistance);
+        // Calculate the best possible score in the other branch
+        const maxNorm = this.metric.normalize ? 1 : this.maxNorm;
+        const bestPossible = this.metric.crossingBound(projection, queryNorm, maxNorm);
 
         // Explore if the other branch might contain better results
-        return maxPossibleSimilarity > worstScore;
+        return bestPossible > worstScore;
     }
 
+    // Closeness under the tree's metric: the similarity, or the negated
+    // distance, so higher is always better
     async calculateSimilarity(a, b) {
-        let dotProduct = 0;
-        for (let i = 0; i < this.dimensions; i++) {
-            dotProduct += a[i] * b[i];
-        }
-        return Math.max(-1, Math.min(1, dotProduct));
+        return this.metric.closeness(a, b);
     }
 
     async delete(key) {
@@ -276,6 +281,7 @@ class RandomProjectionTree {
                 this.vectorCount = 0;
                 this.depth = 0;
                 this.maxDepth = 0;
+                this.maxNorm = 0;
                 return true;
             } catch (error) {
                 console.error('Error destroying tree:', error);
@@ -50,6 +50,119 @@ class VectorSimilarity {
         }
         return sum;
     }
+
+    static dotProduct(a, b) {
+        let sum = 0;
+        for (let i = 0; i < a.length; i++) {
+            sum += a[i] * b[i];
+        }
+        return sum;
+    }
+
+    // Binary codes hold one bit per element, as 0 or 1
+    static hammingDistance(a, b) {
+        let count = 0;
+        for (let i = 0; i < a.length; i++) {
+            if (a[i] !== b[i]) count++;
+        }
+        return count;
+    }
+
+    // A metric by name, or the metric itself
+    static getMetric(metric = 'cosine') {
+        if (metric instanceof DistanceMetric) {
+            return metric;
+        }
+        const found = METRICS[metric];
+        if (!found) {
+            throw new Error(`Unknown distance metric: ${metric}`);
+        }
+        return found;
+    }
 }
 
-export {VectorSimilarity}
\ No newline at end of file
+// How vector indexes score a match. Similarity metrics rank higher scores
+// first and treat a threshold as a minimum; distance metrics rank lower
+// scores first and treat it as a maximum. Results carry the score as
+// `similarity` or `distance` to match.
+class DistanceMetric {
+    constructor({ name, kind, normalize = false, defaultThreshold, score }) {
+        this.name = name;
+        this.kind = kind;
+        // Vectors are scaled to unit length before indexing and search
+        this.normalize = normalize;
+        this.defaultThreshold = defaultThreshold;
+        this.score = score;
+        this.sign = kind === 'similarity' ? 1 : -1;
+    }
+
+    // Higher is closer for every metric, so ranking and heaps need not care
+    closeness(a, b) {
+        return this.sign * this.score(a, b);
+    }
+
+    toScore(closeness) {
+        return this.sign * closeness;
+    }
+
+    passes(score, threshold = this.defaultThreshold) {
+        return this.sign > 0 ? score >= threshold : score <= threshold;
+    }
+
+    result(key, score) {
+        return { key, [this.kind]: score };
+    }
+
+    // Highest closeness any vector of norm <= maxNorm can have on the far
+    // side of a hyperplane through the origin, for a query at `projection`
+    // along its unit normal. Random projection trees skip a branch that
+    // can't beat the results they hold.
+    crossingBound(projection, queryNorm = 1, maxNorm = 1) {
+        if (this.kind === 'similarity') {
+            // The best is the query's component along the plane, scaled up
+            return maxNorm * Math.sqrt(Math.max(0, queryNorm * queryNorm - projection * projection));
+        }
+        // L2 is at least the distance to the plane, and L1 (so Hamming
+        // between 0/1 codes) at least L2
+        return -Math.abs(projection);
+    }
+}
+
+const METRICS = {
+    cosine: new DistanceMetric({
+        name: 'cosine',
+        kind: 'similarity',
+        normalize: true,
+        defaultThreshold: 0.5,
+        // Dot product of unit vectors, clamped against rounding
+        score: (a, b) => Math.max(-1, Math.min(1, VectorSimilarity.dotProduct(a, b)))
+    }),
+    dot: new DistanceMetric({
+        name: 'dot',
+        kind: 'similarity',
+        defaultThreshold: -Infinity,
+        score: (a, b) => VectorSimilarity.dotProduct(a, b)
+    }),
+    l2: new DistanceMetric({
+        name: 'l2',
+        kind: 'distance',
+        defaultThreshold: Infinity,
+        score: (a, b) => VectorSimilarity.euclideanDistance(a, b)
+    }),
+    l1: new DistanceMetric({
+        name: 'l1',
+        kind: 'distance',
+        defaultThreshold: Infinity,
+        score: (a, b) => VectorSimilarity.manhattanDistance(a, b)
+    }),
+    hamming: new DistanceMetric({
+        name: 'hamming',
+        kind: 'distance',
+        defaultThreshold: Infinity,
+        score: (a, b) => VectorSimilarity.hammingDistance(a, b)
+    })
+};
+METRICS.euclidean = METRICS.l2;
+METRICS.manhattan = METRICS.l1;
+
+export {VectorSimilarity, DistanceMetric}
\ No newline at end of file
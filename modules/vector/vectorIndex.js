@@ -1,14 +1,43 @@
 import { AsyncLock } from '../concurrency';
 import { RandomProjectionTree } from './utils/projectionTree';
+import { HNSWIndex } from './utils/hnswIndex';
+import { VectorSimilarity } from './utils/similarity';
+import { MetadataFilter } from './utils/metadataFilter';
 import { ThoughtError } from '../errors/thoughtError';
 
+// Indexes vectors in a forest of random projection trees ('trees', the
+// default) or an HNSW graph ('hnsw'), chosen by the `type` option:
+//   new VectorIndex(128, { type: 'hnsw', M: 16, efConstruction: 200, efSearch: 50 })
+// The positional (dimensions, numTrees, maxLeafSize) form builds trees.
+// `metric` ('cosine' by default, 'dot', 'l2', 'l1' or 'hamming') decides
+// how matches are scored; see DistanceMetric. Vectors may carry a metadata
+// object that searches filter on; see MetadataFilter.
 class VectorIndex {
+    static Types = ['trees', 'hnsw'];
+
     constructor(dimensions = 128, numTrees = 10, maxLeafSize = 10) {
+        const options = typeof numTrees === 'object' && numTrees !== null
+            ? numTrees
+            : { numTrees, maxLeafSize };
+        this.type = options.type || 'trees';
+        if (!VectorIndex.Types.includes(this.type)) {
+            throw new Error(`Unknown vector index type: ${this.type}`);
+        }
         this.dimensions = dimensions;
-        this.numTrees = numTrees;
-        this.maxLeafSize = maxLeafSize;
+        this.metric = VectorSimilarity.getMetric(options.metric);
+        this.numTrees = options.numTrees ?? 10;
+        this.maxLeafSize = options.maxLeafSize ?? 10;
         this.trees = [];
-        this.initializeTrees();
+        this.graph = null;
+        if (this.type === 'hnsw') {
+            this.graph = new HNSWIndex(dimensions, { ...options, metric: this.metric });
+        } else {
+            this.initializeTrees();
+        }
+        // Filters matching at most this many keys, or this share of them,
+        // are answered by scoring the matching keys exactly
+        this.preFilterKeys = options.preFilterKeys ?? 256;
+        this.preFilterRatio = options.preFilterRatio ?? 0.1;
         this.vectorCache = new Map();
         this.lookupTable = new Map();
         this.indexLock = new AsyncLock();
@@ -19,7 +48,7 @@ class VectorIndex {
     async initializeTrees() {
         try {
             this.trees = Array.from({ length: this.numTrees }, () => 
-                new RandomProjectionTree(this.dimensions, this.maxLeafSize)
+                new RandomProjectionTree(this.dimensions, this.maxLeafSize, this.metric)
             );
         } catch (error) {
             console.error('Failed to initialize trees:', error);
@@ -27,7 +56,7 @@ class VectorIndex {
         }
     }
 
-    async add(key, embedding) {
+    async add(key, embedding, metadata = null) {
         return await this.indexLock.acquire('add', async () => {
             try {
                 // Validate input
@@ -38,18 +67,23 @@ class VectorIndex {
                     throw new Error(`Invalid embedding dimensions: expected ${this.dimensions}, got ${embedding.length}`);
                 }
 
-                // Normalize the embedding
-                const normalizedEmbedding = await this.normalizeVector(embedding);
+                // Normalize the embedding if the metric wants unit vectors
+                const normalizedEmbedding = await this.prepareVector(embedding);
 
-                // Add to all trees
-                await Promise.all(this.trees.map(tree => 
-                    tree.insert(key, normalizedEmbedding)
-                ));
+                // Add to the graph or all trees
+                if (this.graph) {
+                    await this.graph.add(key, normalizedEmbedding);
+                } else {
+                    await Promise.all(this.trees.map(tree => 
+                        tree.insert(key, normalizedEmbedding)
+                    ));
+                }
 
                 // Update lookup table
                 this.lookupTable.set(key, {
                     timestamp: Date.now(),
-                    embedding: normalizedEmbedding
+                    embedding: normalizedEmbedding,
+                    metadata
                 });
 
                 // Cache the normalized vector
@@ -63,7 +97,11 @@ class VectorIndex {
         });
     }
 
-    async search(queryEmbedding, limit = 5, similarityThreshold = 0.5) {
+    // `threshold` is a minimum similarity or a maximum distance, depending
+    // on the metric; results carry `similarity` or `distance` to match.
+    // `filter` is a MetadataFilter expression the results' metadata must
+    // satisfy; `limit` results come back whenever that many keys match.
+    async search(queryEmbedding, limit = 5, threshold = this.metric.defaultThreshold, { filter = null } = {}) {
         try {
             // Validate input
             if (!queryEmbedding || queryEmbedding.length !== this.dimensions) {
@@ -71,58 +109,123 @@ class VectorIndex {
             }
 
             // Normalize query vector
-            const normalizedQuery = await this.normalizeVector(queryEmbedding);
-
-            // Search in all trees
-            const results = new Map();
-            await Promise.all(this.trees.map(async tree => {
-                const treeResults = await tree.search(normalizedQuery, limit * 2);
-                treeResults.forEach(key => {
-                    results.set(key, (results.get(key) || 0) + 1);
-                });
-            }));
-
-            // Calculate actual similarities for top candidates
-            const similarities = await Promise.all(
-                Array.from(results.entries()).map(async ([key, count]) => {
-                    const storedVector = this.vectorCache.get(key);
-                    if (!storedVector) return null;
-                    
-                    const similarity = await this.calculateCosineSimilarity(
-                        normalizedQuery,
-                        storedVector
-                    );
-                    return { key, similarity, count };
-                })
-            );
-
-            // Filter, sort and return top results
-            return similarities
-                .filter(result => result && result.similarity >= similarityThreshold)
-                .sort((a, b) => {
-                    // Primary sort by similarity
-                    const simDiff = b.similarity - a.similarity;
-                    if (Math.abs(simDiff) > 0.01) return simDiff;
-                    // Secondary sort by tree occurrence count
-                    return b.count - a.count;
-                })
-                .slice(0, limit)
-                .map(result => ({
-                    key: result.key,
-                    similarity: result.similarity
-                }));
+            const normalizedQuery = await this.prepareVector(queryEmbedding);
 
+            if (filter) {
+                return await this.searchFiltered(normalizedQuery, limit, threshold, MetadataFilter.compile(filter));
+            }
+            return await this.searchCandidates(normalizedQuery, limit, threshold);
         } catch (error) {
             console.error('Error during vector search:', error);
             throw new Error('Vector search failed: ' + error.message);
         }
     }
 
+    async searchCandidates(normalizedQuery, limit, threshold) {
+        // The graph already ranks by exact score
+        if (this.graph) {
+            return await this.graph.search(normalizedQuery, limit, threshold);
+        }
+
+        // Search in all trees
+        const results = new Map();
+        await Promise.all(this.trees.map(async tree => {
+            const treeResults = await tree.search(normalizedQuery, limit * 2);
+            treeResults.forEach(key => {
+                results.set(key, (results.get(key) || 0) + 1);
+            });
+        }));
+
+        // Calculate actual scores for top candidates
+        const scores = Array.from(results.entries()).map(([key, count]) => {
+            const storedVector = this.vectorCache.get(key);
+            if (!storedVector) return null;
+
+            const closeness = this.metric.closeness(normalizedQuery, storedVector);
+            return { key, score: this.metric.toScore(closeness), closeness, count };
+        });
+
+        // Filter, sort and return top results
+        return scores
+            .filter(result => result && this.metric.passes(result.score, threshold))
+            .sort((a, b) => {
+                // Primary sort by score, best first
+                const diff = b.closeness - a.closeness;
+                if (Math.abs(diff) > 0.01) return diff;
+                // Secondary sort by tree occurrence count
+                return b.count - a.count;
+            })
+            .slice(0, limit)
+            .map(result => this.metric.result(result.key, result.score));
+    }
+
+    // A selective filter is applied first: only the matching keys are
+    // scored, exactly. Otherwise the index is searched for more results than
+    // wanted, in proportion to how few keys match, and the rest dropped; the
+    // fetch doubles while too few are left, and if even a search of every
+    // key falls short the matching keys are scored exactly after all.
+    async searchFiltered(normalizedQuery, limit, threshold, predicate) {
+        const matching = new Set();
+        for (const [key, data] of this.lookupTable) {
+            if (predicate(data.metadata)) matching.add(key);
+        }
+        const total = this.lookupTable.size;
+        if (matching.size === 0 || limit <= 0) return [];
+        if (matching.size <= this.preFilterKeys || matching.size <= total * this.preFilterRatio) {
+            return this.scoreKeys(normalizedQuery, matching, limit, threshold);
+        }
+
+        let fetch = Math.min(total, Math.ceil(limit * total / matching.size * 1.5));
+        for (;;) {
+            const results = (await this.searchCandidates(normalizedQuery, fetch, threshold))
+                .filter(result => matching.has(result.key));
+            if (results.length >= limit) {
+                return results.slice(0, limit);
+            }
+            if (fetch >= total) break;
+            fetch = Math.min(total, fetch * 2);
+        }
+        return this.scoreKeys(normalizedQuery, matching, limit, threshold);
+    }
+
+    scoreKeys(normalizedQuery, keys, limit, threshold) {
+        const results = [];
+        for (const key of keys) {
+            const storedVector = this.vectorCache.get(key);
+            if (!storedVector) continue;
+            const closeness = this.metric.closeness(normalizedQuery, storedVector);
+            const score = this.metric.toScore(closeness);
+            if (this.metric.passes(score, threshold)) {
+                results.push({ key, score, closeness });
+            }
+        }
+        return results
+            .sort((a, b) => b.closeness - a.closeness)
+            .slice(0, limit)
+            .map(result => this.metric.result(result.key, result.score));
+    }
+
+    getMetadata(key) {
+        const data = this.lookupTable.get(key);
+        return data ? data.metadata : undefined;
+    }
+
+    setMetadata(key, metadata) {
+        const data = this.lookupTable.get(key);
+        if (!data) return false;
+        data.metadata = metadata;
+        return true;
+    }
+
     async delete(key) {
         return await this.indexLock.acquire('delete', async () => {
             try {
-                // Remove from all trees
-                await Promise.all(this.trees.map(tree => tree.delete(key)));
+                // Remove from the graph or all trees
+                if (this.graph) {
+                    await this.graph.delete(key);
+                } else {
+                    await Promise.all(this.trees.map(tree => tree.delete(key)));
+                }
 
                 // Clear from cache and lookup table
                 this.vectorCache.delete(key);
@@ -136,11 +239,13 @@ class VectorIndex {
         });
     }
 
-    async update(key, newEmbedding) {
+    // Metadata is kept unless new metadata is given
+    async update(key, newEmbedding, metadata) {
         return await this.indexLock.acquire('update', async () => {
             try {
+                const kept = metadata === undefined ? this.getMetadata(key) ?? null : metadata;
                 await this.delete(key);
-                return await this.add(key, newEmbedding);
+                return await this.add(key, newEmbedding, kept);
             } catch (error) {
                 console.error('Error updating vector:', error);
                 throw new Error('Failed to update vector: ' + error.message);
@@ -171,6 +276,14 @@ class VectorIndex {
     }
 
     async rebuildUnbalancedTrees() {
+        // A graph is rebuilt to drop the nodes of deleted vectors
+        if (this.graph) {
+            if (this.graph.needsRebuild()) {
+                this.graph.rebuild();
+            }
+            return;
+        }
+
         const unbalancedTrees = this.trees.filter(tree => tree.needsRebalancing());
         if (unbalancedTrees.length === 0) return;
 
@@ -182,7 +295,7 @@ class VectorIndex {
 
         // Rebuild unbalanced trees
         await Promise.all(unbalancedTrees.map(async tree => {
-            const newTree = new RandomProjectionTree(this.dimensions, this.maxLeafSize);
+            const newTree = new RandomProjectionTree(this.dimensions, this.maxLeafSize, this.metric);
             for (const vector of vectors) {
                 await newTree.insert(vector.key, vector.embedding);
             }
@@ -216,6 +329,13 @@ class VectorIndex {
         return new Float32Array(vector.map(v => v / norm));
     }
 
+    async prepareVector(vector) {
+        if (this.metric.normalize) {
+            return await this.normalizeVector(vector);
+        }
+        return new Float32Array(vector);
+    }
+
     async calculateCosineSimilarity(a, b) {
         let dotProduct = 0;
         for (let i = 0; i < a.length; i++) {
@@ -232,7 +352,10 @@ class VectorIndex {
                 this.maintenanceInterval = null;
             }
 
-            // Destroy all trees
+            // Destroy the graph and all trees
+            if (this.graph) {
+                await this.graph.destroy();
+            }
             await Promise.all(this.trees.map(tree => tree.destroy()));
 
             // Clear caches
@@ -251,12 +374,15 @@ class VectorIndex {
 
     async getStats() {
         return {
+            type: this.type,
+            metric: this.metric.name,
             numTrees: this.trees.length,
             numVectors: this.lookupTable.size,
             dimensions: this.dimensions,
             lastMaintenance: this.lastMaintenance,
             cacheSize: this.vectorCache.size,
-            treeStats: await Promise.all(this.trees.map(tree => tree.getStats()))
+            treeStats: await Promise.all(this.trees.map(tree => tree.getStats())),
+            graphStats: this.graph ? await this.graph.getStats() : null
         };
     }
 }
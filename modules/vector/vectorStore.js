@@ -1,18 +1,25 @@
 import { AsyncLock } from '../concurrency';
 import { VectorIndex } from './vectorIndex';
+import { FlatIndex } from './flatIndex';
 import { VectorSimilarity } from './utils/similarity';
 import { ThoughtError } from '../errors/thoughtError';
 import { VectorStore } from './vectorStoreBase';
 
 class EnhancedVectorStore extends VectorStore {
-    constructor() {
+    // `index` picks the index: 'trees' (default), 'hnsw' or 'flat', or an
+    // index instance with the VectorIndex add/search/delete contract. Other
+    // options, such as `metric`, go to the index.
+    constructor(options = {}) {
         super();
 
         this.store = new Map();
-        this.index = new VectorIndex();
+        this.dimensions = options.dimensions || 128; // Embedding dimension
+        this.index = createIndex(this.dimensions, options);
+        this.metric = VectorSimilarity.getMetric(this.index.metric || options.metric);
+        // Largest stored norm, bounding dot products when pruning the tree
+        this.maxNorm = 0;
         this.deletedKeys = new Set();
         this.modelCache = new Map();
-        this.dimensions = 128; // Embedding dimension
 
         // After creating the index, assume the index initializes one or more trees.
         // We'll set this.root to the root of the first tree for searchNode operations.
@@ -36,10 +43,20 @@ class EnhancedVectorStore extends VectorStore {
     }
 
     // Implement abstract methods from VectorStore
-    async add(key, embedding) {
+    // `metadata` is stored with the vector for search filters
+    async add(key, embedding, metadata = null) {
         this.validateVector(embedding);
-        this.normalizeVector(embedding);
-        await this.index.add(key, embedding);
+        if (this.metric.normalize) {
+            this.normalizeVector(embedding);
+        } else {
+            this.maxNorm = Math.max(this.maxNorm, Math.sqrt(VectorSimilarity.dotProduct(embedding, embedding)));
+        }
+        // Indexes without metadata support still work for plain vectors
+        if (metadata === null) {
+            await this.index.add(key, embedding);
+        } else {
+            await this.index.add(key, embedding, metadata);
+        }
         this.store.set(key, embedding);
     }
 
@@ -225,8 +242,10 @@ class EnhancedVectorStore extends VectorStore {
         }
     }
 
-    // Overriding the search method from VectorStore:
-    async search(queryEmbedding, limit = 5, similarityThreshold = 0.5) {
+    // Overriding the search method from VectorStore. `threshold` is a
+    // minimum similarity or a maximum distance, depending on the metric.
+    // `filter` is a MetadataFilter expression, applied by the index.
+    async search(queryEmbedding, limit = 5, threshold = this.metric.defaultThreshold, { filter = null } = {}) {
         // Validate input vector
         this.validateVector(queryEmbedding);
 
@@ -234,15 +253,27 @@ class EnhancedVectorStore extends VectorStore {
             const results = new Map();
 
             try {
-                if (!this.root) {
-                    throw new Error('No root node available for searching');
+                // Filtered searches, and indexes without a tree to walk, are
+                // answered by the index itself
+                if (!this.root || filter) {
+                    if (!this.index || typeof this.index.search !== 'function') {
+                        throw new Error('No root node available for searching');
+                    }
+                    const matches = await this.index.search(queryEmbedding, limit, threshold, { filter });
+                    return matches.map(match => match.key);
+                }
+
+                // Stored vectors are unit length under cosine; match them
+                const query = Array.from(queryEmbedding);
+                if (this.metric.normalize) {
+                    this.normalizeVector(query);
                 }
-                await this.searchNode(this.root, queryEmbedding, limit, results);
+                await this.searchNode(this.root, query, limit, results);
 
-                // Sort and filter results atomically
+                // Sort and filter results atomically; results hold closeness
                 return Array.from(results.entries())
                     .sort(([, scoreA], [, scoreB]) => scoreB - scoreA)
-                    .filter(([, score]) => score >= similarityThreshold)
+                    .filter(([, closeness]) => this.metric.passes(this.metric.toScore(closeness), threshold))
                     .slice(0, limit)
                     .map(([key]) => key);
             } catch (error) {
@@ -262,13 +293,10 @@ class EnhancedVectorStore extends VectorStore {
 
     async searchNode(node, queryEmbedding, limit, results) {
         if (node.isLeaf) {
-            // Calculate actual similarity scores for leaf nodes
+            // Calculate actual scores for leaf nodes, as closeness so higher
+            // is better for every metric
             for (const [key, embedding] of node.points) {
-                const similarity = VectorSimilarity.cosineSimilarity(
-                    queryEmbedding,
-                    embedding
-                );
-                results.set(key, similarity);
+                results.set(key, this.metric.closeness(queryEmbedding, embedding));
             }
             return;
         }
@@ -288,8 +316,9 @@ class EnhancedVectorStore extends VectorStore {
         const worstScore = currentBest.length < limit ? -Infinity : currentBest[currentBest.length - 1];
 
         // Explore other branch if it might contain better matches
-        const splitDistance = Math.abs(projection);
-        if (splitDistance < Math.sqrt(2 - 2 * worstScore)) {
+        const queryNorm = Math.sqrt(VectorSimilarity.dotProduct(queryEmbedding, queryEmbedding));
+        const maxNorm = this.metric.normalize ? 1 : this.maxNorm;
+        if (this.metric.crossingBound(projection, queryNorm, maxNorm) > worstScore) {
             await this.searchNode(secondaryChild, queryEmbedding, limit, results);
         }
     }
@@ -315,4 +344,14 @@ class EnhancedVectorStore extends VectorStore {
     }
 }
 
+function createIndex(dimensions, { index = 'trees', ...options }) {
+    if (typeof index === 'object' && index !== null) {
+        return index;
+    }
+    if (index === 'flat') {
+        return new FlatIndex(dimensions, options);
+    }
+    return new VectorIndex(dimensions, { ...options, type: index });
+}
+
 export { EnhancedVectorStore };
\ No newline at end of file
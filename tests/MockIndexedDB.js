@@ -1,7 +1,7 @@
 // Mock implementation of IDBKeyRange
 const IDBKeyRange = {
-    lowerBound: (value) => ({ lower: value, upperOpen: true, lowerOpen: false }),
-    upperBound: (value) => ({ upper: value, upperOpen: false, lowerOpen: true }),
+    lowerBound: (value, open = false) => ({ lower: value, lowerOpen: open }),
+    upperBound: (value, open = false) => ({ upper: value, upperOpen: open }),
     bound: (lower, upper, lowerOpen, upperOpen) => ({ lower, upper, lowerOpen, upperOpen }),
     only: (value) => ({ only: value })
 };
@@ -18,6 +18,30 @@ class MockIDBRequest {
     }
 }
 
+// Settle a request asynchronously and let its transaction know about it
+const respond = (request, operation) => {
+    setTimeout(() => {
+        try {
+            request.result = operation();
+            request.readyState = 'done';
+            request.onsuccess && request.onsuccess({ target: request });
+        } catch (error) {
+            request.error = error;
+            request.readyState = 'done';
+            request.onerror && request.onerror({ target: request });
+        }
+        request.transaction && request.transaction.settle(request);
+    }, 0);
+    return request;
+};
+
+// Array-like list of names with DOMStringList's contains()
+const createNameList = (names) => {
+    const list = [...names];
+    list.contains = (name) => list.includes(name);
+    return list;
+};
+
 class MockIDBIndex {
     constructor(store, name, keyPath, options = {}) {
         this.store = store;
@@ -38,48 +62,87 @@ class MockIDBIndex {
         return undefined;
     }
 
-    openCursor(range) {
+    matchesRange(value, range) {
+        if (!range) return true;
+        if (range.only !== undefined) {
+            return value === range.only;
+        }
+        if (range.lower !== undefined && range.upper !== undefined) {
+            const lowerCheck = range.lowerOpen ? value > range.lower : value >= range.lower;
+            const upperCheck = range.upperOpen ? value < range.upper : value <= range.upper;
+            return lowerCheck && upperCheck;
+        }
+        if (range.lower !== undefined) {
+            return range.lowerOpen ? value > range.lower : value >= range.lower;
+        }
+        if (range.upper !== undefined) {
+            return range.upperOpen ? value < range.upper : value <= range.upper;
+        }
+        return true;
+    }
+
+    openCursor(range, direction = 'next') {
         const request = new MockIDBRequest();
-        let entries = Array.from(this.store.data.values());
 
-        // Filter entries based on the index and range
-        if (range) {
-            entries = entries.filter(entry => {
-                const value = this.getIndexValue(entry);
-                if (range.only !== undefined) {
-                    return value === range.only;
-                }
-                if (range.lower !== undefined && range.upper !== undefined) {
-                    const lowerCheck = range.lowerOpen ? value > range.lower : value >= range.lower;
-                    const upperCheck = range.upperOpen ? value < range.upper : value <= range.upper;
-                    return lowerCheck && upperCheck;
-                }
-                if (range.lower !== undefined) {
-                    return range.lowerOpen ? value > range.lower : value >= range.lower;
+        // Expand multiEntry values, filter by range and order by index key
+        // then primary key, like a real index cursor
+        const entries = [];
+        for (const entry of this.store.data.values()) {
+            const indexValue = this.getIndexValue(entry);
+            const values = this.multiEntry && Array.isArray(indexValue)
+                ? [...new Set(indexValue)]
+                : [indexValue];
+            for (const value of values) {
+                if (value !== undefined && value !== null && this.matchesRange(value, range)) {
+                    entries.push({ value, primaryKey: entry[this.store.keyPath] });
                 }
-                if (range.upper !== undefined) {
-                    return range.upperOpen ? value < range.upper : value <= range.upper;
-                }
-                return true;
-            });
+            }
+        }
+        const compare = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+        entries.sort((a, b) => compare(a.value, b.value) || compare(a.primaryKey, b.primaryKey));
+        if (direction === 'prev') {
+            entries.reverse();
         }
 
         let currentIndex = 0;
+        const track = (childRequest) => (
+            request.transaction ? request.transaction.track(childRequest) : childRequest
+        );
 
         const advanceCursor = () => {
+            // Skip records deleted since the cursor was opened
+            while (currentIndex < entries.length && !this.store.data.has(entries[currentIndex].primaryKey)) {
+                currentIndex++;
+            }
+
             if (currentIndex < entries.length) {
-                const value = entries[currentIndex];
+                const primaryKey = entries[currentIndex].primaryKey;
+                const value = this.store.data.get(primaryKey);
                 const cursor = {
+                    key: entries[currentIndex].value,
+                    primaryKey,
                     value,
                     continue: () => {
                         currentIndex++;
+                        request.transaction && request.transaction.track(request);
+                        setTimeout(advanceCursor, 0);
+                    },
+                    // Move to the first entry at or beyond (key, primaryKey)
+                    continuePrimaryKey: (key, primaryKey) => {
+                        const order = direction === 'prev' ? -1 : 1;
+                        while (currentIndex < entries.length && order * (
+                            compare(entries[currentIndex].value, key) || compare(entries[currentIndex].primaryKey, primaryKey)
+                        ) < 0) {
+                            currentIndex++;
+                        }
+                        request.transaction && request.transaction.track(request);
                         setTimeout(advanceCursor, 0);
                     },
-                    delete: () => {
-                        const delRequest = this.store.delete(value[this.store.keyPath]);
-                        delRequest.onsuccess = () => cursor.continue();
-                        return delRequest;
-                    }
+                    delete: () => track(this.store.delete(primaryKey)),
+                    update: (newValue) => track(respond(new MockIDBRequest(), () => {
+                        this.store.data.set(primaryKey, newValue);
+                        return primaryKey;
+                    }))
                 };
                 request.result = cursor;
                 request.onsuccess && request.onsuccess({ target: request });
@@ -87,6 +150,7 @@ class MockIDBIndex {
                 request.result = null;
                 request.onsuccess && request.onsuccess({ target: request });
             }
+            request.transaction && request.transaction.settle(request);
         };
 
         setTimeout(advanceCursor, 0);
@@ -94,127 +158,108 @@ class MockIDBIndex {
     }
 
     count(key) {
-        const request = new MockIDBRequest();
-        setTimeout(() => {
-            try {
-                let count = 0;
-                const entries = Array.from(this.store.data.values());
-                for (const entry of entries) {
-                    const value = this.getIndexValue(entry);
-                    if (key === undefined) {
-                        count++;
-                    } else {
-                        // If key is provided, just do a simple equality check
-                        if (value === key) count++;
-                    }
+        return respond(new MockIDBRequest(), () => {
+            let count = 0;
+            const entries = Array.from(this.store.data.values());
+            for (const entry of entries) {
+                const value = this.getIndexValue(entry);
+                if (key === undefined) {
+                    count++;
+                } else {
+                    // If key is provided, just do a simple equality check
+                    if (value === key) count++;
                 }
-                request.result = count;
-                request.onsuccess && request.onsuccess({ target: request });
-            } catch (error) {
-                request.error = error;
-                request.onerror && request.onerror({ target: request });
             }
-        }, 0);
-        return request;
+            return count;
+        });
     }
 }
 
 class MockIDBObjectStore {
     constructor(name, options = {}) {
-        this.name = name;
+        this.db = null;
+        this.storeName = name;
         this.keyPath = options.keyPath || 'id';
         this.autoIncrement = options.autoIncrement || false;
         this.data = new Map();
         this.indexes = new Map();
     }
 
+    get name() {
+        return this.storeName;
+    }
+
+    // Renaming is allowed during a versionchange transaction
+    set name(value) {
+        if (this.db && value !== this.storeName) {
+            this.db.renameObjectStore(this.storeName, value);
+        }
+        this.storeName = value;
+    }
+
+    get indexNames() {
+        return createNameList(this.indexes.keys());
+    }
+
     put(value) {
-        const request = new MockIDBRequest();
-        setTimeout(() => {
-            try {
-                const key = value[this.keyPath];
-                if (key === undefined) {
-                    throw new Error('Key path not found in value');
-                }
-                this.data.set(key, value);
-                request.result = key;
-                request.onsuccess && request.onsuccess({ target: request });
-            } catch (error) {
-                request.error = error;
-                request.onerror && request.onerror({ target: request });
+        return respond(new MockIDBRequest(), () => {
+            const key = value[this.keyPath];
+            if (key === undefined) {
+                throw new Error('Key path not found in value');
             }
-        }, 0);
-        return request;
+            this.data.set(key, value);
+            return key;
+        });
     }
 
     get(key) {
-        const request = new MockIDBRequest();
-        setTimeout(() => {
-            try {
-                request.result = this.data.get(key);
-                request.onsuccess && request.onsuccess({ target: request });
-            } catch (error) {
-                request.error = error;
-                request.onerror && request.onerror({ target: request });
-            }
-        }, 0);
-        return request;
+        return respond(new MockIDBRequest(), () => this.data.get(key));
     }
 
     delete(key) {
-        const request = new MockIDBRequest();
-        setTimeout(() => {
-            try {
-                this.data.delete(key);
-                request.onsuccess && request.onsuccess({ target: request });
-            } catch (error) {
-                request.error = error;
-                request.onerror && request.onerror({ target: request });
-            }
-        }, 0);
-        return request;
+        return respond(new MockIDBRequest(), () => {
+            this.data.delete(key);
+        });
     }
 
     clear() {
-        const request = new MockIDBRequest();
-        setTimeout(() => {
-            try {
-                this.data.clear();
-                request.onsuccess && request.onsuccess({ target: request });
-            } catch (error) {
-                request.error = error;
-                request.onerror && request.onerror({ target: request });
-            }
-        }, 0);
-        return request;
+        return respond(new MockIDBRequest(), () => {
+            this.data.clear();
+        });
     }
 
     createIndex(name, keyPath, options = {}) {
+        if (this.indexes.has(name)) {
+            throw new Error(`Index ${name} already exists`);
+        }
         const index = new MockIDBIndex(this, name, keyPath, options);
         this.indexes.set(name, index);
         return index;
     }
 
+    deleteIndex(name) {
+        if (!this.indexes.has(name)) {
+            throw new Error(`Index ${name} not found`);
+        }
+        this.indexes.delete(name);
+    }
+
     index(name) {
         return this.indexes.get(name);
     }
 
+    openCursor(range, direction = 'next') {
+        // A store cursor behaves like an index over the primary key
+        return new MockIDBIndex(this, null, this.keyPath).openCursor(range, direction);
+    }
+
     count(key) {
-        const request = new MockIDBRequest();
-        setTimeout(() => {
-            try {
-                if (key === undefined) {
-                    request.result = this.data.size;
-                } else {
-                    request.result = this.data.has(key) ? 1 : 0;
-                }
-                request.onsuccess && request.onsuccess({ target: request });
-            } catch (error) {
-                request.error = error;
-                request.onerror && request.onerror({ target: request });
+        return respond(new MockIDBRequest(), () => {
+            if (key === undefined) {
+                return this.data.size;
             }
-        }, 0);
-        return request;
+            return this.data.has(key) ? 1 : 0;
+        });
     }
 }
 
@@ -225,23 +270,83 @@ class MockIDBTransaction {
         this.mode = mode;
         this.error = null;
         this.aborted = false;
+        this.completed = false;
+        this.pending = 0;
         this.startTime = Date.now();
     }
 
     objectStore(name) {
-        if (!this.storeNames.includes(name)) {
+        // A versionchange transaction spans every store, including new ones
+        const inScope = this.mode === 'versionchange'
+            ? this.db.stores.has(name)
+            : this.storeNames.includes(name);
+        if (!inScope) {
             throw new Error(`Store ${name} not found in transaction`);
         }
-        return this.db.stores.get(name);
+        return this.trackRequests(this.db.stores.get(name), ['put', 'get', 'delete', 'clear', 'count', 'openCursor']);
+    }
+
+    // Wrap request-producing methods so the transaction knows when all of
+    // its requests have settled and can fire oncomplete or abort
+    trackRequests(target, methods) {
+        const transaction = this;
+        return new Proxy(target, {
+            get(object, prop) {
+                const value = object[prop];
+                if (methods.includes(prop)) {
+                    return (...args) => transaction.track(value.apply(object, args));
+                }
+                if (prop === 'index') {
+                    return (name) => {
+                        const index = object.index(name);
+                        return index && transaction.trackRequests(index, ['count', 'openCursor']);
+                    };
+                }
+                return typeof value === 'function' ? value.bind(object) : value;
+            }
+        });
+    }
+
+    track(request) {
+        this.pending++;
+        request.transaction = this;
+        return request;
+    }
+
+    settle(request) {
+        this.pending--;
+        if (this.aborted || this.completed) return;
+
+        if (request.error) {
+            this.error = request.error;
+            this.abort();
+            return;
+        }
+        this.scheduleComplete();
+    }
+
+    scheduleComplete() {
+        if (this.pending > 0) return;
+        setTimeout(() => {
+            if (this.pending === 0 && !this.aborted && !this.completed) {
+                this.completed = true;
+                this.oncomplete && this.oncomplete({ target: this });
+            }
+        }, 0);
     }
 
     abort() {
+        if (this.aborted) return;
         this.aborted = true;
+        if (!this.error) {
+            this.error = new Error('Transaction aborted');
+        }
         if (this.onerror) {
-            const error = new Error('Transaction aborted');
-            this.error = error;
             this.onerror(new Event('error'));
         }
+        if (this.onabort) {
+            this.onabort({ target: this });
+        }
     }
 }
 
@@ -262,12 +367,33 @@ class MockIDBDatabase {
     }
 
     createObjectStore(name, options = {}) {
+        if (this.stores.has(name)) {
+            throw new Error(`Store ${name} already exists`);
+        }
         const store = new MockIDBObjectStore(name, options);
+        store.db = this;
         this.stores.set(name, store);
         this.objectStoreNames._stores.push(name);
         return store;
     }
 
+    deleteObjectStore(name) {
+        if (!this.stores.has(name)) {
+            throw new Error(`Store ${name} not found`);
+        }
+        this.stores.delete(name);
+        this.objectStoreNames._stores = this.objectStoreNames._stores.filter(store => store !== name);
+    }
+
+    renameObjectStore(from, to) {
+        if (this.stores.has(to)) {
+            throw new Error(`Store ${to} already exists`);
+        }
+        this.stores.set(to, this.stores.get(from));
+        this.stores.delete(from);
+        this.objectStoreNames._stores = this.objectStoreNames._stores.map(store => (store === from ? to : store));
+    }
+
     transaction(storeNames, mode = 'readonly') {
         return new MockIDBTransaction(this, storeNames, mode);
     }
@@ -283,58 +409,98 @@ class MockIDBDatabase {
 const indexedDB = {
     databases: new Map(),
 
-    open(name, version = 1) {
+    open(name, version) {
         const request = new MockIDBRequest();
-        
+
+        const fail = (error) => {
+            request.error = error;
+            if (request.onerror) {
+                request.onerror({ target: request });
+            }
+        };
+
+        const succeed = (db) => {
+            request.result = db;
+            if (request.onsuccess) {
+                request.onsuccess({ target: request });
+            }
+        };
+
         setTimeout(() => {
-            try {
-                let db;
-                const existing = this.databases.get(name);
-                
+            const existing = this.databases.get(name);
+            const oldVersion = existing ? existing.version : 0;
+            const newVersion = version === undefined ? Math.max(oldVersion, 1) : version;
+
+            if (newVersion < oldVersion) {
+                const error = new Error(`Requested version ${newVersion} is less than existing version ${oldVersion}`);
+                error.name = 'VersionError';
+                fail(error);
+                return;
+            }
+
+            let db = existing;
+            if (!db) {
+                db = new MockIDBDatabase(name);
+                this.databases.set(name, db);
+            }
+            db.closed = false;
+            request.result = db;
+
+            if (newVersion === oldVersion) {
+                succeed(db);
+                return;
+            }
+
+            // Run the upgrade inside a versionchange transaction; success is
+            // only reported once every request it issued has settled
+            db.version = newVersion;
+            const transaction = new MockIDBTransaction(db, [], 'versionchange');
+            request.transaction = transaction;
+
+            const rollback = () => {
+                db.version = oldVersion;
                 if (!existing) {
-                    db = new MockIDBDatabase(name);
-                    this.databases.set(name, db);
-                    request.result = db;
-                    
-                    if (request.onupgradeneeded) {
-                        const event = {
-                            target: request,
-                            oldVersion: 0,
-                            newVersion: version
-                        };
-                        request.onupgradeneeded(event);
-                    }
-                } else {
-                    db = existing;
+                    this.databases.delete(name);
                 }
+                request.transaction = null;
+                fail(transaction.error);
+            };
 
-                request.result = db;
-                if (request.onsuccess) {
-                    request.onsuccess({ target: request });
+            try {
+                if (request.onupgradeneeded) {
+                    request.onupgradeneeded({ target: request, oldVersion, newVersion });
                 }
             } catch (error) {
-                request.error = error;
-                if (request.onerror) {
-                    request.onerror({ target: request });
-                }
+                transaction.error = error;
+                transaction.abort();
+            }
+
+            if (transaction.aborted) {
+                rollback();
+                return;
             }
+
+            const userComplete = transaction.oncomplete;
+            const userAbort = transaction.onabort;
+            transaction.oncomplete = (event) => {
+                userComplete && userComplete(event);
+                request.transaction = null;
+                succeed(db);
+            };
+            transaction.onabort = (event) => {
+                userAbort && userAbort(event);
+                rollback();
+            };
+            transaction.scheduleComplete();
         }, 0);
 
         return request;
     },
 
     deleteDatabase(name) {
-        const request = new MockIDBRequest();
-        setTimeout(() => {
-            try {
-                this.databases.delete(name);
-                request.onsuccess && request.onsuccess({ target: request });
-            } catch (error) {
-                request.error = error;
-                request.onerror && request.onerror({ target: request });
-            }
-        }, 0);
-        return request;
+        return respond(new MockIDBRequest(), () => {
+            this.databases.delete(name);
+        });
     }
 };
 
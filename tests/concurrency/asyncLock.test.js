@@ -222,6 +222,29 @@ describe('AsyncLock', () => {
             ]);
             expect(sequence.length).toBe(2);
         });
+
+        it('should acquire thousands of keys without deep recursion', async () => {
+            const keys = Array.from({ length: 20000 }, (_, i) => `key${i}`);
+            const result = await lock.acquireMultiple(keys, async () => {
+                expect(lock.isLocked('key19999')).toBe(true);
+                return 'done';
+            });
+            expect(result).toBe('done');
+            expect(lock.locks.size).toBe(0);
+        });
+
+        it('should release the locks it holds when acquisition times out', async () => {
+            const blocker = lock.acquire('key2', () => delay(100));
+
+            await expect(lock.acquireMultiple(['key1', 'key2', 'key3'], async () => 'never', 20))
+                .rejects.toThrow('Lock acquisition timed out');
+            expect(lock.isLocked('key1')).toBe(false);
+            expect(lock.locks.has('key3')).toBe(false);
+            expect(lock.getMetrics().timeouts).toBe(1);
+
+            await blocker;
+            await expect(lock.acquireMultiple(['key1', 'key2'], async () => 'ok')).resolves.toBe('ok');
+        });
     });
 
     describe('tryAcquire', () => {
@@ -1,7 +1,35 @@
 import { HybridStorage } from '../../modules/storage/hybridStorage';
 import { CompressionUtil } from '../../modules/storage/utils/compression';
+import { CompressionDictionary } from '../../modules/storage/utils/dictionary';
+import { LZ4Util } from '../../modules/storage/utils/lz4';
 import { StorageMetrics } from '../../modules/storage/utils/metrics';
+import { KeyRangeUtil } from '../../modules/storage/utils/keyRange';
+import { QueryPlanner } from '../../modules/storage/utils/queryPlanner';
+import { FrequencySketch } from '../../modules/storage/utils/frequencySketch';
+import { SnapshotFormat } from '../../modules/storage/utils/snapshot';
+import { SerializationUtil } from '../../modules/storage/utils/serialization';
+import { EncryptionUtil, KeyRing } from '../../modules/storage/utils/encryption';
+import {
+    LRUPolicy,
+    LFUPolicy,
+    ARCPolicy,
+    TinyLFUPolicy,
+    PriorityPolicy,
+    createEvictionPolicy
+} from '../../modules/storage/eviction';
+import { OptimizationScheduler } from '../../modules/storage/optimizationScheduler';
+import {
+    IndexedDBBackend,
+    MemoryBackend,
+    FileSystemBackend,
+    createStorageBackend
+} from '../../modules/storage/backends';
 import { setupTestEnvironment, cleanupTestEnvironment, delay } from '../test-setup';
+import { MockIDBObjectStore, MockIDBRequest } from '../MockIndexedDB';
+import { promises as fs } from 'fs';
+import { webcrypto } from 'crypto';
+import os from 'os';
+import path from 'path';
 
 describe('HybridStorage', () => {
     let storage;
@@ -246,7 +274,7 @@ describe('HybridStorage', () => {
             await storage.get('key1');
             await storage.get('nonexistent');
 
-            const metrics = storage.metrics;
+            const { metrics } = storage.metrics;
             expect(metrics.hits).toBe(1);
             expect(metrics.misses).toBe(1);
             expect(metrics.writes).toBe(1);
@@ -256,7 +284,20 @@ describe('HybridStorage', () => {
             await storage.set('key1', { test: 'data' });
             await storage.get('key1');
 
-            expect(storage.metrics.accessTimes.length).toBeGreaterThan(0);
+            expect(storage.metrics.getLatency('set').count).toBe(1);
+            expect(storage.metrics.getLatency('get').count).toBe(1);
+        });
+
+        it('should export its metrics with tier gauges', async () => {
+            await storage.set('key1', { test: 'data' });
+            await storage.get('key1');
+            await storage.query({});
+
+            const text = storage.exportMetrics();
+            expect(text).toContain('thought_storage_writes_total 1');
+            expect(text).toContain('thought_storage_memory_items 1');
+            expect(text).toContain('thought_storage_operation_duration_seconds_count{operation="query"} 1');
+            expect(storage.exportMetrics('openmetrics')).toContain('# EOF');
         });
 
         it('should calculate storage statistics', async () => {
@@ -277,6 +318,30 @@ describe('CompressionUtil', () => {
         jest.restoreAllMocks();
     });
 
+    // Deterministic bytes that only repeat where a test makes them
+    const noise = (length, seed = 1) => {
+        const bytes = new Uint8Array(length);
+        let state = seed;
+        for (let i = 0; i < length; i++) {
+            state = (Math.imul(state, 1103515245) + 12345) >>> 0;
+            bytes[i] = state >>> 24;
+        }
+        return bytes;
+    };
+
+    const concat = (chunks) => {
+        const result = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+        let offset = 0;
+        for (const chunk of chunks) {
+            result.set(chunk, offset);
+            offset += chunk.length;
+        }
+        return result;
+    };
+
+    // toEqual walks typed arrays element by element, too slowly for megabytes
+    const sameBytes = (a, b) => Buffer.compare(Buffer.from(a), Buffer.from(b)) === 0;
+
     it('should compress and decompress data correctly', async () => {
         const originalData = 'test'.repeat(100);
         const compressed = await CompressionUtil.compress(originalData);
@@ -305,6 +370,367 @@ describe('CompressionUtil', () => {
         const decompressed = await CompressionUtil.decompress(compressed);
         expect(decompressed).toBe('');
     });
+
+    describe('streaming', () => {
+        const pipe = async (bytes, stream, chunkSize) => {
+            const source = new ReadableStream({
+                start(controller) {
+                    for (let i = 0; i < bytes.length; i += chunkSize) {
+                        controller.enqueue(bytes.slice(i, i + chunkSize));
+                    }
+                    controller.close();
+                }
+            });
+            const chunks = [];
+            for await (const chunk of source.pipeThrough(stream)) {
+                chunks.push(chunk);
+            }
+            return concat(chunks);
+        };
+
+        it('should round-trip data through compress and decompress streams', async () => {
+            const text = new Uint8Array([...'the quick brown fox '.repeat(500)].map(c => c.charCodeAt(0)));
+            const input = concat([noise(3000), text, noise(3000, 7)]);
+
+            const compressed = await pipe(input, CompressionUtil.createCompressStream(), 1000);
+            expect(compressed.length).toBeLessThan(input.length * 0.7);
+            // Every chunking of the compressed stream decodes the same
+            for (const chunkSize of [1, 7, 4096]) {
+                expect(sameBytes(await pipe(compressed, CompressionUtil.createDecompressStream(), chunkSize), input)).toBe(true);
+            }
+            expect(sameBytes(CompressionUtil.decompressBytes(compressed), input)).toBe(true);
+        });
+
+        it('should find matches across a window larger than 1KB', () => {
+            const block = noise(20000);
+            const compressed = CompressionUtil.compressBytes(concat([block, block]));
+
+            expect(compressed.length).toBeLessThan(block.length * 1.05);
+            expect(sameBytes(CompressionUtil.decompressBytes(compressed), concat([block, block]))).toBe(true);
+        });
+
+        it('should compress multi-megabyte values in linear time', async () => {
+            const words = ['thought', 'memory', 'storage', 'context', 'vector', 'index'];
+            const text = Array.from({ length: 400000 }, (_, i) => words[(i * 7 + (i >> 3)) % words.length]).join(' ');
+            const input = Uint8Array.from(text, c => c.charCodeAt(0));
+            expect(input.length).toBeGreaterThan(2 * 1024 * 1024);
+
+            const startTime = Date.now();
+            const compressed = await pipe(input, CompressionUtil.createCompressStream(), 64 * 1024);
+            expect(sameBytes(await pipe(compressed, CompressionUtil.createDecompressStream(), 64 * 1024), input)).toBe(true);
+            expect(compressed.length).toBeLessThan(input.length / 4);
+            expect(Date.now() - startTime).toBeLessThan(5000);
+        });
+
+        it('should still read data written in the original format', async () => {
+            // Literals 'a', 'b' then a (distance 2, length 4) match
+            const legacy = new Uint8Array([0, 97, 0, 98, 1, 0, 2, 0, 4]);
+            expect(await CompressionUtil.decompress(legacy)).toBe('ababab');
+        });
+
+        it('should reject corrupt and truncated streams', async () => {
+            const compressed = CompressionUtil.compressBytes(noise(100));
+
+            expect(() => CompressionUtil.decompressBytes(compressed.subarray(0, 50)))
+                .toThrow('Unexpected end of compressed data');
+            expect(() => CompressionUtil.decompressBytes(new Uint8Array([2, 0x80, 0, 9])))
+                .toThrow('Invalid back-reference distance');
+            await expect(pipe(new Uint8Array([9, 9]), CompressionUtil.createDecompressStream(), 2))
+                .rejects.toThrow('Decompression failed: Unsupported compression format: 9');
+        });
+    });
+
+    describe('container', () => {
+        it('should round-trip values to their exact original type', async () => {
+            const cases = [
+                '{"looks": "like json"}',
+                '[1, 2]',
+                '',
+                123,
+                null,
+                false,
+                { when: new Date(0), samples: new Float32Array([1.5, 2.5]) },
+                new Uint8Array([0, 1, 2, 255])
+            ];
+
+            for (const value of cases) {
+                expect(await CompressionUtil.decompress(await CompressionUtil.compress(value))).toEqual(value);
+            }
+            expect(await CompressionUtil.decompress(await CompressionUtil.compress(undefined))).toBeUndefined();
+            expect(await CompressionUtil.decompress(await CompressionUtil.compress(new Uint8Array([7]))))
+                .toBeInstanceOf(Uint8Array);
+        });
+
+        it('should describe its contents in the header', async () => {
+            const compressed = await CompressionUtil.compress('hello '.repeat(20), { codec: 'lz77-hc' });
+
+            expect(CompressionUtil.inspect(compressed)).toEqual({
+                version: 1,
+                codecId: 1,
+                codec: 'lz77-hc',
+                type: 'string',
+                length: 120,
+                crc: expect.any(Number)
+            });
+            expect(CompressionUtil.inspect(new Uint8Array([0, 97]))).toBeNull();
+        });
+
+        it('should report corruption as DataCorruption', async () => {
+            const compressed = await CompressionUtil.compress('the quick brown fox jumps over the lazy dog');
+
+            const flipped = compressed.slice();
+            flipped[flipped.length - 1] ^= 0x01;
+            await expect(CompressionUtil.decompress(flipped)).rejects.toMatchObject({ code: 'DataCorruption' });
+
+            const badCrc = compressed.slice();
+            badCrc[14] ^= 0xFF;
+            await expect(CompressionUtil.decompress(badCrc)).rejects.toThrow('failed its checksum');
+
+            await expect(CompressionUtil.decompress(compressed.subarray(0, compressed.length - 5)))
+                .rejects.toMatchObject({ code: 'DataCorruption' });
+            await expect(CompressionUtil.decompress(compressed.subarray(0, 10)))
+                .rejects.toThrow('header is truncated');
+        });
+
+        it('should select codecs by name and reject unknown ones', async () => {
+            CompressionUtil.registerCodec({
+                id: 200,
+                name: 'identity',
+                compress: bytes => bytes.slice(),
+                decompress: bytes => bytes.slice()
+            });
+
+            const compressed = await CompressionUtil.compress({ a: 1 }, { codec: 'identity' });
+            expect(CompressionUtil.inspect(compressed).codec).toBe('identity');
+            expect(await CompressionUtil.decompress(compressed)).toEqual({ a: 1 });
+            expect(CompressionUtil.listCodecs()).toEqual(expect.arrayContaining(['lz77-hc', 'identity']));
+
+            await expect(CompressionUtil.compress('x', { codec: 'zstd' })).rejects.toMatchObject({ code: 'InvalidInput' });
+            const unknown = compressed.slice();
+            unknown[5] = 201;
+            await expect(CompressionUtil.decompress(unknown)).rejects.toThrow('Unknown compression codec id: 201');
+            expect(() => CompressionUtil.registerCodec({ id: 1, name: 'other', compress() {}, decompress() {} }))
+                .toThrow('Codec id 1 is already used by lz77-hc');
+        });
+
+        it('should still read raw streams written before the container', async () => {
+            const raw = CompressionUtil.compressBytes(new TextEncoder().encode('{"legacy":true}'));
+            expect(await CompressionUtil.decompress(raw)).toEqual({ legacy: true });
+        });
+    });
+
+    describe('codecs', () => {
+        const thought = (i) => ({
+            id: `thought-${i}`,
+            type: 'observation',
+            content: `Observed step ${i} of the plan while reviewing the task`,
+            metadata: { confidence: (i % 10) / 10, tags: ['planning', 'review'], source: 'agent' }
+        });
+
+        afterEach(() => CompressionUtil.setDefaultDictionary(null));
+
+        it.each(['lz77-hc', 'deflate', 'gzip', 'lz4', 'none'])('should round-trip values with %s', async (codec) => {
+            const values = [
+                'abc',
+                'the quick brown fox jumps over the lazy dog. '.repeat(200),
+                { nested: [thought(1), thought(2)] },
+                noise(5000)
+            ];
+
+            for (const value of values) {
+                const compressed = await CompressionUtil.compress(value, { codec });
+                expect(CompressionUtil.inspect(compressed).codec).toBe(codec);
+                expect(await CompressionUtil.decompress(compressed)).toEqual(value);
+            }
+        });
+
+        it('should match across the whole LZ4 window and reject corrupt blocks', async () => {
+            const block = noise(40000);
+            const input = concat([block, noise(20000, 3), block, new Uint8Array(3000)]);
+            const compressed = LZ4Util.compressBlock(input);
+
+            expect(compressed.length).toBeLessThan(65000);
+            expect(sameBytes(LZ4Util.decompressBlock(compressed), input)).toBe(true);
+            expect(() => LZ4Util.decompressBlock(compressed.subarray(0, 1000))).toThrow('Unexpected end of compressed data');
+            expect(() => LZ4Util.decompressBlock(new Uint8Array([0x10, 97, 9, 0])))
+                .toThrow('Invalid back-reference distance');
+        });
+
+        it('should reject LZ4 blocks that decode past the expected length', async () => {
+            const input = new Uint8Array(100000);
+            const block = LZ4Util.compressBlock(input);
+
+            expect(sameBytes(LZ4Util.decompressBlock(block, null, input.length), input)).toBe(true);
+            expect(() => LZ4Util.decompressBlock(block, null, 1000)).toThrow('Decompressed data is longer than expected');
+
+            // The container header's length bounds the codec's output
+            const compressed = await CompressionUtil.compress('x'.repeat(2000), { codec: 'lz4' });
+            new DataView(compressed.buffer, compressed.byteOffset).setUint32(7, 100);
+            await expect(CompressionUtil.decompress(compressed)).rejects.toThrow('Decompressed data is longer than expected');
+        });
+
+        it.each(['lz77-hc', 'deflate', 'gzip'])('should stop %s output at the container length', async (codec) => {
+            const compressed = await CompressionUtil.compress('x'.repeat(200000), { codec });
+            new DataView(compressed.buffer, compressed.byteOffset).setUint32(7, 100);
+            await expect(CompressionUtil.decompress(compressed)).rejects.toThrow('Decompressed data is longer than expected');
+
+            // The codec itself stops on the payload after the 15-byte header,
+            // rather than the container's length check after it
+            const { decompress } = CompressionUtil.getCodec(codec);
+            const payload = compressed.subarray(15);
+            await expect(async () => decompress(payload, { length: 1000 })).rejects.toThrow('Decompressed data is longer than expected');
+            expect(await decompress(payload, { length: 200000 })).toHaveLength(200000);
+        });
+
+        it('should pick a codec by size when left to choose', async () => {
+            const codecOf = async value => CompressionUtil.inspect(await CompressionUtil.compress(value)).codec;
+
+            expect(await codecOf('tiny')).toBe('none');
+            expect(await codecOf([thought(1), thought(2), thought(3)])).toBe('lz4');
+            expect(await codecOf(Array.from({ length: 100 }, (_, i) => thought(i)))).toBe('deflate');
+            // Values that don't shrink are stored as they are
+            expect(await codecOf(noise(1000))).toBe('none');
+        });
+
+        it('should fall back to lz77-hc for large values without platform compression', async () => {
+            const original = globalThis.CompressionStream;
+            delete globalThis.CompressionStream;
+            try {
+                const value = 'x'.repeat(10000);
+                const compressed = await CompressionUtil.compress(value);
+                expect(CompressionUtil.inspect(compressed).codec).toBe('lz77-hc');
+                expect(CompressionUtil.listCodecs()).not.toContain('deflate');
+                await expect(CompressionUtil.compress(value, { codec: 'gzip' }))
+                    .rejects.toThrow('not available on this platform: gzip');
+            } finally {
+                globalThis.CompressionStream = original;
+            }
+        });
+
+        it('should compress small similar values better with a trained dictionary', async () => {
+            const dictionary = CompressionUtil.trainDictionary(Array.from({ length: 50 }, (_, i) => thought(i)));
+            expect(dictionary).toBeInstanceOf(CompressionDictionary);
+            expect(dictionary.bytes.length).toBeGreaterThan(0);
+            expect(dictionary.bytes.length).toBeLessThanOrEqual(16 * 1024);
+
+            const value = thought(500);
+            const plain = await CompressionUtil.compress(value, { codec: 'lz4' });
+            const primed = await CompressionUtil.compress(value, { codec: 'dictionary', dictionary });
+
+            expect(primed.length).toBeLessThan(plain.length / 2);
+            expect(await CompressionUtil.decompress(primed)).toEqual(value);
+
+            CompressionUtil.setDefaultDictionary(dictionary);
+            const automatic = await CompressionUtil.compress(thought(501));
+            expect(CompressionUtil.inspect(automatic).codec).toBe('dictionary');
+        });
+
+        it('should require the dictionary a value was written with', async () => {
+            const dictionary = new CompressionDictionary(new TextEncoder().encode('never registered elsewhere'));
+            const compressed = await CompressionUtil.compress('never registered', { codec: 'dictionary', dictionary });
+
+            // The dictionary id follows the 15-byte container header
+            const unknown = compressed.slice();
+            unknown[15] ^= 0xFF;
+            await expect(CompressionUtil.decompress(unknown)).rejects.toMatchObject({ code: 'ConfigurationMissing' });
+            await expect(CompressionUtil.compress('x', { codec: 'dictionary' }))
+                .rejects.toMatchObject({ code: 'ConfigurationMissing' });
+        });
+
+        it('should honour a codec passed to HybridStorage.set', async () => {
+            const storage = new HybridStorage({ dbName: 'codec-option', backend: 'memory' });
+            try {
+                await storage.set('packed', { log: 'entry '.repeat(200) }, { codec: 'gzip' });
+
+                const record = await storage.backend.get('packed');
+                expect(record.compressed).toBe(true);
+                expect(CompressionUtil.inspect(record.value).codec).toBe('gzip');
+                storage.memoryStore.clear();
+                expect(await storage.get('packed')).toEqual({ log: 'entry '.repeat(200) });
+            } finally {
+                await storage.destroy();
+            }
+        });
+    });
+
+    describe('binary values', () => {
+        const embedding = () => Float32Array.from({ length: 256 }, (_, i) => Math.sin(i));
+
+        it('should round-trip typed arrays and ArrayBuffers as their own type', async () => {
+            const values = [
+                embedding(),
+                new Float64Array([Math.PI, -0, Infinity]),
+                new Int16Array([-32768, 0, 32767]),
+                new Uint8ClampedArray([0, 128, 255]),
+                new BigInt64Array([-(2n ** 63n), 42n]),
+                new Uint8Array([1, 2, 3]).buffer
+            ];
+
+            for (const value of values) {
+                for (const codec of ['auto', 'lz4', 'deflate']) {
+                    const result = await CompressionUtil.decompress(await CompressionUtil.compress(value, { codec }));
+                    expect(result).toBeInstanceOf(value.constructor);
+                    expect(result).toEqual(value);
+                }
+            }
+
+            const view = await CompressionUtil.decompress(await CompressionUtil.compress(new DataView(new ArrayBuffer(4))));
+            expect(view).toBeInstanceOf(DataView);
+            expect(view.byteLength).toBe(4);
+        });
+
+        it('should store raw bytes rather than JSON', async () => {
+            const value = embedding();
+            const compressed = await CompressionUtil.compress(value, { codec: 'none' });
+
+            expect(CompressionUtil.inspect(compressed)).toEqual(expect.objectContaining({
+                type: 'Float32Array',
+                length: value.byteLength
+            }));
+            expect(compressed.length).toBe(15 + value.byteLength);
+        });
+
+        it('should copy only the viewed part of a shared buffer', async () => {
+            const backing = new Float32Array([1, 2, 3, 4, 5]);
+            const view = new Int8Array(backing.buffer, 3, 9);
+
+            const result = await CompressionUtil.decompress(await CompressionUtil.compress(backing.subarray(1, 4)));
+            expect(result).toEqual(new Float32Array([2, 3, 4]));
+            expect(await CompressionUtil.decompress(await CompressionUtil.compress(view))).toEqual(view);
+        });
+
+        it('should size binary values by byteLength', () => {
+            const storage = new HybridStorage({ dbName: 'binary-size', backend: 'memory' });
+
+            expect(storage.calculateItemSize(embedding())).toBe(1024);
+            expect(storage.calculateItemSize(new ArrayBuffer(100))).toBe(100);
+            expect(storage.calculateItemSize({ id: 'a', embedding: embedding() }))
+                .toBe('{"id":"a","embedding":null}'.length + 1024);
+        });
+
+        it('should keep binary values intact through HybridStorage', async () => {
+            const storage = new HybridStorage({ dbName: 'binary-values', backend: 'memory' });
+            try {
+                await storage.set('raw', embedding());
+                await storage.set('packed', embedding(), { compression: true });
+                await storage.set('nested', { vector: embedding() }, { codec: 'lz4' });
+
+                const packed = await storage.backend.get('packed');
+                expect(packed.size).toBeLessThanOrEqual(15 + 1024);
+                storage.memoryStore.clear();
+
+                // The memory backend's structured clone may come from another realm
+                const raw = await storage.get('raw');
+                expect(Object.prototype.toString.call(raw)).toBe('[object Float32Array]');
+                expect(Array.from(raw)).toEqual(Array.from(embedding()));
+                expect(await storage.get('packed')).toBeInstanceOf(Float32Array);
+                expect(await storage.get('packed')).toEqual(embedding());
+                expect((await storage.get('nested')).vector).toEqual(embedding());
+            } finally {
+                await storage.destroy();
+            }
+        });
+    });
 });
 
 describe('StorageMetrics', () => {
@@ -356,4 +782,2552 @@ describe('StorageMetrics', () => {
         expect(metrics.metrics.hits).toBe(0);
         expect(metrics.metrics.writes).toBe(0);
     });
+
+    it('should report latency percentiles per operation', () => {
+        for (let i = 1; i <= 100; i++) {
+            metrics.recordLatency('get', i / 10);
+        }
+        metrics.recordLatency('set', 40);
+
+        const get = metrics.getLatency('get');
+        expect(get).toEqual(expect.objectContaining({ count: 100, min: 0.1, max: 10 }));
+        expect(get.mean).toBeCloseTo(5.05);
+        expect(get.p50).toBeGreaterThan(2.5);
+        expect(get.p50).toBeLessThanOrEqual(5);
+        expect(get.p95).toBeGreaterThan(5);
+        expect(get.p99).toBeLessThanOrEqual(10);
+        expect(metrics.getLatency('set')).toEqual(expect.objectContaining({ count: 1, p50: 40, p99: 40 }));
+        expect(metrics.getLatency('query').count).toBe(0);
+    });
+
+    it('should keep rolling windows of recent latency', () => {
+        let now = 10 * 60 * 60 * 1000;
+        metrics = new StorageMetrics({ now: () => now });
+
+        metrics.recordLatency('get', 200);
+        now += 10 * 60 * 1000;
+        metrics.recordLatency('get', 2);
+        now += 30 * 1000;
+        metrics.recordLatency('get', 4);
+
+        expect(metrics.getLatency('get', { window: '1m' }).count).toBe(2);
+        expect(metrics.getLatency('get', { window: '5m' }).count).toBe(2);
+        expect(metrics.getLatency('get', { window: '1h' })).toEqual(expect.objectContaining({ count: 3, max: 200 }));
+        expect(metrics.getLatency('get').count).toBe(3);
+        // The slow access has left the window shouldOptimize() looks at
+        expect(metrics.analyzeAccessPatterns().averageAccessTime).toBe(3);
+        expect(() => metrics.getLatency('get', { window: '1d' })).toThrow('Unknown metrics window: 1d');
+
+        now += 2 * 60 * 60 * 1000;
+        expect(metrics.getLatency('get', { window: '1h' }).count).toBe(0);
+        expect(metrics.getLatencyReport().get.total.count).toBe(3);
+    });
+
+    it('should export in Prometheus text format', () => {
+        metrics.recordHit();
+        metrics.recordMiss();
+        metrics.recordLatency('get', 3);
+        metrics.setGauge('memory_items', 7, 'Records in the memory tier.');
+
+        const text = metrics.toPrometheus();
+        expect(text).toContain('# TYPE thought_storage_lookups_total counter');
+        expect(text).toContain('thought_storage_lookups_total{result="hit"} 1');
+        expect(text).toContain('thought_storage_memory_items 7');
+        expect(text).toContain('# TYPE thought_storage_operation_duration_seconds histogram');
+        expect(text).toContain('thought_storage_operation_duration_seconds_bucket{operation="get",le="0.0025"} 0');
+        expect(text).toContain('thought_storage_operation_duration_seconds_bucket{operation="get",le="0.005"} 1');
+        expect(text).toContain('thought_storage_operation_duration_seconds_bucket{operation="get",le="+Inf"} 1');
+        expect(text).toContain('thought_storage_operation_duration_seconds_count{operation="get"} 1');
+        expect(text).toContain('thought_storage_operation_duration_window_seconds{operation="get",window="5m",quantile="0.99"} 0.003');
+        expect(text).not.toContain('# EOF');
+        expect(text.endsWith('\n')).toBe(true);
+    });
+
+    it('should export in OpenMetrics format', () => {
+        metrics.recordWrite(2);
+        metrics.recordLatency('set', 1);
+
+        const text = metrics.toOpenMetrics({ prefix: 'app' });
+        expect(text).toContain('# TYPE app_writes counter');
+        expect(text).toContain('app_writes_total 2');
+        expect(text).toContain('# UNIT app_operation_duration_seconds seconds');
+        expect(text.trimEnd().endsWith('# EOF')).toBe(true);
+        expect(() => metrics.export('json')).toThrow('Unknown metrics format: json');
+    });
+});
+
+describe('Storage backends', () => {
+    const schema = {
+        keyPath: 'key',
+        indexes: HybridStorage.IndexDefinitions
+    };
+    let directory;
+
+    beforeEach(async () => {
+        setupTestEnvironment();
+        directory = await fs.mkdtemp(path.join(os.tmpdir(), 'hybrid-storage-'));
+    });
+
+    afterEach(async () => {
+        await fs.rm(directory, { recursive: true, force: true });
+        cleanupTestEnvironment();
+    });
+
+    const factories = {
+        indexeddb: () => new IndexedDBBackend({ dbName: 'backend-test' }),
+        memory: () => new MemoryBackend({ dbName: 'backend-test' }),
+        filesystem: () => new FileSystemBackend({ dbName: 'backend-test', directory })
+    };
+
+    describe.each(Object.keys(factories))('%s backend', (type) => {
+        let backend;
+
+        beforeEach(async () => {
+            backend = factories[type]();
+            await backend.open(schema);
+        });
+
+        afterEach(async () => {
+            await backend.destroy();
+        });
+
+        it('should put, get, count and delete records', async () => {
+            await backend.put({ key: 'a', value: 1, timestamp: 1, priority: 0, tags: [], size: 2 });
+
+            expect(await backend.get('a')).toEqual(expect.objectContaining({ key: 'a', value: 1 }));
+            expect(await backend.count('a')).toBe(1);
+            expect(await backend.count()).toBe(1);
+
+            await backend.delete('a');
+            expect(await backend.get('a')).toBeNull();
+            expect(await backend.count()).toBe(0);
+        });
+
+        it('should walk an index in order within a range', async () => {
+            for (const [key, priority] of [['a', 3], ['b', 1], ['c', 2], ['d', 0]]) {
+                await backend.put({ key, value: key, timestamp: 1, priority, tags: [], size: 2 });
+            }
+
+            const keys = [];
+            await backend.cursor(
+                { index: 'priority', range: KeyRangeUtil.lowerBound(1), direction: 'prev' },
+                (item) => { keys.push(item.key); }
+            );
+
+            expect(keys).toEqual(['a', 'c', 'b']);
+        });
+
+        it('should resume a walk strictly after an index key and primary key', async () => {
+            for (const [key, priority] of [['a', 1], ['b', 2], ['c', 1], ['d', 1], ['e', 0]]) {
+                await backend.put({ key, value: key, timestamp: 1, priority, tags: [], size: 2 });
+            }
+
+            const walk = async (options) => {
+                const keys = [];
+                await backend.cursor({ index: 'priority', ...options }, (item) => { keys.push(item.key); });
+                return keys;
+            };
+
+            expect(await walk({ after: { key: 1, primaryKey: 'c' } })).toEqual(['d', 'b']);
+            expect(await walk({ after: { key: 1, primaryKey: 'c' }, direction: 'prev' })).toEqual(['a', 'e']);
+            expect(await walk({ after: { key: 1, primaryKey: 'c' }, range: KeyRangeUtil.upperBound(1) })).toEqual(['d']);
+            expect(await walk({ after: { key: 2, primaryKey: 'b' } })).toEqual([]);
+        });
+
+        it('should expand multiEntry indexes and delete through the cursor', async () => {
+            await backend.put({ key: 'a', value: 1, timestamp: 1, priority: 0, tags: ['x', 'y'], size: 2 });
+            await backend.put({ key: 'b', value: 2, timestamp: 2, priority: 0, tags: ['y'], size: 2 });
+
+            const tagged = [];
+            await backend.cursor({ index: 'tags', range: KeyRangeUtil.only('y') }, (item) => {
+                tagged.push(item.key);
+            });
+            expect(tagged).toEqual(['a', 'b']);
+
+            await backend.cursor({ mode: 'readwrite' }, (item, cursor) => {
+                if (item.key === 'a') cursor.delete();
+            });
+            expect(await backend.count()).toBe(1);
+        });
+
+        it('should stop walking when the visitor returns false', async () => {
+            for (let i = 0; i < 5; i++) {
+                await backend.put({ key: `k${i}`, value: i, timestamp: i, priority: 0, tags: [], size: 2 });
+            }
+
+            let visited = 0;
+            await backend.cursor({ index: 'timestamp' }, () => {
+                visited++;
+                return visited < 2;
+            });
+
+            expect(visited).toBe(2);
+        });
+
+        it('should clear and compact the store', async () => {
+            await backend.put({ key: 'a', value: 1, timestamp: 1, priority: 0, tags: [], size: 2 });
+            await backend.put({ key: 'b', value: 2, timestamp: 2, priority: 0, tags: [], size: 2 });
+
+            await backend.compact([{ key: 'b', value: 2, timestamp: 2, priority: 0, tags: [], size: 2 }]);
+            expect(await backend.count()).toBe(1);
+            expect(await backend.get('b')).not.toBeNull();
+
+            await backend.clear();
+            expect(await backend.count()).toBe(0);
+        });
+    });
+
+    it('should replay the filesystem log when reopened', async () => {
+        const writer = new FileSystemBackend({ dbName: 'replay', directory });
+        await writer.open(schema);
+        await writer.put({ key: 'a', value: new Uint8Array([1, 2, 3]), timestamp: 1, priority: 0, tags: [], size: 3 });
+        await writer.put({ key: 'b', value: { nested: true }, timestamp: 2, priority: 0, tags: [], size: 2 });
+        await writer.delete('b');
+        await writer.close();
+
+        // Simulate a crash in the middle of an append
+        await fs.appendFile(writer.filePath, '{"op":"put","item":{"key":"c"');
+
+        const reader = new FileSystemBackend({ dbName: 'replay', directory });
+        await reader.open(schema);
+
+        const item = await reader.get('a');
+        expect(item.value).toBeInstanceOf(Uint8Array);
+        expect(Array.from(item.value)).toEqual([1, 2, 3]);
+        expect(await reader.get('b')).toBeNull();
+        expect(await reader.count()).toBe(1);
+        await reader.destroy();
+    });
+
+    it('should leave the filesystem store unchanged when an append fails', async () => {
+        const backend = new FileSystemBackend({ dbName: 'append-failure', directory });
+        await backend.open(schema);
+        await backend.put({ key: 'a', value: 1, timestamp: 1, priority: 0, tags: [], size: 1 });
+
+        const appendSpy = jest.spyOn(fs, 'appendFile').mockRejectedValue(new Error('disk full'));
+        await expect(backend.put({ key: 'b', value: 2, timestamp: 2, priority: 0, tags: [], size: 1 })).rejects.toThrow('disk full');
+        await expect(backend.delete('a')).rejects.toThrow('disk full');
+        await expect(backend.clear()).rejects.toThrow('disk full');
+        appendSpy.mockRestore();
+
+        expect(await backend.get('a')).toEqual(expect.objectContaining({ value: 1 }));
+        expect(await backend.get('b')).toBeNull();
+        expect(await backend.count()).toBe(1);
+        await backend.destroy();
+    });
+
+    it('should settle indexeddb deletes with their transaction', async () => {
+        const backend = new IndexedDBBackend({ dbName: 'delete-commit' });
+        await backend.open(schema);
+        await backend.put({ key: 'a', value: 1, timestamp: 1, priority: 0, tags: [], size: 1 });
+
+        const transactions = [];
+        const transaction = backend.db.transaction.bind(backend.db);
+        const transactionSpy = jest.spyOn(backend.db, 'transaction').mockImplementation((...args) => {
+            transactions.push(transaction(...args));
+            return transactions[transactions.length - 1];
+        });
+        await backend.delete('a');
+        expect(transactions[0].completed).toBe(true);
+
+        transactionSpy.mockImplementation(() => {
+            throw new Error('connection closing');
+        });
+        await expect(backend.delete('a')).rejects.toThrow('Failed to create transaction: connection closing');
+        transactionSpy.mockRestore();
+        await backend.destroy();
+    });
+
+    it('should create backends by name', () => {
+        expect(createStorageBackend('memory')).toBeInstanceOf(MemoryBackend);
+        expect(createStorageBackend()).toBeInstanceOf(IndexedDBBackend);
+        expect(() => createStorageBackend('unknown')).toThrow('Unknown storage backend');
+    });
+
+    it('should run HybridStorage on a non-IndexedDB backend', async () => {
+        delete global.indexedDB;
+        const storage = new HybridStorage({ dbName: 'node-storage', backend: 'filesystem', directory, maxMemoryItems: 5 });
+
+        for (let i = 0; i < 10; i++) {
+            await storage.set(`key${i}`, { data: `value${i}` }, { tags: ['node'] });
+        }
+        expect(storage.memoryStore.size).toBeLessThanOrEqual(5);
+
+        const results = await storage.query({ tags: ['node'] });
+        expect(results.items.size).toBe(10);
+
+        // A fresh instance sees the persisted records
+        const reopened = new HybridStorage({ dbName: 'node-storage', backend: 'filesystem', directory });
+        expect(await reopened.get('key7')).toEqual({ data: 'value7' });
+
+        await storage.destroy();
+    });
+});
+
+describe('HybridStorage transactions', () => {
+    let storage;
+
+    beforeEach(() => {
+        setupTestEnvironment();
+        storage = new HybridStorage({ dbName: 'transaction-storage', maxMemoryItems: 100 });
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        await storage.destroy();
+        cleanupTestEnvironment();
+    });
+
+    it('should apply all operations in a single backend batch', async () => {
+        await storage.set('old', { data: 'old' });
+        const batchSpy = jest.spyOn(storage.backend, 'batch');
+
+        const result = await storage.transaction(async (tx) => {
+            tx.set('thought', { text: 'hello' }, { tags: ['thought'] });
+            tx.set('thought:meta', { length: 5 });
+            tx.delete('old');
+            return 'done';
+        });
+
+        expect(result).toBe('done');
+        expect(batchSpy).toHaveBeenCalledTimes(1);
+        expect(await storage.get('thought')).toEqual({ text: 'hello' });
+        expect(await storage.get('thought:meta')).toEqual({ length: 5 });
+        expect(await storage.get('old')).toBeNull();
+    });
+
+    it('should let reads inside the transaction see staged writes', async () => {
+        await storage.set('counter', 1);
+
+        await storage.transaction(async (tx) => {
+            const current = await tx.get('counter');
+            tx.set('counter', current + 1);
+            expect(await tx.get('counter')).toBe(2);
+        });
+
+        expect(await storage.get('counter')).toBe(2);
+    });
+
+    it('should apply nothing when the callback throws', async () => {
+        await expect(storage.transaction(async (tx) => {
+            tx.set('a', 1);
+            throw new Error('abort');
+        })).rejects.toThrow('abort');
+
+        expect(storage.memoryStore.has('a')).toBe(false);
+        expect(await storage.get('a')).toBeNull();
+    });
+
+    it('should roll back the memory tier when the backend aborts', async () => {
+        await storage.set('a', { version: 1 });
+        jest.spyOn(storage.backend, 'batch').mockRejectedValue(new Error('Transaction aborted: quota'));
+
+        await expect(storage.transaction(async (tx) => {
+            tx.set('a', { version: 2 });
+            tx.set('b', { version: 1 });
+        })).rejects.toThrow('Transaction aborted');
+
+        expect(storage.memoryStore.get('a').value).toEqual({ version: 1 });
+        expect(storage.memoryStore.has('b')).toBe(false);
+        expect(storage.metrics.metrics.errors).toBe(1);
+    });
+
+    it('should lock every touched key', async () => {
+        const lockSpy = jest.spyOn(storage.lock, 'acquireMultiple');
+
+        await storage.transaction(async (tx) => {
+            tx.set('a', 1);
+            tx.delete('b');
+        });
+
+        expect(lockSpy).toHaveBeenCalledWith(
+            expect.arrayContaining(['write_a', 'delete_a', 'write_b', 'delete_b']),
+            expect.any(Function)
+        );
+    });
+
+    it('should reject use of the transaction after it finished', async () => {
+        let escaped;
+        await storage.transaction(async (tx) => {
+            escaped = tx;
+        });
+
+        expect(() => escaped.set('late', 1)).toThrow('Transaction has already finished');
+    });
+
+    it('should commit atomically on the memory backend', async () => {
+        const memoryStorage = new HybridStorage({ dbName: 'transaction-memory', backend: 'memory' });
+
+        await expect(memoryStorage.transaction(async (tx) => {
+            tx.set('a', 1);
+            tx.set(undefined, 2);
+        })).rejects.toThrow();
+        expect(await memoryStorage.backend.count()).toBe(0);
+
+        await memoryStorage.transaction(async (tx) => {
+            tx.set('a', 1);
+            tx.set('b', 2);
+        });
+        expect(await memoryStorage.backend.count()).toBe(2);
+
+        await memoryStorage.destroy();
+    });
+});
+
+describe('HybridStorage batch operations', () => {
+    let storage;
+
+    beforeEach(() => {
+        setupTestEnvironment();
+        storage = new HybridStorage({ dbName: 'batch-storage', maxMemoryItems: 10 });
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        await storage.destroy();
+        cleanupTestEnvironment();
+    });
+
+    it('should set many entries in one batch and enforce the memory limit once', async () => {
+        const batchSpy = jest.spyOn(storage.backend, 'batch');
+        const limitSpy = jest.spyOn(storage, 'enforceMemoryLimit');
+        const entries = Array.from({ length: 25 }, (_, i) => [`key${i}`, { data: `value${i}` }]);
+
+        const results = await storage.setMany(entries, { tags: ['bulk'] });
+
+        expect(results).toHaveLength(25);
+        expect(results.every(result => result.success)).toBe(true);
+        expect(batchSpy).toHaveBeenCalledTimes(1);
+        expect(limitSpy).toHaveBeenCalledTimes(1);
+        expect(storage.memoryStore.size).toBeLessThanOrEqual(10);
+        expect(storage.metrics.metrics.writes).toBe(25);
+        expect(await storage.get('key24')).toEqual({ data: 'value24' });
+    });
+
+    it('should accept per-entry options and report per-key failures', async () => {
+        const compress = CompressionUtil.compress.bind(CompressionUtil);
+        jest.spyOn(CompressionUtil, 'compress').mockImplementation(async (value) => {
+            if (value.bad) throw new Error('Compression failed');
+            return compress(value);
+        });
+
+        const results = await storage.setMany([
+            { key: 'good', value: { text: 'ok' }, options: { priority: 2 } },
+            { key: 'bad', value: { bad: true } }
+        ], { compression: true });
+
+        expect(results).toEqual([
+            { key: 'good', success: true },
+            { key: 'bad', success: false, error: expect.any(Error) }
+        ]);
+        expect(storage.memoryStore.get('good').priority).toBe(2);
+        expect(await storage.get('bad')).toBeNull();
+    });
+
+    it('should mark every key failed and roll back memory when the batch aborts', async () => {
+        jest.spyOn(storage.backend, 'batch').mockRejectedValue(new Error('Transaction aborted'));
+
+        const results = await storage.setMany([['a', 1], ['b', 2]]);
+
+        expect(results.every(result => !result.success)).toBe(true);
+        expect(storage.memoryStore.size).toBe(0);
+    });
+
+    it('should get many keys with a single backend read for memory misses', async () => {
+        await storage.setMany([['a', 1], ['b', 2], ['c', 3]]);
+        storage.memoryStore.delete('b');
+        storage.memoryStore.delete('c');
+        const getManySpy = jest.spyOn(storage.backend, 'getMany');
+
+        const results = await storage.getMany(['a', 'b', 'c', 'missing']);
+
+        expect(getManySpy).toHaveBeenCalledTimes(1);
+        expect(getManySpy).toHaveBeenCalledWith(['b', 'c', 'missing']);
+        expect(results).toEqual([
+            { key: 'a', success: true, value: 1 },
+            { key: 'b', success: true, value: 2 },
+            { key: 'c', success: true, value: 3 },
+            { key: 'missing', success: true, value: null }
+        ]);
+        expect(storage.metrics.metrics.hits).toBe(3);
+        expect(storage.metrics.metrics.misses).toBe(1);
+    });
+
+    it('should drop expired items when getting many', async () => {
+        await storage.setMany([['fresh', 1], ['stale', 2]]);
+        await storage.set('stale', 2, { expiry: 10 });
+        await delay(20);
+
+        const results = await storage.getMany(['fresh', 'stale']);
+
+        expect(results.map(result => result.value)).toEqual([1, null]);
+        expect(await storage.existsInDB('stale')).toBe(false);
+    });
+
+    it('should delete many keys in one batch', async () => {
+        await storage.setMany([['a', 1], ['b', 2], ['c', 3]]);
+        const batchSpy = jest.spyOn(storage.backend, 'batch');
+
+        const results = await storage.deleteMany(['a', 'b']);
+
+        expect(results).toEqual([
+            { key: 'a', success: true },
+            { key: 'b', success: true }
+        ]);
+        expect(batchSpy).toHaveBeenCalledTimes(1);
+        expect(await storage.get('a')).toBeNull();
+        expect(await storage.get('c')).toBe(3);
+        expect(storage.metrics.metrics.deletes).toBe(2);
+    });
+
+    it('should lock batches of several thousand keys', async () => {
+        const entries = Array.from({ length: 5000 }, (_, i) => [`key${i}`, i]);
+        const keys = entries.map(([key]) => key);
+
+        const written = await storage.setMany(entries);
+        expect(written.every(result => result.success)).toBe(true);
+
+        const read = await storage.getMany(keys);
+        expect(read.map(result => result.value)).toEqual(entries.map(([, value]) => value));
+
+        await storage.transaction(async (tx) => {
+            keys.slice(0, 3000).forEach(key => tx.set(key, 'updated'));
+        });
+        expect(await storage.get('key2999')).toBe('updated');
+
+        const deleted = await storage.deleteMany(keys);
+        expect(deleted.every(result => result.success)).toBe(true);
+        expect(await storage.get('key4999')).toBeNull();
+        expect(storage.lock.locks.size).toBe(0);
+    });
+});
+
+describe('HybridStorage migrations', () => {
+    let directory;
+    const opened = [];
+
+    const factories = {
+        indexeddb: () => 'indexeddb',
+        memory: () => 'memory',
+        filesystem: () => new FileSystemBackend({ dbName: 'migration-storage', directory })
+    };
+
+    const migrations = [
+        {
+            version: 2,
+            description: 'Index items by category',
+            upgrade(context) {
+                context.createIndex('category', 'category');
+                context.transformRecords(item => ({ ...item, category: item.tags[0] || 'none' }));
+            }
+        },
+        {
+            version: 3,
+            description: 'Drop obsolete items',
+            upgrade(context) {
+                context.transformRecords(item => (item.key.startsWith('obsolete') ? null : undefined));
+            }
+        }
+    ];
+
+    beforeEach(async () => {
+        setupTestEnvironment();
+        directory = await fs.mkdtemp(path.join(os.tmpdir(), 'hybrid-migrations-'));
+    });
+
+    afterEach(async () => {
+        // Destroy through the backends: a storage that failed to open cannot
+        // reopen to destroy itself
+        for (const storage of opened.splice(0)) {
+            await storage.backend.destroy();
+        }
+        await fs.rm(directory, { recursive: true, force: true });
+        cleanupTestEnvironment();
+    });
+
+    describe.each(Object.keys(factories))('%s backend', (type) => {
+        const open = async (options = {}) => {
+            const storage = new HybridStorage({
+                dbName: 'migration-storage',
+                backend: factories[type](),
+                ...options
+            });
+            opened.push(storage);
+            await storage.ready;
+            return storage;
+        };
+
+        const seed = async () => {
+            const storage = await open();
+            await storage.set('note', { text: 'keep' }, { tags: ['work'] });
+            await storage.set('plain', { text: 'untagged' });
+            await storage.set('obsolete-1', { text: 'old' });
+            await storage.backend.close();
+        };
+
+        it('should upgrade existing records and indexes on reopen', async () => {
+            await seed();
+            const storage = await open({ migrations });
+
+            expect(storage.migrationReport).toEqual({
+                fromVersion: 1,
+                toVersion: 3,
+                dryRun: false,
+                applied: [
+                    expect.objectContaining({ version: 2, recordsUpdated: 3, indexesCreated: ['category'] }),
+                    expect.objectContaining({ version: 3, recordsDeleted: 1 })
+                ]
+            });
+            expect(await storage.get('note')).toEqual({ text: 'keep' });
+            expect(await storage.get('obsolete-1')).toBeNull();
+
+            const categories = [];
+            await storage.backend.cursor({ index: 'category' }, item => {
+                categories.push([item.key, item.category]);
+            });
+            expect(categories).toEqual([['plain', 'none'], ['note', 'work']]);
+
+            const history = await storage.getMigrationHistory();
+            expect(history.map(entry => entry.version)).toEqual([2, 3]);
+            expect(history[0]).toEqual(expect.objectContaining({
+                description: 'Index items by category',
+                appliedAt: expect.any(Number)
+            }));
+        });
+
+        it('should not run applied migrations again', async () => {
+            await seed();
+            const first = await open({ migrations });
+            await first.backend.close();
+
+            const storage = await open({ migrations });
+
+            expect(storage.migrationReport).toEqual({ fromVersion: 3, toVersion: 3, dryRun: false, applied: [] });
+            expect(await storage.getMigrationHistory()).toHaveLength(2);
+        });
+
+        it('should report pending migrations without applying them in dry-run mode', async () => {
+            await seed();
+            const dryRun = await open({ migrations, migrationDryRun: true });
+
+            expect(dryRun.migrationReport).toEqual(expect.objectContaining({ fromVersion: 1, toVersion: 3, dryRun: true }));
+            expect(dryRun.migrationReport.applied).toEqual([
+                expect.objectContaining({ version: 2, recordsUpdated: 3, appliedAt: null }),
+                expect.objectContaining({ version: 3, recordsDeleted: 1 })
+            ]);
+            expect(await dryRun.get('obsolete-1')).toEqual({ text: 'old' });
+            expect((await dryRun.getFromDB('note')).category).toBeUndefined();
+            expect(await dryRun.getMigrationHistory()).toEqual([]);
+            await dryRun.backend.close();
+
+            const storage = await open({ migrations });
+            expect(storage.migrationReport.applied).toHaveLength(2);
+        });
+
+        it('should refuse to open a store newer than the declared migrations', async () => {
+            await seed();
+            const migrated = await open({ migrations });
+            await migrated.backend.close();
+
+            const storage = new HybridStorage({
+                dbName: 'migration-storage',
+                backend: factories[type](),
+                migrations: migrations.slice(0, 1)
+            });
+            opened.push(storage);
+
+            await expect(storage.ready).rejects.toMatchObject({
+                name: 'ThoughtError',
+                code: 'InvalidConfiguration'
+            });
+        });
+
+        it('should leave data untouched when a migration fails', async () => {
+            const storage = await open();
+            await storage.set('only', { text: 'value' });
+            await storage.backend.close();
+
+            const failing = new HybridStorage({
+                dbName: 'migration-storage',
+                backend: factories[type](),
+                migrations: [{
+                    version: 2,
+                    upgrade(context) {
+                        context.transformRecords(() => {
+                            throw new Error('Bad transform');
+                        });
+                    }
+                }]
+            });
+            await expect(failing.ready).rejects.toThrow('Bad transform');
+
+            const reopened = await open();
+            expect(reopened.migrationReport.fromVersion).toBe(1);
+            expect(await reopened.get('only')).toEqual({ text: 'value' });
+            expect(await reopened.getMigrationHistory()).toEqual([]);
+        });
+    });
+
+    it('should reject invalid migration definitions', () => {
+        expect(() => new HybridStorage({ migrations: [{ version: 1, upgrade() {} }] }))
+            .toThrow('Migration version must be an integer of at least 2');
+        expect(() => new HybridStorage({ migrations: [{ version: 2 }] }))
+            .toThrow('Migration 2 has no upgrade function');
+        expect(() => new HybridStorage({
+            migrations: [{ version: 2, upgrade() {} }, { version: 2, upgrade() {} }]
+        })).toThrow('Duplicate migration version: 2');
+    });
+});
+
+describe('HybridStorage queries', () => {
+    let storage;
+
+    beforeEach(() => {
+        setupTestEnvironment();
+    });
+
+    afterEach(async () => {
+        await storage.destroy();
+        cleanupTestEnvironment();
+    });
+
+    describe.each(['indexeddb', 'memory'])('%s backend', (backend) => {
+        beforeEach(async () => {
+            storage = new HybridStorage({ dbName: 'query-storage', backend });
+            const items = [
+                ['a', 3, ['red']],
+                ['b', 1, ['blue']],
+                ['c', 4, ['red', 'blue']],
+                ['d', 1, ['green']],
+                ['e', 5, ['red', 'archived']],
+                ['f', 9, []]
+            ];
+            for (const [key, priority, tags] of items) {
+                await storage.set(key, { name: key }, { priority, tags });
+            }
+        });
+
+        it('should sort, offset and limit using the sort index', async () => {
+            const results = await storage.query({ sort: { by: 'priority', order: 'desc' }, offset: 1, limit: 2 });
+
+            expect(results.keys).toEqual(['e', 'c']);
+            expect(results.items.get('e')).toEqual({ name: 'e' });
+            expect(results.hasMore).toBe(true);
+            expect(results.totalCount).toBeNull();
+            expect(results.metrics.plan).toEqual({ strategy: 'index', index: 'priority', direction: 'prev', ordered: true });
+            // offset + limit + one look-ahead record
+            expect(results.metrics.itemsScanned).toBe(4);
+        });
+
+        it('should page through results with cursor tokens', async () => {
+            const sort = { by: 'priority', order: 'asc' };
+            const pages = [];
+            let cursor;
+            do {
+                const page = await storage.query({ sort, limit: 2, cursor });
+                pages.push(page.keys);
+                cursor = page.nextCursor;
+            } while (cursor);
+
+            expect(pages).toEqual([['b', 'd'], ['a', 'c'], ['e', 'f']]);
+
+            const first = await storage.query({ sort, limit: 2 });
+            await expect(storage.query({ sort: { by: 'size' }, cursor: first.nextCursor }))
+                .rejects.toThrow('Query cursor does not match the sort order');
+        });
+
+        it('should combine tag filters with OR and NOT', async () => {
+            const results = await storage.query({ tags: { any: ['red', 'blue'], none: ['archived'] } });
+
+            expect(results.keys).toEqual(['a', 'b', 'c']);
+            expect(results.totalCount).toBe(3);
+            expect(results.metrics.plan.strategy).toBe('union');
+            // Three 'red' and two 'blue' entries; 'c' is reached through both
+            expect(results.metrics.itemsScanned).toBe(5);
+        });
+
+        it('should filter by ranges on indexed fields', async () => {
+            const results = await storage.query({ where: { priority: { gt: 1, lte: 5 } }, sort: { by: 'priority' } });
+            expect(results.keys).toEqual(['a', 'c', 'e']);
+            expect(results.metrics.plan.index).toBe('priority');
+            expect(results.metrics.itemsScanned).toBe(3);
+
+            const empty = await storage.query({ where: { priority: { gt: 5, lt: 3 } } });
+            expect(empty.keys).toEqual([]);
+            expect(empty.metrics.itemsScanned).toBe(0);
+
+            await expect(storage.query({ where: { lastAccess: { gt: 0 } } }))
+                .rejects.toThrow('Cannot filter on non-indexed field: lastAccess');
+            await expect(storage.query({ where: { priority: { near: 1 } } }))
+                .rejects.toThrow('Unknown range operator: near');
+        });
+
+        it('should prefer the most selective index', async () => {
+            const results = await storage.query({ tags: ['green'], minPriority: 0 });
+
+            expect(results.keys).toEqual(['d']);
+            expect(results.metrics.plan.index).toBe('tags');
+            expect(results.metrics.itemsScanned).toBe(1);
+        });
+
+        it('should project keys or metadata only', async () => {
+            const keys = await storage.query({ tags: ['red'], select: 'keys' });
+            expect([...keys.items.values()]).toEqual(['a', 'c', 'e']);
+
+            const metadata = await storage.query({ tags: ['green'], select: 'metadata' });
+            const item = metadata.items.get('d');
+            expect(item).toEqual(expect.objectContaining({ key: 'd', priority: 1, tags: ['green'] }));
+            expect(item).not.toHaveProperty('value');
+        });
+    });
+});
+
+describe('HybridStorage scans', () => {
+    let storage;
+
+    beforeEach(() => {
+        setupTestEnvironment();
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        await storage.destroy();
+        cleanupTestEnvironment();
+    });
+
+    describe.each(['indexeddb', 'memory'])('%s backend', (backend) => {
+        beforeEach(async () => {
+            storage = new HybridStorage({ dbName: 'scan-storage', backend });
+            for (let i = 0; i < 10; i++) {
+                await storage.set(`key${i}`, { n: i }, { priority: i % 3, tags: i % 2 ? ['odd'] : ['even'] });
+            }
+        });
+
+        it('should yield every record in key order across batches', async () => {
+            const cursorSpy = jest.spyOn(storage.backend, 'cursor');
+            const entries = [];
+            for await (const entry of storage.scan({}, { batchSize: 3 })) {
+                entries.push(entry);
+            }
+
+            expect(entries.map(([key]) => key)).toEqual(Array.from({ length: 10 }, (_, i) => `key${i}`));
+            expect(entries[4][1]).toEqual({ n: 4 });
+            expect(cursorSpy).toHaveBeenCalledTimes(4);
+        });
+
+        it('should filter and follow an index order', async () => {
+            const keys = [];
+            const filter = { tags: ['odd'], sort: { by: 'priority', order: 'desc' } };
+            for await (const [key] of storage.scan(filter, { batchSize: 2 })) {
+                keys.push(key);
+            }
+
+            // Ties are broken by key in the same direction
+            expect(keys).toEqual(['key5', 'key7', 'key1', 'key9', 'key3']);
+        });
+
+        it('should stop reading when the caller breaks', async () => {
+            const cursorSpy = jest.spyOn(storage.backend, 'cursor');
+            const keys = [];
+            for await (const [key] of storage.scan({}, { batchSize: 4 })) {
+                keys.push(key);
+                if (keys.length === 2) break;
+            }
+
+            expect(keys).toEqual(['key0', 'key1']);
+            expect(cursorSpy).toHaveBeenCalledTimes(1);
+        });
+
+        it('should skip expired records', async () => {
+            await storage.set('short-lived', { n: -1 }, { expiry: 1 });
+            await delay(10);
+
+            const keys = [];
+            for await (const [key] of storage.scan({ select: 'keys' })) {
+                keys.push(key);
+            }
+            expect(keys).not.toContain('short-lived');
+            expect(keys).toHaveLength(10);
+        });
+
+        it('should decompress values only as they are consumed', async () => {
+            jest.spyOn(CompressionUtil, 'compress').mockImplementation(async value => JSON.stringify(value));
+            const decompress = jest.spyOn(CompressionUtil, 'decompress').mockImplementation(async value => JSON.parse(value));
+            await storage.set('key0', { n: 'packed' }, { compression: true });
+            await storage.set('key1', { n: 'packed too' }, { compression: true });
+
+            for await (const [key, value] of storage.scan()) {
+                expect(key).toBe('key0');
+                expect(value).toEqual({ n: 'packed' });
+                break;
+            }
+            expect(decompress).toHaveBeenCalledTimes(1);
+        });
+
+        it('should reject ordering by a field without an index', async () => {
+            const iterator = storage.scan({ sort: { by: 'lastAccess' } });
+            await expect(iterator.next()).rejects.toThrow('Cannot scan in order of non-indexed field: lastAccess');
+        });
+
+        it('should read each record once when batches end among equal index values', async () => {
+            const cursor = storage.backend.cursor.bind(storage.backend);
+            let visited = 0;
+            jest.spyOn(storage.backend, 'cursor').mockImplementation((options, onItem) =>
+                cursor(options, (...args) => {
+                    visited++;
+                    return onItem(...args);
+                })
+            );
+
+            const keys = [];
+            for await (const [key] of storage.scan({ sort: { by: 'priority' } }, { batchSize: 2 })) {
+                keys.push(key);
+            }
+
+            expect(keys).toEqual(['key0', 'key3', 'key6', 'key9', 'key1', 'key4', 'key7', 'key2', 'key5', 'key8']);
+            expect(visited).toBe(10);
+        });
+    });
+
+    it('should scan a large store in time linear in its size', async () => {
+        storage = new HybridStorage({ dbName: 'large-scan-storage', backend: 'memory', maxMemoryItems: 10 });
+        const count = 20000;
+        await storage.setMany(Array.from({ length: count }, (_, i) => ({
+            key: `key${String(i).padStart(5, '0')}`,
+            value: i,
+            options: { priority: i % 4 }
+        })));
+
+        for (const sort of [{ by: 'key' }, { by: 'priority', order: 'desc' }]) {
+            const startTime = performance.now();
+            let scanned = 0;
+            let misordered = 0;
+            let previous = null;
+            for await (const [, item] of storage.scan({ sort, select: 'records' })) {
+                if (previous && QueryPlanner.compare(previous, item, sort) >= 0) misordered++;
+                previous = item;
+                scanned++;
+            }
+
+            expect(scanned).toBe(count);
+            expect(misordered).toBe(0);
+            // A scan that re-sorted or re-read the store per batch took
+            // several seconds here
+            expect(performance.now() - startTime).toBeLessThan(3000);
+        }
+    });
+});
+
+describe('HybridStorage change events', () => {
+    let storage;
+
+    beforeEach(() => {
+        setupTestEnvironment();
+        storage = new HybridStorage({ dbName: 'event-storage', backend: 'memory', maxMemoryItems: 2 });
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        await storage.destroy();
+        cleanupTestEnvironment();
+    });
+
+    const collect = (subscribe) => {
+        const events = [];
+        subscribe(event => events.push({ type: event.type, key: event.key, tier: event.tier }));
+        return events;
+    };
+
+    it('should report sets and deletes with the tiers they touched', async () => {
+        const events = collect(handler => {
+            storage.on('set', handler);
+            storage.on('delete', handler);
+        });
+
+        await storage.set('cached', { a: 1 });
+        await storage.set('large', 'x'.repeat(150000));
+        await storage.delete('cached');
+        await storage.delete('large');
+
+        expect(events).toEqual([
+            { type: 'set', key: 'cached', tier: 'both' },
+            { type: 'set', key: 'large', tier: 'db' },
+            { type: 'delete', key: 'cached', tier: 'both' },
+            { type: 'delete', key: 'large', tier: 'db' }
+        ]);
+    });
+
+    it('should report memory evictions, expiry and clears', async () => {
+        const events = collect(handler => storage.watch({ types: ['evict', 'expire', 'clear'] }, handler));
+
+        await storage.set('a', 1, { priority: 1 });
+        await storage.set('b', 2, { priority: 2 });
+        await storage.set('c', 3, { priority: 3, expiry: 1 });
+        await delay(10);
+        expect(await storage.vacuum()).toBe(1);
+        await storage.clear();
+
+        expect(events).toEqual([
+            { type: 'evict', key: 'a', tier: 'memory' },
+            { type: 'expire', key: 'c', tier: 'both' },
+            { type: 'clear', key: null, tier: 'both' }
+        ]);
+    });
+
+    it('should report expiry discovered on read', async () => {
+        const events = collect(handler => storage.on('expire', handler));
+
+        await storage.set('gone', 1, { expiry: 1 });
+        await delay(10);
+        expect(await storage.get('gone')).toBeNull();
+
+        expect(events).toEqual([{ type: 'expire', key: 'gone', tier: 'both' }]);
+    });
+
+    it('should filter watch subscriptions by key and tag prefix', async () => {
+        const byKey = collect(handler => storage.watch({ keyPrefix: 'user:' }, handler));
+        const byTag = collect(handler => storage.watch({ tagPrefix: 'project/', types: ['set', 'delete'] }, handler));
+
+        await storage.setMany([
+            { key: 'user:1', value: 1 },
+            { key: 'doc:1', value: 2, options: { tags: ['project/alpha'] } }
+        ]);
+        // Evict 'doc:1' from memory so its tags must be read from the persistent tier
+        storage.memoryStore.delete('doc:1');
+        await storage.deleteMany(['doc:1']);
+
+        expect(byKey).toEqual([{ type: 'set', key: 'user:1', tier: 'both' }]);
+        expect(byTag).toEqual([
+            { type: 'set', key: 'doc:1', tier: 'both' },
+            { type: 'delete', key: 'doc:1', tier: 'db' }
+        ]);
+    });
+
+    it('should emit transaction changes only after commit', async () => {
+        const events = collect(handler => storage.watch({}, handler));
+        jest.spyOn(storage.backend, 'batch').mockRejectedValueOnce(new Error('Commit failed'));
+
+        await expect(storage.transaction(tx => tx.set('k', 1))).rejects.toThrow('Commit failed');
+        expect(events).toEqual([]);
+
+        await storage.transaction(tx => tx.set('k', 2).delete('other'));
+        expect(events).toEqual([
+            { type: 'set', key: 'k', tier: 'both' },
+            { type: 'delete', key: 'other', tier: 'db' }
+        ]);
+    });
+
+    it('should isolate failing handlers and support unsubscribing', async () => {
+        const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+        const handler = jest.fn();
+        storage.on('set', () => {
+            throw new Error('Handler failed');
+        });
+        const unsubscribe = storage.on('set', handler);
+
+        await storage.set('a', 1);
+        unsubscribe();
+        await storage.set('b', 2);
+
+        expect(handler).toHaveBeenCalledTimes(1);
+        expect(errorSpy).toHaveBeenCalledWith('Storage event handler failed:', expect.any(Error));
+        expect(() => storage.on('update', () => {})).toThrow('Unknown storage event: update');
+    });
+});
+
+describe('HybridStorage memory-tier coherence', () => {
+    let instances;
+
+    const open = (options = {}) => {
+        const storage = new HybridStorage({ dbName: 'shared-storage', backend: 'memory', coherence: 'memory', ...options });
+        instances.push(storage);
+        return storage;
+    };
+
+    beforeEach(() => {
+        setupTestEnvironment();
+        instances = [];
+    });
+
+    afterEach(async () => {
+        for (const storage of instances.reverse()) {
+            await storage.destroy();
+        }
+        cleanupTestEnvironment();
+    });
+
+    it('should evict stale copies when another instance writes', async () => {
+        const writer = open();
+        const reader = open();
+
+        await writer.set('shared', { v: 1 });
+        expect(await reader.get('shared')).toEqual({ v: 1 });
+        expect(reader.memoryStore.has('shared')).toBe(true);
+
+        await writer.set('shared', { v: 2 });
+        await delay(10);
+        expect(reader.memoryStore.has('shared')).toBe(false);
+        expect(await reader.get('shared')).toEqual({ v: 2 });
+
+        await writer.delete('shared');
+        await delay(10);
+        expect(await reader.get('shared')).toBeNull();
+    });
+
+    it('should refresh cached copies in refresh mode', async () => {
+        const writer = open();
+        const reader = open({ coherenceMode: 'refresh' });
+
+        await writer.setMany([['a', 1], ['b', 2]]);
+        await reader.getMany(['a', 'b']);
+
+        await writer.transaction(tx => tx.set('a', 10).delete('b'));
+        await delay(10);
+
+        expect(reader.memoryStore.get('a').value).toBe(10);
+        expect(reader.memoryStore.has('b')).toBe(false);
+    });
+
+    it('should drop the whole memory tier when another instance clears', async () => {
+        const writer = open();
+        const reader = open();
+        const evicted = [];
+        reader.on('evict', event => evicted.push(event.key));
+
+        await writer.setMany([['a', 1], ['b', 2]]);
+        await reader.getMany(['a', 'b']);
+        await writer.clear();
+        await delay(10);
+
+        expect(reader.memoryStore.size).toBe(0);
+        expect(evicted.sort()).toEqual(['a', 'b']);
+    });
+
+    it('should ignore its own messages and work over BroadcastChannel', async () => {
+        const writer = open({ coherence: 'broadcast' });
+        const reader = open({ coherence: 'broadcast' });
+
+        await writer.set('k', 1);
+        await reader.get('k');
+        await delay(10);
+        expect(writer.memoryStore.has('k')).toBe(true);
+
+        await writer.set('k', 2);
+        await delay(20);
+        expect(reader.memoryStore.has('k')).toBe(false);
+        expect(writer.memoryStore.get('k').value).toBe(2);
+    });
+
+    it('should reject unknown coherence settings', () => {
+        expect(() => new HybridStorage({ coherence: 'carrier-pigeon' })).toThrow('Unknown coherence bus: carrier-pigeon');
+        expect(() => new HybridStorage({ coherence: false, coherenceMode: 'ignore' })).toThrow('Unknown coherence mode: ignore');
+    });
+});
+
+describe('HybridStorage expiry', () => {
+    let storage;
+
+    beforeEach(() => {
+        setupTestEnvironment();
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        await storage.destroy();
+        cleanupTestEnvironment();
+    });
+
+    describe.each(['indexeddb', 'memory'])('%s backend', (backend) => {
+        it('should sweep expired records in bounded batches over the expiresAt index', async () => {
+            storage = new HybridStorage({ dbName: 'expiry-storage', backend, sweepBatchSize: 2 });
+            for (let i = 0; i < 5; i++) {
+                await storage.set(`short${i}`, i, { expiry: 1 });
+            }
+            await storage.set('long', 'kept', { expiry: 60000 });
+            await storage.set('forever', 'kept');
+            storage.memoryStore.clear();
+            await delay(10);
+
+            const cursorSpy = jest.spyOn(storage.backend, 'cursor');
+            expect(await storage.sweep()).toBe(2);
+            expect(cursorSpy).toHaveBeenCalledWith(
+                expect.objectContaining({ index: 'expiresAt', range: expect.objectContaining({ upperOpen: true }) }),
+                expect.any(Function)
+            );
+            expect(storage.metrics.metrics.sweeps.last).toEqual(expect.objectContaining({ reclaimed: 2, hasMore: true }));
+
+            expect(await storage.vacuum()).toBe(3);
+            expect(storage.metrics.metrics.sweeps).toEqual(expect.objectContaining({ runs: 2, reclaimed: 5 }));
+            expect(storage.metrics.metrics.sweeps.last.hasMore).toBe(false);
+            expect(await storage.get('long')).toBe('kept');
+            expect(await storage.get('forever')).toBe('kept');
+        });
+
+        it('should run the sweeper in the background', async () => {
+            storage = new HybridStorage({ dbName: 'expiry-storage', backend, sweepInterval: 15 });
+            await storage.set('short', 1, { expiry: 1 });
+            storage.memoryStore.clear();
+
+            await delay(60);
+
+            expect(storage.metrics.metrics.sweeps.runs).toBeGreaterThan(0);
+            expect(storage.metrics.metrics.sweeps.reclaimed).toBe(1);
+            expect(await storage.backend.get('short')).toBeNull();
+        });
+
+        it('should extend TTLs with touch and sliding expiry', async () => {
+            storage = new HybridStorage({ dbName: 'expiry-storage', backend });
+            await storage.set('session', 'active', { expiry: 40, sliding: true });
+            await storage.set('token', 'fixed', { expiry: 40 });
+            await storage.set('plain', 'value');
+
+            for (let i = 0; i < 3; i++) {
+                await delay(20);
+                expect(await storage.get('session')).toBe('active');
+            }
+            expect(await storage.get('token')).toBeNull();
+
+            expect(await storage.touch('plain')).toBe(false);
+            expect(await storage.touch('plain', 5000)).toBe(true);
+            expect((await storage.backend.get('plain')).expiresAt).toBeGreaterThan(Date.now());
+            expect(await storage.touch('missing', 5000)).toBe(false);
+        });
+    });
+
+    it('should backfill the expiresAt index for stores created without it', async () => {
+        const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'hybrid-expiry-'));
+        const legacyIndexes = HybridStorage.IndexDefinitions.filter(index => index.name !== 'expiresAt');
+        const timestamp = Date.now() - 1000;
+        const log = [
+            { op: 'schema', version: 1, indexes: legacyIndexes },
+            { op: 'put', item: { key: 'old', value: 1, timestamp, priority: 0, tags: [], expiry: 10, size: 2 } },
+            { op: 'put', item: { key: 'fresh', value: 2, timestamp, priority: 0, tags: [], expiry: 60000, size: 2 } }
+        ];
+        await fs.writeFile(
+            path.join(directory, 'legacy-storage-mainStore.jsonl'),
+            log.map(entry => FileSystemBackend.serialize(entry) + '\n').join('')
+        );
+
+        storage = new HybridStorage({
+            dbName: 'legacy-storage',
+            backend: 'filesystem',
+            directory,
+            migrations: [HybridStorage.expiresAtMigration(2)]
+        });
+        await storage.ready;
+
+        expect(storage.backend.getIndex('expiresAt')).toBeTruthy();
+        expect(storage.migrationReport.applied[0]).toEqual(expect.objectContaining({ recordsUpdated: 2 }));
+        expect(await storage.sweep()).toBe(1);
+        expect((await storage.backend.get('fresh')).expiresAt).toBe(timestamp + 60000);
+
+        await fs.rm(directory, { recursive: true, force: true });
+    });
+});
+
+describe('HybridStorage quotas', () => {
+    let storage;
+
+    const quotaError = () => Object.assign(new Error('The quota has been exceeded.'), { name: 'QuotaExceededError' });
+
+    beforeEach(() => {
+        setupTestEnvironment();
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        await storage.destroy();
+        cleanupTestEnvironment();
+    });
+
+    it('should reject unknown storage eviction policies', () => {
+        expect(() => new HybridStorage({ backend: 'memory', storageEvictionPolicy: 'random' }))
+            .toThrow('Unknown storage eviction policy: random');
+        storage = new HybridStorage({ dbName: 'quota-storage', backend: 'memory' });
+    });
+
+    describe.each(['indexeddb', 'memory'])('%s backend', (backend) => {
+        it('should size items in stored bytes, including compressed values', async () => {
+            storage = new HybridStorage({ dbName: 'quota-storage', backend });
+            await storage.set('ascii', 'abc');
+            await storage.set('utf8', 'é€😀');
+            await storage.set('object', { a: 1 });
+            await storage.set('packed', 'a'.repeat(1000), { compression: true });
+
+            const packed = await storage.backend.get('packed');
+            expect((await storage.backend.get('ascii')).size).toBe(3);
+            expect((await storage.backend.get('utf8')).size).toBe(9);
+            expect((await storage.backend.get('object')).size).toBe(7);
+            expect(packed.size).toBe(packed.value.byteLength);
+            expect(packed.size).toBeLessThan(1000);
+            expect(await storage.get('packed')).toBe('a'.repeat(1000));
+
+            const usage = await storage.getStorageUsage();
+            expect(usage.storage).toEqual({ items: 4, bytes: 19 + packed.size, maxBytes: Infinity });
+            expect(usage.memory.bytes).toBe(19 + packed.size);
+        });
+
+        it('should bound the memory tier in bytes', async () => {
+            storage = new HybridStorage({ dbName: 'quota-storage', backend, maxMemoryBytes: 250 });
+            for (let i = 0; i < 5; i++) {
+                await storage.set(`item${i}`, 'x'.repeat(100), { priority: 1 });
+            }
+            await storage.set('huge', 'x'.repeat(300), { priority: 5 });
+
+            expect(storage.memoryStore.bytes).toBe(200);
+            expect(Array.from(storage.memoryStore.keys())).toEqual(['item3', 'item4']);
+            expect(storage.metrics.metrics.evictions.memory).toBe(3);
+            expect(await storage.get('huge')).toBe('x'.repeat(300));
+            expect(storage.memoryStore.has('huge')).toBe(false);
+        });
+
+        it('should evict the lowest-priority, oldest records when the storage quota is hit', async () => {
+            storage = new HybridStorage({ dbName: 'quota-storage', backend, maxStorageBytes: 300 });
+            const evicted = [];
+            storage.on('evict', event => evicted.push({ key: event.key, tier: event.tier }));
+
+            await storage.set('newer', 'x'.repeat(100));
+            await delay(2);
+            await storage.set('important', 'x'.repeat(100), { priority: 1 });
+            await delay(2);
+            await storage.set('older', 'x'.repeat(100));
+            // Age 'older' past 'newer' without changing its priority
+            await storage.backend.put({ ...(await storage.backend.get('older')), timestamp: 1 });
+
+            await storage.set('incoming', 'x'.repeat(100));
+
+            expect(evicted).toEqual([{ key: 'older', tier: 'both' }]);
+            expect(await storage.get('older')).toBeNull();
+            expect(await storage.get('important')).not.toBeNull();
+            expect(storage.metrics.metrics.evictions.storage).toBe(1);
+            expect((await storage.getStorageUsage()).storage.bytes).toBe(300);
+
+            await storage.set('large', 'x'.repeat(150));
+            expect(evicted.map(event => event.key)).toEqual(['older', 'newer', 'incoming']);
+            expect((await storage.getStorageUsage()).storage.bytes).toBe(250);
+        });
+
+        it('should evict by age alone with the oldest policy', async () => {
+            storage = new HybridStorage({
+                dbName: 'quota-storage',
+                backend,
+                maxStorageBytes: 200,
+                storageEvictionPolicy: 'oldest'
+            });
+            await storage.set('first', 'x'.repeat(100), { priority: 10 });
+            await delay(2);
+            await storage.set('second', 'x'.repeat(100));
+            await delay(2);
+            await storage.set('third', 'x'.repeat(100));
+
+            expect(await storage.has('first')).toBe(false);
+            expect(await storage.has('second')).toBe(true);
+        });
+
+        it('should reject writes that cannot fit within the quota', async () => {
+            storage = new HybridStorage({
+                dbName: 'quota-storage',
+                backend,
+                maxStorageBytes: 200,
+                storageEvictionPolicy: 'none'
+            });
+            await storage.set('a', 'x'.repeat(100));
+            await storage.set('b', 'x'.repeat(100));
+
+            await expect(storage.set('c', 'x'.repeat(10))).rejects.toMatchObject({ code: 'MemoryLimitExceeded' });
+            expect(storage.memoryStore.has('c')).toBe(false);
+            expect(await storage.has('c')).toBe(false);
+
+            // Replacing a record only needs room for the difference
+            await storage.set('a', 'x'.repeat(90));
+            const results = await storage.setMany([['d', 'x'], ['e', 'x']]);
+            expect(results.map(result => result.success)).toEqual([true, true]);
+            expect(await storage.setMany([['f', 'x'.repeat(20)]]))
+                .toEqual([expect.objectContaining({ key: 'f', success: false })]);
+
+            storage.storageEvictionPolicy = 'priority';
+            await expect(storage.set('huge', 'x'.repeat(500))).rejects.toMatchObject({ code: 'MemoryLimitExceeded' });
+            expect(await storage.has('a')).toBe(true);
+        });
+
+        it('should keep byte accounting across overwrites, deletes and clears', async () => {
+            storage = new HybridStorage({ dbName: 'quota-storage', backend, maxStorageBytes: 1000 });
+            const usage = async () => (await storage.getStorageUsage()).storage.bytes;
+
+            await storage.set('a', 'x'.repeat(100));
+            await storage.set('a', 'x'.repeat(200));
+            expect(await usage()).toBe(200);
+
+            await storage.transaction(async (tx) => {
+                tx.set('b', 'x'.repeat(50));
+                tx.delete('a');
+            });
+            expect(await usage()).toBe(50);
+
+            storage.memoryStore.clear();
+            await storage.deleteMany(['b']);
+            expect(await usage()).toBe(0);
+
+            await storage.setMany([['c', 'xx'], ['d', 'xxx']]);
+            expect(await usage()).toBe(5);
+            await storage.clear();
+            expect(await usage()).toBe(0);
+        });
+
+        it('should free space and retry once when the backend runs out of quota', async () => {
+            storage = new HybridStorage({ dbName: 'quota-storage', backend });
+            await storage.set('old', 'x'.repeat(100));
+            await storage.set('keep', 'x'.repeat(100), { priority: 1 });
+
+            jest.spyOn(storage.backend, 'put').mockRejectedValueOnce(quotaError());
+            await storage.set('new', 'x'.repeat(50));
+
+            expect(await storage.has('old')).toBe(false);
+            expect(await storage.get('new')).toBe('x'.repeat(50));
+
+            jest.spyOn(storage.backend, 'put').mockRejectedValue(quotaError());
+            await expect(storage.set('blocked', 'x')).rejects.toMatchObject({
+                name: 'ThoughtError',
+                code: 'MemoryLimitExceeded'
+            });
+            expect(storage.memoryStore.has('blocked')).toBe(false);
+        });
+    });
+
+    it('should report IndexedDB QuotaExceededError as MemoryLimitExceeded', async () => {
+        storage = new HybridStorage({ dbName: 'quota-storage', storageEvictionPolicy: 'none' });
+        await storage.ready;
+
+        jest.spyOn(MockIDBObjectStore.prototype, 'put').mockImplementation(() => {
+            const request = new MockIDBRequest();
+            setTimeout(() => {
+                request.error = quotaError();
+                request.onerror && request.onerror({ target: request });
+                request.transaction.settle(request);
+            }, 0);
+            return request;
+        });
+
+        await expect(storage.backend.put({ key: 'a', value: 1 })).rejects.toMatchObject({
+            code: 'MemoryLimitExceeded',
+            message: 'Failed to store item: storage quota exceeded'
+        });
+        await expect(storage.setMany([['a', 1]])).resolves.toEqual([
+            expect.objectContaining({ success: false, error: expect.objectContaining({ code: 'MemoryLimitExceeded' }) })
+        ]);
+    });
+});
+
+describe('Eviction policies', () => {
+    // Drive a policy the way the memory tier does: reads of absent keys
+    // insert them, and the policy's victims go once over capacity
+    const simulate = (policy, capacity, reads) => {
+        const sketch = new FrequencySketch({ capacity });
+        const resident = new Set();
+        const evicted = [];
+        let hits = 0;
+        policy.attach({ capacity, sketch });
+
+        for (const key of reads) {
+            sketch.increment(key);
+            if (resident.has(key)) {
+                hits++;
+                policy.onAccess(key);
+                continue;
+            }
+            resident.add(key);
+            policy.onInsert(key, { priority: 0 });
+            while (resident.size > capacity) {
+                const victim = policy.selectVictim();
+                policy.onEvict(victim);
+                policy.onRemove(victim);
+                resident.delete(victim);
+                evicted.push(victim);
+            }
+        }
+        return { hits, evicted, resident };
+    };
+
+    // A small hot set read repeatedly, interrupted by scans of one-off keys
+    const scanWorkload = () => {
+        const reads = [];
+        for (let round = 0; round < 30; round++) {
+            for (let pass = 0; pass < 2; pass++) {
+                for (let i = 0; i < 5; i++) reads.push(`hot${i}`);
+            }
+            for (let i = 0; i < 20; i++) reads.push(`scan${round}_${i}`);
+        }
+        return reads;
+    };
+
+    it('should estimate frequencies in bounded memory and age them', () => {
+        const sketch = new FrequencySketch({ capacity: 100 });
+        expect(sketch.table.length).toBe(128 * 4);
+
+        for (let i = 0; i < 4; i++) sketch.increment('a');
+        sketch.increment('b');
+        expect(sketch.estimate('a')).toBe(4);
+        expect(sketch.estimate('b')).toBe(1);
+        expect(sketch.estimate('never')).toBe(0);
+
+        for (let i = 0; i < 40; i++) sketch.increment('a');
+        expect(sketch.estimate('a')).toBe(FrequencySketch.MaxCount);
+
+        sketch.age();
+        expect(sketch.estimate('a')).toBe(7);
+        expect(sketch.estimate('b')).toBe(0);
+    });
+
+    it('should create policies by name', () => {
+        expect(createEvictionPolicy()).toBeInstanceOf(PriorityPolicy);
+        expect(createEvictionPolicy('arc')).toBeInstanceOf(ARCPolicy);
+        const policy = new LRUPolicy();
+        expect(createEvictionPolicy(policy)).toBe(policy);
+        expect(() => createEvictionPolicy('fifo')).toThrow('Unknown eviction policy: fifo');
+    });
+
+    it('should evict the least recently used key with LRU', () => {
+        const { evicted } = simulate(new LRUPolicy(), 2, ['a', 'b', 'a', 'c', 'b']);
+        expect(evicted).toEqual(['b', 'a']);
+    });
+
+    it('should evict the lowest priority, then least recently used key by default', () => {
+        const policy = new PriorityPolicy();
+        policy.onInsert('high', { priority: 2 });
+        policy.onInsert('old', { priority: 0 });
+        policy.onInsert('new', { priority: 0 });
+        expect(policy.selectVictim()).toBe('old');
+
+        policy.onAccess('old');
+        expect(policy.selectVictim()).toBe('new');
+        policy.onUpdate('new', { priority: 5 });
+        policy.onRemove('old');
+        expect(policy.selectVictim()).toBe('high');
+    });
+
+    it('should let recent accesses outweigh old ones with decaying LFU', () => {
+        const run = (halfLife) => {
+            const policy = new LFUPolicy({ halfLife });
+            policy.onInsert('old');
+            for (let i = 0; i < 3; i++) policy.onAccess('old');
+            policy.onInsert('new');
+            policy.onAccess('new');
+            return policy.selectVictim();
+        };
+
+        expect(run(1e9)).toBe('new');
+        expect(run(2)).toBe('old');
+
+        // Weights are rescaled long before they could overflow
+        const policy = new LFUPolicy({ halfLife: 1 });
+        policy.onInsert('busy');
+        policy.onInsert('idle');
+        for (let i = 0; i < 2000; i++) policy.onAccess('busy');
+        expect(Number.isFinite(policy.score('busy'))).toBe(true);
+        expect(policy.score('busy')).toBeGreaterThan(policy.score('idle'));
+        expect(policy.selectVictim()).toBe('idle');
+    });
+
+    it('should adapt the ARC target on ghost hits', () => {
+        const policy = new ARCPolicy();
+        const { evicted } = simulate(policy, 2, ['a', 'b', 'a', 'c']);
+        expect(evicted).toEqual(['b']);
+        expect([...policy.b1.keys()]).toEqual(['b']);
+
+        // b was evicted too early: growing T1's target protects recent keys
+        policy.onInsert('b');
+        expect(policy.target).toBe(1);
+        expect(policy.t2.has('b')).toBe(true);
+        expect(policy.selectVictim()).toBe('a');
+    });
+
+    it('should only admit candidates that are more frequent than the victim with TinyLFU', () => {
+        const policy = new TinyLFUPolicy();
+        const { resident } = simulate(policy, 4, ['a', 'a', 'a', 'b', 'b', 'c', 'd', 'e', 'f']);
+
+        // One-off keys lose the frequency contest against a, b and c
+        expect(resident).toEqual(new Set(['a', 'b', 'c', 'f']));
+        expect(policy.window.has('f')).toBe(true);
+    });
+
+    it('should resist scans better than LRU with ARC and TinyLFU', () => {
+        const reads = scanWorkload();
+        const lru = simulate(new LRUPolicy(), 10, reads).hits;
+
+        expect(simulate(new ARCPolicy(), 10, reads).hits).toBeGreaterThan(lru);
+        expect(simulate(new TinyLFUPolicy(), 10, reads).hits).toBeGreaterThan(lru);
+    });
+
+    describe('in HybridStorage', () => {
+        let storage;
+
+        beforeEach(() => {
+            setupTestEnvironment();
+        });
+
+        afterEach(async () => {
+            await storage.destroy();
+            cleanupTestEnvironment();
+        });
+
+        it('should evict memory-tier entries with the selected policy', async () => {
+            storage = new HybridStorage({ dbName: 'eviction-storage', backend: 'memory', maxMemoryItems: 3, evictionPolicy: 'lru' });
+            const evicted = [];
+            storage.on('evict', event => evicted.push(event.key));
+
+            await storage.set('a', 1, { priority: 5 });
+            await storage.set('b', 2);
+            await storage.set('c', 3);
+            await storage.get('a');
+            await storage.set('d', 4);
+            await storage.set('e', 5);
+
+            expect(evicted).toEqual(['b', 'c']);
+            expect(Array.from(storage.memoryStore.keys()).sort()).toEqual(['a', 'd', 'e']);
+            expect(storage.metrics.metrics.evictions.memory).toBe(2);
+        });
+
+        it('should track read frequencies in the shared sketch', async () => {
+            storage = new HybridStorage({ dbName: 'eviction-storage', backend: 'memory', evictionPolicy: 'tinylfu' });
+            await storage.set('key', 'value');
+            for (let i = 0; i < 3; i++) {
+                await storage.get('key');
+            }
+
+            expect(storage.accessCounter).toBeUndefined();
+            expect(storage.getAccessCount('key')).toBe(3);
+            expect(storage.evictionPolicy.sketch).toBe(storage.frequency);
+            expect(storage.evictionPolicy.capacity).toBe(10000);
+        });
+    });
+});
+
+describe('HybridStorage snapshots', () => {
+    let storages;
+
+    const open = (options) => {
+        const storage = new HybridStorage(options);
+        storages.push(storage);
+        return storage;
+    };
+
+    const collect = async (iterable) => {
+        const lines = [];
+        for await (const line of iterable) {
+            lines.push(line);
+        }
+        return lines;
+    };
+
+    beforeEach(() => {
+        setupTestEnvironment();
+        storages = [];
+    });
+
+    afterEach(async () => {
+        for (const storage of storages) {
+            await storage.destroy();
+        }
+        cleanupTestEnvironment();
+    });
+
+    describe.each(['indexeddb', 'memory'])('%s backend', (backend) => {
+        let source;
+
+        beforeEach(async () => {
+            source = open({ dbName: 'snapshot-source', backend });
+            await source.set('plain', { nested: [1, 2] }, { priority: 2, tags: ['a', 'b'] });
+            await source.set('packed', 'z'.repeat(500), { compression: true, tags: ['packed'] });
+            await source.set('binary', new Uint8Array([0, 255, 7]));
+            await source.set('ttl', 'later', { expiry: 60000, sliding: true });
+            await source.set('stale', 'gone', { expiry: 1 });
+            await delay(5);
+        });
+
+        it('should export a header, every stored record and an end marker', async () => {
+            const lines = await collect(source.exportSnapshot());
+            const entries = lines.map(line => JSON.parse(line));
+
+            expect(lines.every(line => line.endsWith('\n'))).toBe(true);
+            expect(entries[0]).toEqual(expect.objectContaining({
+                type: 'header',
+                format: 'hybridStorage-snapshot',
+                version: 1,
+                dbName: 'snapshot-source',
+                storeName: 'mainStore',
+                schemaVersion: 1,
+                compression: CompressionUtil.Codec
+            }));
+            expect(entries.slice(1, -1).map(entry => entry.item.key)).toEqual(['binary', 'packed', 'plain', 'stale', 'ttl']);
+            expect(entries[entries.length - 1]).toEqual({ type: 'end', count: 5 });
+
+            const live = await collect(source.exportSnapshot({ includeExpired: false }));
+            expect(live).toHaveLength(6);
+        });
+
+        it('should restore records with their metadata intact', async () => {
+            const target = open({ dbName: 'snapshot-target', backend });
+            const report = await target.importSnapshot(source.exportSnapshot({ batchSize: 2 }), { batchSize: 2 });
+
+            expect(report).toEqual({ mode: 'merge', imported: 5, skipped: 0, schemaVersion: 1 });
+            for (const key of ['plain', 'packed', 'binary', 'ttl', 'stale']) {
+                expect(await target.backend.get(key)).toEqual(await source.backend.get(key));
+            }
+            expect(await target.get('packed')).toBe('z'.repeat(500));
+            expect(await target.get('binary')).toEqual(new Uint8Array([0, 255, 7]));
+            expect(await target.get('stale')).toBeNull();
+            expect((await target.query({ tags: ['a'] })).keys).toEqual(['plain']);
+        });
+
+        it('should merge into or replace existing contents', async () => {
+            const target = open({ dbName: 'snapshot-target', backend });
+            await target.set('plain', 'old value');
+            await target.set('local', 'only here');
+            const snapshot = (await collect(source.exportSnapshot())).join('');
+
+            await target.importSnapshot(snapshot);
+            expect(await target.get('plain')).toEqual({ nested: [1, 2] });
+            expect(await target.get('local')).toBe('only here');
+
+            const events = [];
+            target.on('clear', event => events.push(event.type));
+            const report = await target.importSnapshot(snapshot, { mode: 'replace' });
+            expect(report.imported).toBe(5);
+            expect(events).toEqual(['clear']);
+            expect(await target.get('local')).toBeNull();
+        });
+
+        it('should read snapshots split into arbitrary byte chunks', async () => {
+            const text = (await collect(source.exportSnapshot())).join('');
+            const bytes = Buffer.from(text);
+            const chunks = [];
+            for (let i = 0; i < bytes.length; i += 37) {
+                chunks.push(bytes.subarray(i, i + 37));
+            }
+
+            const target = open({ dbName: 'snapshot-target', backend });
+            expect((await target.importSnapshot(chunks)).imported).toBe(5);
+            expect(await target.get('plain')).toEqual({ nested: [1, 2] });
+        });
+    });
+
+    it('should round-trip user objects that look like serialized tags', async () => {
+        const values = {
+            note: { $type: 'note', value: 'abc' },
+            escaped: { $$type: 'Date', nested: { $type: 'Uint8Array', value: 'AQI=' } },
+            view: new DataView(new Uint8Array([1, 2, 3]).buffer),
+            buffer: Buffer.from([4, 5])
+        };
+        const restored = SerializationUtil.deserialize(SerializationUtil.serialize(values));
+
+        expect(restored.note).toEqual({ $type: 'note', value: 'abc' });
+        expect(restored.escaped).toEqual({ $$type: 'Date', nested: { $type: 'Uint8Array', value: 'AQI=' } });
+        expect(restored.view).toBeInstanceOf(DataView);
+        expect(Array.from(new Uint8Array(restored.view.buffer))).toEqual([1, 2, 3]);
+        expect(restored.buffer).toEqual(new Uint8Array([4, 5]));
+        expect(() => SerializationUtil.deserialize('{"$type":"Blob","value":""}')).toThrow('Unknown serialized type: Blob');
+
+        const source = open({ dbName: 'snapshot-source', backend: 'memory' });
+        const target = open({ dbName: 'snapshot-target', backend: 'memory' });
+        await source.set('note', values.note);
+        await target.importSnapshot(source.exportSnapshot());
+        expect(await target.get('note')).toEqual({ $type: 'note', value: 'abc' });
+    });
+
+    it('should reject invalid, truncated and incompatible snapshots', async () => {
+        const target = open({ dbName: 'snapshot-target', backend: 'memory' });
+        const header = SnapshotFormat.header({ dbName: 'x', storeName: 'y', keyPath: 'key', schemaVersion: 1, compression: 'lz77' });
+        const item = SnapshotFormat.item({ key: 'a', value: 1, timestamp: 1, priority: 0, tags: [], size: 1 });
+
+        await expect(target.importSnapshot('')).rejects.toThrow('Snapshot is empty');
+        await expect(target.importSnapshot('{"type":"header"}\n')).rejects.toThrow('Not a HybridStorage snapshot');
+        await expect(target.importSnapshot(header + item)).rejects.toMatchObject({ code: 'DataCorruption' });
+        await expect(target.importSnapshot(header + item + SnapshotFormat.end(2)))
+            .rejects.toThrow('Snapshot declares 2 records but contains 1');
+        await expect(target.importSnapshot(header + '{oops\n')).rejects.toThrow('Malformed snapshot line 2');
+        await expect(target.importSnapshot(header.replace('"lz77"', '"zstd"')))
+            .rejects.toThrow('Unsupported snapshot compression: zstd');
+        await expect(target.importSnapshot(header.replace('"schemaVersion":1', '"schemaVersion":3')))
+            .rejects.toMatchObject({ code: 'InvalidConfiguration' });
+        await expect(target.importSnapshot(header, { mode: 'append' })).rejects.toThrow('Unknown import mode: append');
+
+        // Records are only written in whole batches, so nothing from the
+        // truncated snapshot reached the store
+        expect(await target.get('a')).toBeNull();
+    });
+
+    it('should upgrade records from an older schema version', async () => {
+        const target = open({
+            dbName: 'snapshot-target',
+            backend: 'memory',
+            migrations: [HybridStorage.expiresAtMigration(2)]
+        });
+        await target.ready;
+        expect(target.schemaVersion).toBe(2);
+
+        const timestamp = Date.now();
+        const snapshot = [
+            SnapshotFormat.header({ dbName: 'old', storeName: 'mainStore', keyPath: 'key', schemaVersion: 1, compression: 'lz77' }),
+            SnapshotFormat.item({ key: 'legacy', value: 1, timestamp, priority: 0, tags: [], expiry: 60000, size: 1 }),
+            SnapshotFormat.end(1)
+        ].join('');
+
+        expect((await target.importSnapshot(snapshot)).schemaVersion).toBe(1);
+        expect((await target.backend.get('legacy')).expiresAt).toBe(timestamp + 60000);
+    });
+});
+
+describe('HybridStorage encryption', () => {
+    let storages;
+    let keyRing;
+
+    const open = (options) => {
+        const storage = new HybridStorage(options);
+        storages.push(storage);
+        return storage;
+    };
+
+    beforeEach(async () => {
+        setupTestEnvironment();
+        // The shared crypto mock has no AES-GCM
+        global.crypto = webcrypto;
+        storages = [];
+        keyRing = new KeyRing().add('k1', await EncryptionUtil.generateKey());
+    });
+
+    afterEach(async () => {
+        for (const storage of storages) {
+            await storage.destroy();
+        }
+        cleanupTestEnvironment();
+    });
+
+    it('should reject a key provider without getKey', () => {
+        expect(() => new HybridStorage({
+            backend: 'memory',
+            encryption: { keyProvider: { getCurrentKey: async () => null } }
+        })).toThrow(expect.objectContaining({ code: 'InvalidConfiguration' }));
+    });
+
+    it('should import raw keys into a key ring', async () => {
+        const ring = await KeyRing.fromRawKeys({ raw: new Uint8Array(32).fill(7) }, 'raw');
+        const storage = open({ backend: 'memory', encryption: { keyProvider: ring } });
+
+        await storage.set('item', 'value');
+        expect(await storage.get('item')).toBe('value');
+        expect(() => ring.remove('raw')).toThrow('Cannot remove the current key');
+    });
+
+    describe.each(['indexeddb', 'memory'])('%s backend', (backend) => {
+        let storage;
+
+        beforeEach(() => {
+            storage = open({ dbName: 'encrypted', backend, encryption: { keyProvider: keyRing } });
+        });
+
+        it('should encrypt values at rest and decrypt them on read', async () => {
+            const date = new Date('2024-01-02T03:04:05Z');
+            await storage.set('object', { secret: 'hunter2', when: date });
+            await storage.set('packed', 'secret '.repeat(100), { compression: true });
+            await storage.set('binary', new Uint8Array([0, 255, 7]));
+
+            const record = await storage.backend.get('object');
+            expect(record.value).toBeInstanceOf(Uint8Array);
+            expect(String.fromCharCode(...record.value)).not.toContain('hunter2');
+            expect(record.encryption.keyId).toBe('k1');
+            expect(record.encryption.iv).toHaveLength(EncryptionUtil.IvLength);
+            expect(record.size).toBe(record.value.byteLength);
+
+            const packed = await storage.backend.get('packed');
+            expect(packed.compressed).toBe(true);
+            expect(packed.encryption.keyId).toBe('k1');
+
+            storage.memoryStore.clear();
+            expect(await storage.get('object')).toEqual({ secret: 'hunter2', when: date });
+            expect(await storage.get('packed')).toBe('secret '.repeat(100));
+            expect(await storage.get('binary')).toEqual(new Uint8Array([0, 255, 7]));
+
+            const results = await storage.getMany(['object', 'missing']);
+            expect(results[0].value).toEqual({ secret: 'hunter2', when: date });
+            expect(results[1].value).toBeNull();
+        });
+
+        it('should use a fresh IV for every write', async () => {
+            await storage.set('a', 'same');
+            await storage.set('b', 'same');
+
+            const [a, b] = await storage.backend.getMany(['a', 'b']);
+            expect(a.encryption.iv).not.toEqual(b.encryption.iv);
+            expect(a.value).not.toEqual(b.value);
+        });
+
+        it('should reject tampered or transplanted ciphertexts', async () => {
+            await storage.set('a', 'first');
+            await storage.set('b', 'second');
+            storage.memoryStore.clear();
+
+            // A ciphertext moved under another key fails to authenticate
+            const a = await storage.backend.get('a');
+            await storage.backend.put({ ...a, key: 'b' });
+            await expect(storage.get('b')).rejects.toMatchObject({ code: 'DataCorruption' });
+
+            const tampered = new Uint8Array(a.value);
+            tampered[0] ^= 1;
+            await storage.backend.put({ ...a, value: tampered });
+            await expect(storage.get('a')).rejects.toMatchObject({ code: 'DataCorruption' });
+        });
+
+        it('should fail clearly when the key id is unknown', async () => {
+            await storage.set('item', 'value');
+            storage.memoryStore.clear();
+            keyRing.add('k2', await EncryptionUtil.generateKey(), { current: true });
+            keyRing.remove('k1');
+
+            await expect(storage.get('item')).rejects.toMatchObject({ code: 'ConfigurationMissing' });
+        });
+
+        it('should rotate keys with reencrypt()', async () => {
+            for (let i = 0; i < 5; i++) {
+                await storage.set(`item${i}`, { i }, { compression: i % 2 === 0 });
+            }
+            keyRing.add('k2', await EncryptionUtil.generateKey(), { current: true });
+            await storage.set('fresh', 'new');
+
+            const report = await storage.reencrypt({ batchSize: 2 });
+            expect(report).toEqual({ scanned: 6, reencrypted: 5, keyId: 'k2' });
+
+            keyRing.remove('k1');
+            for (let i = 0; i < 5; i++) {
+                expect((await storage.backend.get(`item${i}`)).encryption.keyId).toBe('k2');
+                expect(await storage.get(`item${i}`)).toEqual({ i });
+            }
+            storage.memoryStore.clear();
+            expect(await storage.get('item0')).toEqual({ i: 0 });
+
+            expect(await storage.reencrypt()).toEqual({ scanned: 6, reencrypted: 0, keyId: 'k2' });
+        });
+
+        it('should encrypt records written before encryption was enabled', async () => {
+            await storage.ready;
+            const plain = open({ dbName: 'plain', backend });
+            await storage.backend.put(await plain.createItem('legacy', { old: true }));
+            await storage.backend.put(await plain.createItem('packed', 'legacy '.repeat(50), { compression: true }));
+            expect(await storage.get('legacy')).toEqual({ old: true });
+
+            const report = await storage.reencrypt();
+            expect(report.reencrypted).toBe(2);
+
+            storage.memoryStore.clear();
+            expect((await storage.backend.get('legacy')).encryption.keyId).toBe('k1');
+            expect(await storage.get('legacy')).toEqual({ old: true });
+            expect(await storage.get('packed')).toBe('legacy '.repeat(50));
+        });
+
+        it('should require a key provider to reencrypt', async () => {
+            const plain = open({ dbName: 'plain', backend });
+            await expect(plain.reencrypt()).rejects.toMatchObject({ code: 'ConfigurationMissing' });
+        });
+    });
+});
+
+describe('HybridStorage compaction', () => {
+    let storages;
+    let directory;
+
+    const open = (options) => {
+        const storage = new HybridStorage(options);
+        storages.push(storage);
+        return storage;
+    };
+
+    const fill = async (storage, count) => {
+        await storage.setMany(Array.from({ length: count }, (_, i) => [`key${i}`, { data: `value${i}` }]));
+    };
+
+    beforeEach(async () => {
+        setupTestEnvironment();
+        storages = [];
+        directory = await fs.mkdtemp(path.join(os.tmpdir(), 'hybrid-compaction-'));
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        for (const storage of storages) {
+            if (storage.backend.isOpen()) {
+                await storage.destroy();
+            }
+        }
+        await fs.rm(directory, { recursive: true, force: true });
+        cleanupTestEnvironment();
+    });
+
+    describe.each(['indexeddb', 'filesystem'])('%s backend', (backend) => {
+        let storage;
+
+        beforeEach(() => {
+            storage = open({ dbName: 'compaction', backend, directory });
+        });
+
+        it('should measure the space left by overwritten and deleted records', async () => {
+            await fill(storage, 20);
+            const fresh = await storage.getStorageStats();
+            expect(fresh.records).toBe(20);
+            expect(fresh.usedSize).toBeGreaterThan(0);
+
+            for (let i = 0; i < 10; i++) {
+                await storage.delete(`key${i}`);
+            }
+            await storage.set('key10', { data: 'replaced' });
+
+            const stats = await storage.getStorageStats();
+            expect(stats.records).toBe(10);
+            expect(stats.usedSize).toBeLessThan(fresh.usedSize);
+            expect(stats.totalSize).toBeGreaterThan(stats.usedSize);
+            expect(stats.fragmentation).toBeGreaterThan(0.3);
+            expect(await storage.estimateFragmentation()).toBe(stats.fragmentation);
+        });
+
+        it('should compact and report before and after statistics', async () => {
+            await fill(storage, 20);
+            await storage.set('expired', 'gone', { expiry: 1 });
+            for (let i = 0; i < 10; i++) {
+                await storage.delete(`key${i}`);
+            }
+            await delay(5);
+
+            const report = await storage.compactDB();
+            expect(report.resumed).toBe(false);
+            expect(report.before.records).toBe(11);
+            expect(report.after.records).toBe(10);
+            expect(report.after.totalSize).toBeLessThan(report.before.totalSize);
+            expect(report.after.fragmentation).toBe(0);
+            expect(report.reclaimed).toBe(report.before.totalSize - report.after.totalSize);
+
+            storage.memoryStore.clear();
+            expect(await storage.get('key15')).toEqual({ data: 'value15' });
+            expect(await storage.get('key5')).toBeNull();
+            expect(await storage.backend.get('expired')).toBeNull();
+        });
+    });
+
+    it('should report no fragmentation for the memory backend', async () => {
+        const storage = open({ dbName: 'compaction', backend: 'memory' });
+        await fill(storage, 5);
+        await storage.delete('key0');
+
+        expect(await storage.getStorageStats()).toEqual(expect.objectContaining({
+            records: 4,
+            fragmentation: 0,
+            compactionPending: false
+        }));
+    });
+
+    it('should keep the indexeddb space estimate across connections without reading records on write', async () => {
+        const storage = open({ dbName: 'space' });
+        await fill(storage, 20);
+
+        const getSpy = jest.spyOn(MockIDBObjectStore.prototype, 'get');
+        for (let i = 0; i < 10; i++) {
+            await storage.delete(`key${i}`);
+        }
+        await storage.set('key10', { data: 'replaced' });
+        expect(getSpy.mock.contexts.filter(store => store.name === 'mainStore')).toHaveLength(0);
+        getSpy.mockRestore();
+
+        const stats = await storage.getStorageStats();
+        expect(stats.fragmentation).toBeGreaterThan(0.3);
+        await storage.backend.close();
+
+        const reopened = open({ dbName: 'space' });
+        await reopened.ready;
+        expect(await reopened.getStorageStats()).toEqual(stats);
+    });
+
+    it('should reset the indexeddb space estimate on clear', async () => {
+        const storage = open({ dbName: 'space' });
+        await fill(storage, 20);
+        for (let i = 0; i < 10; i++) {
+            await storage.delete(`key${i}`);
+        }
+        expect((await storage.getStorageStats()).fragmentation).toBeGreaterThan(0.3);
+
+        await storage.clear();
+        expect(await storage.getStorageStats()).toEqual(expect.objectContaining({
+            records: 0,
+            usedSize: 0,
+            totalSize: 0,
+            fragmentation: 0
+        }));
+    });
+
+    describe('indexeddb shadow store', () => {
+        const migrations = [{
+            version: 2,
+            description: 'Index by category',
+            upgrade(context) {
+                context.createIndex('category', 'category');
+            }
+        }];
+
+        it('should swap stores by version upgrade and keep the schema', async () => {
+            const storage = open({ dbName: 'shadow', migrations });
+            await fill(storage, 5);
+            await storage.ready;
+            const databaseVersion = storage.db.version;
+
+            await storage.compactDB();
+
+            expect(storage.db.version).toBe(databaseVersion + 2);
+            expect(Array.from(storage.db.objectStoreNames._stores).sort()).toEqual(['__migrations', '__stats', 'mainStore']);
+            expect(storage.backend.getIndexes().map(index => index.name)).toContain('category');
+            expect(await storage.getMigrationHistory()).toEqual([expect.objectContaining({ version: 2 })]);
+            await storage.backend.close();
+
+            // The database version has moved past the latest migration
+            const reopened = open({ dbName: 'shadow', migrations });
+            await reopened.ready;
+            expect(reopened.schemaVersion).toBe(2);
+            expect(reopened.migrationReport.applied).toEqual([]);
+            expect(await reopened.get('key3')).toEqual({ data: 'value3' });
+        });
+
+        it('should resume an interrupted compaction without losing writes', async () => {
+            const storage = open({ dbName: 'shadow' });
+            await fill(storage, 450);
+
+            const copy = storage.backend.copyToShadow.bind(storage.backend);
+            let batches = 0;
+            jest.spyOn(storage.backend, 'copyToShadow').mockImplementation(async (keys) => {
+                if (++batches > 1) throw new Error('crashed');
+                return copy(keys);
+            });
+            await expect(storage.compactDB()).rejects.toThrow('Database compaction failed: crashed');
+            jest.restoreAllMocks();
+            expect(await storage.getStorageStats()).toEqual(expect.objectContaining({ compactionPending: true }));
+
+            // Writes while the shadow exists reach both stores
+            await storage.set('key1', { data: 'updated' });
+            await storage.delete('key2');
+            await storage.set('late', 'arrival');
+            await storage.backend.close();
+
+            const reopened = open({ dbName: 'shadow' });
+            await reopened.ready;
+            expect(reopened.backend.hasPendingCompaction()).toBe(true);
+            await reopened.delete('key3');
+
+            const report = await reopened.compactDB();
+            expect(report.resumed).toBe(true);
+            expect(report.after.records).toBe(449);
+            expect(reopened.backend.hasPendingCompaction()).toBe(false);
+            expect(await reopened.get('key1')).toEqual({ data: 'updated' });
+            expect(await reopened.get('key2')).toBeNull();
+            expect(await reopened.get('key3')).toBeNull();
+            expect(await reopened.get('key449')).toEqual({ data: 'value449' });
+            expect(await reopened.get('late')).toBe('arrival');
+        });
+
+        it('should hold reads and writes issued while compaction swaps the connection', async () => {
+            const storage = open({ dbName: 'shadow' });
+            await fill(storage, 10);
+
+            // Issue operations right after each upgrade has closed the connection
+            const upgrade = storage.backend.upgrade.bind(storage.backend);
+            const operations = [];
+            let round = -1;
+            jest.spyOn(storage.backend, 'upgrade').mockImplementation((onUpgrade) => {
+                const swapping = upgrade(onUpgrade);
+                round++;
+                operations.push(
+                    storage.set(`during${round}`, round),
+                    storage.setMany([[`key${round}`, { data: 'updated' }]]),
+                    storage.delete(`key${round + 5}`),
+                    storage.backend.get('key9'),
+                    storage.getStorageStats()
+                );
+                return swapping;
+            });
+
+            await storage.compactDB();
+            await expect(Promise.all(operations)).resolves.toHaveLength(10);
+            jest.restoreAllMocks();
+
+            storage.memoryStore.clear();
+            expect(await storage.get('during0')).toBe(0);
+            expect(await storage.get('during1')).toBe(1);
+            expect(await storage.get('key0')).toEqual({ data: 'updated' });
+            expect(await storage.get('key1')).toEqual({ data: 'updated' });
+            expect(await storage.get('key5')).toBeNull();
+            expect(await storage.get('key6')).toBeNull();
+            expect(await storage.get('key9')).toEqual({ data: 'value9' });
+        });
+
+        it('should let optimize finish a pending compaction', async () => {
+            const storage = open({ dbName: 'shadow' });
+            await fill(storage, 3);
+            jest.spyOn(storage.backend, 'copyToShadow').mockRejectedValue(new Error('crashed'));
+            await expect(storage.compactDB()).rejects.toThrow('crashed');
+            jest.restoreAllMocks();
+
+            await storage.optimize();
+            expect(storage.backend.hasPendingCompaction()).toBe(false);
+            expect(await storage.get('key2')).toEqual({ data: 'value2' });
+        });
+    });
+});
+
+describe('HybridStorage write-behind', () => {
+    let storages;
+
+    const open = (options) => {
+        const storage = new HybridStorage(options);
+        storages.push(storage);
+        return storage;
+    };
+
+    beforeEach(() => {
+        setupTestEnvironment();
+        storages = [];
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        for (const storage of storages) {
+            await storage.destroy();
+        }
+        cleanupTestEnvironment();
+    });
+
+    it('should reject an unknown write mode', () => {
+        expect(() => new HybridStorage({ backend: 'memory', writeMode: 'write-around' }))
+            .toThrow(expect.objectContaining({ code: 'InvalidConfiguration' }));
+    });
+
+    describe.each(['indexeddb', 'memory'])('%s backend', (backend) => {
+        let storage;
+
+        beforeEach(async () => {
+            storage = open({ dbName: 'write-behind', backend, writeMode: 'write-behind', flushInterval: 60000 });
+            await storage.ready;
+        });
+
+        it('should queue sets and write them on flush', async () => {
+            const events = [];
+            storage.on('set', event => events.push(event.tier));
+
+            await storage.set('a', { n: 1 });
+            await storage.set('b', 'two');
+            expect(await storage.backend.get('a')).toBeNull();
+            expect(await storage.get('a')).toEqual({ n: 1 });
+            expect(events).toEqual(['memory', 'memory']);
+
+            expect(await storage.flush()).toBe(2);
+            expect((await storage.backend.get('a')).value).toEqual({ n: 1 });
+            expect(storage.pendingWrites.size).toBe(0);
+            expect(storage.metrics.metrics.flushes).toEqual({ runs: 1, written: 2, failures: 0 });
+            expect(await storage.flush()).toBe(0);
+        });
+
+        it('should coalesce repeated sets of a key into one write', async () => {
+            const batch = jest.spyOn(storage.backend, 'batch');
+            await storage.set('key', 1);
+            await storage.set('key', 2);
+            await storage.set('key', 3);
+
+            expect(storage.pendingWrites.size).toBe(1);
+            await storage.flush();
+            expect(batch).toHaveBeenCalledTimes(1);
+            expect(batch.mock.calls[0][0]).toHaveLength(1);
+            expect((await storage.backend.get('key')).value).toBe(3);
+        });
+
+        it('should serve pending writes to reads once evicted from memory', async () => {
+            await storage.set('pending', 'value', { tags: ['t'] });
+            storage.memoryStore.clear();
+
+            expect(await storage.has('pending')).toBe(true);
+            expect(await storage.get('pending')).toBe('value');
+            storage.memoryStore.clear();
+            expect(await storage.getMany(['pending'])).toEqual([{ key: 'pending', success: true, value: 'value' }]);
+
+            // Reads of the persistent tier flush the queue first
+            const results = await storage.query({ tags: ['t'] });
+            expect(results.items.size).toBe(1);
+            expect(storage.pendingWrites.size).toBe(0);
+        });
+
+        it('should not resurrect a deleted pending write', async () => {
+            await storage.set('gone', 'value');
+            await storage.delete('gone');
+            await storage.set('many', 'value');
+            await storage.deleteMany(['many']);
+
+            expect(storage.pendingWrites.size).toBe(0);
+            await storage.flush();
+            expect(await storage.get('gone')).toBeNull();
+            expect(await storage.backend.get('many')).toBeNull();
+        });
+
+        it('should let write-through batches supersede queued writes', async () => {
+            await storage.set('key', 'queued');
+            await storage.setMany([['key', 'batched']]);
+
+            expect(storage.pendingWrites.size).toBe(0);
+            await storage.flush();
+            expect((await storage.backend.get('key')).value).toBe('batched');
+        });
+
+        it('should keep a failed batch queued and retry it', async () => {
+            const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+            storage.flushInterval = 10;
+            jest.spyOn(storage.backend, 'batch').mockRejectedValueOnce(new Error('disk unavailable'));
+
+            await storage.set('key', 'value');
+            await expect(storage.flush()).rejects.toThrow('disk unavailable');
+            expect(storage.pendingWrites.has('key')).toBe(true);
+            expect(storage.metrics.metrics.flushes.failures).toBe(1);
+
+            await delay(50);
+            expect(storage.pendingWrites.size).toBe(0);
+            expect((await storage.backend.get('key')).value).toBe('value');
+            expect(error).not.toHaveBeenCalled();
+        });
+    });
+
+    it('should flush once maxPendingWrites keys are queued', async () => {
+        const storage = open({ backend: 'memory', writeMode: 'write-behind', flushInterval: 60000, maxPendingWrites: 3 });
+        await storage.set('a', 1);
+        await storage.set('b', 2);
+        await delay(10);
+        expect(await storage.backend.count()).toBe(0);
+
+        await storage.set('c', 3);
+        await delay(10);
+        expect(await storage.backend.count()).toBe(3);
+    });
+
+    it('should flush on the interval', async () => {
+        const storage = open({ backend: 'memory', writeMode: 'write-behind', flushInterval: 20 });
+        await storage.set('a', 1);
+        expect(await storage.backend.count()).toBe(0);
+
+        await delay(60);
+        expect(await storage.backend.count()).toBe(1);
+        expect(storage.flushTimer).toBeNull();
+    });
+
+    it('should not evict stored records that have a queued write', async () => {
+        const storage = open({ backend: 'memory', writeMode: 'write-behind', flushInterval: 60000, maxStorageBytes: 300 });
+        const evicted = [];
+        storage.on('evict', event => evicted.push(event.key));
+
+        await storage.set('old', 'x'.repeat(100));
+        await delay(2);
+        await storage.set('newer', 'x'.repeat(100));
+        await storage.flush();
+        await storage.set('old', 'y'.repeat(100));
+
+        // A write-through batch that needs room while 'old' is still queued
+        await storage.setMany([['big', 'x'.repeat(150)]]);
+        expect(evicted).toEqual(['newer']);
+        expect(storage.pendingWrites.has('old')).toBe(true);
+
+        await storage.flush();
+        storage.memoryStore.clear();
+        expect(await storage.get('old')).toBe('y'.repeat(100));
+        expect(await storage.get('big')).toBe('x'.repeat(150));
+        expect(await storage.get('newer')).toBeNull();
+    });
+
+    it('should drop expired queued records on sweep without flushing the rest', async () => {
+        const storage = open({ backend: 'memory', writeMode: 'write-behind', flushInterval: 60000 });
+        const expired = [];
+        storage.on('expire', event => expired.push({ key: event.key, tier: event.tier }));
+
+        await storage.set('stored', 'old');
+        await storage.flush();
+        await storage.set('stored', 'new', { expiry: 1 });
+        await storage.set('queued', 'value', { expiry: 1 });
+        await storage.set('kept', 'value');
+        await delay(5);
+
+        const batch = jest.spyOn(storage.backend, 'batch');
+        expect(await storage.sweep()).toBe(2);
+        expect(batch).toHaveBeenCalledTimes(1);
+        expect(batch.mock.calls[0][0].every(operation => operation.type === 'delete')).toBe(true);
+        expect(Array.from(storage.pendingWrites.keys())).toEqual(['kept']);
+        expect(expired).toEqual([{ key: 'stored', tier: 'both' }, { key: 'queued', tier: 'both' }]);
+
+        expect(await storage.backend.get('stored')).toBeNull();
+        expect(await storage.get('stored')).toBeNull();
+        expect(await storage.get('kept')).toBe('value');
+    });
+
+    it('should drain the queue on destroy', async () => {
+        const storage = open({ backend: 'memory', writeMode: 'write-behind', flushInterval: 60000 });
+        await storage.set('a', 1);
+        const batch = jest.spyOn(storage.backend, 'batch');
+
+        await storage.destroy();
+        storages = [];
+        expect(batch).toHaveBeenCalledWith([{ type: 'put', item: expect.objectContaining({ key: 'a' }) }]);
+        expect(storage.pendingWrites.size).toBe(0);
+        expect(storage.flushTimer).toBeNull();
+    });
+});
+
+describe('HybridStorage optimization scheduler', () => {
+    let storage;
+    let now;
+    const clock = () => now;
+
+    const miss = async (count) => {
+        for (let i = 0; i < count; i++) {
+            await storage.get(`missing${i}`);
+        }
+    };
+
+    beforeEach(() => {
+        setupTestEnvironment();
+        now = 1000000;
+        storage = new HybridStorage({ dbName: 'scheduler', metrics: { now: clock } });
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        await storage.destroy();
+        cleanupTestEnvironment();
+    });
+
+    it('should do nothing while the thresholds hold', async () => {
+        const scheduler = new OptimizationScheduler(storage, { now: clock });
+        await storage.set('a', 1);
+        await storage.get('a');
+        now += 60000;
+
+        expect(await scheduler.runOnce()).toBeNull();
+        expect(scheduler.stats).toEqual({ checks: 1, runs: 0, deferred: 0, failures: 0 });
+        expect(scheduler.history).toEqual([]);
+    });
+
+    it('should resize the memory tier for a low hit rate', async () => {
+        const scheduler = new OptimizationScheduler(storage, { now: clock });
+        const compact = jest.spyOn(storage, 'compactDB');
+        await miss(25);
+        now += 60000;
+
+        const entry = await scheduler.runOnce();
+        expect(entry.reasons).toEqual(['hitRate']);
+        expect(entry.actions).toEqual([
+            expect.objectContaining({ action: 'resize', result: { from: 10000, to: 8000 }, error: null })
+        ]);
+        expect(entry.before.hitRate).toBe(0);
+        expect(compact).not.toHaveBeenCalled();
+        expect(scheduler.history).toEqual([entry]);
+    });
+
+    it('should compact when the store is fragmented', async () => {
+        const scheduler = new OptimizationScheduler(storage, { now: clock });
+        await storage.setMany(Array.from({ length: 50 }, (_, i) => [`key${i}`, { data: 'x'.repeat(100) }]));
+        await storage.deleteMany(Array.from({ length: 40 }, (_, i) => `key${i}`));
+        now += 60000;
+
+        const entry = await scheduler.runOnce();
+        expect(entry.reasons).toEqual(['fragmentation']);
+        expect(entry.actions.map(action => action.action)).toEqual(['compact']);
+        expect(entry.actions[0].result.reclaimed).toBeGreaterThan(0);
+        expect(entry.before.fragmentation).toBeGreaterThan(0.3);
+        expect(entry.after.fragmentation).toBe(0);
+        expect(entry.after.records).toBe(10);
+    });
+
+    it('should wait for the store to go idle', async () => {
+        const scheduler = new OptimizationScheduler(storage, { now: clock, idleDelay: 5000 });
+        await miss(25);
+
+        expect(await scheduler.runOnce()).toBeNull();
+        expect(scheduler.stats.deferred).toBe(1);
+
+        now += 5000;
+        expect(await scheduler.runOnce()).toEqual(expect.objectContaining({ reasons: ['hitRate'] }));
+    });
+
+    it('should rate-limit runs and follow up on their impact', async () => {
+        const scheduler = new OptimizationScheduler(storage, { now: clock, minInterval: 60000 });
+        await miss(25);
+        now += 10000;
+        const first = await scheduler.runOnce();
+
+        await storage.set('a', 1);
+        for (let i = 0; i < 30; i++) {
+            await storage.get('a');
+        }
+        now += 10000;
+        expect(await scheduler.runOnce()).toBeNull();
+        expect(first.followUp).toEqual(expect.objectContaining({ hitRate: 30 / 55 }));
+        expect(first.followUp.hitRateChange).toBeCloseTo(30 / 55);
+
+        await miss(25);
+        now += 60000;
+        expect(await scheduler.runOnce()).not.toBeNull();
+        expect(scheduler.stats.runs).toBe(2);
+    });
+
+    it('should record failed actions without throwing', async () => {
+        const scheduler = new OptimizationScheduler(storage, { now: clock });
+        jest.spyOn(storage.backend, 'hasPendingCompaction').mockReturnValue(true);
+        jest.spyOn(storage, 'compactDB').mockRejectedValue(new Error('Database compaction failed: disk full'));
+
+        const entry = await scheduler.runOnce({ force: true });
+        expect(entry.reasons).toEqual([]);
+        expect(entry.actions).toEqual([
+            expect.objectContaining({ action: 'compact', error: 'Database compaction failed: disk full' })
+        ]);
+        expect(scheduler.stats.failures).toBe(1);
+    });
+
+    it('should run on its own with autoOptimize', async () => {
+        await storage.destroy();
+        storage = new HybridStorage({
+            dbName: 'scheduler-auto',
+            backend: 'memory',
+            autoOptimize: { interval: 20, idleDelay: 0, minInterval: 0 }
+        });
+        await miss(25);
+
+        await delay(100);
+        expect(storage.optimizer.history.length).toBeGreaterThan(0);
+        expect(storage.optimizer.history[0].reasons).toEqual(['hitRate']);
+
+        await storage.destroy();
+        expect(storage.optimizer.timer).toBeNull();
+    });
+
+    it('should not check again after a destroy during a check', async () => {
+        await storage.destroy();
+        storage = new HybridStorage({
+            dbName: 'scheduler-stop',
+            autoOptimize: { interval: 20, idleDelay: 0, minInterval: 0 }
+        });
+        await storage.ready;
+
+        let finish;
+        const started = new Promise(resolve => {
+            jest.spyOn(storage.optimizer, 'runOnce').mockImplementationOnce(() => {
+                resolve();
+                return new Promise(done => { finish = done; });
+            });
+        });
+        await started;
+
+        await storage.destroy();
+        const stats = jest.spyOn(storage, 'getStorageStats');
+        finish(null);
+        await delay(60);
+
+        expect(stats).not.toHaveBeenCalled();
+        expect(indexedDB.databases.has('scheduler-stop')).toBe(false);
+        expect(storage.optimizer.runOnce).toHaveBeenCalledTimes(1);
+        expect(storage.optimizer.timer).toBeNull();
+    });
 });
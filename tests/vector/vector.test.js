@@ -1,8 +1,11 @@
 // tests/vector/vector.test.js
 import { EnhancedVectorStore } from '../../modules/vector/vectorStore';
 import { VectorIndex } from '../../modules/vector/vectorIndex';
-import { VectorSimilarity } from '../../modules/vector/utils/similarity';
+import { FlatIndex } from '../../modules/vector/flatIndex';
+import { VectorSimilarity, DistanceMetric } from '../../modules/vector/utils/similarity';
 import { RandomProjectionTree } from '../../modules/vector/utils/projectionTree';
+import { MetadataFilter } from '../../modules/vector/utils/metadataFilter';
+import { HNSWIndex } from '../../modules/vector/utils/hnswIndex';
 import { setupTestEnvironment, cleanupTestEnvironment } from '../test-setup';
 
 describe('Vector System', () => {
@@ -326,4 +329,562 @@ describe('Vector System', () => {
                 .rejects.toThrow();
         });
     });
-});
\ No newline at end of file
+
+    // Seeded so benchmarks are repeatable
+    const seededRandom = (seed) => () => {
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    const randomVectors = (count, dimensions, random) => Array.from({ length: count }, () =>
+        Array.from({ length: dimensions }, () => random() * 2 - 1)
+    );
+
+    describe('HNSW Index', () => {
+
+        it('should reach high recall against brute force', async () => {
+            const random = seededRandom(42);
+            const vectors = randomVectors(1000, 32, random);
+            const queries = randomVectors(50, 32, random);
+            const index = new HNSWIndex(32, { M: 12, efConstruction: 100, efSearch: 64, random });
+            const exact = new FlatIndex(32);
+            for (let i = 0; i < vectors.length; i++) {
+                await index.add(`v${i}`, vectors[i]);
+                await exact.add(`v${i}`, vectors[i]);
+            }
+
+            const recallAt = async (ef) => {
+                let hits = 0;
+                for (const query of queries) {
+                    const expected = new Set((await exact.search(query, 10, -1)).map(result => result.key));
+                    const results = await index.search(query, 10, -1, { ef });
+                    hits += results.filter(result => expected.has(result.key)).length;
+                }
+                return hits / (queries.length * 10);
+            };
+
+            const recall = await recallAt(64);
+            expect(recall).toBeGreaterThanOrEqual(0.9);
+            // A wider search trades speed for recall
+            expect(await recallAt(200)).toBeGreaterThanOrEqual(recall);
+            expect(await recallAt(10)).toBeLessThanOrEqual(recall);
+
+            const stats = await index.getStats();
+            expect(stats.numVectors).toBe(1000);
+            expect(stats.averageDegree).toBeLessThanOrEqual(24);
+        });
+
+        it('should be selectable through VectorIndex options', async () => {
+            const index = new VectorIndex(8, { type: 'hnsw', M: 4, efConstruction: 20, efSearch: 10 });
+            expect(index.graph).toBeInstanceOf(HNSWIndex);
+            expect(index.trees).toHaveLength(0);
+            expect(index.graph.M).toBe(4);
+
+            const vectors = randomVectors(50, 8, seededRandom(7));
+            for (let i = 0; i < vectors.length; i++) {
+                await index.add(`v${i}`, vectors[i]);
+            }
+
+            const results = await index.search(vectors[3], 3);
+            expect(results[0].key).toBe('v3');
+            expect(results[0].similarity).toBeCloseTo(1, 5);
+
+            const stats = await index.getStats();
+            expect(stats.type).toBe('hnsw');
+            expect(stats.graphStats.numVectors).toBe(50);
+            await index.destroy();
+        });
+
+        it('should keep the positional form building trees', () => {
+            const index = new VectorIndex(16, 3, 5);
+            expect(index.type).toBe('trees');
+            expect(index.trees).toHaveLength(3);
+            expect(index.maxLeafSize).toBe(5);
+            expect(index.graph).toBeNull();
+            expect(() => new VectorIndex(16, { type: 'lsh' })).toThrow('Unknown vector index type: lsh');
+        });
+
+        it('should delete and update vectors', async () => {
+            const index = new VectorIndex(8, { type: 'hnsw', M: 4, efConstruction: 20 });
+            const vectors = randomVectors(30, 8, seededRandom(3));
+            for (let i = 0; i < vectors.length; i++) {
+                await index.add(`v${i}`, vectors[i]);
+            }
+
+            await index.delete('v5');
+            const afterDelete = await index.search(vectors[5], 30, -1);
+            expect(afterDelete.map(result => result.key)).not.toContain('v5');
+            expect(afterDelete).toHaveLength(29);
+
+            await index.update('v6', vectors[20].map(value => -value));
+            const [nearest] = await index.search(vectors[20].map(value => -value), 1);
+            expect(nearest.key).toBe('v6');
+            expect(index.graph.size).toBe(29);
+        });
+
+        it('should drop deleted nodes on rebuild', async () => {
+            const index = new HNSWIndex(8, { M: 4, efConstruction: 20, random: seededRandom(9) });
+            const vectors = randomVectors(40, 8, seededRandom(11));
+            for (let i = 0; i < vectors.length; i++) {
+                await index.add(`v${i}`, vectors[i]);
+            }
+            for (let i = 0; i < 10; i++) {
+                await index.delete(`v${i}`);
+            }
+            expect(index.needsRebuild()).toBe(true);
+            expect(index.nodes.size).toBe(40);
+
+            index.rebuild();
+            expect(index.nodes.size).toBe(30);
+            expect(index.deletedCount).toBe(0);
+            const [nearest] = await index.search(vectors[15], 1);
+            expect(nearest.key).toBe('v15');
+
+            // Deleting most of the graph rebuilds it straight away
+            for (let i = 10; i < 30; i++) {
+                await index.delete(`v${i}`);
+            }
+            expect(index.nodes.size).toBeLessThan(30);
+            expect(index.size).toBe(10);
+        });
+
+        it('should still return limit results when the nearest were deleted', async () => {
+            const random = seededRandom(5);
+            const vectors = randomVectors(200, 16, random);
+            const [query] = randomVectors(1, 16, random);
+            const index = new HNSWIndex(16, { M: 6, efConstruction: 40, efSearch: 10, random });
+            const exact = new FlatIndex(16);
+            for (let i = 0; i < vectors.length; i++) {
+                await index.add(`v${i}`, vectors[i]);
+                await exact.add(`v${i}`, vectors[i]);
+            }
+
+            const nearest = (await exact.search(query, 10, -1)).map(result => result.key);
+            for (const key of nearest) {
+                await index.delete(key);
+            }
+            // The tombstones are still in the graph
+            expect(index.deletedCount).toBe(10);
+
+            const results = await index.search(query, 10, -1);
+            expect(results).toHaveLength(10);
+            expect(results.every(result => !nearest.includes(result.key))).toBe(true);
+        });
+
+        it('should reject vectors of the wrong size', async () => {
+            const index = new HNSWIndex(8);
+            await expect(index.add('a', [1, 2, 3])).rejects.toThrow('Invalid embedding dimensions');
+            await expect(index.add('a', Array(8).fill(0))).rejects.toThrow('Cannot normalize zero vector');
+            expect(await index.search(Array(8).fill(1))).toEqual([]);
+            expect(() => new HNSWIndex(8, { M: 1 })).toThrow('Invalid HNSW M');
+        });
+    });
+
+    describe('Flat Index', () => {
+        const cosine = (a, b) => {
+            let dot = 0, normA = 0, normB = 0;
+            for (let i = 0; i < a.length; i++) {
+                dot += a[i] * b[i];
+                normA += a[i] * a[i];
+                normB += b[i] * b[i];
+            }
+            return dot / Math.sqrt(normA * normB);
+        };
+
+        it('should return the exact top k', async () => {
+            const vectors = randomVectors(500, 30, seededRandom(5));
+            const index = new FlatIndex(30, { initialCapacity: 8 });
+            for (let i = 0; i < vectors.length; i++) {
+                await index.add(`v${i}`, vectors[i]);
+            }
+            expect(index.capacity).toBe(512);
+
+            const query = randomVectors(1, 30, seededRandom(6))[0];
+            const expected = vectors
+                .map((vector, i) => ({ key: `v${i}`, similarity: cosine(vector, query) }))
+                .sort((a, b) => b.similarity - a.similarity)
+                .slice(0, 10);
+
+            const results = await index.search(query, 10, -1);
+            expect(results.map(result => result.key)).toEqual(expected.map(result => result.key));
+            results.forEach((result, i) => {
+                expect(result.similarity).toBeCloseTo(expected[i].similarity, 5);
+            });
+
+            const above = await index.search(query, 500, 0.2);
+            expect(above).toHaveLength(vectors.filter(vector => cosine(vector, query) >= 0.2).length);
+            expect(above.every(result => result.similarity >= 0.2)).toBe(true);
+        });
+
+        it('should search faster than VectorIndex on the same seeded data', async () => {
+            // A coarse relative check rather than a benchmark: both indexes
+            // answer the same queries over the same vectors
+            jest.useRealTimers();
+            const random = seededRandom(11);
+            const vectors = randomVectors(500, 16, random);
+            const queries = randomVectors(10, 16, random);
+            const flat = new FlatIndex(16);
+            const trees = new VectorIndex(16);
+            for (let i = 0; i < vectors.length; i++) {
+                await flat.add(`v${i}`, vectors[i]);
+                await trees.add(`v${i}`, vectors[i]);
+            }
+
+            const time = async (index) => {
+                await index.search(queries[0], 10);
+                const start = performance.now();
+                for (const query of queries) {
+                    await index.search(query, 10);
+                }
+                return performance.now() - start;
+            };
+            expect(await time(flat)).toBeLessThan(await time(trees));
+        });
+
+        it('should keep rows contiguous across deletes and updates', async () => {
+            const index = new FlatIndex(4);
+            await index.add('a', [1, 0, 0, 0]);
+            await index.add('b', [0, 1, 0, 0]);
+            await index.add('c', [0, 0, 1, 0]);
+
+            expect(await index.delete('a')).toBe(true);
+            expect(await index.delete('a')).toBe(false);
+            expect(index.size).toBe(2);
+            // 'c' moved into the freed first row
+            expect(index.keys).toEqual(['c', 'b']);
+            expect(Array.from(index.get('c'))).toEqual([0, 0, 1, 0]);
+
+            await index.update('b', [0, 0, 0, 2]);
+            expect(index.size).toBe(2);
+            expect(Array.from(index.get('b'))).toEqual([0, 0, 0, 1]);
+            const [nearest] = await index.search([0, 0, 0.1, 1], 1);
+            expect(nearest.key).toBe('b');
+
+            await expect(index.add('d', [1, 2])).rejects.toThrow('Invalid embedding dimensions');
+            await expect(index.add('d', [0, 0, 0, 0])).rejects.toThrow('Cannot normalize zero vector');
+        });
+
+        it('should shrink during maintenance', async () => {
+            const index = new FlatIndex(4);
+            const vectors = randomVectors(300, 4, seededRandom(8));
+            for (let i = 0; i < vectors.length; i++) {
+                await index.add(`v${i}`, vectors[i]);
+            }
+            for (let i = 0; i < 290; i++) {
+                await index.delete(`v${i}`);
+            }
+            await index.maintenance();
+
+            const stats = await index.getStats();
+            expect(stats.capacity).toBe(64);
+            expect(stats.numVectors).toBe(10);
+            const [nearest] = await index.search(vectors[295], 1);
+            expect(nearest.key).toBe('v295');
+        });
+
+        it('should plug into EnhancedVectorStore', async () => {
+            const store = new EnhancedVectorStore({ index: 'flat', dimensions: 8 });
+            expect(store.index).toBeInstanceOf(FlatIndex);
+            expect(store.root).toBeNull();
+
+            const vectors = randomVectors(20, 8, seededRandom(12));
+            for (let i = 0; i < vectors.length; i++) {
+                await store.add(`v${i}`, vectors[i].slice());
+            }
+            expect(await store.search(vectors[4].slice(), 1)).toEqual(['v4']);
+
+            await store.delete('v4');
+            expect(await store.search(vectors[4].slice(), 20, -1)).not.toContain('v4');
+            await store.destroy();
+
+            const custom = new FlatIndex(8);
+            expect(new EnhancedVectorStore({ index: custom, dimensions: 8 }).index).toBe(custom);
+        });
+    });
+
+    describe('Distance Metrics', () => {
+        const unit = (vector) => {
+            const norm = Math.sqrt(VectorSimilarity.dotProduct(vector, vector));
+            return vector.map(value => value / norm);
+        };
+        const bruteForce = (vectors, query, metric, limit) => {
+            const prepare = (vector) => (metric.normalize ? unit(vector) : vector);
+            return vectors
+                .map((vector, i) => ({ key: `v${i}`, score: metric.score(prepare(vector), prepare(query)) }))
+                .sort((a, b) => metric.sign * (b.score - a.score))
+                .slice(0, limit);
+        };
+
+        it('should look up metrics and score with their semantics', () => {
+            expect(VectorSimilarity.getMetric().name).toBe('cosine');
+            expect(VectorSimilarity.getMetric('euclidean')).toBe(VectorSimilarity.getMetric('l2'));
+            expect(() => VectorSimilarity.getMetric('chebyshev')).toThrow('Unknown distance metric: chebyshev');
+
+            const l2 = VectorSimilarity.getMetric('l2');
+            expect(VectorSimilarity.getMetric(l2)).toBe(l2);
+            expect(l2).toBeInstanceOf(DistanceMetric);
+            expect(l2.score([0, 0], [3, 4])).toBe(5);
+            expect(l2.closeness([0, 0], [3, 4])).toBe(-5);
+            expect(l2.passes(5, 5)).toBe(true);
+            expect(l2.passes(5.1, 5)).toBe(false);
+            expect(l2.result('a', 5)).toEqual({ key: 'a', distance: 5 });
+
+            const dot = VectorSimilarity.getMetric('dot');
+            expect(dot.score([1, 2], [3, 4])).toBe(11);
+            expect(dot.passes(0.4, 0.5)).toBe(false);
+            expect(dot.result('a', 11)).toEqual({ key: 'a', similarity: 11 });
+
+            expect(VectorSimilarity.getMetric('l1').score([1, -1], [0, 1])).toBe(3);
+            expect(VectorSimilarity.hammingDistance([1, 0, 1, 1], [1, 1, 0, 1])).toBe(2);
+        });
+
+        it('should bound scores across a split plane', () => {
+            const random = seededRandom(21);
+            const normal = unit(randomVectors(1, 6, random)[0]);
+            for (const name of ['cosine', 'dot', 'l2', 'l1']) {
+                const metric = VectorSimilarity.getMetric(name);
+                const [query, ...points] = randomVectors(200, 6, random)
+                    .map(vector => metric.normalize ? unit(vector) : vector);
+                const projection = VectorSimilarity.dotProduct(query, normal);
+                const queryNorm = Math.sqrt(VectorSimilarity.dotProduct(query, query));
+                const maxNorm = Math.max(...points.map(point => Math.sqrt(VectorSimilarity.dotProduct(point, point))));
+                const bound = metric.crossingBound(projection, queryNorm, maxNorm);
+
+                const farSide = points.filter(point =>
+                    Math.sign(VectorSimilarity.dotProduct(point, normal)) !== Math.sign(projection)
+                );
+                expect(farSide.length).toBeGreaterThan(0);
+                for (const point of farSide) {
+                    expect(metric.closeness(query, point)).toBeLessThanOrEqual(bound + 1e-9);
+                }
+            }
+        });
+
+        it('should prune tree branches per metric', () => {
+            const tree = new RandomProjectionTree(4, 10, 'l2');
+            // Closeness is the negated distance; the worst result is 0.5 away
+            const results = new Map([['a', -0.2], ['b', -0.5]]);
+            expect(tree.shouldExploreSecondaryBranch(0.3, results, 2)).toBe(true);
+            expect(tree.shouldExploreSecondaryBranch(-0.6, results, 2)).toBe(false);
+
+            const cosineTree = new RandomProjectionTree(4, 10);
+            const similar = new Map([['a', 0.99], ['b', 0.9]]);
+            expect(cosineTree.shouldExploreSecondaryBranch(0.3, similar, 2)).toBe(true);
+            expect(cosineTree.shouldExploreSecondaryBranch(0.5, similar, 2)).toBe(false);
+        });
+
+        it.each(['cosine', 'dot', 'l2', 'l1'])('should search a flat index exactly by %s', async (name) => {
+            const metric = VectorSimilarity.getMetric(name);
+            const vectors = randomVectors(200, 12, seededRandom(31));
+            const query = randomVectors(1, 12, seededRandom(32))[0];
+            const index = new FlatIndex(12, { metric: name });
+            for (let i = 0; i < vectors.length; i++) {
+                await index.add(`v${i}`, vectors[i]);
+            }
+
+            const expected = bruteForce(vectors, query, metric, 5);
+            const results = await index.search(query, 5, name === 'cosine' ? -1 : undefined);
+            expect(results.map(result => result.key)).toEqual(expected.map(result => result.key));
+            results.forEach((result, i) => {
+                expect(result[metric.kind]).toBeCloseTo(expected[i].score, 4);
+            });
+        });
+
+        it('should treat thresholds as maximum distances', async () => {
+            const index = new FlatIndex(2, { metric: 'l2' });
+            await index.add('near', [1, 0]);
+            await index.add('far', [4, 0]);
+            await index.add('zero', [0, 0]);
+
+            expect(await index.search([0, 0], 3)).toEqual([
+                { key: 'zero', distance: 0 },
+                { key: 'near', distance: 1 },
+                { key: 'far', distance: 4 }
+            ]);
+            expect((await index.search([0, 0], 3, 1)).map(result => result.key)).toEqual(['zero', 'near']);
+        });
+
+        it('should score VectorIndex trees and graphs by the chosen metric', async () => {
+            const vectors = randomVectors(100, 8, seededRandom(41));
+            for (const type of ['trees', 'hnsw']) {
+                const index = new VectorIndex(8, { type, metric: 'l1', numTrees: 3, M: 6, efConstruction: 40 });
+                for (let i = 0; i < vectors.length; i++) {
+                    await index.add(`v${i}`, vectors[i]);
+                }
+                const results = await index.search(vectors[7], 3);
+                expect(results[0]).toEqual({ key: 'v7', distance: 0 });
+                expect(results[1].distance).toBeGreaterThanOrEqual(results[0].distance);
+                expect(results[1].similarity).toBeUndefined();
+
+                const stats = await index.getStats();
+                expect(stats.metric).toBe('l1');
+                await index.destroy();
+            }
+        });
+
+        it('should find binary codes by Hamming distance', async () => {
+            const random = seededRandom(51);
+            const codes = Array.from({ length: 300 }, () =>
+                Array.from({ length: 32 }, () => (random() < 0.5 ? 1 : 0))
+            );
+            const graph = new HNSWIndex(32, { metric: 'hamming', M: 8, efConstruction: 64, random });
+            const exact = new FlatIndex(32, { metric: 'hamming' });
+            for (let i = 0; i < codes.length; i++) {
+                await graph.add(`c${i}`, codes[i]);
+                await exact.add(`c${i}`, codes[i]);
+            }
+
+            const query = codes[12].slice();
+            query[0] = 1 - query[0];
+            const [nearest] = await graph.search(query, 1);
+            expect(nearest).toEqual({ key: 'c12', distance: 1 });
+
+            const expected = await exact.search(query, 10);
+            const found = await graph.search(query, 10, undefined, { ef: 100 });
+            expect(found.map(result => result.distance)).toEqual(expected.map(result => result.distance));
+        });
+
+        it('should let EnhancedVectorStore search by the chosen metric', async () => {
+            const store = new EnhancedVectorStore({ dimensions: 4, metric: 'l2' });
+            expect(store.metric.name).toBe('l2');
+            await store.add('origin', [0, 0, 0, 0]);
+            await store.add('unit', [1, 0, 0, 0]);
+            await store.add('far', [5, 5, 5, 5]);
+
+            expect(await store.search([0.9, 0, 0, 0], 2)).toEqual(['unit', 'origin']);
+            expect(await store.search([0.9, 0, 0, 0], 3, 0.5)).toEqual(['unit']);
+            await store.destroy();
+        });
+    });
+
+    describe('Metadata Filtering', () => {
+        const day = 24 * 60 * 60 * 1000;
+        const start = new Date('2024-01-01T00:00:00Z');
+        // Every third vector is tagged 'work', every fifth 'urgent'; one per day
+        const metadataFor = (i) => ({
+            tags: [i % 3 === 0 ? 'work' : 'home', ...(i % 5 === 0 ? ['urgent'] : [])],
+            createdAt: new Date(start.getTime() + i * day),
+            priority: i % 10,
+            source: { kind: i % 2 ? 'chat' : 'note' }
+        });
+        const build = async (index, count, dimensions) => {
+            const vectors = randomVectors(count, dimensions, seededRandom(61));
+            for (let i = 0; i < count; i++) {
+                await index.add(`v${i}`, vectors[i], metadataFor(i));
+            }
+            return vectors;
+        };
+        const matches = (filter) => (key) => MetadataFilter.compile(filter)(metadataFor(Number(key.slice(1))));
+
+        it('should evaluate filter expressions', () => {
+            const metadata = metadataFor(15);
+            const test = (filter) => MetadataFilter.compile(filter)(metadata);
+
+            expect(test({ tags: 'work' })).toBe(true);
+            expect(test({ tags: 'home' })).toBe(false);
+            expect(test({ priority: 5, 'source.kind': 'chat' })).toBe(true);
+            expect(test({ createdAt: { gt: new Date(start.getTime() + 14 * day) } })).toBe(true);
+            expect(test({ createdAt: { gte: start, lt: new Date(start.getTime() + 15 * day) } })).toBe(false);
+            expect(test({ priority: { gt: '4' } })).toBe(false);
+            expect(test({ tags: { in: ['urgent', 'later'] } })).toBe(true);
+            expect(test({ tags: { nin: ['home'] }, priority: { ne: 4 } })).toBe(true);
+            expect(test({ archived: { exists: false }, priority: { exists: true } })).toBe(true);
+            expect(test({ or: [{ tags: 'home' }, { not: { priority: { lte: 3 } } }] })).toBe(true);
+            expect(test({ and: [{ tags: 'work' }, { tags: 'home' }] })).toBe(false);
+            expect(MetadataFilter.compile({ tags: 'work' })(null)).toBe(false);
+
+            expect(() => MetadataFilter.compile({ priority: { between: [1, 2] } })).toThrow('Unknown filter operator: between');
+            expect(() => MetadataFilter.compile({ tags: { in: 'work' } })).toThrow('must be an array');
+            expect(() => MetadataFilter.compile({ or: { tags: 'work' } })).toThrow('must be an array');
+            expect(() => MetadataFilter.compile('work')).toThrow('Filter must be an object');
+        });
+
+        it('should pre-filter selective filters exactly', async () => {
+            const index = new VectorIndex(8, { numTrees: 3 });
+            const vectors = await build(index, 300, 8);
+            const exact = new FlatIndex(8);
+            await build(exact, 300, 8);
+            const candidates = jest.spyOn(index, 'searchCandidates');
+
+            // 'urgent' work items created after day 100: 13 of 300
+            const filter = { tags: { in: ['urgent'] }, and: [{ tags: 'work' }, { createdAt: { gt: new Date(start.getTime() + 100 * day) } }] };
+            const results = await index.search(vectors[0], 5, -1, { filter });
+            expect(candidates).not.toHaveBeenCalled();
+            expect(results).toEqual(await exact.search(vectors[0], 5, -1, { filter }));
+            expect(results.every(result => matches(filter)(result.key))).toBe(true);
+        });
+
+        it('should post-filter with over-fetch and always fill the limit', async () => {
+            const index = new VectorIndex(8, { type: 'hnsw', M: 8, efConstruction: 60, preFilterKeys: 0, preFilterRatio: 0 });
+            const vectors = await build(index, 400, 8);
+            const candidates = jest.spyOn(index, 'searchCandidates');
+
+            const filter = { tags: 'work' };
+            const results = await index.search(vectors[1], 10, -1, { filter });
+            expect(results).toHaveLength(10);
+            expect(results.every(result => matches(filter)(result.key))).toBe(true);
+            // A third of the keys match, so well over `limit` were fetched
+            expect(candidates.mock.calls[0][1]).toBeGreaterThanOrEqual(30);
+
+            // Even an index that finds nothing falls back to exact scoring
+            candidates.mockResolvedValue([]);
+            const fallback = await index.search(vectors[1], 10, -1, { filter });
+            expect(fallback).toHaveLength(10);
+            expect(fallback.every(result => matches(filter)(result.key))).toBe(true);
+            expect(candidates.mock.calls[candidates.mock.calls.length - 1][1]).toBe(400);
+        });
+
+        it('should return fewer results only when fewer keys match', async () => {
+            const index = new VectorIndex(8, { numTrees: 2 });
+            const vectors = await build(index, 50, 8);
+            const results = await index.search(vectors[0], 10, -1, { filter: { priority: 7, tags: 'work' } });
+            // Priority 7 and divisible by 3: 27
+            expect(results.map(result => result.key)).toEqual(['v27']);
+            expect(await index.search(vectors[0], 10, -1, { filter: { priority: 42 } })).toEqual([]);
+        });
+
+        it('should keep metadata across updates and drop it on delete', async () => {
+            for (const index of [new VectorIndex(4, { numTrees: 2 }), new FlatIndex(4)]) {
+                await index.add('a', [1, 0, 0, 0], { tags: ['work'] });
+                await index.add('b', [0, 1, 0, 0]);
+
+                await index.update('a', [1, 1, 0, 0]);
+                expect(index.getMetadata('a')).toEqual({ tags: ['work'] });
+                await index.update('a', [1, 1, 0, 0], { tags: ['home'] });
+                expect(index.getMetadata('a')).toEqual({ tags: ['home'] });
+
+                expect(index.setMetadata('b', { tags: ['work'] })).toBe(true);
+                expect(index.setMetadata('missing', {})).toBe(false);
+                const [match] = await index.search([1, 0, 0, 0], 1, -1, { filter: { tags: 'work' } });
+                expect(match.key).toBe('b');
+
+                await index.delete('b');
+                expect(index.getMetadata('b')).toBeUndefined();
+                expect(await index.search([1, 0, 0, 0], 1, -1, { filter: { tags: 'work' } })).toEqual([]);
+                await index.destroy();
+            }
+        });
+
+        it('should find nearest thoughts with a tag created after a time', async () => {
+            for (const type of ['trees', 'flat']) {
+                const store = new EnhancedVectorStore({ index: type, dimensions: 8, numTrees: 2 });
+                const vectors = randomVectors(60, 8, seededRandom(71));
+                for (let i = 0; i < vectors.length; i++) {
+                    await store.add(`v${i}`, vectors[i].slice(), metadataFor(i));
+                }
+
+                const after = new Date(start.getTime() + 30 * day);
+                const filter = { tags: 'work', createdAt: { gt: after } };
+                const keys = await store.search(vectors[3].slice(), 4, -1, { filter });
+                expect(keys).toHaveLength(4);
+                for (const key of keys) {
+                    const i = Number(key.slice(1));
+                    expect(i % 3).toBe(0);
+                    expect(i).toBeGreaterThan(30);
+                }
+                await store.destroy();
+            }
+        });
+    });
+});